@@ -67,8 +67,8 @@ const options = {
             },
             stockStatus: {
               type: 'string',
-              enum: ['in_stock', 'low_stock', 'out_of_stock'],
-              description: 'Stock status',
+              enum: ['in_stock', 'low_stock', 'out_of_stock', 'discontinued', 'preorder'],
+              description: 'Stock status (derived from stock quantity unless pinned to discontinued or preorder)',
               example: 'in_stock',
             },
             stockQuantity: {
@@ -76,6 +76,24 @@ const options = {
               description: 'Stock quantity',
               example: 100,
             },
+            lowStockThreshold: {
+              type: 'integer',
+              nullable: true,
+              description: 'Low-stock threshold for this product (null = category default)',
+              example: 5,
+            },
+            availableQuantity: {
+              type: 'integer',
+              description: 'Total stock minus active checkout reservations (read only)',
+              example: 95,
+            },
+            warehouseStock: {
+              type: 'array',
+              description: 'Stock on hand per warehouse (read only)',
+              items: {
+                $ref: '#/components/schemas/WarehouseStockLevel',
+              },
+            },
             images: {
               type: 'array',
               items: {
@@ -124,111 +142,1207 @@ const options = {
                 { label: 'Nominal Akım', value: '25A' },
               ],
             },
-            reviews: {
+            reviews: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'integer',
+                    example: 1,
+                  },
+                  author: {
+                    type: 'string',
+                    example: 'Ahmet Yılmaz',
+                  },
+                  role: {
+                    type: 'string',
+                    example: 'Elektrik Mühendisi',
+                  },
+                  rating: {
+                    type: 'integer',
+                    example: 5,
+                  },
+                  date: {
+                    type: 'string',
+                    example: '2 hafta önce',
+                  },
+                  comment: {
+                    type: 'string',
+                    example: 'Kaliteli ürün, hızlı teslimat.',
+                  },
+                  helpful: {
+                    type: 'integer',
+                    example: 24,
+                  },
+                },
+              },
+              description: 'Array of product reviews',
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+            },
+          },
+        },
+        ProductResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            data: {
+              $ref: '#/components/schemas/Product',
+            },
+          },
+        },
+        ProductListResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            data: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Product',
+              },
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                page: {
+                  type: 'integer',
+                  example: 1,
+                },
+                limit: {
+                  type: 'integer',
+                  example: 10,
+                },
+                total: {
+                  type: 'integer',
+                  example: 25,
+                },
+                totalPages: {
+                  type: 'integer',
+                  example: 3,
+                },
+                hasNextPage: {
+                  type: 'boolean',
+                  example: true,
+                },
+                hasPrevPage: {
+                  type: 'boolean',
+                  example: false,
+                },
+              },
+            },
+          },
+        },
+        Warehouse: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            code: {
+              type: 'string',
+              example: 'IST-1',
+            },
+            name: {
+              type: 'string',
+              example: 'İstanbul Depo',
+            },
+            city: {
+              type: 'string',
+              example: 'İstanbul',
+            },
+            address: {
+              type: 'string',
+            },
+            priority: {
+              type: 'integer',
+              description: 'Lower ships first',
+              example: 10,
+            },
+            is_active: {
+              type: 'boolean',
+              example: true,
+            },
+          },
+        },
+        WarehouseStockLevel: {
+          type: 'object',
+          properties: {
+            warehouse_id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            code: {
+              type: 'string',
+              example: 'IST-1',
+            },
+            name: {
+              type: 'string',
+              example: 'İstanbul Depo',
+            },
+            city: {
+              type: 'string',
+              example: 'İstanbul',
+            },
+            quantity: {
+              type: 'integer',
+              example: 12,
+            },
+          },
+        },
+        LowStockProduct: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            name: {
+              type: 'string',
+            },
+            sku: {
+              type: 'string',
+            },
+            brand: {
+              type: 'string',
+            },
+            category: {
+              type: 'string',
+            },
+            stock_quantity: {
+              type: 'integer',
+              example: 3,
+            },
+            stock_status: {
+              type: 'string',
+              example: 'low_stock',
+            },
+            low_stock_threshold: {
+              type: 'integer',
+              description: 'Effective threshold',
+              example: 10,
+            },
+            threshold_source: {
+              type: 'string',
+              enum: ['product', 'category', 'default'],
+            },
+          },
+        },
+        StockMovement: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            product_id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            movement_type: {
+              type: 'string',
+              enum: ['sale', 'restock', 'return', 'manual_adjustment', 'import', 'transfer'],
+              example: 'sale',
+            },
+            bucket: {
+              type: 'string',
+              enum: ['sellable', 'damaged'],
+              example: 'sellable',
+            },
+            quantity: {
+              type: 'integer',
+              description: 'Signed change (negative = stock out)',
+              example: -2,
+            },
+            quantity_after: {
+              type: 'integer',
+              example: 18,
+            },
+            warehouse_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+            },
+            warehouse_quantity_after: {
+              type: 'integer',
+              nullable: true,
+              example: 6,
+            },
+            reference_type: {
+              type: 'string',
+              example: 'order',
+            },
+            reference_id: {
+              type: 'string',
+              example: '8f4ec269-5633-40a0-9522-1576f744af92',
+            },
+            actor: {
+              type: 'string',
+              example: 'admin',
+            },
+            notes: {
+              type: 'string',
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        StockReconciliation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            name: {
+              type: 'string',
+            },
+            sku: {
+              type: 'string',
+            },
+            stock_quantity: {
+              type: 'integer',
+              example: 18,
+            },
+            ledger_stock_quantity: {
+              type: 'integer',
+              example: 20,
+            },
+            stock_drift: {
+              type: 'integer',
+              description: 'stock_quantity minus the ledger total',
+              example: -2,
+            },
+            damaged_quantity: {
+              type: 'integer',
+              example: 0,
+            },
+            ledger_damaged_quantity: {
+              type: 'integer',
+              example: 0,
+            },
+            damaged_drift: {
+              type: 'integer',
+              example: 0,
+            },
+            warehouse_stock_quantity: {
+              type: 'integer',
+              example: 18,
+            },
+            warehouse_drift: {
+              type: 'integer',
+              description: 'stock_quantity minus the sum of warehouse stock',
+              example: 0,
+            },
+            movement_count: {
+              type: 'integer',
+              example: 4,
+            },
+            last_movement_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        StockSubscription: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            product_id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            email: {
+              type: 'string',
+              example: 'musteri@example.com',
+            },
+            name: {
+              type: 'string',
+              example: 'Ayşe Yılmaz',
+            },
+            token: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Used to cancel the subscription',
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'notified', 'cancelled'],
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            notified_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            channel: {
+              type: 'string',
+              example: 'email',
+            },
+            recipient: {
+              type: 'string',
+              example: 'musteri@example.com',
+            },
+            type: {
+              type: 'string',
+              example: 'order_status',
+            },
+            subject: {
+              type: 'string',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'sent', 'dead'],
+            },
+            attempts: {
+              type: 'integer',
+              example: 1,
+            },
+            max_attempts: {
+              type: 'integer',
+              example: 5,
+            },
+            last_error: {
+              type: 'string',
+              description: 'Error of the last failed attempt',
+            },
+            next_attempt_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When a pending notification is tried next',
+            },
+            sent_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        OrderStatus: {
+          type: 'object',
+          properties: {
+            value: {
+              type: 'string',
+              example: 'order_received',
+            },
+            name: {
+              type: 'string',
+              example: 'Sipariş Alındı',
+            },
+            nameEn: {
+              type: 'string',
+              example: 'Order Received',
+            },
+            color: {
+              type: 'string',
+              example: 'blue',
+            },
+            displayOrder: {
+              type: 'integer',
+              example: 1,
+            },
+            isActive: {
+              type: 'boolean',
+            },
+            isSystem: {
+              type: 'boolean',
+              description: 'Used by payment, stock or notification logic; cannot be deactivated',
+            },
+            allowedTransitions: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['preparing', 'cancelled'],
+            },
+          },
+        },
+        OrderStatusTransition: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+            },
+            from: {
+              type: 'string',
+              example: 'order_received',
+            },
+            to: {
+              type: 'string',
+              example: 'preparing',
+            },
+            isActive: {
+              type: 'boolean',
+              description: 'False when either status is deactivated',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Shipment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            orderId: {
+              type: 'string',
+              format: 'uuid',
+            },
+            orderNumber: {
+              type: 'string',
+              example: 'MYE-1234567890-123',
+            },
+            carrier: {
+              type: 'string',
+              enum: ['yurtici', 'aras', 'mng', 'ptt', 'other'],
+            },
+            carrierName: {
+              type: 'string',
+              example: 'Yurtiçi Kargo',
+            },
+            trackingNumber: {
+              type: 'string',
+              example: '1234567890',
+            },
+            trackingUrl: {
+              type: 'string',
+              description: 'Carrier tracking page, null for carrier "other"',
+            },
+            status: {
+              type: 'string',
+              enum: ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'cancelled'],
+            },
+            statusDescription: {
+              type: 'string',
+              description: 'Last status text from the carrier',
+              example: 'Gönderi dağıtıma çıktı',
+            },
+            shippedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            lastCheckedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last time the carrier was polled',
+            },
+            lastError: {
+              type: 'string',
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  orderItemId: {
+                    type: 'string',
+                    format: 'uuid',
+                  },
+                  productName: {
+                    type: 'string',
+                  },
+                  quantity: {
+                    type: 'integer',
+                  },
+                },
+              },
+            },
+            createdBy: {
+              type: 'string',
+            },
+            notes: {
+              type: 'string',
+            },
+          },
+        },
+        ReturnRequest: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            returnNumber: {
+              type: 'string',
+              example: 'RMA-1234567890-123',
+            },
+            orderId: {
+              type: 'string',
+              format: 'uuid',
+            },
+            orderNumber: {
+              type: 'string',
+            },
+            status: {
+              type: 'string',
+              enum: ['requested', 'approved', 'rejected', 'completed', 'cancelled'],
+            },
+            reason: {
+              type: 'string',
+              enum: ['defective', 'damaged_in_shipping', 'wrong_item', 'not_as_described', 'changed_mind', 'other'],
+            },
+            customerNotes: {
+              type: 'string',
+            },
+            adminNotes: {
+              type: 'string',
+            },
+            openedBy: {
+              type: 'string',
+              enum: ['customer', 'admin'],
+            },
+            decidedBy: {
+              type: 'string',
+            },
+            decidedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            receivedBy: {
+              type: 'string',
+            },
+            receivedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            refundSubtotal: {
+              type: 'number',
+              description: 'Refund due for the received goods, without KDV',
+            },
+            refundKdv: {
+              type: 'number',
+            },
+            refundTotal: {
+              type: 'number',
+            },
+            refundId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Refund issued for this return, if any',
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  orderItemId: {
+                    type: 'string',
+                    format: 'uuid',
+                  },
+                  productName: {
+                    type: 'string',
+                  },
+                  productPrice: {
+                    type: 'number',
+                  },
+                  quantity: {
+                    type: 'integer',
+                    description: 'Requested quantity',
+                  },
+                  receivedQuantity: {
+                    type: 'integer',
+                  },
+                  damagedQuantity: {
+                    type: 'integer',
+                  },
+                },
+              },
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Refund: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            orderId: {
+              type: 'string',
+              format: 'uuid',
+            },
+            returnRequestId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Set when the refund is for a return request',
+            },
+            type: {
+              type: 'string',
+              enum: ['full', 'lines', 'amount', 'return'],
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'completed', 'failed'],
+              description: 'pending until the payment provider confirms; stays pending when the provider did not answer',
+            },
+            subtotal: {
+              type: 'number',
+              example: 89.9,
+            },
+            kdv: {
+              type: 'number',
+              example: 17.98,
+            },
+            amount: {
+              type: 'number',
+              description: 'Refunded amount including KDV',
+              example: 107.88,
+            },
+            currency: {
+              type: 'string',
+              example: 'TRY',
+            },
+            provider: {
+              type: 'string',
+              example: 'mock',
+            },
+            providerRefundId: {
+              type: 'string',
+            },
+            reason: {
+              type: 'string',
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  orderItemId: {
+                    type: 'string',
+                    format: 'uuid',
+                  },
+                  productName: {
+                    type: 'string',
+                  },
+                  quantity: {
+                    type: 'integer',
+                  },
+                  subtotal: {
+                    type: 'number',
+                  },
+                  kdv: {
+                    type: 'number',
+                  },
+                  amount: {
+                    type: 'number',
+                  },
+                },
+              },
+            },
+            createdBy: {
+              type: 'string',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        RefundSummary: {
+          type: 'object',
+          properties: {
+            paymentStatus: {
+              type: 'string',
+              enum: ['completed', 'partially_refunded', 'refunded'],
+            },
+            paidAmount: {
+              type: 'number',
+            },
+            refundedAmount: {
+              type: 'number',
+            },
+            pendingRefundAmount: {
+              type: 'number',
+              description: 'Refunds sent to the provider but not confirmed yet',
+            },
+            refundableAmount: {
+              type: 'number',
+            },
+          },
+        },
+        OrderTracking: {
+          type: 'object',
+          description: 'Customer-safe view of an order',
+          properties: {
+            orderNumber: {
+              type: 'string',
+              example: 'MYE-1234567890-123',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            status: {
+              type: 'object',
+              properties: {
+                value: {
+                  type: 'string',
+                  example: 'shipped',
+                },
+                name: {
+                  type: 'string',
+                  example: 'Kargoya Verildi',
+                },
+                nameEn: {
+                  type: 'string',
+                  example: 'Shipped',
+                },
+                color: {
+                  type: 'string',
+                  example: 'cyan',
+                },
+              },
+            },
+            totalPrice: {
+              type: 'number',
+            },
+            kdv: {
+              type: 'number',
+            },
+            grandTotal: {
+              type: 'number',
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  productName: {
+                    type: 'string',
+                  },
+                  productImage: {
+                    type: 'string',
+                  },
+                  unitPrice: {
+                    type: 'number',
+                  },
+                  quantity: {
+                    type: 'integer',
+                  },
+                  total: {
+                    type: 'number',
+                  },
+                },
+              },
+            },
+            timeline: {
+              type: 'array',
+              description: 'Status changes, oldest first',
+              items: {
+                type: 'object',
+                properties: {
+                  status: {
+                    type: 'string',
+                  },
+                  name: {
+                    type: 'string',
+                  },
+                  nameEn: {
+                    type: 'string',
+                  },
+                  changedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                  },
+                },
+              },
+            },
+            delivery: {
+              type: 'object',
+              properties: {
+                city: {
+                  type: 'string',
+                },
+                district: {
+                  type: 'string',
+                },
+              },
+            },
+            shipments: {
               type: 'array',
               items: {
                 type: 'object',
                 properties: {
-                  id: {
-                    type: 'integer',
-                    example: 1,
+                  carrier: {
+                    type: 'string',
                   },
-                  author: {
+                  carrierName: {
                     type: 'string',
-                    example: 'Ahmet Yılmaz',
                   },
-                  role: {
+                  trackingNumber: {
                     type: 'string',
-                    example: 'Elektrik Mühendisi',
                   },
-                  rating: {
-                    type: 'integer',
-                    example: 5,
+                  trackingUrl: {
+                    type: 'string',
                   },
-                  date: {
+                  status: {
                     type: 'string',
-                    example: '2 hafta önce',
                   },
-                  comment: {
+                  statusDescription: {
                     type: 'string',
-                    example: 'Kaliteli ürün, hızlı teslimat.',
                   },
-                  helpful: {
-                    type: 'integer',
-                    example: 24,
+                  shippedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                  },
+                  deliveredAt: {
+                    type: 'string',
+                    format: 'date-time',
+                  },
+                  items: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        productName: {
+                          type: 'string',
+                        },
+                        quantity: {
+                          type: 'integer',
+                        },
+                      },
+                    },
                   },
                 },
               },
-              description: 'Array of product reviews',
             },
-            created_at: {
+          },
+        },
+        Customer: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+            },
+            firstName: {
+              type: 'string',
+              example: 'Ahmet',
+            },
+            lastName: {
+              type: 'string',
+              example: 'Yılmaz',
+            },
+            phone: {
+              type: 'string',
+              example: '0555 123 45 67',
+            },
+            smsOptIn: {
+              type: 'boolean',
+            },
+            emailVerifiedAt: {
               type: 'string',
               format: 'date-time',
-              description: 'Creation timestamp',
+              description: 'Null until the email address is verified',
             },
-            updated_at: {
+            createdAt: {
               type: 'string',
               format: 'date-time',
-              description: 'Last update timestamp',
             },
           },
         },
-        ProductResponse: {
+        CustomerRecord: {
           type: 'object',
           properties: {
-            success: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            firstName: {
+              type: 'string',
+            },
+            lastName: {
+              type: 'string',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+            },
+            phone: {
+              type: 'string',
+            },
+            smsOptIn: {
               type: 'boolean',
-              example: true,
             },
-            data: {
-              $ref: '#/components/schemas/Product',
+            registered: {
+              type: 'boolean',
+              description: 'False for guest records created by checkout',
+            },
+            emailVerifiedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            lastLoginAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            isDeleted: {
+              type: 'boolean',
+            },
+            mergedIntoId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Customer this duplicate was merged into',
+            },
+            orderCount: {
+              type: 'integer',
+              description: 'Orders placed, not counting cancelled or unpaid ones',
+            },
+            lifetimeSpend: {
+              type: 'number',
+              description: 'Paid order amounts less refunds',
+            },
+            lastOrderAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
             },
           },
         },
-        ProductListResponse: {
+        CustomerAddress: {
           type: 'object',
           properties: {
-            success: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            label: {
+              type: 'string',
+              example: 'Şantiye',
+            },
+            address: {
+              type: 'string',
+              example: 'Cumhuriyet Mah. Atatürk Cad. No:123 D:4',
+            },
+            city: {
+              type: 'string',
+              example: 'İstanbul',
+            },
+            district: {
+              type: 'string',
+              example: 'Kadıköy',
+            },
+            postalCode: {
+              type: 'string',
+              nullable: true,
+              example: '34722',
+            },
+            isDefaultShipping: {
               type: 'boolean',
-              example: true,
             },
-            data: {
-              type: 'array',
-              items: {
-                $ref: '#/components/schemas/Product',
-              },
+            isDefaultBilling: {
+              type: 'boolean',
             },
-            pagination: {
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        BillingInfoInput: {
+          type: 'object',
+          description: 'Invoice details. Omit for an individual invoice in the name from personalInfo, sent to the default billing address (signed-in customers) or the delivery address.',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['individual', 'corporate'],
+              default: 'individual',
+            },
+            fullName: {
+              type: 'string',
+              description: 'Individual invoices; defaults to the name in personalInfo',
+            },
+            tckn: {
+              type: 'string',
+              example: '10000000146',
+              description: 'Optional TCKN for individual invoices, checked against its check digits',
+            },
+            companyName: {
+              type: 'string',
+              example: 'Yılmaz Yapı Ltd. Şti.',
+              description: 'Required for corporate invoices',
+            },
+            taxOffice: {
+              type: 'string',
+              example: 'Kadıköy',
+              description: 'Vergi dairesi, required for corporate invoices',
+            },
+            taxNumber: {
+              type: 'string',
+              example: '1234567890',
+              description: 'Required for corporate invoices; 10-digit VKN or 11-digit TCKN (sole proprietorships), checked against its check digits',
+            },
+            addressId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Saved address of the signed-in customer to print on the invoice',
+            },
+            address: {
               type: 'object',
+              required: ['address', 'city', 'district'],
               properties: {
-                page: {
-                  type: 'integer',
-                  example: 1,
-                },
-                limit: {
-                  type: 'integer',
-                  example: 10,
-                },
-                total: {
-                  type: 'integer',
-                  example: 25,
+                address: {
+                  type: 'string',
                 },
-                totalPages: {
-                  type: 'integer',
-                  example: 3,
+                city: {
+                  type: 'string',
                 },
-                hasNextPage: {
-                  type: 'boolean',
-                  example: true,
+                district: {
+                  type: 'string',
                 },
-                hasPrevPage: {
-                  type: 'boolean',
-                  example: false,
+                postalCode: {
+                  type: 'string',
                 },
               },
             },
           },
         },
+        BillingInfo: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            invoiceType: {
+              type: 'string',
+              enum: ['individual', 'corporate'],
+            },
+            fullName: {
+              type: 'string',
+              nullable: true,
+            },
+            companyName: {
+              type: 'string',
+              nullable: true,
+            },
+            taxOffice: {
+              type: 'string',
+              nullable: true,
+            },
+            taxNumber: {
+              type: 'string',
+              nullable: true,
+              description: 'VKN or TCKN',
+            },
+            address: {
+              type: 'string',
+            },
+            city: {
+              type: 'string',
+            },
+            district: {
+              type: 'string',
+            },
+            postalCode: {
+              type: 'string',
+              nullable: true,
+            },
+          },
+        },
+        AdminUser: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'depo@mye.com.tr',
+            },
+            name: {
+              type: 'string',
+              example: 'Depo Sorumlusu',
+            },
+            role: {
+              type: 'string',
+              enum: ['admin', 'warehouse', 'sales', 'read_only'],
+            },
+            isActive: {
+              type: 'boolean',
+            },
+            lastLoginAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
         ErrorResponse: {
           type: 'object',
           properties: {
@@ -322,9 +1436,8 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['order_received', 'preparing', 'shipped', 'returned', 'cancelled', 'completed'],
               example: 'order_received',
-              description: 'Order status: order_received (Sipariş Alındı), preparing (Hazırlanıyor), shipped (Kargoya Verildi), returned (İade Edildi), cancelled (İptal), completed (Tamamlandı)',
+              description: 'Order status value; statuses are configurable and listed by GET /api/orders/statuses',
             },
             deliveryAddress: {
               type: 'object',
@@ -347,6 +1460,9 @@ const options = {
                 },
               },
             },
+            billingInfo: {
+              $ref: '#/components/schemas/BillingInfo',
+            },
             paymentInfo: {
               type: 'object',
               properties: {
@@ -463,7 +1579,7 @@ const options = {
         },
         PaymentRequest: {
           type: 'object',
-          required: ['personalInfo', 'deliveryAddress', 'paymentInfo', 'cartItems', 'totalPrice', 'kdv', 'grandTotal'],
+          required: ['personalInfo', 'paymentInfo', 'cartItems', 'totalPrice', 'kdv', 'grandTotal'],
           properties: {
             personalInfo: {
               type: 'object',
@@ -486,10 +1602,20 @@ const options = {
                   type: 'string',
                   example: '0555 123 45 67',
                 },
+                smsOptIn: {
+                  type: 'boolean',
+                  description: 'Consent to order SMS (created, shipped, completed). Omit to keep the current choice.',
+                },
               },
             },
+            deliveryAddressId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Saved address of the signed-in customer, used instead of deliveryAddress. Without either, the default shipping address is used.',
+            },
             deliveryAddress: {
               type: 'object',
+              description: 'Required for guests; the order keeps a copy of the address',
               required: ['address', 'city', 'district'],
               properties: {
                 address: {
@@ -510,6 +1636,9 @@ const options = {
                 },
               },
             },
+            billingInfo: {
+              $ref: '#/components/schemas/BillingInfoInput',
+            },
             paymentInfo: {
               type: 'object',
               required: ['cardNumber', 'cardName', 'expiryDate', 'cvv'],
@@ -536,11 +1665,12 @@ const options = {
               type: 'array',
               items: {
                 type: 'object',
-                required: ['id', 'name', 'price', 'quantity'],
+                required: ['id', 'quantity'],
                 properties: {
                   id: {
                     type: 'string',
-                    example: '1',
+                    format: 'uuid',
+                    description: 'Product UUID (price is looked up from the product record)',
                   },
                   name: {
                     type: 'string',
@@ -577,6 +1707,12 @@ const options = {
               format: 'decimal',
               example: 263.16,
             },
+            language: {
+              type: 'string',
+              enum: ['tr', 'en'],
+              default: 'tr',
+              description: 'Language of the order confirmation and status emails',
+            },
           },
         },
         PaymentResponse: {
@@ -601,6 +1737,16 @@ const options = {
                   type: 'string',
                   example: 'MYE-1234567890-123',
                 },
+                totalPrice: {
+                  type: 'number',
+                  format: 'decimal',
+                  example: 219.30,
+                },
+                kdv: {
+                  type: 'number',
+                  format: 'decimal',
+                  example: 43.86,
+                },
                 grandTotal: {
                   type: 'number',
                   format: 'decimal',
@@ -611,7 +1757,23 @@ const options = {
           },
         },
       },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Admin token from POST /api/auth/login. 401 without a valid token, 403 when the role lacks the permission.',
+        },
+        customerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Customer token from POST /api/account/login.',
+        },
+      },
     },
+    // Admin routes by default; public routes opt out with `security: []`, customer routes use customerAuth
+    security: [{ bearerAuth: [] }],
   },
   apis: ['./routes/*.js', './server.js'],
 };
@@ -35,6 +35,9 @@ CREATE TABLE IF NOT EXISTS products (
     current_price DECIMAL(10, 2) NOT NULL,
     stock_status VARCHAR(20) NOT NULL DEFAULT 'in_stock',
     stock_quantity INTEGER DEFAULT 0,
+    damaged_quantity INTEGER DEFAULT 0, -- Returned goods that cannot be resold
+    low_stock_threshold INTEGER, -- NULL = category default, then LOW_STOCK_THRESHOLD
+    stock_status_override VARCHAR(20), -- discontinued, preorder; NULL = derived from quantity
     images TEXT[], -- Array of image URLs
     rating DECIMAL(3, 2) DEFAULT 0,
     review_count INTEGER DEFAULT 0,
@@ -45,6 +48,14 @@ CREATE TABLE IF NOT EXISTS products (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-category low-stock threshold defaults
+CREATE TABLE IF NOT EXISTS category_stock_thresholds (
+    category VARCHAR(100) PRIMARY KEY,
+    low_stock_threshold INTEGER NOT NULL CHECK (low_stock_threshold >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Product features table (many-to-many relationship)
 CREATE TABLE IF NOT EXISTS product_features (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -66,11 +77,71 @@ CREATE TABLE IF NOT EXISTS users (
   last_name VARCHAR(100) NOT NULL,
   email VARCHAR(255) UNIQUE NOT NULL,
   phone VARCHAR(20) NOT NULL,
+  sms_opt_in BOOLEAN DEFAULT FALSE, -- Explicit consent for order SMS
+  sms_opt_in_at TIMESTAMP,
+  password_hash VARCHAR(255), -- NULL for guest records created by checkout
+  email_verified_at TIMESTAMP, -- Verified accounts are not changed by guest checkout
+  password_changed_at TIMESTAMP, -- Tokens issued before this are rejected
+  last_login_at TIMESTAMP,
+  is_deleted BOOLEAN DEFAULT FALSE, -- Soft delete; orders keep pointing at the row
+  merged_into_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Set when merged into another customer
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users(LOWER(email));
+
+-- Customer email verification and password reset tokens (only the SHA-256 is stored)
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL, -- email_verification, password_reset
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP, -- Set when used or replaced by a newer token
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_id ON account_tokens(user_id, purpose);
+
+-- Customer address book; orders copy the chosen address into delivery_addresses
+CREATE TABLE IF NOT EXISTS customer_addresses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  label VARCHAR(50) NOT NULL, -- e.g. Şantiye, Ofis
+  address TEXT NOT NULL,
+  city VARCHAR(100) NOT NULL,
+  district VARCHAR(100) NOT NULL,
+  postal_code VARCHAR(20),
+  is_default_shipping BOOLEAN DEFAULT FALSE,
+  is_default_billing BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_user_id ON customer_addresses(user_id);
+-- At most one default shipping and one default billing address per customer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default_shipping
+  ON customer_addresses(user_id) WHERE is_default_shipping;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default_billing
+  ON customer_addresses(user_id) WHERE is_default_billing;
+
+-- Admin panel accounts (roles: admin, warehouse, sales, read_only)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email VARCHAR(255) UNIQUE NOT NULL, -- Stored lowercase
+  name VARCHAR(200),
+  role VARCHAR(20) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL, -- scrypt$<salt>$<hash>
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP, -- Set after too many failed logins
+  password_changed_at TIMESTAMP, -- Tokens issued before this are rejected
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
 
 -- Orders and Payment Tables
 CREATE TABLE IF NOT EXISTS orders (
@@ -81,10 +152,18 @@ CREATE TABLE IF NOT EXISTS orders (
   kdv DECIMAL(10, 2) NOT NULL,
   grand_total DECIMAL(10, 2) NOT NULL,
   status VARCHAR(20) DEFAULT 'order_received',
+  price_mismatch BOOLEAN DEFAULT FALSE,
+  language VARCHAR(5) DEFAULT 'tr', -- Language of customer emails and SMS: tr, en
+  tracking_number VARCHAR(100), -- Set when the order is shipped
+  carrier VARCHAR(50),
+  invoice_number VARCHAR(20) UNIQUE, -- Issued when the order is completed (MYE + year + 9-digit sequence)
+  invoiced_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE SEQUENCE IF NOT EXISTS order_invoice_number_seq;
+
 CREATE TABLE IF NOT EXISTS delivery_addresses (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
@@ -95,21 +174,43 @@ CREATE TABLE IF NOT EXISTS delivery_addresses (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Invoice details given at checkout, one row per order
+CREATE TABLE IF NOT EXISTS billing_info (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  invoice_type VARCHAR(20) NOT NULL DEFAULT 'individual', -- individual, corporate
+  full_name VARCHAR(200), -- Individual invoices
+  company_name VARCHAR(255), -- Corporate invoices
+  tax_office VARCHAR(100), -- Vergi dairesi, corporate invoices
+  tax_number VARCHAR(11), -- VKN (10 digits) or TCKN (11 digits)
+  address TEXT NOT NULL,
+  city VARCHAR(100) NOT NULL,
+  district VARCHAR(100) NOT NULL,
+  postal_code VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE IF NOT EXISTS payment_info (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
   payment_status VARCHAR(20) DEFAULT 'pending',
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  provider VARCHAR(50),
+  transaction_id VARCHAR(100),
+  amount DECIMAL(10, 2),
+  refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- payment_status: partially_refunded / refunded once > 0
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE TABLE IF NOT EXISTS order_items (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
-  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
   product_name VARCHAR(255) NOT NULL,
   product_price DECIMAL(10, 2) NOT NULL,
   quantity INTEGER NOT NULL,
   product_image VARCHAR(500),
+  restocked_quantity INTEGER DEFAULT 0, -- Units put back into stock (cancel/return)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -131,20 +232,298 @@ CREATE TABLE IF NOT EXISTS order_statuses (
   color VARCHAR(20),
   display_order INTEGER DEFAULT 0,
   is_active BOOLEAN DEFAULT TRUE,
+  is_system BOOLEAN DEFAULT FALSE, -- Statuses the code reacts to; cannot be deactivated
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Allowed order status changes (the workflow graph)
+CREATE TABLE IF NOT EXISTS order_status_transitions (
+  id SERIAL PRIMARY KEY,
+  from_status VARCHAR(50) NOT NULL REFERENCES order_statuses(value) ON UPDATE CASCADE ON DELETE CASCADE,
+  to_status VARCHAR(50) NOT NULL REFERENCES order_statuses(value) ON UPDATE CASCADE ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (from_status, to_status)
+);
+
+-- Stock reservations held during checkout
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  token UUID NOT NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, converted, released, expired
+  client_key VARCHAR(100), -- customer:<id> or ip:<address> of a checkout reservation
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product_status ON stock_reservations(product_id, status);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_token ON stock_reservations(token);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id ON stock_reservations(order_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_client_key ON stock_reservations(client_key) WHERE status = 'active';
+
+-- Idempotency keys for payment requests
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  scope VARCHAR(50) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  response_status INTEGER,
+  response_body JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Warehouses (depots) and per-warehouse stock
+-- products.stock_quantity is the total over warehouse_stock
+CREATE TABLE IF NOT EXISTS warehouses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(30) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  city VARCHAR(100), -- Used for nearest-warehouse allocation
+  address TEXT,
+  priority INTEGER NOT NULL DEFAULT 100, -- Lower ships first
+  is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS warehouse_stock (
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (warehouse_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_warehouse_stock_product_id ON warehouse_stock(product_id);
+
+CREATE TABLE IF NOT EXISTS warehouse_transfers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  from_warehouse_id UUID NOT NULL REFERENCES warehouses(id),
+  to_warehouse_id UUID NOT NULL REFERENCES warehouses(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  actor VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Warehouses each order line was shipped from (restocks go back there)
+CREATE TABLE IF NOT EXISTS order_allocations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  restocked_quantity INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_allocations_order_id ON order_allocations(order_id);
+
+INSERT INTO warehouses (code, name, priority)
+SELECT 'MAIN', 'Ana Depo', 0
+WHERE NOT EXISTS (SELECT 1 FROM warehouses);
+
+-- "Notify me when back in stock" subscriptions
+CREATE TABLE IF NOT EXISTS stock_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(200),
+  token UUID NOT NULL DEFAULT uuid_generate_v4(), -- Used to unsubscribe
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, notified, cancelled
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  notified_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_subscriptions_active
+  ON stock_subscriptions(product_id, LOWER(email)) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_subscriptions_token ON stock_subscriptions(token);
+
+-- Notification outbox: written in the same transaction as the change, delivered with retries
+CREATE TABLE IF NOT EXISTS notification_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  channel VARCHAR(30) NOT NULL, -- log, ...
+  recipient VARCHAR(255) NOT NULL,
+  type VARCHAR(50) NOT NULL, -- low_stock, out_of_stock, back_in_stock
+  subject VARCHAR(255),
+  body TEXT,
+  payload JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, dead (out of retries)
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_due ON notification_queue(status, next_attempt_at);
+
+-- Stock ledger: one row per stock change
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  movement_type VARCHAR(30) NOT NULL, -- sale, restock, return, manual_adjustment, import, transfer
+  bucket VARCHAR(20) NOT NULL DEFAULT 'sellable', -- sellable, damaged
+  quantity INTEGER NOT NULL, -- signed change
+  quantity_after INTEGER NOT NULL,
+  warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL,
+  warehouse_quantity_after INTEGER,
+  reference_type VARCHAR(30),
+  reference_id VARCHAR(100),
+  actor VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements(product_id, created_at);
+
+-- Shipments: an order can ship in several parcels, each with its own carrier and tracking number
+CREATE TABLE IF NOT EXISTS shipments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  carrier VARCHAR(20) NOT NULL, -- yurtici, aras, mng, ptt, other
+  tracking_number VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'shipped', -- shipped, in_transit, out_for_delivery, delivered, failed, cancelled
+  status_description TEXT, -- Last carrier status text
+  shipped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP,
+  last_checked_at TIMESTAMP, -- Last carrier poll
+  last_error TEXT,
+  created_by VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipments_tracking_number
+  ON shipments(carrier, tracking_number) WHERE status <> 'cancelled';
+CREATE INDEX IF NOT EXISTS idx_shipments_order_id ON shipments(order_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments(status, last_checked_at);
+
+-- Order lines and quantities in each shipment (partial shipments)
+CREATE TABLE IF NOT EXISTS shipment_items (
+  id SERIAL PRIMARY KEY,
+  shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  UNIQUE(shipment_id, order_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_items_order_item_id ON shipment_items(order_item_id);
+
+-- Return requests (RMA): requested -> approved -> completed, or rejected / cancelled
+CREATE TABLE IF NOT EXISTS return_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  return_number VARCHAR(50) UNIQUE NOT NULL,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'requested', -- requested, approved, rejected, completed, cancelled
+  reason VARCHAR(30) NOT NULL, -- defective, damaged_in_shipping, wrong_item, not_as_described, changed_mind, other
+  customer_notes TEXT,
+  admin_notes TEXT,
+  opened_by VARCHAR(20) NOT NULL DEFAULT 'customer', -- customer, admin
+  created_by VARCHAR(255),
+  decided_by VARCHAR(255),
+  decided_at TIMESTAMP,
+  received_by VARCHAR(255),
+  received_at TIMESTAMP,
+  refund_subtotal DECIMAL(10, 2), -- Refund due for the received goods, set on completion
+  refund_kdv DECIMAL(10, 2),
+  refund_total DECIMAL(10, 2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status);
+
+-- Lines of a return: requested quantity, then what was received and how much of it was damaged
+CREATE TABLE IF NOT EXISTS return_request_items (
+  id SERIAL PRIMARY KEY,
+  return_request_id UUID NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  received_quantity INTEGER,
+  damaged_quantity INTEGER,
+  UNIQUE(return_request_id, order_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_request_items_order_item_id ON return_request_items(order_item_id);
+
+-- Refunds through the payment provider, with KDV breakdown
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  payment_info_id UUID REFERENCES payment_info(id) ON DELETE SET NULL,
+  return_request_id UUID REFERENCES return_requests(id) ON DELETE SET NULL, -- Set when refunding a return
+  type VARCHAR(20) NOT NULL, -- full, lines, amount, return
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, completed, failed
+  subtotal DECIMAL(10, 2) NOT NULL,
+  kdv DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL, -- subtotal + kdv
+  currency VARCHAR(3) NOT NULL DEFAULT 'TRY',
+  provider VARCHAR(50),
+  provider_refund_id VARCHAR(100),
+  reason TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+-- A failed refund of a return can be retried
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_return_request_id ON refunds(return_request_id) WHERE status <> 'failed';
+
+-- Order lines covered by a refund
+CREATE TABLE IF NOT EXISTS refund_items (
+  id SERIAL PRIMARY KEY,
+  refund_id UUID NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  subtotal DECIMAL(10, 2) NOT NULL,
+  kdv DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refund_items_order_item_id ON refund_items(order_item_id);
+
 -- Insert default order statuses
-INSERT INTO order_statuses (value, name, name_en, color, display_order) VALUES
-  ('order_received', 'Sipariş Alındı', 'Order Received', 'blue', 1),
-  ('preparing', 'Hazırlanıyor', 'Preparing', 'orange', 2),
-  ('shipped', 'Kargoya Verildi', 'Shipped', 'cyan', 3),
-  ('returned', 'İade Edildi', 'Returned', 'purple', 4),
-  ('cancelled', 'İptal', 'Cancelled', 'red', 5),
-  ('completed', 'Tamamlandı', 'Completed', 'green', 6)
+INSERT INTO order_statuses (value, name, name_en, color, display_order, is_system) VALUES
+  ('pending_payment', 'Ödeme Bekleniyor', 'Awaiting Payment', 'gray', 0, TRUE),
+  ('order_received', 'Sipariş Alındı', 'Order Received', 'blue', 1, TRUE),
+  ('preparing', 'Hazırlanıyor', 'Preparing', 'orange', 2, TRUE),
+  ('shipped', 'Kargoya Verildi', 'Shipped', 'cyan', 3, TRUE),
+  ('returned', 'İade Edildi', 'Returned', 'purple', 4, TRUE),
+  ('cancelled', 'İptal', 'Cancelled', 'red', 5, TRUE),
+  ('completed', 'Tamamlandı', 'Completed', 'green', 6, TRUE)
 ON CONFLICT (value) DO NOTHING;
 
+-- Default order workflow
+INSERT INTO order_status_transitions (from_status, to_status) VALUES
+  ('pending_payment', 'cancelled'),
+  ('order_received', 'preparing'),
+  ('order_received', 'cancelled'),
+  ('preparing', 'shipped'),
+  ('preparing', 'cancelled'),
+  ('shipped', 'completed'),
+  ('shipped', 'returned'),
+  ('completed', 'returned'),
+  ('returned', 'completed'),
+  ('returned', 'cancelled')
+ON CONFLICT (from_status, to_status) DO NOTHING;
+
 -- Users Table (if not exists from migration)
 CREATE TABLE IF NOT EXISTS users (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -152,6 +531,14 @@ CREATE TABLE IF NOT EXISTS users (
   last_name VARCHAR(100) NOT NULL,
   email VARCHAR(255) UNIQUE NOT NULL,
   phone VARCHAR(20) NOT NULL,
+  sms_opt_in BOOLEAN DEFAULT FALSE,
+  sms_opt_in_at TIMESTAMP,
+  password_hash VARCHAR(255),
+  email_verified_at TIMESTAMP,
+  password_changed_at TIMESTAMP,
+  last_login_at TIMESTAMP,
+  is_deleted BOOLEAN DEFAULT FALSE,
+  merged_into_id UUID REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
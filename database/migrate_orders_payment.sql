@@ -44,7 +44,7 @@ CREATE TABLE IF NOT EXISTS payment_info (
 CREATE TABLE IF NOT EXISTS order_items (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
-  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
   product_name VARCHAR(255) NOT NULL,
   product_price DECIMAL(10, 2) NOT NULL,
   quantity INTEGER NOT NULL,
@@ -0,0 +1,65 @@
+/**
+ * Admin authentication and per-route permissions
+ *
+ * Admin routes take `Authorization: Bearer <token>` from POST /api/auth/login.
+ * The signed-in account is put on req.user ({ id, email, name, role }), and its
+ * email is what gets recorded as the actor (order_status_history.changed_by etc).
+ *
+ * 401: missing, invalid or expired token, or the account is no longer active
+ * 403: the account's role does not have the permission
+ */
+const { verifyToken, getBearerToken } = require('../services/auth');
+const { ADMIN_TOKEN_AUDIENCE, getSessionUser, hasPermission } = require('../services/adminUsers');
+
+const loadUser = async (pool, req) => {
+  const claims = verifyToken(getBearerToken(req), ADMIN_TOKEN_AUDIENCE);
+  return claims ? getSessionUser(pool, claims) : null;
+};
+
+/**
+ * Create a middleware that only lets signed-in admin accounts through
+ * @param {Pool} pool - PostgreSQL pool
+ */
+const authenticate = (pool) => async (req, res, next) => {
+  try {
+    const user = await loadUser(pool, req);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Create a middleware that requires a signed-in admin account whose role has the permission
+ * @param {Pool} pool - PostgreSQL pool
+ * @param {string} permission - One of PERMISSIONS in services/adminUsers
+ */
+const requirePermission = (pool, permission) => async (req, res, next) => {
+  try {
+    const user = await loadUser(pool, req);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!hasPermission(user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role "${user.role}" does not have the "${permission}" permission`
+      });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = {
+  authenticate,
+  requirePermission
+};
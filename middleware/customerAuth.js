@@ -0,0 +1,62 @@
+/**
+ * Customer authentication
+ *
+ * Customer routes take `Authorization: Bearer <token>` from POST /api/account/login;
+ * the account is put on req.customer. Admin tokens are not accepted here and
+ * customer tokens are not accepted on admin routes.
+ */
+const { verifyToken, getBearerToken } = require('../services/auth');
+const { CUSTOMER_TOKEN_AUDIENCE, getSessionCustomer } = require('../services/customerAccounts');
+
+const loadCustomer = async (pool, token) => {
+  const claims = verifyToken(token, CUSTOMER_TOKEN_AUDIENCE);
+  return claims ? getSessionCustomer(pool, claims) : null;
+};
+
+/**
+ * Create a middleware that only lets signed-in customers through
+ * @param {Pool} pool - PostgreSQL pool
+ */
+const authenticateCustomer = (pool) => async (req, res, next) => {
+  try {
+    const customer = await loadCustomer(pool, getBearerToken(req));
+    if (!customer) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.customer = customer;
+    next();
+  } catch (err) {
+    console.error('Error authenticating customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Create a middleware for routes open to guests that also serve signed-in customers
+ * Without a token req.customer stays unset; a token that is no longer valid is a 401
+ * rather than a silent fallback to guest.
+ * @param {Pool} pool - PostgreSQL pool
+ */
+const identifyCustomer = (pool) => async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const customer = await loadCustomer(pool, token);
+    if (!customer) {
+      return res.status(401).json({ success: false, error: 'Session has expired, please sign in again' });
+    }
+    req.customer = customer;
+    next();
+  } catch (err) {
+    console.error('Error authenticating customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = {
+  authenticateCustomer,
+  identifyCustomer
+};
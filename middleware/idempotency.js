@@ -0,0 +1,138 @@
+/**
+ * Idempotency-Key support for non-idempotent POST endpoints
+ *
+ * The first request with a given key is processed normally and its response is
+ * stored. Retries with the same key and payload within the window get the stored
+ * response replayed; the same key with a different payload is rejected with 409.
+ *
+ * Server errors free the key so the client can retry, except 504: the payment
+ * provider timed out and the charge may still go through, so that response is kept
+ * and replayed. A key held by a request that never answered (e.g. the process died)
+ * is taken over by the next retry once IDEMPOTENCY_LOCK_TIMEOUT_SECONDS have passed.
+ */
+const crypto = require('crypto');
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+const IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS || '120');
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted object keys so the hash does not depend on key order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (payload) => crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+
+/**
+ * Create the middleware
+ * @param {Pool} pool - PostgreSQL pool
+ * @param {string} scope - Namespace for keys (e.g. 'payment')
+ * @param {Function} [fingerprint] - Maps the request to the payload that is hashed (defaults to req.body)
+ */
+const idempotency = (pool, scope, fingerprint = (req) => req.body) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(fingerprint(req));
+
+    // Keys outside the replay window can be reused
+    await pool.query(`
+      DELETE FROM idempotency_keys
+      WHERE created_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 hour')
+    `, [IDEMPOTENCY_KEY_TTL_HOURS]);
+
+    const insertResult = await pool.query(`
+      INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, status)
+      VALUES ($1, $2, $3, 'processing')
+      ON CONFLICT (scope, idempotency_key) DO NOTHING
+      RETURNING id
+    `, [scope, key, requestHash]);
+
+    if (insertResult.rows.length === 0) {
+      const existingResult = await pool.query(`
+        SELECT request_hash, status, response_status, response_body
+        FROM idempotency_keys
+        WHERE scope = $1 AND idempotency_key = $2
+      `, [scope, key]);
+
+      const existing = existingResult.rows[0];
+      if (!existing) {
+        // Removed between insert and select (expired or failed) - treat as a new request
+        return idempotency(pool, scope, fingerprint)(req, res, next);
+      }
+
+      if (existing.request_hash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request payload'
+        });
+      }
+
+      if (existing.status !== 'processing') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      // Only one retry can take over a stale key
+      const takeoverResult = await pool.query(`
+        UPDATE idempotency_keys
+        SET locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE scope = $1 AND idempotency_key = $2 AND status = 'processing'
+          AND locked_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 second')
+        RETURNING id
+      `, [scope, key, IDEMPOTENCY_LOCK_TIMEOUT_SECONDS]);
+
+      if (takeoverResult.rows.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+
+    // Store the response before it is sent so an immediate retry can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const storeResponse = res.statusCode >= 500 && res.statusCode !== 504
+        // Server errors are not final - let the client retry with the same key
+        ? pool.query(`
+            DELETE FROM idempotency_keys
+            WHERE scope = $1 AND idempotency_key = $2
+          `, [scope, key])
+        : pool.query(`
+            UPDATE idempotency_keys
+            SET status = 'completed', response_status = $1, response_body = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE scope = $3 AND idempotency_key = $4
+          `, [res.statusCode, JSON.stringify(body), scope, key]);
+
+      storeResponse
+        .catch(err => console.error('Error storing idempotent response:', err))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    console.error('Error handling Idempotency-Key:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = idempotency;
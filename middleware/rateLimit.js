@@ -0,0 +1,47 @@
+/**
+ * Per-IP rate limiting
+ *
+ * Fixed-window counters kept in process memory, so limits apply per server instance.
+ * Set TRUST_PROXY when the API runs behind a reverse proxy, otherwise every request
+ * appears to come from the proxy's address.
+ */
+
+/**
+ * Create a middleware that allows `max` requests per IP every `windowMs`
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {string} [options.error] - Message returned with the 429
+ */
+const rateLimit = ({ windowMs, max, error = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow with every address ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(ip);
+      }
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, error });
+    }
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,20 @@
+/**
+ * UUID route parameters
+ *
+ * Registered with router.param so an id that is not a UUID is answered like an unknown
+ * id (404) instead of reaching a uuid column, where Postgres rejects it with an error.
+ */
+const { isUuid } = require('../services/ids');
+
+/**
+ * Create a router.param handler that 404s ids that are not UUIDs
+ * @param {string} notFoundMessage - Error returned for such ids
+ */
+const uuidParam = (notFoundMessage) => (req, res, next, value) => {
+  if (!isUuid(value)) {
+    return res.status(404).json({ success: false, error: notFoundMessage });
+  }
+  next();
+};
+
+module.exports = uuidParam;
@@ -0,0 +1,372 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const {
+  registerCustomer,
+  verifyEmail,
+  resendEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+  loginCustomer
+} = require('../services/customerAccounts');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * @swagger
+ * /api/account/register:
+ *   post:
+ *     summary: Register a customer account
+ *     description: |
+ *       Sends a verification email; the account can sign in once the email is verified.
+ *       Earlier guest orders placed with the same email become part of the account's order
+ *       history after verification.
+ *     tags: [Account]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - firstName
+ *               - lastName
+ *               - email
+ *               - phone
+ *               - password
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 example: Ahmet
+ *               lastName:
+ *                 type: string
+ *                 example: Yılmaz
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *                 example: '0555 123 45 67'
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: At least 8 characters
+ *               language:
+ *                 type: string
+ *                 enum: [tr, en]
+ *                 description: Language of the verification email
+ *     responses:
+ *       201:
+ *         description: Account created, verification email queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Missing fields, invalid email or weak password
+ *       409:
+ *         description: A verified account with this email already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/register', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await registerCustomer(client, req.body || {});
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.conflict ? 409 : 400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, data: result.user });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error registering customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/verify-email:
+ *   post:
+ *     summary: Verify the email address with the token from the verification email
+ *     tags: [Account]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token is invalid, used or expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const result = await verifyEmail(pool, (req.body || {}).token);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.user });
+  } catch (err) {
+    console.error('Error verifying email:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/verify-email/resend:
+ *   post:
+ *     summary: Send the verification email again
+ *     description: Always answers 200 so registered emails cannot be discovered.
+ *     tags: [Account]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               language:
+ *                 type: string
+ *                 enum: [tr, en]
+ *     responses:
+ *       200:
+ *         description: Email queued if the account exists and is not verified
+ *       400:
+ *         description: Missing email
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email/resend', async (req, res) => {
+  const { email, language } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({ success: false, error: 'Missing required field: email' });
+  }
+
+  try {
+    await resendEmailVerification(pool, email, language);
+    res.json({ success: true, message: 'If the account exists and is not verified, a new verification email has been sent' });
+  } catch (err) {
+    console.error('Error resending verification email:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/login:
+ *   post:
+ *     summary: Sign in as a customer
+ *     tags: [Account]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Signed in; send the token as a bearer token to /api/me
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     user:
+ *                       $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Missing email or password
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: Email not verified yet (errorCode email_not_verified)
+ *       500:
+ *         description: Server error
+ */
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: email, password'
+    });
+  }
+
+  try {
+    const result = await loginCustomer(pool, { email, password });
+    if (result.error) {
+      return res.status(result.unverified ? 403 : 401).json({
+        success: false,
+        error: result.error,
+        errorCode: result.unverified ? 'email_not_verified' : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        expiresAt: result.expiresAt,
+        user: result.user
+      }
+    });
+  } catch (err) {
+    console.error('Error logging in customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/password-reset:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers 200 so registered emails cannot be discovered.
+ *     tags: [Account]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               language:
+ *                 type: string
+ *                 enum: [tr, en]
+ *     responses:
+ *       200:
+ *         description: Email queued if the account exists
+ *       400:
+ *         description: Missing email
+ *       500:
+ *         description: Server error
+ */
+router.post('/password-reset', async (req, res) => {
+  const { email, language } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({ success: false, error: 'Missing required field: email' });
+  }
+
+  try {
+    await requestPasswordReset(pool, email, language);
+    res.json({ success: true, message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/password-reset/confirm:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: Signs out every existing session of the account.
+ *     tags: [Account]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Token is invalid, used or expired, or the password is too weak
+ *       500:
+ *         description: Server error
+ */
+router.post('/password-reset/confirm', async (req, res) => {
+  const { token, password } = req.body || {};
+
+  try {
+    const result = await resetPassword(pool, token, password);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.user });
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
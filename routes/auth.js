@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+const {
+  ROLE_PERMISSIONS,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  loginAdmin
+} = require('../services/adminUsers');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+router.param('id', uuidParam('Admin user not found'));
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Sign in to the admin panel
+ *     description: |
+ *       Returns a bearer token for the admin routes. Unknown emails and wrong passwords
+ *       get the same answer; after ADMIN_MAX_FAILED_LOGINS failures the account is locked
+ *       for ADMIN_LOGIN_LOCK_MINUTES.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     user:
+ *                       $ref: '#/components/schemas/AdminUser'
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Missing email or password
+ *       401:
+ *         description: Invalid email or password
+ *       429:
+ *         description: Account locked after too many failed logins
+ *       500:
+ *         description: Server error
+ */
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: email, password'
+    });
+  }
+
+  try {
+    const result = await loginAdmin(pool, { email, password });
+    if (result.error) {
+      return res.status(result.locked ? 429 : 401).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        expiresAt: result.expiresAt,
+        user: result.user,
+        permissions: ROLE_PERMISSIONS[result.user.role]
+      }
+    });
+  } catch (err) {
+    console.error('Error logging in:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: The signed-in admin account and its permissions
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current account
+ *       401:
+ *         description: Not signed in
+ */
+router.get('/me', authenticate(pool), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user,
+      permissions: ROLE_PERMISSIONS[req.user.role]
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/users:
+ *   get:
+ *     summary: List admin accounts
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Admin accounts and the available roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 roles:
+ *                   type: object
+ *                   description: Permissions of each role
+ *       403:
+ *         description: Requires the users:manage permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/users', requirePermission(pool, 'users:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listAdminUsers(pool),
+      roles: ROLE_PERMISSIONS
+    });
+  } catch (err) {
+    console.error('Error fetching admin users:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users:
+ *   post:
+ *     summary: Create an admin account
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, warehouse, sales, read_only]
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: At least 8 characters
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid email, role or password, or the email is taken
+ *       403:
+ *         description: Requires the users:manage permission
+ *       500:
+ *         description: Server error
+ */
+router.post('/users', requirePermission(pool, 'users:manage'), async (req, res) => {
+  try {
+    const { email, name, role, password } = req.body || {};
+    const result = await createAdminUser(pool, { email, name, role, password });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, data: result.user });
+  } catch (err) {
+    console.error('Error creating admin user:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/users/{id}:
+ *   patch:
+ *     summary: Update an admin account
+ *     description: |
+ *       Change the name, role, active flag or password. Deactivating an account or
+ *       changing its password ends its current sessions. You cannot change your own
+ *       role or deactivate yourself.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, warehouse, sales, read_only]
+ *               isActive:
+ *                 type: boolean
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Account updated
+ *       400:
+ *         description: Invalid role, flag or password
+ *       403:
+ *         description: Requires the users:manage permission
+ *       404:
+ *         description: Admin user not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/users/:id', requirePermission(pool, 'users:manage'), async (req, res) => {
+  try {
+    const { name, role, isActive, password } = req.body || {};
+
+    // Keeps the last admin from locking everybody out
+    if (req.params.id === req.user.id && ((role !== undefined && role !== req.user.role) || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role or deactivate your own account'
+      });
+    }
+
+    const result = await updateAdminUser(pool, req.params.id, { name, role, isActive, password });
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.user });
+  } catch (err) {
+    console.error('Error updating admin user:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
 require('dotenv').config();
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+router.param('id', uuidParam('Marka bulunamadı'));
+
 /**
  * @swagger
  * /api/brands:
  *   get:
  *     summary: Get all brands
  *     tags: [Brands]
+ *     security: []
  *     responses:
  *       200:
  *         description: Successful response
@@ -117,7 +122,7 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(pool, 'catalog:write'), async (req, res) => {
   try {
     const { name } = req.body;
     
@@ -197,7 +202,7 @@ router.post('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(pool, 'catalog:write'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -0,0 +1,512 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { authenticateCustomer } = require('../middleware/customerAuth');
+const uuidParam = require('../middleware/uuidParam');
+const {
+  updateCustomerProfile,
+  changePassword,
+  listCustomerOrders
+} = require('../services/customerAccounts');
+const {
+  listAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress
+} = require('../services/customerAddresses');
+const { getOrderTracking } = require('../services/orderTracking');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Every route here is for the signed-in customer
+router.use(authenticateCustomer(pool));
+
+router.param('id', uuidParam('Address not found'));
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     summary: The signed-in customer's profile
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Customer'
+ *       401:
+ *         description: Not signed in
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, data: req.customer });
+});
+
+/**
+ * @swagger
+ * /api/me:
+ *   patch:
+ *     summary: Update the signed-in customer's profile
+ *     description: The email address cannot be changed here.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               smsOptIn:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated profile
+ *       400:
+ *         description: Empty name or phone, or smsOptIn is not a boolean
+ *       401:
+ *         description: Not signed in
+ *       500:
+ *         description: Server error
+ */
+router.patch('/', async (req, res) => {
+  try {
+    const { firstName, lastName, phone, smsOptIn } = req.body || {};
+    const result = await updateCustomerProfile(pool, req.customer.id, { firstName, lastName, phone, smsOptIn });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.user });
+  } catch (err) {
+    console.error('Error updating customer profile:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/password:
+ *   put:
+ *     summary: Change the signed-in customer's password
+ *     description: Other sessions are signed out; sign in again to get a new token.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password is wrong or the new one is too weak
+ *       401:
+ *         description: Not signed in
+ *       500:
+ *         description: Server error
+ */
+router.put('/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const result = await changePassword(pool, req.customer.id, { currentPassword, newPassword });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.user });
+  } catch (err) {
+    console.error('Error changing customer password:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/addresses:
+ *   get:
+ *     summary: The signed-in customer's saved addresses
+ *     description: Default shipping and billing addresses come first.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerAddress'
+ *       401:
+ *         description: Not signed in
+ *       500:
+ *         description: Server error
+ */
+router.get('/addresses', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listAddresses(pool, req.customer.id) });
+  } catch (err) {
+    console.error('Error fetching customer addresses:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/addresses:
+ *   post:
+ *     summary: Save an address
+ *     description: The first saved address becomes the default shipping and billing address.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - label
+ *               - address
+ *               - city
+ *               - district
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: Şantiye
+ *               address:
+ *                 type: string
+ *                 example: "Cumhuriyet Mah. Atatürk Cad. No:123 D:4"
+ *               city:
+ *                 type: string
+ *                 example: İstanbul
+ *               district:
+ *                 type: string
+ *                 example: Kadıköy
+ *               postalCode:
+ *                 type: string
+ *                 example: "34722"
+ *               isDefaultShipping:
+ *                 type: boolean
+ *               isDefaultBilling:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomerAddress'
+ *       400:
+ *         description: Missing fields or label too long
+ *       401:
+ *         description: Not signed in
+ *       500:
+ *         description: Server error
+ */
+router.post('/addresses', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await createAddress(client, req.customer.id, req.body || {});
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, data: result.address });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error saving customer address:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/addresses/{id}:
+ *   patch:
+ *     summary: Change a saved address
+ *     description: |
+ *       Orders already placed keep the address they were placed with.
+ *       Setting isDefaultShipping or isDefaultBilling to true moves that default here;
+ *       a default is changed by picking another address, not by setting it to false.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 maxLength: 50
+ *               address:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               district:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *                 nullable: true
+ *               isDefaultShipping:
+ *                 type: boolean
+ *                 enum: [true]
+ *               isDefaultBilling:
+ *                 type: boolean
+ *                 enum: [true]
+ *     responses:
+ *       200:
+ *         description: Updated address
+ *       400:
+ *         description: Empty fields, label too long or a default set to false
+ *       401:
+ *         description: Not signed in
+ *       404:
+ *         description: No such address on this account
+ *       500:
+ *         description: Server error
+ */
+router.patch('/addresses/:id', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await updateAddress(client, req.customer.id, req.params.id, req.body || {});
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, data: result.address });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating customer address:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/addresses/{id}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: A deleted default passes to the oldest remaining address. Past orders are not affected.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       401:
+ *         description: Not signed in
+ *       404:
+ *         description: No such address on this account
+ *       500:
+ *         description: Server error
+ */
+router.delete('/addresses/:id', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await deleteAddress(client, req.customer.id, req.params.id);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Address deleted' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting customer address:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/orders:
+ *   get:
+ *     summary: The signed-in customer's orders
+ *     description: Includes guest orders placed with the account's email.
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Orders, newest first
+ *       401:
+ *         description: Not signed in
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { orders, total } = await listCustomerOrders(pool, req.customer.id, {
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching customer orders:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/orders/{orderNumber}:
+ *   get:
+ *     summary: One of the signed-in customer's orders
+ *     tags: [Account]
+ *     security:
+ *       - customerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Items, status, timeline and shipments of the order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OrderTracking'
+ *       401:
+ *         description: Not signed in
+ *       404:
+ *         description: No such order on this account
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders/:orderNumber', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM orders WHERE order_number = $1 AND user_id = $2',
+      [req.params.orderNumber, req.customer.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    res.json({ success: true, data: await getOrderTracking(pool, result.rows[0]) });
+  } catch (err) {
+    console.error('Error fetching customer order:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const {
+  NOTIFICATION_STATUSES,
+  getPrivateNotificationTypes,
+  resendNotification
+} = require('../services/notifications');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+router.param('id', uuidParam('Notification not found'));
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List notifications in the outbox (admin)
+ *     description: Account emails (email verification, password reset) are not listed.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, dead]
+ *         description: Filter by delivery status (dead = out of retries)
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *         description: Filter by channel (log, email, ...)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by notification type (order_status, order_confirmation, low_stock, ...)
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: Filter by recipient
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 pagination:
+ *                   type: object
+ *                 summary:
+ *                   type: object
+ *                   description: Number of notifications per status
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const {
+      status,
+      channel,
+      type,
+      recipient,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    // Account emails carry sign-in links and are never shown to admins
+    const conditions = ['type <> ALL($1::text[])'];
+    const params = [getPrivateNotificationTypes()];
+    let paramIndex = 2;
+
+    if (status) {
+      conditions.push(`status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (channel) {
+      conditions.push(`channel = $${paramIndex}`);
+      params.push(channel);
+      paramIndex++;
+    }
+
+    if (type) {
+      conditions.push(`type = $${paramIndex}`);
+      params.push(type);
+      paramIndex++;
+    }
+
+    if (recipient) {
+      conditions.push(`LOWER(recipient) = LOWER($${paramIndex})`);
+      params.push(recipient);
+      paramIndex++;
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM notification_queue ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Body can be a full HTML email; the detail endpoint returns it
+    const result = await pool.query(`
+      SELECT
+        id, channel, recipient, type, subject, status, attempts, max_attempts,
+        last_error, next_attempt_at, sent_at, created_at, updated_at
+      FROM notification_queue
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, parseInt(limit), offset]);
+
+    const summaryResult = await pool.query(`
+      SELECT status, COUNT(*)::integer as count
+      FROM notification_queue
+      WHERE type <> ALL($1::text[])
+      GROUP BY status
+    `, [getPrivateNotificationTypes()]);
+    const summary = Object.fromEntries(NOTIFICATION_STATUSES.map(value => [value, 0]));
+    summaryResult.rows.forEach(row => {
+      summary[row.status] = row.count;
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      },
+      summary
+    });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/resend-dead:
+ *   post:
+ *     summary: Re-queue every dead notification (admin)
+ *     description: Account emails are skipped; the customer can ask for a new one.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only re-queue dead notifications of this type
+ *     responses:
+ *       200:
+ *         description: Number of notifications put back on the queue
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/resend-dead', requirePermission(pool, 'notifications:write'), async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const result = await pool.query(`
+      UPDATE notification_queue
+      SET status = 'pending', attempts = 0, last_error = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'dead' AND ($1::text IS NULL OR type = $1::text) AND type <> ALL($2::text[])
+      RETURNING id
+    `, [type || null, getPrivateNotificationTypes()]);
+
+    res.json({
+      success: true,
+      message: `${result.rows.length} notification(s) queued for delivery`,
+      data: { count: result.rows.length }
+    });
+  } catch (err) {
+    console.error('Error re-sending dead notifications:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   get:
+ *     summary: Get a notification with its body and payload (admin)
+ *     description: Account emails (email verification, password reset) are answered with 404.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification UUID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM notification_queue WHERE id = $1 AND type <> ALL($2::text[])',
+      [id, getPrivateNotificationTypes()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error fetching notification:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/resend:
+ *   post:
+ *     summary: Re-send a dead or already sent notification (admin)
+ *     description: The notification is put back on the queue with a fresh set of attempts and goes out with the next delivery run. Account emails cannot be re-sent (404).
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Notification UUID
+ *     responses:
+ *       200:
+ *         description: Notification queued for delivery
+ *       400:
+ *         description: Notification is already pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/resend', requirePermission(pool, 'notifications:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await pool.query(
+      'SELECT id FROM notification_queue WHERE id = $1 AND type <> ALL($2::text[])',
+      [id, getPrivateNotificationTypes()]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    const notification = await resendNotification(pool, id);
+    if (!notification) {
+      return res.status(400).json({ success: false, error: 'Notification is already pending' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification queued for delivery',
+      data: notification
+    });
+  } catch (err) {
+    console.error('Error re-sending notification:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,122 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const {
+  STATUS_VALUE_PATTERN,
+  getStatuses,
+  getStatus
+} = require('../services/orderStatuses');
+const { changeOrderStatus } = require('../services/orderStatusHooks');
+const {
+  getOrderShipments,
+  getShippableItems,
+  createShipment
+} = require('../services/shipments');
+const {
+  listReturns,
+  getReturnableItems,
+  createReturnRequest
+} = require('../services/returns');
+const {
+  getOrderRefunds,
+  getRefundSummary,
+  createRefund,
+  processRefund,
+  reconcileRefund
+} = require('../services/refunds');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+const { isUuid } = require('../services/ids');
 require('dotenv').config();
 
-// Email notification function (basic implementation)
-const sendStatusChangeEmail = async (email, oldStatus, newStatus, orderNumber) => {
-  // TODO: Implement actual email sending with nodemailer or similar
-  // For now, just log the notification
-  const statusNames = {
-    'order_received': 'Sipariş Alındı',
-    'preparing': 'Hazırlanıyor',
-    'shipped': 'Kargoya Verildi',
-    'returned': 'İade Edildi',
-    'cancelled': 'İptal',
-    'completed': 'Tamamlandı',
-  };
-  
-  console.log(`📧 Email notification would be sent to ${email}:`);
-  console.log(`   Order #${orderNumber} status changed from "${statusNames[oldStatus] || oldStatus}" to "${statusNames[newStatus] || newStatus}"`);
-  
-  // Example implementation with nodemailer (uncomment when ready):
-  /*
-  const nodemailer = require('nodemailer');
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: true,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
-  
-  await transporter.sendMail({
-    from: process.env.SMTP_FROM,
-    to: email,
-    subject: `Sipariş Durumu Güncellendi - #${orderNumber}`,
-    html: `
-      <h2>Sipariş Durumu Güncellendi</h2>
-      <p>Sipariş numaranız: <strong>#${orderNumber}</strong></p>
-      <p>Eski durum: <strong>${statusNames[oldStatus] || oldStatus}</strong></p>
-      <p>Yeni durum: <strong>${statusNames[newStatus] || newStatus}</strong></p>
-    `,
-  });
-  */
-};
-
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
-// Status definitions with Turkish and English names
-const orderStatuses = [
-  {
-    value: 'order_received',
-    name: 'Sipariş Alındı',
-    nameEn: 'Order Received'
-  },
-  {
-    value: 'preparing',
-    name: 'Hazırlanıyor',
-    nameEn: 'Preparing'
-  },
-  {
-    value: 'shipped',
-    name: 'Kargoya Verildi',
-    nameEn: 'Shipped'
-  },
-  {
-    value: 'returned',
-    name: 'İade Edildi',
-    nameEn: 'Returned'
-  },
-  {
-    value: 'cancelled',
-    name: 'İptal',
-    nameEn: 'Cancelled'
-  },
-  {
-    value: 'completed',
-    name: 'Tamamlandı',
-    nameEn: 'Completed'
-  }
-];
-
-// Status transition rules
-const isValidStatusTransition = (oldStatus, newStatus) => {
-  // Define allowed transitions
-  const allowedTransitions = {
-    'order_received': ['preparing', 'cancelled'],
-    'preparing': ['shipped', 'cancelled'],
-    'shipped': ['completed', 'returned'],
-    'returned': ['completed', 'cancelled'],
-    'cancelled': [], // Cannot transition from cancelled
-    'completed': [], // Cannot transition from completed
-  };
-
-  // If no old status (new order), allow any initial status
-  if (!oldStatus) {
-    return true;
-  }
-
-  // Check if transition is allowed
-  return allowedTransitions[oldStatus]?.includes(newStatus) || false;
-};
+router.param('id', uuidParam('Order not found'));
+router.param('refundId', uuidParam('Refund not found'));
 
-// Get status display name
-const getStatusDisplayName = (status) => {
-  const statusNames = {
-    'order_received': 'Sipariş Alındı',
-    'preparing': 'Hazırlanıyor',
-    'shipped': 'Kargoya Verildi',
-    'returned': 'İade Edildi',
-    'cancelled': 'İptal',
-    'completed': 'Tamamlandı',
-  };
-  return statusNames[status] || status;
-};
+const BULK_STATUS_MAX_ORDERS = 200;
 
 /**
  * @swagger
@@ -134,8 +54,8 @@ const getStatusDisplayName = (status) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [order_received, preparing, shipped, returned, cancelled, completed]
- *         description: Filter by order status
+ *           example: order_received
+ *         description: Filter by order status value (the configured statuses are listed by GET /api/orders/statuses)
  *       - in: query
  *         name: page
  *         schema:
@@ -181,7 +101,7 @@ const getStatusDisplayName = (status) => {
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(pool, 'read'), async (req, res) => {
   try {
     const {
       email,
@@ -240,10 +160,16 @@ router.get('/', async (req, res) => {
         u.last_name as "lastName",
         u.email,
         u.phone,
+        u.sms_opt_in as "smsOptIn",
         o.total_price as "totalPrice",
         o.kdv,
         o.grand_total as "grandTotal",
         o.status,
+        o.price_mismatch as "priceMismatch",
+        o.tracking_number as "trackingNumber",
+        o.carrier,
+        o.invoice_number as "invoiceNumber",
+        o.invoiced_at as "invoicedAt",
         o.created_at as "created_at",
         o.updated_at as "updated_at",
         json_build_object(
@@ -255,7 +181,11 @@ router.get('/', async (req, res) => {
         ) as delivery_address,
         json_build_object(
           'id', pi.id,
-          'paymentStatus', pi.payment_status
+          'paymentStatus', pi.payment_status,
+          'provider', pi.provider,
+          'transactionId', pi.transaction_id,
+          'amount', pi.amount,
+          'refundedAmount', pi.refunded_amount
         ) as payment_info
       FROM orders o
       LEFT JOIN users u ON o.user_id = u.id
@@ -316,6 +246,9 @@ router.get('/', async (req, res) => {
  * /api/orders/summary:
  *   get:
  *     summary: Get orders summary statistics
+ *     description: |
+ *       Counts are returned for every status in order_statuses, both as `<camelCaseStatus>Orders`
+ *       (e.g. `orderReceivedOrders`) and in the `byStatus` list.
  *     tags: [Orders]
  *     responses:
  *       200:
@@ -346,10 +279,25 @@ router.get('/', async (req, res) => {
  *                       type: integer
  *                     completedOrders:
  *                       type: integer
+ *                     byStatus:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           nameEn:
+ *                             type: string
+ *                           color:
+ *                             type: string
+ *                           count:
+ *                             type: integer
  *       500:
  *         description: Server error
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission(pool, 'read'), async (req, res) => {
   try {
     // Get total orders count
     const totalResult = await pool.query('SELECT COUNT(*) as count FROM orders');
@@ -363,28 +311,25 @@ router.get('/summary', async (req, res) => {
     `);
     const totalRevenue = parseFloat(revenueResult.rows[0].total_revenue) || 0;
     
-    // Get orders by status
+    // Get orders by status, for every configured status
     const statusResult = await pool.query(`
       SELECT 
-        status,
-        COUNT(*) as count
-      FROM orders
-      GROUP BY status
+        s.value,
+        s.name,
+        s.name_en as "nameEn",
+        s.color,
+        COUNT(o.id)::integer as count
+      FROM order_statuses s
+      LEFT JOIN orders o ON o.status = s.value
+      GROUP BY s.id
+      ORDER BY s.display_order ASC, s.id ASC
     `);
     
-    const statusCounts = {
-      order_received: 0,
-      preparing: 0,
-      shipped: 0,
-      returned: 0,
-      cancelled: 0,
-      completed: 0
-    };
-    
+    // order_received -> orderReceivedOrders
+    const statusCounts = {};
     statusResult.rows.forEach(row => {
-      if (statusCounts.hasOwnProperty(row.status)) {
-        statusCounts[row.status] = parseInt(row.count);
-      }
+      const key = row.value.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+      statusCounts[`${key}Orders`] = row.count;
     });
     
     res.json({
@@ -392,12 +337,8 @@ router.get('/summary', async (req, res) => {
       data: {
         totalOrders,
         totalRevenue,
-        orderReceivedOrders: statusCounts.order_received,
-        preparingOrders: statusCounts.preparing,
-        shippedOrders: statusCounts.shipped,
-        returnedOrders: statusCounts.returned,
-        cancelledOrders: statusCounts.cancelled,
-        completedOrders: statusCounts.completed
+        ...statusCounts,
+        byStatus: statusResult.rows
       }
     });
   } catch (err) {
@@ -410,8 +351,15 @@ router.get('/summary', async (req, res) => {
  * @swagger
  * /api/orders/statuses:
  *   get:
- *     summary: Get all order statuses with Turkish and English names
+ *     summary: Get all order statuses with Turkish and English names and their allowed transitions
  *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include deactivated statuses
  *     responses:
  *       200:
  *         description: Successful response with status list
@@ -425,38 +373,57 @@ router.get('/summary', async (req, res) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       value:
- *                         type: string
- *                         example: order_received
- *                       name:
- *                         type: string
- *                         example: Sipariş Alındı
- *                       nameEn:
- *                         type: string
- *                         example: Order Received
+ *                     $ref: '#/components/schemas/OrderStatus'
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create an order status (admin)
+ *     description: A new status is reachable once transitions to and from it are added.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - value
+ *               - name
+ *               - nameEn
+ *             properties:
+ *               value:
+ *                 type: string
+ *                 description: Lowercase letters, digits and underscores, at most 20 characters
+ *                 example: awaiting_pickup
+ *               name:
+ *                 type: string
+ *                 example: Mağazadan Teslim Bekleniyor
+ *               nameEn:
+ *                 type: string
+ *                 example: Awaiting Pickup
+ *               color:
+ *                 type: string
+ *                 example: teal
+ *               displayOrder:
+ *                 type: integer
+ *                 example: 4
+ *     responses:
+ *       201:
+ *         description: Status created
+ *       400:
+ *         description: Invalid fields
+ *       409:
+ *         description: Status already exists
  *       500:
  *         description: Server error
  */
-router.get('/statuses', async (req, res) => {
+router.get('/statuses', requirePermission(pool, 'read'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        value,
-        name,
-        name_en as "nameEn",
-        color,
-        display_order as "displayOrder",
-        is_active as "isActive"
-      FROM order_statuses
-      WHERE is_active = TRUE
-      ORDER BY display_order ASC
-    `);
+    const statuses = await getStatuses(pool, { includeInactive: req.query.includeInactive === 'true' });
     
     res.json({
       success: true,
-      data: result.rows
+      data: statuses
     });
   } catch (err) {
     console.error('Error fetching order statuses:', err);
@@ -464,6 +431,340 @@ router.get('/statuses', async (req, res) => {
   }
 });
 
+router.post('/statuses', requirePermission(pool, 'orders:workflow'), async (req, res) => {
+  try {
+    const { value, name, nameEn, color, displayOrder } = req.body;
+    
+    if (!value || !name || !nameEn) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: value, name, nameEn'
+      });
+    }
+    
+    if (!STATUS_VALUE_PATTERN.test(value)) {
+      return res.status(400).json({
+        success: false,
+        error: 'value must be lowercase letters, digits and underscores (2-20 characters, starting with a letter)'
+      });
+    }
+    
+    if (displayOrder !== undefined && !Number.isInteger(Number(displayOrder))) {
+      return res.status(400).json({ success: false, error: 'displayOrder must be an integer' });
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO order_statuses (value, name, name_en, color, display_order)
+      VALUES ($1, $2, $3, $4, COALESCE($5, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM order_statuses)))
+      ON CONFLICT (value) DO NOTHING
+      RETURNING value
+    `, [value, name, nameEn, color || null, displayOrder === undefined ? null : parseInt(displayOrder)]);
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: `Status "${value}" already exists` });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: await getStatus(pool, value)
+    });
+  } catch (err) {
+    console.error('Error creating order status:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/statuses/{value}:
+ *   put:
+ *     summary: Update an order status (admin)
+ *     description: System statuses (the ones payment, stock and notifications rely on) can be renamed but not deactivated.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Status value
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               nameEn:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               displayOrder:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid fields or system status deactivation
+ *       404:
+ *         description: Status not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Deactivate an order status (admin)
+ *     description: Statuses are never deleted because orders and history rows refer to them. Deactivated statuses cannot be moved to.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Status value
+ *     responses:
+ *       200:
+ *         description: Status deactivated
+ *       400:
+ *         description: System status
+ *       404:
+ *         description: Status not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/statuses/:value', requirePermission(pool, 'orders:workflow'), async (req, res) => {
+  try {
+    const { value } = req.params;
+    const { name, nameEn, color, displayOrder, isActive } = req.body;
+    
+    const status = await getStatus(pool, value);
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'Order status not found' });
+    }
+    
+    if (displayOrder !== undefined && !Number.isInteger(Number(displayOrder))) {
+      return res.status(400).json({ success: false, error: 'displayOrder must be an integer' });
+    }
+    
+    if (isActive === false && status.isSystem) {
+      return res.status(400).json({ success: false, error: 'System statuses cannot be deactivated' });
+    }
+    
+    await pool.query(`
+      UPDATE order_statuses
+      SET
+        name = COALESCE($1, name),
+        name_en = COALESCE($2, name_en),
+        color = COALESCE($3, color),
+        display_order = COALESCE($4, display_order),
+        is_active = COALESCE($5, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE value = $6
+    `, [
+      name || null,
+      nameEn || null,
+      color || null,
+      displayOrder === undefined ? null : parseInt(displayOrder),
+      typeof isActive === 'boolean' ? isActive : null,
+      value
+    ]);
+    
+    res.json({
+      success: true,
+      data: await getStatus(pool, value)
+    });
+  } catch (err) {
+    console.error('Error updating order status definition:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete('/statuses/:value', requirePermission(pool, 'orders:workflow'), async (req, res) => {
+  try {
+    const { value } = req.params;
+    
+    const status = await getStatus(pool, value);
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'Order status not found' });
+    }
+    
+    if (status.isSystem) {
+      return res.status(400).json({ success: false, error: 'System statuses cannot be deactivated' });
+    }
+    
+    await pool.query(`
+      UPDATE order_statuses
+      SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE value = $1
+    `, [value]);
+    
+    res.json({ success: true, message: `Order status "${value}" deactivated` });
+  } catch (err) {
+    console.error('Error deactivating order status:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/status-transitions:
+ *   get:
+ *     summary: Get the order status workflow (admin)
+ *     tags: [Orders]
+ *     responses:
+ *       200:
+ *         description: Allowed status changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderStatusTransition'
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Allow a status change (admin)
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 example: preparing
+ *               to:
+ *                 type: string
+ *                 example: awaiting_pickup
+ *     responses:
+ *       201:
+ *         description: Transition added
+ *       400:
+ *         description: Unknown status or same from and to
+ *       409:
+ *         description: Transition already exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/status-transitions', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        t.id,
+        t.from_status as "from",
+        t.to_status as "to",
+        f.is_active AND s.is_active as "isActive",
+        t.created_at as "createdAt"
+      FROM order_status_transitions t
+      JOIN order_statuses f ON f.value = t.from_status
+      JOIN order_statuses s ON s.value = t.to_status
+      ORDER BY f.display_order ASC, s.display_order ASC
+    `);
+    
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching order status transitions:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post('/status-transitions', requirePermission(pool, 'orders:workflow'), async (req, res) => {
+  try {
+    const { from, to } = req.body;
+    
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: from, to' });
+    }
+    
+    if (from === to) {
+      return res.status(400).json({ success: false, error: 'from and to must be different statuses' });
+    }
+    
+    const [fromStatus, toStatus] = await Promise.all([getStatus(pool, from), getStatus(pool, to)]);
+    if (!fromStatus || !toStatus) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown order status: ${!fromStatus ? from : to}`
+      });
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO order_status_transitions (from_status, to_status)
+      VALUES ($1, $2)
+      ON CONFLICT (from_status, to_status) DO NOTHING
+      RETURNING id, from_status as "from", to_status as "to", created_at as "createdAt"
+    `, [from, to]);
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: `Transition ${from} -> ${to} already exists` });
+    }
+    
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error creating order status transition:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/status-transitions/{from}/{to}:
+ *   delete:
+ *     summary: Disallow a status change (admin)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transition removed
+ *       404:
+ *         description: Transition not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/status-transitions/:from/:to', requirePermission(pool, 'orders:workflow'), async (req, res) => {
+  try {
+    const { from, to } = req.params;
+    
+    const result = await pool.query(`
+      DELETE FROM order_status_transitions
+      WHERE from_status = $1 AND to_status = $2
+      RETURNING id
+    `, [from, to]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: `Transition ${from} -> ${to} not found` });
+    }
+    
+    res.json({ success: true, message: `Transition ${from} -> ${to} removed` });
+  } catch (err) {
+    console.error('Error removing order status transition:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/by-number/{orderNumber}/status:
@@ -488,126 +789,394 @@ router.get('/statuses', async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [order_received, preparing, shipped, returned, cancelled, completed]
+ *                 description: Any active status the order's current status may move to (see /api/orders/statuses)
  *                 example: completed
  *               notes:
  *                 type: string
  *                 example: Status updated via order number
+ *               returnedItems:
+ *                 type: array
+ *                 description: For status "returned" - lines that came back. Omit to return every line in full. Damaged goods are booked to the damaged stock bucket.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *                     damaged:
+ *                       type: boolean
+ *                       default: false
+ *               trackingNumber:
+ *                 type: string
+ *                 description: For status "shipped" - cargo tracking number, included in the shipping SMS. Required unless the order already has one
+ *                 example: "1234567890"
+ *               carrier:
+ *                 type: string
+ *                 description: For status "shipped" - cargo company
+ *                 example: Yurtiçi Kargo
  *     responses:
  *       200:
  *         description: Order status updated successfully
  *       404:
  *         description: Order not found
  *       400:
- *         description: Invalid status or transition
+ *         description: Invalid status or transition, or vetoed by a status hook
  *       500:
  *         description: Server error
  */
-router.patch('/by-number/:orderNumber/status', async (req, res) => {
+router.patch('/by-number/:orderNumber/status', requirePermission(pool, 'orders:status'), async (req, res) => {
+  const client = await pool.connect();
+  
   try {
     const { orderNumber } = req.params;
-    const { status, notes } = req.body;
-    const changedBy = req.headers['x-user-id'] || 'admin';
+    const { status, notes, returnedItems, trackingNumber, carrier } = req.body;
+    const changedBy = req.user.email;
+    
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status is required'
+      });
+    }
+    
+    if (returnedItems !== undefined && !Array.isArray(returnedItems)) {
+      return res.status(400).json({
+        success: false,
+        error: 'returnedItems must be an array'
+      });
+    }
     
-    const validStatuses = ['order_received', 'preparing', 'shipped', 'returned', 'cancelled', 'completed'];
-    if (!status || !validStatuses.includes(status)) {
+    if ((trackingNumber || carrier) && status !== 'shipped') {
       return res.status(400).json({
         success: false,
-        error: `Status must be one of: ${validStatuses.join(', ')}`
+        error: 'trackingNumber and carrier can only be set when status is shipped'
       });
     }
     
-    // Get current order by order number
-    const currentOrderResult = await pool.query(`
-      SELECT id, status FROM orders WHERE order_number = $1
+    // Start transaction
+    await client.query('BEGIN');
+    
+    // Get current order by order number (locked until the status change is committed)
+    const currentOrderResult = await client.query(`
+      SELECT * FROM orders WHERE order_number = $1 FOR UPDATE
     `, [orderNumber]);
     
     if (currentOrderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ 
         success: false, 
         error: `Order with number "${orderNumber}" not found` 
       });
     }
     
-    const orderId = currentOrderResult.rows[0].id;
-    const oldStatus = currentOrderResult.rows[0].status;
+    const currentOrder = currentOrderResult.rows[0];
+    const oldStatus = currentOrder.status;
     
     // Check if status is the same
     if (oldStatus === status) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
         error: 'Order is already in this status'
       });
     }
     
-    // Validate status transition
-    if (!isValidStatusTransition(oldStatus, status)) {
+    // Workflow check, guard hooks, status update and side-effect hooks
+    const change = await changeOrderStatus(client, currentOrder, status, {
+      changedBy,
+      notes,
+      params: { returnedItems, trackingNumber, carrier }
+    });
+    if (change.error) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        error: `Cannot transition from "${getStatusDisplayName(oldStatus)}" to "${getStatusDisplayName(status)}". Allowed transitions: ${isValidStatusTransition(oldStatus, 'order_received') ? 'order_received' : ''}${isValidStatusTransition(oldStatus, 'preparing') ? ', preparing' : ''}${isValidStatusTransition(oldStatus, 'shipped') ? ', shipped' : ''}${isValidStatusTransition(oldStatus, 'returned') ? ', returned' : ''}${isValidStatusTransition(oldStatus, 'cancelled') ? ', cancelled' : ''}${isValidStatusTransition(oldStatus, 'completed') ? ', completed' : ''}`
+        error: change.error
       });
     }
     
-    // Start transaction
-    await pool.query('BEGIN');
-    
-    try {
-      // Update order status
-      const result = await pool.query(`
-        UPDATE orders 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `, [status, orderId]);
-      
-      // Save status history
-      await pool.query(`
-        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [orderId, oldStatus, status, changedBy, notes || null]);
-      
-      await pool.query('COMMIT');
-      
-      // Get user email for notification
-      const orderWithUser = await pool.query(`
-        SELECT o.*, u.email 
-        FROM orders o
-        LEFT JOIN users u ON o.user_id = u.id
-        WHERE o.id = $1
-      `, [orderId]);
-      
-      // Send email notification (async, don't wait for it)
-      if (orderWithUser.rows[0]?.email) {
-        sendStatusChangeEmail(orderWithUser.rows[0].email, oldStatus, status, orderNumber)
-          .catch(err => console.error('Error sending status change email:', err));
+    await client.query('COMMIT');
+    await change.afterCommit();
+    
+    res.json({ 
+      success: true, 
+      message: `Order #${orderNumber} status updated from "${change.transition.from.name}" to "${change.transition.to.name}"`,
+      data: {
+        ...change.order,
+        orderNumber: orderNumber,
+        stockMovements: change.results.stockMovements || []
       }
-      
-      res.json({ 
-        success: true, 
-        message: `Order #${orderNumber} status updated from "${getStatusDisplayName(oldStatus)}" to "${getStatusDisplayName(status)}"`,
-        data: {
-          ...result.rows[0],
-          orderNumber: orderNumber
-        }
-      });
-    } catch (err) {
-      await pool.query('ROLLBACK');
-      throw err;
-    }
+    });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error updating order status by order number:', err);
     res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * @swagger
- * /api/orders/{id}:
- *   get:
- *     summary: Get a single order by ID
+ * /api/orders/bulk-status:
+ *   post:
+ *     summary: Update the status of many orders at once
+ *     description: |
+ *       Each order is changed in its own transaction with the same workflow checks and
+ *       status hooks as PATCH /api/orders/{id}/status, so one invalid order does not
+ *       block the others. The response reports the outcome per order.
  *     tags: [Orders]
- *     parameters:
- *       - in: path
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - orders
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: shipped
+ *               notes:
+ *                 type: string
+ *                 description: Default notes for every order
+ *                 example: Günlük kargo teslimi
+ *               carrier:
+ *                 type: string
+ *                 description: For status "shipped" - default cargo company for every order
+ *                 example: Yurtiçi Kargo
+ *               orders:
+ *                 type: array
+ *                 maxItems: 200
+ *                 description: Order UUIDs or order numbers, or objects with per-order details
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       example: MYE-1234567890-123
+ *                     - type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                           format: uuid
+ *                         orderNumber:
+ *                           type: string
+ *                         trackingNumber:
+ *                           type: string
+ *                         carrier:
+ *                           type: string
+ *                         notes:
+ *                           type: string
+ *     responses:
+ *       200:
+ *         description: Per-order results (check each result's success)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     total:
+ *                       type: integer
+ *                     succeeded:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           reference:
+ *                             type: string
+ *                             description: The id or order number as sent
+ *                           success:
+ *                             type: boolean
+ *                           orderId:
+ *                             type: string
+ *                             format: uuid
+ *                           orderNumber:
+ *                             type: string
+ *                           oldStatus:
+ *                             type: string
+ *                           newStatus:
+ *                             type: string
+ *                           error:
+ *                             type: string
+ *       400:
+ *         description: Invalid status or order list
+ *       500:
+ *         description: Server error
+ */
+router.post('/bulk-status', requirePermission(pool, 'orders:status'), async (req, res) => {
+  const { status, notes, carrier, orders } = req.body;
+  const changedBy = req.user.email;
+  
+  if (!status) {
+    return res.status(400).json({
+      success: false,
+      error: 'Status is required'
+    });
+  }
+  
+  if (!Array.isArray(orders) || orders.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'orders must be a non-empty array of order ids or numbers'
+    });
+  }
+  
+  if (orders.length > BULK_STATUS_MAX_ORDERS) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${BULK_STATUS_MAX_ORDERS} orders can be updated at once`
+    });
+  }
+  
+  // Normalize entries to { reference, id | orderNumber, trackingNumber, carrier, notes }
+  const entries = [];
+  for (const order of orders) {
+    const entry = typeof order === 'string' ? { reference: order } : order;
+    const reference = entry && (entry.reference || entry.id || entry.orderNumber);
+    if (!reference || typeof reference !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Each order must be an order id, an order number or an object with id or orderNumber'
+      });
+    }
+    
+    const byId = entry.id ? true : entry.orderNumber ? false : isUuid(reference);
+    entries.push({
+      reference,
+      id: byId ? reference : null,
+      orderNumber: byId ? null : reference,
+      trackingNumber: entry.trackingNumber,
+      carrier: entry.carrier || carrier,
+      notes: entry.notes || notes
+    });
+  }
+  
+  if (status !== 'shipped' && entries.some(entry => entry.trackingNumber || entry.carrier)) {
+    return res.status(400).json({
+      success: false,
+      error: 'trackingNumber and carrier can only be set when status is shipped'
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    const target = await getStatus(client, status);
+    if (!target || !target.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or inactive status "${status}"`
+      });
+    }
+    
+    const results = [];
+    
+    // One transaction per order: a failed order does not roll back the others
+    for (const entry of entries) {
+      const result = { reference: entry.reference, success: false };
+      
+      if (entry.id && !isUuid(entry.id)) {
+        results.push({ ...result, error: 'Invalid order id, expected a UUID' });
+        continue;
+      }
+      
+      try {
+        await client.query('BEGIN');
+        
+        const currentOrderResult = await client.query(
+          `SELECT * FROM orders WHERE ${entry.id ? 'id' : 'order_number'} = $1 FOR UPDATE`,
+          [entry.id || entry.orderNumber]
+        );
+        const currentOrder = currentOrderResult.rows[0];
+        
+        if (!currentOrder) {
+          await client.query('ROLLBACK');
+          results.push({ ...result, error: 'Order not found' });
+          continue;
+        }
+        
+        result.orderId = currentOrder.id;
+        result.orderNumber = currentOrder.order_number;
+        result.oldStatus = currentOrder.status;
+        
+        if (currentOrder.status === status) {
+          await client.query('ROLLBACK');
+          results.push({ ...result, error: 'Order is already in this status' });
+          continue;
+        }
+        
+        const change = await changeOrderStatus(client, currentOrder, status, {
+          changedBy,
+          notes: entry.notes,
+          params: { trackingNumber: entry.trackingNumber, carrier: entry.carrier }
+        });
+        if (change.error) {
+          await client.query('ROLLBACK');
+          results.push({ ...result, error: change.error });
+          continue;
+        }
+        
+        await client.query('COMMIT');
+        await change.afterCommit();
+        
+        results.push({ ...result, success: true, newStatus: change.order.status });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error updating status of order ${entry.reference} in bulk:`, err);
+        results.push({ ...result, error: err.message });
+      }
+    }
+    
+    const succeeded = results.filter(result => result.success).length;
+    
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} orders updated to "${target.name}"`,
+      data: {
+        status,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+  } catch (err) {
+    console.error('Error updating order statuses in bulk:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get a single order by ID
+ *     description: billing_info holds the invoice details given at checkout (null for orders placed before they were collected).
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
  *         name: id
  *         required: true
  *         schema:
@@ -622,7 +1191,7 @@ router.patch('/by-number/:orderNumber/status', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(pool, 'read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -635,10 +1204,16 @@ router.get('/:id', async (req, res) => {
         u.last_name as "lastName",
         u.email,
         u.phone,
+        u.sms_opt_in as "smsOptIn",
         o.total_price as "totalPrice",
         o.kdv,
         o.grand_total as "grandTotal",
         o.status,
+        o.price_mismatch as "priceMismatch",
+        o.tracking_number as "trackingNumber",
+        o.carrier,
+        o.invoice_number as "invoiceNumber",
+        o.invoiced_at as "invoicedAt",
         o.created_at as "created_at",
         o.updated_at as "updated_at",
         json_build_object(
@@ -648,13 +1223,30 @@ router.get('/:id', async (req, res) => {
           'district', da.district,
           'postalCode', da.postal_code
         ) as delivery_address,
+        CASE WHEN bi.id IS NOT NULL THEN json_build_object(
+          'id', bi.id,
+          'invoiceType', bi.invoice_type,
+          'fullName', bi.full_name,
+          'companyName', bi.company_name,
+          'taxOffice', bi.tax_office,
+          'taxNumber', bi.tax_number,
+          'address', bi.address,
+          'city', bi.city,
+          'district', bi.district,
+          'postalCode', bi.postal_code
+        ) END as billing_info,
         json_build_object(
           'id', pi.id,
-          'paymentStatus', pi.payment_status
+          'paymentStatus', pi.payment_status,
+          'provider', pi.provider,
+          'transactionId', pi.transaction_id,
+          'amount', pi.amount,
+          'refundedAmount', pi.refunded_amount
         ) as payment_info
       FROM orders o
       LEFT JOIN users u ON o.user_id = u.id
       LEFT JOIN delivery_addresses da ON o.id = da.order_id
+      LEFT JOIN billing_info bi ON o.id = bi.order_id
       LEFT JOIN payment_info pi ON o.id = pi.order_id
       WHERE o.id = $1
     `, [id]);
@@ -699,7 +1291,8 @@ router.get('/:id', async (req, res) => {
     const orderData = {
       ...order,
       items: itemsResult.rows,
-      statusHistory: historyResult.rows
+      statusHistory: historyResult.rows,
+      shipments: await getOrderShipments(pool, id)
     };
     
     res.json({ success: true, data: orderData });
@@ -714,6 +1307,10 @@ router.get('/:id', async (req, res) => {
  * /api/orders/{id}/status:
  *   patch:
  *     summary: Update order status
+ *     description: |
+ *       Runs the status hooks registered for the transition (services/orderStatusHooks.js):
+ *       guards that can veto it (shipping needs a tracking number), then restock on
+ *       cancel/return, an invoice number on completion and customer email/SMS.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -734,15 +1331,43 @@ router.get('/:id', async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [order_received, preparing, shipped, returned, cancelled, completed]
+ *                 description: Any active status the order's current status may move to (see /api/orders/statuses)
  *                 example: completed
+ *               notes:
+ *                 type: string
+ *               returnedItems:
+ *                 type: array
+ *                 description: For status "returned" - lines that came back. Omit to return every line in full. Damaged goods are booked to the damaged stock bucket.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *                     damaged:
+ *                       type: boolean
+ *                       default: false
+ *               trackingNumber:
+ *                 type: string
+ *                 description: For status "shipped" - cargo tracking number, included in the shipping SMS. Required unless the order already has one
+ *                 example: "1234567890"
+ *               carrier:
+ *                 type: string
+ *                 description: For status "shipped" - cargo company
+ *                 example: Yurtiçi Kargo
  *     responses:
  *       200:
- *         description: Order status updated successfully
+ *         description: Order status updated successfully (cancelled orders are restocked, returned lines are restocked, completed orders get an invoice number)
  *       404:
  *         description: Order not found
  *       400:
- *         description: Invalid status
+ *         description: Invalid status, transition or returnedItems, or vetoed by a status hook
  *       500:
  *         description: Server error
  */
@@ -769,7 +1394,7 @@ router.get('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id/status-history', async (req, res) => {
+router.get('/:id/status-history', requirePermission(pool, 'read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -805,86 +1430,756 @@ router.get('/:id/status-history', async (req, res) => {
   }
 });
 
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission(pool, 'orders:status'), async (req, res) => {
+  const client = await pool.connect();
+  
   try {
     const { id } = req.params;
-    const { status, notes } = req.body;
-    const changedBy = req.headers['x-user-id'] || 'admin'; // Can be set from auth middleware
+    const { status, notes, returnedItems, trackingNumber, carrier } = req.body;
+    const changedBy = req.user.email;
+    
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status is required'
+      });
+    }
     
-    const validStatuses = ['order_received', 'preparing', 'shipped', 'returned', 'cancelled', 'completed'];
-    if (!status || !validStatuses.includes(status)) {
+    if (returnedItems !== undefined && !Array.isArray(returnedItems)) {
       return res.status(400).json({
         success: false,
-        error: `Status must be one of: ${validStatuses.join(', ')}`
+        error: 'returnedItems must be an array'
       });
     }
     
-    // Get current order status
-    const currentOrderResult = await pool.query(`
-      SELECT status FROM orders WHERE id = $1
+    if ((trackingNumber || carrier) && status !== 'shipped') {
+      return res.status(400).json({
+        success: false,
+        error: 'trackingNumber and carrier can only be set when status is shipped'
+      });
+    }
+    
+    // Start transaction
+    await client.query('BEGIN');
+    
+    // Get current order status (locked until the status change is committed)
+    const currentOrderResult = await client.query(`
+      SELECT * FROM orders WHERE id = $1 FOR UPDATE
     `, [id]);
     
     if (currentOrderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ 
         success: false, 
         error: 'Order not found' 
       });
     }
     
-    const oldStatus = currentOrderResult.rows[0].status;
+    const currentOrder = currentOrderResult.rows[0];
+    const oldStatus = currentOrder.status;
     
     // Check if status is the same
     if (oldStatus === status) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
         error: 'Order is already in this status'
       });
     }
     
-    // Validate status transition
-    if (!isValidStatusTransition(oldStatus, status)) {
+    // Workflow check, guard hooks, status update and side-effect hooks
+    const change = await changeOrderStatus(client, currentOrder, status, {
+      changedBy,
+      notes,
+      params: { returnedItems, trackingNumber, carrier }
+    });
+    if (change.error) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        error: `Cannot transition from "${getStatusDisplayName(oldStatus)}" to "${getStatusDisplayName(status)}". Allowed transitions: ${isValidStatusTransition(oldStatus, 'order_received') ? 'order_received' : ''}${isValidStatusTransition(oldStatus, 'preparing') ? ', preparing' : ''}${isValidStatusTransition(oldStatus, 'shipped') ? ', shipped' : ''}${isValidStatusTransition(oldStatus, 'returned') ? ', returned' : ''}${isValidStatusTransition(oldStatus, 'cancelled') ? ', cancelled' : ''}${isValidStatusTransition(oldStatus, 'completed') ? ', completed' : ''}`
+        error: change.error
       });
     }
     
-    // Start transaction
-    await pool.query('BEGIN');
-    
-    try {
-      // Update order status
-      const result = await pool.query(`
-        UPDATE orders 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `, [status, id]);
-      
-      // Save status history
-      await pool.query(`
-        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [id, oldStatus, status, changedBy, notes || null]);
-      
-      await pool.query('COMMIT');
-      
-      // Send email notification (async, don't wait for it)
-      const orderData = result.rows[0];
-      sendStatusChangeEmail(orderData.email, oldStatus, status, orderData.order_number)
-        .catch(err => console.error('Error sending status change email:', err));
-      
-      res.json({ 
-        success: true, 
-        message: `Order status updated from "${getStatusDisplayName(oldStatus)}" to "${getStatusDisplayName(status)}"`,
-        data: result.rows[0]
+    await client.query('COMMIT');
+    await change.afterCommit();
+    
+    res.json({ 
+      success: true, 
+      message: `Order status updated from "${change.transition.from.name}" to "${change.transition.to.name}"`,
+      data: {
+        ...change.order,
+        stockMovements: change.results.stockMovements || []
+      }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating order status:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments:
+ *   get:
+ *     summary: Get the shipments of an order
+ *     tags: [Orders, Shipments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shipments and per-line shipped / remaining quantities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Shipment'
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           orderItemId:
+ *                             type: string
+ *                             format: uuid
+ *                           productName:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           shippedQuantity:
+ *                             type: integer
+ *                           remainingQuantity:
+ *                             type: integer
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/shipments', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const orderCheck = await pool.query('SELECT id FROM orders WHERE id = $1', [id]);
+    if (orderCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
       });
-    } catch (err) {
-      await pool.query('ROLLBACK');
-      throw err;
     }
+    
+    res.json({
+      success: true,
+      data: {
+        shipments: await getOrderShipments(pool, id),
+        items: await getShippableItems(pool, id)
+      }
+    });
   } catch (err) {
-    console.error('Error updating order status:', err);
+    console.error('Error fetching order shipments:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments:
+ *   post:
+ *     summary: Ship (part of) an order
+ *     description: |
+ *       Records a shipment with its carrier, tracking number and lines. Omit items to ship
+ *       everything not shipped yet. Once every line is fully shipped the order moves to
+ *       "shipped" (status hooks run: tracking number on the order, customer email/SMS).
+ *       The tracking job then polls the carrier and completes the order on delivery.
+ *     tags: [Orders, Shipments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *               - trackingNumber
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *                 description: Carrier code or name (yurtici, aras, mng, ptt, other)
+ *                 example: yurtici
+ *               trackingNumber:
+ *                 type: string
+ *                 example: "1234567890"
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Shipment'
+ *                 fullyShipped:
+ *                   type: boolean
+ *                 orderStatus:
+ *                   type: string
+ *       400:
+ *         description: Unknown carrier, invalid items or quantities, nothing left to ship or order cannot be shipped
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/shipments', requirePermission(pool, 'orders:status'), async (req, res) => {
+  const { carrier, trackingNumber, items, notes } = req.body;
+  const changedBy = req.user.email;
+  
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({
+      success: false,
+      error: 'items must be an array'
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    const order = orderResult.rows[0];
+    
+    const result = await createShipment(client, order, { carrier, trackingNumber, items, changedBy, notes });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    await client.query('COMMIT');
+    if (result.statusChange) {
+      await result.statusChange.afterCommit();
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.shipment,
+      fullyShipped: result.fullyShipped,
+      orderStatus: result.statusChange ? result.statusChange.order.status : order.status
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating shipment:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns:
+ *   get:
+ *     summary: Get the return requests of an order
+ *     tags: [Orders, Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Return requests and per-line returnable quantities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReturnRequest'
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           orderItemId:
+ *                             type: string
+ *                             format: uuid
+ *                           productName:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           returnedQuantity:
+ *                             type: integer
+ *                           openReturnQuantity:
+ *                             type: integer
+ *                           returnableQuantity:
+ *                             type: integer
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/returns', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const orderResult = await pool.query('SELECT id, order_number FROM orders WHERE id = $1', [id]);
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    const { returns } = await listReturns(pool, {
+      orderNumber: orderResult.rows[0].order_number,
+      limit: null,
+      offset: 0
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        returns,
+        items: await getReturnableItems(pool, id)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching order returns:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns:
+ *   post:
+ *     summary: Open a return request for an order (admin)
+ *     description: Like POST /api/returns, without the customer check and the return window.
+ *     tags: [Orders, Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - items
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [defective, damaged_in_shipping, wrong_item, not_as_described, changed_mind, other]
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *     responses:
+ *       201:
+ *         description: Return request opened
+ *       400:
+ *         description: Invalid reason or items, or order not returnable
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/returns', requirePermission(pool, 'returns:decide'), async (req, res) => {
+  const { reason, notes, items } = req.body;
+  const createdBy = req.user.email;
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    const result = await createReturnRequest(client, orderResult.rows[0], {
+      items,
+      reason,
+      notes,
+      openedBy: 'admin',
+      createdBy
+    });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({ success: true, data: result.returnRequest });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating return request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   get:
+ *     summary: Get the refunds of an order
+ *     tags: [Orders, Refunds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Refunds and the payment's paid / refunded / refundable amounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     refunds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Refund'
+ *                     payment:
+ *                       $ref: '#/components/schemas/RefundSummary'
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/refunds', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const orderCheck = await pool.query('SELECT id FROM orders WHERE id = $1', [id]);
+    if (orderCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        refunds: await getOrderRefunds(pool, id),
+        payment: await getRefundSummary(pool, id)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching order refunds:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   post:
+ *     summary: Refund an order in full or in part
+ *     description: |
+ *       Send at most one of items (lines and quantities at the order's prices), amount
+ *       (arbitrary amount including KDV) or returnRequestId (refund due for a completed
+ *       return). With none of them the rest of the payment is refunded. The refund is saved
+ *       as pending, then sent to the payment provider and marked completed or failed;
+ *       payment_info moves to partially_refunded / refunded once it is completed. When the
+ *       provider times out the refund stays pending and its amount cannot be refunded again.
+ *     tags: [Orders, Refunds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *               amount:
+ *                 type: number
+ *                 description: Amount in TL including KDV
+ *                 example: 50.00
+ *               returnRequestId:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *                 example: Kargo gecikmesi nedeniyle kısmi iade
+ *     responses:
+ *       201:
+ *         description: Refund issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Refund'
+ *                 payment:
+ *                   $ref: '#/components/schemas/RefundSummary'
+ *       400:
+ *         description: Invalid items or amount, nothing left to refund or no refundable payment
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: Payment provider rejected the refund (the refund is marked failed)
+ *       504:
+ *         description: Payment provider timed out (the refund stays pending until reconciled)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/refunds', requirePermission(pool, 'refunds:write'), async (req, res) => {
+  const { items, amount, returnRequestId, reason } = req.body || {};
+  const actor = req.user.email;
+  let refundId;
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+    
+    const created = await createRefund(client, orderResult.rows[0], { items, amount, returnRequestId, reason, actor });
+    if (created.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: created.error
+      });
+    }
+    
+    await client.query('COMMIT');
+    refundId = created.refund.id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`Error creating refund for order ${req.params.id}:`, err);
+    return res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+  
+  try {
+    // The provider is called only once the pending refund is committed
+    const result = await processRefund(pool, refundId);
+    if (result.error) {
+      const status = result.providerError ? (result.errorCode === 'timeout' ? 504 : 502) : 400;
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        errorCode: result.errorCode,
+        data: result.refund
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.refund,
+      payment: result.payment
+    });
+  } catch (err) {
+    // The provider may already have paid the refund out; the refund stays pending until reconciled
+    console.error(`Error completing refund ${refundId} for order ${req.params.id}:`, err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds/{refundId}/reconcile:
+ *   post:
+ *     summary: Settle a refund left pending
+ *     description: |
+ *       A refund stays pending when the payment provider timed out or the server stopped
+ *       before the answer was recorded. This asks the provider how much of the payment it
+ *       has refunded and marks the refund completed (the money went out) or failed (it
+ *       never did, and its amount and lines can be refunded again). Refunds younger than
+ *       two minutes may still be in progress and are left alone.
+ *     tags: [Orders, Refunds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Refund completed or failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Refund'
+ *                 payment:
+ *                   $ref: '#/components/schemas/RefundSummary'
+ *       404:
+ *         description: Refund not found on this order
+ *       409:
+ *         description: Refund is not pending, may still be in progress, or an older pending refund comes first
+ *       502:
+ *         description: Payment provider could not report the payment
+ *       504:
+ *         description: Payment provider timed out
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/refunds/:refundId/reconcile', requirePermission(pool, 'refunds:write'), async (req, res) => {
+  try {
+    const { id, refundId } = req.params;
+    const result = await reconcileRefund(pool, id, refundId);
+    if (result.error) {
+      const status = result.notFound ? 404
+        : result.conflict ? 409
+          : result.errorCode === 'timeout' ? 504 : 502;
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        errorCode: result.errorCode
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.refund,
+      payment: result.payment
+    });
+  } catch (err) {
+    console.error(`Error reconciling refund ${req.params.refundId}:`, err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -1,12 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { priceCart, findTotalsMismatch } = require('../services/pricing');
+const paymentProvider = require('../services/payment');
+const { THREE_DS_TIMEOUT_MINUTES } = require('../services/paymentExpiry');
+const idempotency = require('../middleware/idempotency');
+const rateLimit = require('../middleware/rateLimit');
+const { identifyCustomer } = require('../middleware/customerAuth');
+const {
+  reserveStock,
+  reserveCheckoutStock,
+  releaseReservations,
+  commitReservations
+} = require('../services/stockReservations');
+const { normalizeLanguage } = require('../services/mail/templates');
+const { queueOrderConfirmationEmail } = require('../services/orderEmails');
+const { createTrackingToken } = require('../services/trackingTokens');
+const {
+  getAddress,
+  getDefaultShippingAddress,
+  getDefaultBillingAddress
+} = require('../services/customerAddresses');
+const { validateBillingInfo } = require('../services/billing');
+const { queueOrderSms } = require('../services/orderSms');
+const { isUuid } = require('../services/ids');
 require('dotenv').config();
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+// What to do when client totals disagree with server totals: 'reject' (default) or 'flag'
+const PRICE_MISMATCH_POLICY = process.env.PRICE_MISMATCH_POLICY === 'flag' ? 'flag' : 'reject';
+
+// Reservation requests allowed per IP per minute
+const reservationRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.STOCK_RESERVATION_RATE_LIMIT || '10'),
+  error: 'Too many reservation requests, please try again later'
+});
+
 /**
  * Generate unique order number
  */
@@ -16,12 +49,568 @@ const generateOrderNumber = () => {
   return `MYE-${timestamp}-${random}`;
 };
 
+/**
+ * Validate an optional reservationToken from a request body
+ * Returns an error message or null
+ */
+const checkReservationToken = (token) => {
+  if (token !== undefined && token !== null && !isUuid(token)) {
+    return 'reservationToken must be a UUID';
+  }
+  return null;
+};
+
+/**
+ * Validate the checkout payload shared by direct and 3D Secure payments
+ * Returns an error message or null
+ */
+const validateCheckoutRequest = (body) => {
+  const {
+    personalInfo,
+    deliveryAddress,
+    paymentInfo,
+    cartItems,
+    totalPrice,
+    kdv,
+    grandTotal
+  } = body;
+  
+  // Validate required fields (the delivery address may come from the address book instead)
+  if (!personalInfo || !paymentInfo || !cartItems || 
+      !totalPrice || kdv === undefined || !grandTotal) {
+    return 'Missing required fields: personalInfo, paymentInfo, cartItems, totalPrice, kdv, grandTotal';
+  }
+  
+  // Validate personalInfo
+  if (!personalInfo.firstName || !personalInfo.lastName || 
+      !personalInfo.email || !personalInfo.phone) {
+    return 'Missing required personalInfo fields: firstName, lastName, email, phone';
+  }
+  
+  // Validate deliveryAddress
+  if (deliveryAddress && (!deliveryAddress.address || !deliveryAddress.city || !deliveryAddress.district)) {
+    return 'Missing required deliveryAddress fields: address, city, district';
+  }
+  
+  // Validate paymentInfo (card details are processed but not stored for security)
+  // Note: Card information is validated but not saved to database for PCI-DSS compliance
+  if (!paymentInfo.cardNumber || !paymentInfo.cardName || 
+      !paymentInfo.expiryDate || !paymentInfo.cvv) {
+    return 'Missing required paymentInfo fields: cardNumber, cardName, expiryDate, cvv';
+  }
+  
+  // Validate cartItems
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    return 'cartItems must be a non-empty array';
+  }
+  
+  return checkReservationToken(body.reservationToken);
+};
+
+/**
+ * Pick the address the order ships to
+ * A full deliveryAddress is used as sent. Signed-in customers may send deliveryAddressId
+ * from their address book instead, or nothing to use their default shipping address.
+ * Returns { failure: { status, body } } or { deliveryAddress }
+ */
+const resolveDeliveryAddress = async (client, body, customer) => {
+  if (body.deliveryAddress) {
+    return { deliveryAddress: body.deliveryAddress };
+  }
+  
+  if (body.deliveryAddressId) {
+    if (!customer) {
+      return { failure: { status: 401, body: { success: false, error: 'Sign in to use a saved address' } } };
+    }
+    const saved = await getAddress(client, customer.id, body.deliveryAddressId);
+    if (!saved) {
+      return { failure: { status: 400, body: { success: false, error: 'Saved address not found' } } };
+    }
+    return { deliveryAddress: saved };
+  }
+  
+  const defaultAddress = customer ? await getDefaultShippingAddress(client, customer.id) : null;
+  if (!defaultAddress) {
+    return { failure: { status: 400, body: { success: false, error: 'Missing required field: deliveryAddress or deliveryAddressId' } } };
+  }
+  return { deliveryAddress: defaultAddress };
+};
+
+/**
+ * Pick the address printed on the invoice
+ * billingInfo may carry a full address or a saved addressId; otherwise signed-in customers
+ * get their default billing address and everyone else the delivery address.
+ * Returns { failure: { status, body } } or { billingAddress }
+ */
+const resolveBillingAddress = async (client, billingInfo, customer, deliveryAddress) => {
+  const { address, addressId } = billingInfo || {};
+  
+  if (address) {
+    if (!address.address || !address.city || !address.district) {
+      return { failure: { status: 400, body: { success: false, error: 'Missing required billingInfo.address fields: address, city, district' } } };
+    }
+    return { billingAddress: address };
+  }
+  
+  if (addressId) {
+    if (!customer) {
+      return { failure: { status: 401, body: { success: false, error: 'Sign in to use a saved address' } } };
+    }
+    const saved = await getAddress(client, customer.id, addressId);
+    if (!saved) {
+      return { failure: { status: 400, body: { success: false, error: 'Saved billing address not found' } } };
+    }
+    return { billingAddress: saved };
+  }
+  
+  const defaultAddress = customer ? await getDefaultBillingAddress(client, customer.id) : null;
+  return { billingAddress: defaultAddress || deliveryAddress };
+};
+
+/**
+ * Validate the request, price the cart on the server and verify client totals
+ * Returns { failure: { status, body } } or { card, deliveryAddress, billing, pricing, priceMismatch }
+ */
+const prepareCheckout = async (client, body, customer) => {
+  const validationError = validateCheckoutRequest(body);
+  if (validationError) {
+    return { failure: { status: 400, body: { success: false, error: validationError } } };
+  }
+  
+  const { billing, error: billingError } = validateBillingInfo(body.billingInfo, body.personalInfo);
+  if (billingError) {
+    return { failure: { status: 400, body: { success: false, error: billingError } } };
+  }
+  
+  // Deleting a customer is final: guest checkout does not bring the record back
+  if (!customer) {
+    const deletedResult = await client.query(`
+      SELECT 1 FROM users
+      WHERE LOWER(email) = LOWER($1) AND is_deleted = TRUE AND merged_into_id IS NULL
+    `, [body.personalInfo.email]);
+    if (deletedResult.rows.length > 0) {
+      return {
+        failure: {
+          status: 403,
+          body: { success: false, error: 'Orders cannot be placed with this email', errorCode: 'customer_deleted' }
+        }
+      };
+    }
+  }
+  
+  const address = await resolveDeliveryAddress(client, body, customer);
+  if (address.failure) {
+    return address;
+  }
+  
+  const invoiceAddress = await resolveBillingAddress(client, body.billingInfo, customer, address.deliveryAddress);
+  if (invoiceAddress.failure) {
+    return invoiceAddress;
+  }
+  
+  // Security: Card information is validated but NOT stored in database
+  // Only payment status is saved for tracking purposes
+  const { card, error: cardError } = paymentProvider.normalizeCard(body.paymentInfo);
+  if (cardError) {
+    return { failure: { status: 400, body: { success: false, error: cardError } } };
+  }
+  
+  // Price the cart on the server - client prices are never trusted
+  const pricing = await priceCart(client, body.cartItems);
+  if (pricing.error) {
+    return { failure: { status: 400, body: { success: false, error: pricing.error } } };
+  }
+  
+  const { totalPrice, kdv, grandTotal } = body;
+  const mismatchedFields = findTotalsMismatch({ totalPrice, kdv, grandTotal }, pricing);
+  if (mismatchedFields.length > 0 && PRICE_MISMATCH_POLICY === 'reject') {
+    return {
+      failure: {
+        status: 409,
+        body: {
+          success: false,
+          error: 'Sepet tutarı güncel fiyatlarla uyuşmuyor. Lütfen sepetinizi kontrol edin.',
+          data: {
+            mismatchedFields,
+            totalPrice: pricing.totalPrice,
+            kdv: pricing.kdv,
+            grandTotal: pricing.grandTotal,
+            items: pricing.items
+          }
+        }
+      }
+    };
+  }
+  
+  return {
+    card,
+    deliveryAddress: address.deliveryAddress,
+    billing: { ...billing, address: invoiceAddress.billingAddress },
+    pricing,
+    priceMismatch: mismatchedFields.length > 0
+  };
+};
+
+/**
+ * Create the order with its user, delivery address, items and initial status history
+ * Signed-in customers order on their own account. Guest orders are linked to the users
+ * row with the same email (or the customer it was merged into; deleted customers are
+ * turned away by prepareCheckout); that row's details are
+ * only updated while it is not a verified account. The delivery and billing addresses are copied onto the order, so
+ * later changes to the address book do not affect it.
+ */
+const createOrder = async (client, { body, customer, deliveryAddress, billing, pricing, priceMismatch, status, historyNote }) => {
+  const { personalInfo, totalPrice, kdv, grandTotal } = body;
+  
+  // Generate unique order number
+  const orderNumber = generateOrderNumber();
+  
+  // SMS consent is only changed when the checkout form sends it
+  const smsOptIn = typeof personalInfo.smsOptIn === 'boolean' ? personalInfo.smsOptIn : null;
+  
+  let userId;
+  let updateUser = true;
+  if (customer) {
+    userId = customer.id;
+  } else {
+    // Check if user exists by email, if not create one
+    const userResult = await client.query(`
+      SELECT id, email_verified_at, merged_into_id FROM users WHERE LOWER(email) = LOWER($1)
+    `, [personalInfo.email]);
+    
+    if (userResult.rows.length === 0) {
+      // Create new user
+      const newUserResult = await client.query(`
+        INSERT INTO users (first_name, last_name, email, phone, sms_opt_in, sms_opt_in_at)
+        VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 THEN CURRENT_TIMESTAMP END)
+        RETURNING id
+      `, [
+        personalInfo.firstName,
+        personalInfo.lastName,
+        personalInfo.email,
+        personalInfo.phone,
+        smsOptIn === true
+      ]);
+      userId = newUserResult.rows[0].id;
+      updateUser = false;
+    } else if (userResult.rows[0].merged_into_id) {
+      // The email belongs to a duplicate that was merged; the order goes to the kept customer
+      userId = userResult.rows[0].merged_into_id;
+      updateUser = false;
+    } else {
+      userId = userResult.rows[0].id;
+      // Anyone can type an email at checkout; a verified account is changed only by its owner
+      updateUser = !userResult.rows[0].email_verified_at;
+    }
+  }
+  
+  if (updateUser) {
+    // Update existing user info if changed
+    await client.query(`
+      UPDATE users 
+      SET
+        first_name = $1,
+        last_name = $2,
+        phone = $3,
+        sms_opt_in = COALESCE($4, sms_opt_in),
+        sms_opt_in_at = CASE
+          WHEN $4 IS TRUE AND sms_opt_in IS NOT TRUE THEN CURRENT_TIMESTAMP
+          WHEN $4 IS FALSE THEN NULL
+          ELSE sms_opt_in_at
+        END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [
+      personalInfo.firstName,
+      personalInfo.lastName,
+      personalInfo.phone,
+      smsOptIn,
+      userId
+    ]);
+  }
+  
+  // Create order with user_id
+  const orderResult = await client.query(`
+    INSERT INTO orders (
+      order_number, user_id, total_price, kdv, grand_total, status, price_mismatch, language
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    orderNumber,
+    userId,
+    pricing.totalPrice,
+    pricing.kdv,
+    pricing.grandTotal,
+    status,
+    priceMismatch,
+    normalizeLanguage(body.language)
+  ]);
+  
+  const order = orderResult.rows[0];
+  
+  // Create initial status history entry
+  await client.query(`
+    INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+    VALUES ($1, NULL, $2, $3, $4)
+  `, [
+    order.id,
+    status,
+    'system',
+    priceMismatch
+      ? `${historyNote} (istemci tutarı uyuşmadı: toplam ${totalPrice}, KDV ${kdv}, genel toplam ${grandTotal})`
+      : historyNote
+  ]);
+  
+  // Create delivery address
+  await client.query(`
+    INSERT INTO delivery_addresses (
+      order_id, address, city, district, postal_code
+    )
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    order.id,
+    deliveryAddress.address,
+    deliveryAddress.city,
+    deliveryAddress.district,
+    deliveryAddress.postalCode || null
+  ]);
+  
+  // Invoice details as given at checkout
+  await client.query(`
+    INSERT INTO billing_info (
+      order_id, invoice_type, full_name, company_name, tax_office, tax_number,
+      address, city, district, postal_code
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    order.id,
+    billing.invoiceType,
+    billing.fullName,
+    billing.companyName,
+    billing.taxOffice,
+    billing.taxNumber,
+    billing.address.address,
+    billing.address.city,
+    billing.address.district,
+    billing.address.postalCode || null
+  ]);
+  
+  // Create order items with the server-side price
+  for (const item of pricing.items) {
+    await client.query(`
+      INSERT INTO order_items (
+        order_id, product_id, product_name, product_price, quantity, product_image
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+      order.id,
+      item.productId,
+      item.name,
+      item.unitPrice,
+      item.quantity,
+      item.image
+    ]);
+  }
+  
+  return order;
+};
+
+// Idempotency fingerprint of a checkout request - card secrets are never hashed or stored
+const paymentFingerprint = (req) => {
+  const { paymentInfo, ...rest } = req.body || {};
+  const cardNumber = String((paymentInfo && paymentInfo.cardNumber) || '').replace(/\D/g, '');
+  return {
+    ...rest,
+    card: {
+      last4: cardNumber.slice(-4),
+      expiryDate: paymentInfo && paymentInfo.expiryDate
+    }
+  };
+};
+
+// Refund a charge whose order could not be saved or was already cancelled
+// With an orderId, the order's payment was recorded as 'refund_pending' and only becomes
+// 'refunded' once the provider confirms; a failed refund stays pending for follow-up.
+const refundOrphanCharge = (transactionId, orderId = null) => {
+  paymentProvider.refund({ transactionId })
+    .then(async result => {
+      if (!result.success) {
+        console.error(`Refund failed for transaction ${transactionId}:`, result.errorMessage);
+        return;
+      }
+      if (orderId) {
+        await pool.query(`
+          UPDATE payment_info
+          SET payment_status = 'refunded', updated_at = CURRENT_TIMESTAMP
+          WHERE order_id = $1 AND transaction_id = $2 AND payment_status = 'refund_pending'
+        `, [orderId, transactionId]);
+      }
+    })
+    .catch(refundErr => console.error(`Refund failed for transaction ${transactionId}:`, refundErr));
+};
+
+/**
+ * Settle a pending_payment order with the provider's answer, in its own transaction
+ * A successful payment takes the order's reserved stock and moves it to order_received;
+ * a failed payment or a stock shortage cancels it and releases the reservation. Money
+ * captured for an order that cannot take it is refunded.
+ * Returns { order, paid, notFound, notPending, alreadyPaid, stockError }
+ */
+const settlePendingPayment = async (orderNumber, result, { paidNote, failedNote }) => {
+  const client = await pool.connect();
+  const capturedTransactionId = result.success ? result.transactionId : null;
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Lock the order so a duplicate callback cannot finalize it twice
+    const orderResult = await client.query(`
+      SELECT id, order_number, status, total_price, kdv, grand_total
+      FROM orders
+      WHERE order_number = $1
+      FOR UPDATE
+    `, [orderNumber]);
+    
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (capturedTransactionId) {
+        refundOrphanCharge(capturedTransactionId);
+      }
+      return { notFound: true };
+    }
+    
+    const order = orderResult.rows[0];
+    
+    if (order.status !== 'pending_payment') {
+      const alreadyPaid = order.status !== 'cancelled';
+      // Late answer for an expired/cancelled attempt - the money must go back
+      if (capturedTransactionId && !alreadyPaid) {
+        await client.query(`
+          UPDATE payment_info
+          SET payment_status = 'refund_pending', transaction_id = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE order_id = $1
+        `, [order.id, capturedTransactionId]);
+        await client.query('COMMIT');
+        refundOrphanCharge(capturedTransactionId, order.id);
+      } else {
+        await client.query('ROLLBACK');
+        if (capturedTransactionId) {
+          refundOrphanCharge(capturedTransactionId);
+        }
+      }
+      return { order, notPending: true, alreadyPaid };
+    }
+    
+    const itemsResult = await client.query(`
+      SELECT product_id as "productId", product_name as name, quantity
+      FROM order_items
+      WHERE order_id = $1 AND product_id IS NOT NULL
+    `, [order.id]);
+    
+    await client.query('SAVEPOINT take_stock');
+    const stockError = result.success ? (await commitReservations(client, order.id, itemsResult.rows)).error : null;
+    
+    if (!result.success || stockError) {
+      // Stock may have been partially taken before the shortage was found
+      await client.query('ROLLBACK TO SAVEPOINT take_stock');
+      await releaseReservations(client, { orderId: order.id });
+      
+      // A captured payment is refunded after the commit and marked refunded once confirmed
+      await client.query(`
+        UPDATE payment_info
+        SET payment_status = $1, transaction_id = COALESCE($2, transaction_id), updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = $3
+      `, [capturedTransactionId ? 'refund_pending' : 'failed', capturedTransactionId, order.id]);
+      
+      await client.query(`
+        UPDATE orders
+        SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [order.id]);
+      
+      await client.query(`
+        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        order.id,
+        'pending_payment',
+        'cancelled',
+        'system',
+        stockError || `${failedNote}: ${result.errorMessage || result.errorCode}`
+      ]);
+      
+      await client.query('COMMIT');
+      
+      if (capturedTransactionId) {
+        refundOrphanCharge(capturedTransactionId, order.id);
+      }
+      
+      return { order, stockError };
+    }
+    
+    await client.query(`
+      UPDATE payment_info
+      SET payment_status = $1, transaction_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE order_id = $3
+    `, [result.status, result.transactionId, order.id]);
+    
+    await client.query(`
+      UPDATE orders
+      SET status = 'order_received', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [order.id]);
+    
+    await client.query(`
+      INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [order.id, 'pending_payment', 'order_received', 'system', paidNote]);
+    
+    await queueOrderConfirmationEmail(client, order.id);
+    await queueOrderSms(client, order.id, 'order_created');
+    
+    await client.query('COMMIT');
+    
+    return { order, paid: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    // The card was charged but the order could not be saved - give the money back
+    if (capturedTransactionId) {
+      refundOrphanCharge(capturedTransactionId);
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * @swagger
  * /api/payment:
  *   post:
  *     summary: Process payment and create order
+ *     description: |
+ *       Item prices, KDV and grand total are computed on the server from `products.current_price`.
+ *       Client totals are only used for verification; when they disagree the request is rejected
+ *       with 409 (or the order is flagged with `price_mismatch` when PRICE_MISMATCH_POLICY=flag).
+ *       With a customer token the order goes to that account; guest orders never change the
+ *       details of a verified account that uses the same email.
+ *       Signed-in customers can send `deliveryAddressId` from their address book instead of
+ *       `deliveryAddress`, or neither to ship to their default shipping address.
+ *       The order is saved as `pending_payment` with its stock reserved before the card is
+ *       charged; it moves to `order_received` once the charge succeeds and is cancelled when
+ *       it fails. A charge that succeeds after the provider timeout is refunded.
  *     tags: [Payment]
+ *     security:
+ *       - {}
+ *       - customerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per checkout attempt. Retries with the same key and payload replay the original response; a different payload returns 409.
  *     requestBody:
  *       required: true
  *       content:
@@ -30,7 +619,6 @@ const generateOrderNumber = () => {
  *             type: object
  *             required:
  *               - personalInfo
- *               - deliveryAddress
  *               - paymentInfo
  *               - cartItems
  *               - totalPrice
@@ -58,8 +646,16 @@ const generateOrderNumber = () => {
  *                   phone:
  *                     type: string
  *                     example: "0555 123 45 67"
+ *                   smsOptIn:
+ *                     type: boolean
+ *                     description: Consent to order SMS (created, shipped, completed). Omit to keep the customer's current choice.
+ *               deliveryAddressId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Saved address of the signed-in customer, used instead of deliveryAddress
  *               deliveryAddress:
  *                 type: object
+ *                 description: Required for guests; the order keeps a copy of the address
  *                 required:
  *                   - address
  *                   - city
@@ -77,6 +673,8 @@ const generateOrderNumber = () => {
  *                   postalCode:
  *                     type: string
  *                     example: "34722"
+ *               billingInfo:
+ *                 $ref: '#/components/schemas/BillingInfoInput'
  *               paymentInfo:
  *                 type: object
  *                 required:
@@ -87,7 +685,8 @@ const generateOrderNumber = () => {
  *                 properties:
  *                   cardNumber:
  *                     type: string
- *                     example: "1234 5678 9012 3456"
+ *                     description: "Mock provider test cards: 4111 1111 1111 1111 (success), 4000 0000 0000 0002 (declined), 4000 0000 0000 9995 (insufficient funds), 4000 0000 0000 0119 (timeout)"
+ *                     example: "4111 1111 1111 1111"
  *                   cardName:
  *                     type: string
  *                     example: "AHMET YILMAZ"
@@ -103,18 +702,18 @@ const generateOrderNumber = () => {
  *                   type: object
  *                   required:
  *                     - id
- *                     - name
- *                     - price
  *                     - quantity
  *                   properties:
  *                     id:
  *                       type: string
- *                       example: "1"
+ *                       format: uuid
+ *                       description: Product UUID
  *                     name:
  *                       type: string
  *                       example: "Philips LED Ampul 9W"
  *                     price:
  *                       type: number
+ *                       description: Ignored - price is taken from the product record
  *                       example: 45.90
  *                     quantity:
  *                       type: integer
@@ -131,6 +730,11 @@ const generateOrderNumber = () => {
  *               grandTotal:
  *                 type: number
  *                 example: 263.16
+ *               language:
+ *                 type: string
+ *                 enum: [tr, en]
+ *                 default: tr
+ *                 description: Language of the order confirmation and status emails
  *     responses:
  *       201:
  *         description: Payment processed and order created successfully
@@ -154,8 +758,41 @@ const generateOrderNumber = () => {
  *                     orderNumber:
  *                       type: string
  *                       example: "MYE-1234567890-123"
+ *                     trackingToken:
+ *                       type: string
+ *                       description: Token for GET /api/tracking/{token}, also emailed with the confirmation
  *       400:
- *         description: Bad request (missing required fields)
+ *         description: Bad request (missing required fields, invalid VKN/TCKN, reservationToken that is not a UUID, unknown product or insufficient stock)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: deliveryAddressId sent without a customer token, or the token has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       402:
+ *         description: Payment declined by the provider (errorCode contains the reason, e.g. card_declined, insufficient_funds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Guest checkout with the email of a deleted customer (errorCode customer_deleted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Client totals do not match server-computed totals (response data contains the correct totals), Idempotency-Key conflict, or the order expired before the charge was settled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: Payment provider timed out
  *         content:
  *           application/json:
  *             schema:
@@ -167,261 +804,643 @@ const generateOrderNumber = () => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', async (req, res) => {
+router.post('/', identifyCustomer(pool), idempotency(pool, 'payment', paymentFingerprint), async (req, res) => {
   const client = await pool.connect();
+  let order;
+  let card;
+  let pricing;
   
   try {
     await client.query('BEGIN');
     
-    const {
-      personalInfo,
-      deliveryAddress,
-      paymentInfo,
-      cartItems,
-      totalPrice,
-      kdv,
-      grandTotal
-    } = req.body;
-    
-    // Validate required fields
-    if (!personalInfo || !deliveryAddress || !paymentInfo || !cartItems || 
-        !totalPrice || kdv === undefined || !grandTotal) {
+    const checkout = await prepareCheckout(client, req.body, req.customer);
+    if (checkout.failure) {
       await client.query('ROLLBACK');
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: personalInfo, deliveryAddress, paymentInfo, cartItems, totalPrice, kdv, grandTotal'
-      });
+      return res.status(checkout.failure.status).json(checkout.failure.body);
     }
+    const { deliveryAddress, billing, priceMismatch } = checkout;
+    ({ card, pricing } = checkout);
+    
+    order = await createOrder(client, {
+      body: req.body,
+      customer: req.customer,
+      deliveryAddress,
+      billing,
+      pricing,
+      priceMismatch,
+      status: 'pending_payment',
+      historyNote: 'Sipariş oluşturuldu, ödeme bekleniyor'
+    });
     
-    // Validate personalInfo
-    if (!personalInfo.firstName || !personalInfo.lastName || 
-        !personalInfo.email || !personalInfo.phone) {
+    // Stock held by this customer's checkout is handed over to the order until the charge is settled
+    if (req.body.reservationToken) {
+      await releaseReservations(client, { token: req.body.reservationToken });
+    }
+    const reservation = await reserveStock(client, pricing.items, {
+      orderId: order.id,
+      ttlMinutes: THREE_DS_TIMEOUT_MINUTES
+    });
+    if (reservation.error) {
       await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        error: 'Missing required personalInfo fields: firstName, lastName, email, phone'
+        error: reservation.error
       });
     }
     
-    // Validate deliveryAddress
-    if (!deliveryAddress.address || !deliveryAddress.city || !deliveryAddress.district) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
+    // Only payment status and provider reference are stored, NO card data
+    // Security: Card numbers, CVV, expiry dates, and card names are NOT stored for PCI-DSS compliance
+    await client.query(`
+      INSERT INTO payment_info (
+        order_id, payment_status, provider, transaction_id, amount
+      )
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      order.id,
+      'pending',
+      paymentProvider.getProviderName(),
+      null,
+      pricing.grandTotal
+    ]);
+    
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error processing payment:', err);
+    return res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  } finally {
+    client.release();
+  }
+  
+  try {
+    // Charged outside the transaction so no row locks are held while the provider answers
+    const chargeResult = await paymentProvider.charge({
+      orderNumber: order.order_number,
+      amount: pricing.grandTotal,
+      currency: 'TRY',
+      card
+    }, {
+      // The order is cancelled once the charge times out, so a late success is refunded
+      onLateResult: (lateResult) => {
+        if (lateResult.success) {
+          refundOrphanCharge(lateResult.transactionId);
+        }
+      }
+    });
+    
+    const settled = await settlePendingPayment(order.order_number, chargeResult, {
+      paidNote: 'Ödeme tamamlandı',
+      failedNote: 'Ödeme başarısız'
+    });
+    
+    if (!chargeResult.success) {
+      return res.status(chargeResult.status === 'timeout' ? 504 : 402).json({
         success: false,
-        error: 'Missing required deliveryAddress fields: address, city, district'
+        error: chargeResult.errorMessage || 'Ödeme başarısız',
+        errorCode: chargeResult.errorCode
       });
     }
-    
-    // Validate paymentInfo (card details are processed but not stored for security)
-    // Note: Card information is validated but not saved to database for PCI-DSS compliance
-    if (!paymentInfo.cardNumber || !paymentInfo.cardName || 
-        !paymentInfo.expiryDate || !paymentInfo.cvv) {
-      await client.query('ROLLBACK');
+    if (settled.stockError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required paymentInfo fields: cardNumber, cardName, expiryDate, cvv'
+        error: settled.stockError
       });
     }
-    
-    // Security: Card information is validated but NOT stored in database
-    // Only payment status is saved for tracking purposes
-    
-    // Validate cartItems
-    if (!Array.isArray(cartItems) || cartItems.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
+    if (!settled.paid) {
+      return res.status(409).json({
         success: false,
-        error: 'cartItems must be a non-empty array'
+        error: 'Ödeme süresi dolmuş veya sipariş zaten işlenmiş',
+        errorCode: 'order_not_pending'
       });
     }
     
-    // Generate unique order number
-    const orderNumber = generateOrderNumber();
-    
-    // Check if user exists by email, if not create one
-    let userResult = await client.query(`
-      SELECT id FROM users WHERE email = $1
-    `, [personalInfo.email]);
-    
-    let userId;
-    if (userResult.rows.length === 0) {
-      // Create new user
-      const newUserResult = await client.query(`
-        INSERT INTO users (first_name, last_name, email, phone)
-        VALUES ($1, $2, $3, $4)
-        RETURNING id
-      `, [
-        personalInfo.firstName,
-        personalInfo.lastName,
-        personalInfo.email,
-        personalInfo.phone
-      ]);
-      userId = newUserResult.rows[0].id;
-    } else {
-      // Update existing user info if changed
-      userId = userResult.rows[0].id;
-      await client.query(`
-        UPDATE users 
-        SET first_name = $1, last_name = $2, phone = $3, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $4
-      `, [
-        personalInfo.firstName,
-        personalInfo.lastName,
-        personalInfo.phone,
-        userId
-      ]);
+    res.status(201).json({
+      success: true,
+      message: 'Payment processed successfully',
+      data: {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        totalPrice: order.total_price,
+        kdv: order.kdv,
+        grandTotal: order.grand_total,
+        trackingToken: createTrackingToken(order.id)
+      }
+    });
+  } catch (err) {
+    console.error('Error processing payment:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payment/reservations:
+ *   post:
+ *     summary: Reserve cart stock when checkout starts
+ *     description: |
+ *       Holds the cart quantities for STOCK_RESERVATION_MINUTES so other customers cannot buy
+ *       the same units while this customer fills in the payment form. Pass the returned
+ *       `reservationToken` to POST /api/payment or /api/payment/3ds/initiate.
+ *
+ *       A reservation belongs to the signed-in customer, or to the client IP for guests, which
+ *       may hold at most STOCK_RESERVATION_MAX_ACTIVE reservations at a time. A line may reserve
+ *       at most STOCK_RESERVATION_MAX_LINE_QUANTITY units and a request at most
+ *       STOCK_RESERVATION_MAX_QUANTITY. Replacing a reservation keeps its original expiry.
+ *       Requests are rate-limited per IP (STOCK_RESERVATION_RATE_LIMIT per minute).
+ *     tags: [Payment]
+ *     security:
+ *       - {}
+ *       - customerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cartItems
+ *             properties:
+ *               reservationToken:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Previous token of this checkout; its reservation is replaced
+ *               cartItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - quantity
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *     responses:
+ *       201:
+ *         description: Stock reserved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reservationToken:
+ *                       type: string
+ *                       format: uuid
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid cart or reservationToken, quantity over the limits, or insufficient stock
+ *       429:
+ *         description: Rate limit exceeded, or this customer or IP already holds the maximum number of reservations
+ *       500:
+ *         description: Server error
+ */
+router.post('/reservations', reservationRateLimit, identifyCustomer(pool), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const { cartItems, reservationToken } = req.body;
+    
+    if (!Array.isArray(cartItems) || cartItems.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'cartItems must be a non-empty array'
+      });
     }
     
-    // Create order with user_id
-    const orderResult = await client.query(`
-      INSERT INTO orders (
-        order_number, user_id, total_price, kdv, grand_total, status
-      )
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *
-    `, [
-      orderNumber,
-      userId,
-      totalPrice,
-      kdv,
-      grandTotal,
-      'order_received'
-    ]);
+    const tokenError = checkReservationToken(reservationToken);
+    if (tokenError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: tokenError });
+    }
     
-    const order = orderResult.rows[0];
+    const pricing = await priceCart(client, cartItems);
+    if (pricing.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: pricing.error
+      });
+    }
     
-    // Create initial status history entry
-    await client.query(`
-      INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
-      VALUES ($1, NULL, $2, $3, $4)
-    `, [
-      order.id,
-      'order_received',
-      'system',
-      'Sipariş oluşturuldu'
-    ]);
+    // A checkout that changes its cart replaces its previous reservation
+    const reservation = await reserveCheckoutStock(client, pricing.items, {
+      clientKey: req.customer ? `customer:${req.customer.id}` : `ip:${req.ip}`,
+      replaceToken: reservationToken
+    });
+    if (reservation.error) {
+      await client.query('ROLLBACK');
+      return res.status(reservation.limitReached ? 429 : 400).json({
+        success: false,
+        error: reservation.error
+      });
+    }
     
-    // Create delivery address
-    await client.query(`
-      INSERT INTO delivery_addresses (
-        order_id, address, city, district, postal_code
-      )
-      VALUES ($1, $2, $3, $4, $5)
-    `, [
-      order.id,
-      deliveryAddress.address,
-      deliveryAddress.city,
-      deliveryAddress.district,
-      deliveryAddress.postalCode || null
-    ]);
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        reservationToken: reservation.token,
+        expiresAt: reservation.expiresAt
+      }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error reserving stock:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/payment/reservations/{token}:
+ *   delete:
+ *     summary: Release a checkout reservation
+ *     description: Called when the customer leaves checkout so the held stock is available again.
+ *     tags: [Payment]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Reservation released
+ *       404:
+ *         description: No active reservation for this token
+ *       500:
+ *         description: Server error
+ */
+router.delete('/reservations/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    if (!isUuid(token)) {
+      return res.status(404).json({ success: false, error: 'Reservation not found' });
+    }
+    
+    const released = await releaseReservations(pool, { token });
+    if (released === 0) {
+      return res.status(404).json({ success: false, error: 'Reservation not found or already released' });
+    }
+    
+    res.json({ success: true, message: 'Reservation released' });
+  } catch (err) {
+    console.error('Error releasing reservation:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Base URL the bank sends the 3D Secure callback to
+ * Comes from PUBLIC_API_URL; the request's Host header is only trusted in development,
+ * elsewhere a client could point the callback at its own server. Returns null when unset.
+ */
+const getCallbackBaseUrl = (req) => {
+  if (process.env.PUBLIC_API_URL) {
+    return process.env.PUBLIC_API_URL.replace(/\/+$/, '');
+  }
+  if (process.env.NODE_ENV === 'development') {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/payment/3ds/initiate:
+ *   post:
+ *     summary: Start a 3D Secure payment
+ *     description: |
+ *       Creates the order in `pending_payment` state and returns the bank's 3D Secure page
+ *       (`htmlContent` to render, or `redirectUrl` to follow). The items are reserved for the
+ *       order and stock is taken after the bank confirms the payment on the callback. Attempts
+ *       that are not completed within THREE_DS_TIMEOUT_MINUTES are cancelled automatically and
+ *       their reservations are released.
+ *     tags: [Payment]
+ *     security:
+ *       - {}
+ *       - customerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per checkout attempt. Retries with the same key and payload replay the original response; a different payload returns 409.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentRequest'
+ *     responses:
+ *       201:
+ *         description: 3D Secure started, order is awaiting payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orderId:
+ *                       type: string
+ *                       format: uuid
+ *                     orderNumber:
+ *                       type: string
+ *                       example: "MYE-1234567890-123"
+ *                     grandTotal:
+ *                       type: number
+ *                       example: 263.16
+ *                     htmlContent:
+ *                       type: string
+ *                       description: HTML form that posts the customer to the bank
+ *                     redirectUrl:
+ *                       type: string
+ *                       nullable: true
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request (missing fields, reservationToken that is not a UUID, unknown product or insufficient stock)
+ *       401:
+ *         description: deliveryAddressId sent without a customer token, or the token has expired
+ *       402:
+ *         description: 3D Secure could not be started for this card; the order is cancelled
+ *       403:
+ *         description: Guest checkout with the email of a deleted customer
+ *       409:
+ *         description: Client totals do not match server-computed totals, or Idempotency-Key conflict
+ *       504:
+ *         description: Payment provider timed out; the order is cancelled
+ *       503:
+ *         description: 3D Secure is disabled because PUBLIC_API_URL is not configured
+ *       500:
+ *         description: Server error
+ */
+router.post('/3ds/initiate', identifyCustomer(pool), idempotency(pool, 'payment_3ds', paymentFingerprint), async (req, res) => {
+  const callbackBaseUrl = getCallbackBaseUrl(req);
+  if (!callbackBaseUrl) {
+    console.error('PUBLIC_API_URL is not set; 3D Secure payments are disabled');
+    return res.status(503).json({
+      success: false,
+      error: '3D Secure payments are not available',
+      errorCode: 'three_ds_unavailable'
+    });
+  }
+  
+  const client = await pool.connect();
+  let order;
+  let card;
+  let pricing;
+  
+  try {
+    await client.query('BEGIN');
+    
+    const checkout = await prepareCheckout(client, req.body, req.customer);
+    if (checkout.failure) {
+      await client.query('ROLLBACK');
+      return res.status(checkout.failure.status).json(checkout.failure.body);
+    }
+    const { deliveryAddress, billing, priceMismatch } = checkout;
+    ({ card, pricing } = checkout);
+    
+    order = await createOrder(client, {
+      body: req.body,
+      customer: req.customer,
+      deliveryAddress,
+      billing,
+      pricing,
+      priceMismatch,
+      status: 'pending_payment',
+      historyNote: 'Sipariş oluşturuldu, 3D Secure ödeme bekleniyor'
+    });
+    
+    // Hold the stock for the order until the bank answers or the attempt expires
+    if (req.body.reservationToken) {
+      await releaseReservations(client, { token: req.body.reservationToken });
+    }
+    const reservation = await reserveStock(client, pricing.items, {
+      orderId: order.id,
+      ttlMinutes: THREE_DS_TIMEOUT_MINUTES
+    });
+    if (reservation.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: reservation.error
+      });
+    }
     
-    // Create payment info (only payment status, NO card data stored)
-    // Security: Card numbers, CVV, expiry dates, and card names are NOT stored for PCI-DSS compliance
-    // Payment info is validated but immediately discarded after processing
     await client.query(`
       INSERT INTO payment_info (
-        order_id, payment_status
+        order_id, payment_status, provider, transaction_id, amount
       )
-      VALUES ($1, $2)
+      VALUES ($1, $2, $3, $4, $5)
     `, [
       order.id,
-      'completed'
+      'pending',
+      paymentProvider.getProviderName(),
+      null,
+      pricing.grandTotal
     ]);
     
-    // Create order items and update stock quantities
-    for (const item of cartItems) {
-      // Parse product_id (can be string or number)
-      const productId = item.id ? parseInt(item.id) : null;
-      
-      // Use currentPrice if available, otherwise fallback to price
-      const productPrice = item.currentPrice || item.price || 0;
-      
-      // Insert order item
-      await client.query(`
-        INSERT INTO order_items (
-          order_id, product_id, product_name, product_price, quantity, product_image
-        )
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        order.id,
-        productId, // product_id as integer
-        item.name,
-        productPrice,
-        item.quantity,
-        item.image || null
-      ]);
-      
-      // Update stock quantity if product_id exists
-      if (productId) {
-        // Get current stock quantity
-        const productResult = await client.query(`
-          SELECT stock_quantity, stock_status 
-          FROM products 
-          WHERE id = $1 AND is_deleted = FALSE
-        `, [productId]);
-        
-        if (productResult.rows.length > 0) {
-          const currentStock = parseInt(productResult.rows[0].stock_quantity) || 0;
-          const orderQuantity = parseInt(item.quantity) || 0;
-          
-          // Check if enough stock available
-          if (currentStock < orderQuantity) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({
-              success: false,
-              error: `Yetersiz stok: ${item.name} için ${currentStock} adet mevcut, ${orderQuantity} adet talep edildi.`
-            });
-          }
-          
-          // Calculate new stock quantity
-          const newStock = currentStock - orderQuantity;
-          
-          // Determine new stock status
-          let newStockStatus = 'in_stock';
-          if (newStock === 0) {
-            newStockStatus = 'out_of_stock';
-          } else if (newStock <= 10) {
-            newStockStatus = 'low_stock';
-          }
-          
-          // Update product stock
-          await client.query(`
-            UPDATE products 
-            SET 
-              stock_quantity = $1,
-              stock_status = $2,
-              updated_at = CURRENT_TIMESTAMP
-            WHERE id = $3 AND is_deleted = FALSE
-          `, [newStock, newStockStatus, item.id]);
-          
-          console.log(`✅ Stok güncellendi: ${item.name} - Eski: ${currentStock}, Yeni: ${newStock}, Durum: ${newStockStatus}`);
-        }
-      }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error starting 3D Secure payment:', err);
+    return res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  } finally {
+    client.release();
+  }
+  
+  try {
+    // Started outside the transaction so no row locks are held while the provider answers
+    const threeDSResult = await paymentProvider.initThreeDS({
+      orderNumber: order.order_number,
+      amount: pricing.grandTotal,
+      currency: 'TRY',
+      card,
+      callbackUrl: `${callbackBaseUrl}/api/payment/3ds/callback`
+    });
+    
+    if (!threeDSResult.success) {
+      // Nothing was charged: cancel the order and give its stock back
+      await settlePendingPayment(order.order_number, threeDSResult, {
+        failedNote: '3D Secure başlatılamadı'
+      });
+      return res.status(threeDSResult.status === 'timeout' ? 504 : 402).json({
+        success: false,
+        error: threeDSResult.errorMessage || '3D Secure başlatılamadı',
+        errorCode: threeDSResult.errorCode
+      });
     }
     
-    // Order status is already set to 'order_received' when created
-    // Status will be updated through the order management system
+    await pool.query(`
+      UPDATE payment_info
+      SET transaction_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE order_id = $2
+    `, [threeDSResult.transactionId, order.id]);
     
-    await client.query('COMMIT');
+    const expiresAt = new Date(new Date(order.created_at).getTime() + THREE_DS_TIMEOUT_MINUTES * 60 * 1000);
     
     res.status(201).json({
       success: true,
-      message: 'Payment processed successfully',
+      message: '3D Secure payment started',
       data: {
         orderId: order.id,
         orderNumber: order.order_number,
-        grandTotal: order.grand_total
+        grandTotal: order.grand_total,
+        htmlContent: threeDSResult.htmlContent || null,
+        redirectUrl: threeDSResult.redirectUrl || null,
+        expiresAt
       }
     });
   } catch (err) {
-    await client.query('ROLLBACK');
-    console.error('Error processing payment:', err);
+    console.error('Error starting 3D Secure payment:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Send the 3D Secure outcome back to the customer's browser
+ * Redirects to PAYMENT_RESULT_URL when configured, otherwise responds with JSON.
+ */
+const sendThreeDSResult = (res, status, { orderNumber, success, error, errorCode, trackingToken }) => {
+  if (process.env.PAYMENT_RESULT_URL) {
+    const params = new URLSearchParams({ orderNumber: orderNumber || '', status: success ? 'success' : 'failed' });
+    if (errorCode) {
+      params.set('errorCode', errorCode);
+    }
+    if (trackingToken) {
+      params.set('trackingToken', trackingToken);
+    }
+    return res.redirect(`${process.env.PAYMENT_RESULT_URL}?${params.toString()}`);
+  }
+  
+  res.status(status).json(success
+    ? { success: true, message: 'Payment processed successfully', data: { orderNumber, trackingToken } }
+    : { success: false, error, errorCode });
+};
+
+/**
+ * @swagger
+ * /api/payment/3ds/callback:
+ *   post:
+ *     summary: 3D Secure bank callback
+ *     description: |
+ *       Called by the bank (through the customer's browser) after 3D Secure authentication.
+ *       Verifies the response with the payment provider, finalizes `payment_info`, takes stock
+ *       and moves the order from `pending_payment` to `order_received`. Failed attempts cancel
+ *       the order. Redirects to PAYMENT_RESULT_URL when it is configured.
+ *     tags: [Payment]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             description: Provider specific callback fields
+ *     responses:
+ *       200:
+ *         description: Payment completed
+ *       302:
+ *         description: Redirect to PAYMENT_RESULT_URL with orderNumber and status
+ *       400:
+ *         description: Callback could not be verified (invalid signature or unknown payment), no order is changed
+ *       402:
+ *         description: 3D Secure authentication or payment failed
+ *       404:
+ *         description: No pending order for this callback
+ *       500:
+ *         description: Server error
+ */
+router.post('/3ds/callback', async (req, res) => {
+  try {
+    const result = await paymentProvider.completeThreeDS(req.body);
+    
+    // Without a verified payment the callback cannot be tied to an order (forged or stale
+    // callback) - leave every order untouched
+    if (!result.orderNumber) {
+      return sendThreeDSResult(res, 400, {
+        success: false,
+        error: result.errorMessage || 'Geçersiz 3D Secure yanıtı',
+        errorCode: result.errorCode || 'invalid_callback'
+      });
+    }
+    const orderNumber = result.orderNumber;
+    
+    const settled = await settlePendingPayment(orderNumber, result, {
+      paidNote: '3D Secure ödeme tamamlandı',
+      failedNote: '3D Secure ödeme başarısız'
+    });
+    
+    if (settled.notFound) {
+      return sendThreeDSResult(res, 404, { orderNumber, success: false, error: 'Order not found', errorCode: 'order_not_found' });
+    }
+    
+    if (settled.notPending) {
+      return sendThreeDSResult(res, settled.alreadyPaid ? 200 : 409, {
+        orderNumber,
+        success: settled.alreadyPaid,
+        error: 'Ödeme süresi dolmuş veya sipariş zaten işlenmiş',
+        errorCode: 'order_not_pending'
+      });
+    }
+    
+    if (!settled.paid) {
+      return sendThreeDSResult(res, 402, {
+        orderNumber,
+        success: false,
+        error: settled.stockError || result.errorMessage || 'Ödeme başarısız',
+        errorCode: settled.stockError ? 'out_of_stock' : result.errorCode
+      });
+    }
+    
+    sendThreeDSResult(res, 200, { orderNumber, success: true, trackingToken: createTrackingToken(settled.order.id) });
+  } catch (err) {
+    console.error('Error completing 3D Secure payment:', err);
     res.status(500).json({ 
       success: false, 
       error: err.message 
     });
-  } finally {
-    client.release();
   }
 });
 
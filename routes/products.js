@@ -1,18 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const {
+  LOW_STOCK_THRESHOLD,
+  OVERRIDE_STOCK_STATUSES,
+  DERIVED_STOCK_STATUSES,
+  effectiveThresholdSql,
+  refreshStockStatus,
+  adjustStock,
+  reconcileStock
+} = require('../services/inventory');
+const { queueStockSubscriptionConfirmation } = require('../services/stockAlerts');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+const { hasPermission } = require('../services/adminUsers');
 require('dotenv').config();
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+router.param('id', uuidParam('Product not found'));
+
+// Stock on hand per warehouse, and total stock not held by checkout reservations
+const STOCK_AVAILABILITY_COLUMNS = `
+  (
+    SELECT COALESCE(json_agg(json_build_object(
+      'warehouse_id', w.id,
+      'code', w.code,
+      'name', w.name,
+      'city', w.city,
+      'quantity', ws.quantity
+    ) ORDER BY w.priority, w.code), '[]'::json)
+    FROM warehouse_stock ws
+    JOIN warehouses w ON w.id = ws.warehouse_id
+    WHERE ws.product_id = p.id AND ws.quantity > 0
+  ) as warehouse_stock,
+  GREATEST(COALESCE(p.stock_quantity, 0) - (
+    SELECT COALESCE(SUM(sr.quantity), 0)
+    FROM stock_reservations sr
+    WHERE sr.product_id = p.id AND sr.status = 'active' AND sr.expires_at > CURRENT_TIMESTAMP
+  ), 0)::integer as available_quantity
+`;
+
+// Validate stockStatus / lowStockThreshold of a create or update request
+const validateStockSettings = ({ stockStatus, lowStockThreshold }) => {
+  if (stockStatus !== undefined && ![...DERIVED_STOCK_STATUSES, ...OVERRIDE_STOCK_STATUSES].includes(stockStatus)) {
+    return `stockStatus must be one of: ${[...DERIVED_STOCK_STATUSES, ...OVERRIDE_STOCK_STATUSES].join(', ')}`;
+  }
+  if (lowStockThreshold !== undefined && lowStockThreshold !== null &&
+      (!Number.isInteger(Number(lowStockThreshold)) || Number(lowStockThreshold) < 0)) {
+    return 'lowStockThreshold must be a non-negative integer or null';
+  }
+  return null;
+};
+
+// in_stock / low_stock / out_of_stock are derived, so only pinned statuses are stored
+const stockStatusOverride = (stockStatus) => OVERRIDE_STOCK_STATUSES.includes(stockStatus) ? stockStatus : null;
+
+// Loose email check; delivery is what really validates it
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 /**
  * @swagger
  * /api/products:
  *   get:
  *     summary: Get all products with search, filter, and pagination
  *     tags: [Products]
+ *     security: []
  *     parameters:
  *       - in: query
  *         name: search
@@ -28,7 +83,7 @@ const pool = new Pool({
  *         name: stockStatus
  *         schema:
  *           type: string
- *           enum: [in_stock, low_stock, out_of_stock]
+ *           enum: [in_stock, low_stock, out_of_stock, discontinued, preorder]
  *         description: Filter by stock status
  *       - in: query
  *         name: minPrice
@@ -63,16 +118,911 @@ const pool = new Pool({
  *         name: sortOrder
  *         schema:
  *           type: string
- *           enum: [ASC, DESC]
- *           default: DESC
- *         description: Sort order
+ *           enum: [ASC, DESC]
+ *           default: DESC
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductListResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const {
+      search,           // Search in name, sku, description
+      brand,            // Filter by brand
+      stockStatus,      // Filter by stock status
+      minPrice,         // Minimum price filter
+      maxPrice,         // Maximum price filter
+      page = 1,         // Page number (default: 1)
+      limit = 10,       // Items per page (default: 10)
+      sortBy = 'created_at', // Sort field (default: created_at)
+      sortOrder = 'DESC'    // Sort order (ASC or DESC)
+    } = req.query;
+
+    // Build WHERE clause
+    const conditions = ['p.is_deleted = FALSE']; // Only get non-deleted products
+    const params = [];
+    let paramIndex = 1;
+
+    // Search filter
+    if (search) {
+      conditions.push(`(
+        p.name ILIKE $${paramIndex} OR 
+        p.sku ILIKE $${paramIndex} OR 
+        p.description ILIKE $${paramIndex}
+      )`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    // Brand filter
+    if (brand) {
+      conditions.push(`p.brand = $${paramIndex}`);
+      params.push(brand);
+      paramIndex++;
+    }
+
+    // Stock status filter
+    if (stockStatus) {
+      conditions.push(`p.stock_status = $${paramIndex}`);
+      params.push(stockStatus);
+      paramIndex++;
+    }
+
+    // Price filters
+    if (minPrice) {
+      conditions.push(`p.current_price >= $${paramIndex}`);
+      params.push(parseFloat(minPrice));
+      paramIndex++;
+    }
+
+    if (maxPrice) {
+      conditions.push(`p.current_price <= $${paramIndex}`);
+      params.push(parseFloat(maxPrice));
+      paramIndex++;
+    }
+
+    const whereClause = conditions.length > 0 
+      ? `WHERE ${conditions.join(' AND ')}`
+      : 'WHERE p.is_deleted = FALSE';
+
+    // Validate sortBy to prevent SQL injection
+    const allowedSortFields = ['created_at', 'updated_at', 'name', 'sku', 'brand', 'current_price', 'stock_quantity'];
+    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
+    const sortDirection = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    // Calculate offset for pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    // Get total count for pagination (only non-deleted products)
+    const countQuery = `
+      SELECT COUNT(DISTINCT p.id) as total
+      FROM products p
+      ${whereClause}
+    `;
+    const countResult = await pool.query(countQuery, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get products with features
+    const productsQuery = `
+      SELECT 
+        p.*,
+        ${STOCK_AVAILABILITY_COLUMNS},
+        COALESCE(
+          json_agg(
+            json_build_object('id', pf.id, 'feature', pf.feature)
+          ) FILTER (WHERE pf.id IS NOT NULL),
+          '[]'
+        ) as features
+      FROM products p
+      LEFT JOIN product_features pf ON p.id = pf.product_id
+      ${whereClause}
+      GROUP BY p.id
+      ORDER BY p.${sortField} ${sortDirection}
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+    
+    params.push(parseInt(limit), offset);
+    const result = await pool.query(productsQuery, params);
+    
+    // Transform features from array of objects to array of strings
+    // Parse JSONB fields (technical_specs, reviews)
+    const products = result.rows.map(product => {
+      // Parse technical_specs if it's a string
+      if (product.technical_specs && typeof product.technical_specs === 'string') {
+        try {
+          product.technical_specs = JSON.parse(product.technical_specs);
+        } catch (e) {
+          product.technical_specs = [];
+        }
+      }
+      
+      // Parse reviews if it's a string
+      if (product.reviews && typeof product.reviews === 'string') {
+        try {
+          product.reviews = JSON.parse(product.reviews);
+        } catch (e) {
+          product.reviews = [];
+        }
+      }
+      
+      return {
+        ...product,
+        features: Array.isArray(product.features) && product.features.length > 0 && product.features[0] !== null
+          ? product.features.map(f => f.feature || f)
+          : []
+      };
+    });
+    
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: products,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching products:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     summary: Report products at or below their low-stock threshold
+ *     description: The threshold is the product's own lowStockThreshold, else its category default, else the LOW_STOCK_THRESHOLD setting. Discontinued and preorder products are left out.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Filter by brand
+ *       - in: query
+ *         name: includeOutOfStock
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Include products with no stock left
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Low-stock products, lowest stock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LowStockProduct'
+ *                 pagination:
+ *                   type: object
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/low-stock', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const {
+      category,
+      brand,
+      includeOutOfStock = 'true',
+      page = 1,
+      limit = 50
+    } = req.query;
+    
+    const conditions = [
+      'p.is_deleted = FALSE',
+      'p.stock_status_override IS NULL',
+      `COALESCE(p.stock_quantity, 0) <= ${effectiveThresholdSql('p')}`
+    ];
+    const params = [];
+    let paramIndex = 1;
+    
+    if (includeOutOfStock === 'false') {
+      conditions.push('p.stock_quantity > 0');
+    }
+    
+    if (category) {
+      conditions.push(`p.category = $${paramIndex}`);
+      params.push(category);
+      paramIndex++;
+    }
+    
+    if (brand) {
+      conditions.push(`p.brand = $${paramIndex}`);
+      params.push(brand);
+      paramIndex++;
+    }
+    
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM products p ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+    
+    const result = await pool.query(`
+      SELECT
+        p.id,
+        p.name,
+        p.sku,
+        p.brand,
+        p.category,
+        p.stock_quantity,
+        p.stock_status,
+        ${effectiveThresholdSql('p')} as low_stock_threshold,
+        CASE
+          WHEN p.low_stock_threshold IS NOT NULL THEN 'product'
+          WHEN EXISTS (SELECT 1 FROM category_stock_thresholds cst WHERE cst.category = p.category) THEN 'category'
+          ELSE 'default'
+        END as threshold_source
+      FROM products p
+      ${whereClause}
+      ORDER BY p.stock_quantity ASC, p.name ASC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, parseInt(limit), offset]);
+    
+    const totalPages = Math.ceil(total / parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching low-stock products:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/stock-thresholds:
+ *   get:
+ *     summary: Get the default and per-category low-stock thresholds
+ *     tags: [Products]
+ *     responses:
+ *       200:
+ *         description: Threshold settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     defaultThreshold:
+ *                       type: integer
+ *                       example: 10
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           low_stock_threshold:
+ *                             type: integer
+ *       500:
+ *         description: Server error
+ */
+router.get('/stock-thresholds', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT category, low_stock_threshold, updated_at
+      FROM category_stock_thresholds
+      ORDER BY category ASC
+    `);
+    
+    res.json({
+      success: true,
+      data: {
+        defaultThreshold: LOW_STOCK_THRESHOLD,
+        categories: result.rows
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching stock thresholds:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/stock-thresholds/categories/{category}:
+ *   put:
+ *     summary: Set the default low-stock threshold of a category
+ *     description: Applies to products of the category without their own threshold. Stock statuses of the category are recomputed.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lowStockThreshold
+ *             properties:
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 example: 20
+ *     responses:
+ *       200:
+ *         description: Threshold saved
+ *       400:
+ *         description: Invalid threshold
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove the low-stock threshold of a category
+ *     description: Products of the category fall back to the global default.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category name
+ *     responses:
+ *       200:
+ *         description: Threshold removed
+ *       404:
+ *         description: No threshold set for this category
+ *       500:
+ *         description: Server error
+ */
+router.put('/stock-thresholds/categories/:category', requirePermission(pool, 'inventory:write'), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { category } = req.params;
+    const threshold = Number(req.body.lowStockThreshold);
+    
+    if (req.body.lowStockThreshold === undefined || req.body.lowStockThreshold === null ||
+        !Number.isInteger(threshold) || threshold < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'lowStockThreshold must be a non-negative integer'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      INSERT INTO category_stock_thresholds (category, low_stock_threshold)
+      VALUES ($1, $2)
+      ON CONFLICT (category) DO UPDATE
+      SET low_stock_threshold = EXCLUDED.low_stock_threshold, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [category, threshold]);
+    
+    await refreshStockStatus(client, { category });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error saving category stock threshold:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+router.delete('/stock-thresholds/categories/:category', requirePermission(pool, 'inventory:write'), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { category } = req.params;
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      DELETE FROM category_stock_thresholds
+      WHERE category = $1
+      RETURNING *
+    `, [category]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'No stock threshold set for this category' });
+    }
+    
+    await refreshStockStatus(client, { category });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, message: 'Category stock threshold removed' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error removing category stock threshold:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/stock-reconciliation:
+ *   get:
+ *     summary: Recompute stock from the movement ledger and report drift
+ *     description: Sums stock_movements per product and bucket and compares the result with stock_quantity and damaged_quantity. A non-zero drift means stock was changed without a ledger entry.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only check this product
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include products without drift
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockReconciliation'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     checked:
+ *                       type: integer
+ *                     drifted:
+ *                       type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/stock-reconciliation', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { productId, all } = req.query;
+    
+    const rows = await reconcileStock(pool, { productId: productId || null });
+    const drifted = rows.filter(row => row.stock_drift !== 0 || row.damaged_drift !== 0);
+    
+    res.json({
+      success: true,
+      data: all === 'true' ? rows : drifted,
+      summary: {
+        checked: rows.length,
+        drifted: drifted.length
+      }
+    });
+  } catch (err) {
+    console.error('Error reconciling stock:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/stock-movements:
+ *   get:
+ *     summary: Get the stock movement history of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product UUID
+ *       - in: query
+ *         name: movementType
+ *         schema:
+ *           type: string
+ *           enum: [sale, restock, return, manual_adjustment, import, transfer]
+ *         description: Filter by movement type
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [sellable, damaged]
+ *         description: Filter by stock bucket
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Stock movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/stock-movements', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      movementType,
+      bucket,
+      page = 1,
+      limit = 20
+    } = req.query;
+    
+    const productResult = await pool.query(
+      'SELECT id FROM products WHERE id = $1',
+      [id]
+    );
+    
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    const conditions = ['product_id = $1'];
+    const params = [id];
+    let paramIndex = 2;
+    
+    if (movementType) {
+      conditions.push(`movement_type = $${paramIndex}`);
+      params.push(movementType);
+      paramIndex++;
+    }
+    
+    if (bucket) {
+      conditions.push(`bucket = $${paramIndex}`);
+      params.push(bucket);
+      paramIndex++;
+    }
+    
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM stock_movements ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+    
+    const result = await pool.query(`
+      SELECT *
+      FROM stock_movements
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, parseInt(limit), offset]);
+    
+    const totalPages = Math.ceil(total / parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching stock movements:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/stock-subscriptions:
+ *   post:
+ *     summary: Ask to be notified when an out-of-stock product is back in stock
+ *     description: The response is the same whether or not the email was already subscribed, and never contains the unsubscribe token; that only travels in the confirmation email sent to new subscribers (a link to STOCK_UNSUBSCRIBE_URL when set). Subscribers are notified once, when stock goes from 0 to positive.
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Subscribed (also returned when the email already was)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid email or product is in stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List back-in-stock subscriptions of a product (admin)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Product UUID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, notified, cancelled]
+ *         description: Filter by subscription status
+ *     responses:
+ *       200:
+ *         description: Subscriptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockSubscription'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/stock-subscriptions', async (req, res) => {
+  const { id } = req.params;
+  const { email, name } = req.body;
+  
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ success: false, error: 'A valid email is required' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const productResult = await client.query(
+      'SELECT id, stock_quantity, stock_status FROM products WHERE id = $1 AND is_deleted = FALSE',
+      [id]
+    );
+    
+    if (productResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    const product = productResult.rows[0];
+    if (product.stock_status === 'discontinued') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Product is discontinued' });
+    }
+    if (product.stock_quantity > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Product is in stock' });
+    }
+    
+    // An active subscription for the email already exists when nothing is inserted; the
+    // response is the same either way so it does not reveal who is subscribed
+    const insertResult = await client.query(`
+      INSERT INTO stock_subscriptions (product_id, email, name)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING id, email
+    `, [id, email.trim(), name || null]);
+    
+    // The unsubscribe token only reaches the subscriber through this email
+    if (insertResult.rows.length > 0) {
+      await queueStockSubscriptionConfirmation(client, insertResult.rows[0]);
+    }
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      message: 'You will be notified by email when the product is back in stock'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating stock subscription:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+router.get('/:id/stock-subscriptions', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+    
+    const params = [id];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = 'AND status = $2';
+    }
+    
+    const result = await pool.query(`
+      SELECT id, product_id, email, name, status, created_at, notified_at
+      FROM stock_subscriptions
+      WHERE product_id = $1 ${statusFilter}
+      ORDER BY created_at DESC
+    `, params);
+    
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching stock subscriptions:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/stock-subscriptions/{token}:
+ *   delete:
+ *     summary: Cancel a back-in-stock subscription
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Token returned when subscribing
  *     responses:
  *       200:
- *         description: Successful response
+ *         description: Subscription cancelled
+ *       404:
+ *         description: No active subscription for this token
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ProductListResponse'
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
@@ -80,151 +1030,24 @@ const pool = new Pool({
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', async (req, res) => {
+router.delete('/stock-subscriptions/:token', async (req, res) => {
   try {
-    const {
-      search,           // Search in name, sku, description
-      brand,            // Filter by brand
-      stockStatus,      // Filter by stock status
-      minPrice,         // Minimum price filter
-      maxPrice,         // Maximum price filter
-      page = 1,         // Page number (default: 1)
-      limit = 10,       // Items per page (default: 10)
-      sortBy = 'created_at', // Sort field (default: created_at)
-      sortOrder = 'DESC'    // Sort order (ASC or DESC)
-    } = req.query;
-
-    // Build WHERE clause
-    const conditions = ['p.is_deleted = FALSE']; // Only get non-deleted products
-    const params = [];
-    let paramIndex = 1;
-
-    // Search filter
-    if (search) {
-      conditions.push(`(
-        p.name ILIKE $${paramIndex} OR 
-        p.sku ILIKE $${paramIndex} OR 
-        p.description ILIKE $${paramIndex}
-      )`);
-      params.push(`%${search}%`);
-      paramIndex++;
-    }
-
-    // Brand filter
-    if (brand) {
-      conditions.push(`p.brand = $${paramIndex}`);
-      params.push(brand);
-      paramIndex++;
-    }
-
-    // Stock status filter
-    if (stockStatus) {
-      conditions.push(`p.stock_status = $${paramIndex}`);
-      params.push(stockStatus);
-      paramIndex++;
-    }
-
-    // Price filters
-    if (minPrice) {
-      conditions.push(`p.current_price >= $${paramIndex}`);
-      params.push(parseFloat(minPrice));
-      paramIndex++;
-    }
-
-    if (maxPrice) {
-      conditions.push(`p.current_price <= $${paramIndex}`);
-      params.push(parseFloat(maxPrice));
-      paramIndex++;
-    }
-
-    const whereClause = conditions.length > 0 
-      ? `WHERE ${conditions.join(' AND ')}`
-      : 'WHERE p.is_deleted = FALSE';
-
-    // Validate sortBy to prevent SQL injection
-    const allowedSortFields = ['created_at', 'updated_at', 'name', 'sku', 'brand', 'current_price', 'stock_quantity'];
-    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-    const sortDirection = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
-    // Calculate offset for pagination
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    // Get total count for pagination (only non-deleted products)
-    const countQuery = `
-      SELECT COUNT(DISTINCT p.id) as total
-      FROM products p
-      ${whereClause}
-    `;
-    const countResult = await pool.query(countQuery, params);
-    const total = parseInt(countResult.rows[0].total);
-
-    // Get products with features
-    const productsQuery = `
-      SELECT 
-        p.*,
-        COALESCE(
-          json_agg(
-            json_build_object('id', pf.id, 'feature', pf.feature)
-          ) FILTER (WHERE pf.id IS NOT NULL),
-          '[]'
-        ) as features
-      FROM products p
-      LEFT JOIN product_features pf ON p.id = pf.product_id
-      ${whereClause}
-      GROUP BY p.id
-      ORDER BY p.${sortField} ${sortDirection}
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
-    
-    params.push(parseInt(limit), offset);
-    const result = await pool.query(productsQuery, params);
+    const { token } = req.params;
     
-    // Transform features from array of objects to array of strings
-    // Parse JSONB fields (technical_specs, reviews)
-    const products = result.rows.map(product => {
-      // Parse technical_specs if it's a string
-      if (product.technical_specs && typeof product.technical_specs === 'string') {
-        try {
-          product.technical_specs = JSON.parse(product.technical_specs);
-        } catch (e) {
-          product.technical_specs = [];
-        }
-      }
-      
-      // Parse reviews if it's a string
-      if (product.reviews && typeof product.reviews === 'string') {
-        try {
-          product.reviews = JSON.parse(product.reviews);
-        } catch (e) {
-          product.reviews = [];
-        }
-      }
-      
-      return {
-        ...product,
-        features: Array.isArray(product.features) && product.features.length > 0 && product.features[0] !== null
-          ? product.features.map(f => f.feature || f)
-          : []
-      };
-    });
+    const result = await pool.query(`
+      UPDATE stock_subscriptions
+      SET status = 'cancelled'
+      WHERE token::text = $1 AND status = 'active'
+      RETURNING id
+    `, [token]);
     
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'No active subscription for this token' });
+    }
     
-    res.json({
-      success: true,
-      data: products,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages,
-        hasNextPage: parseInt(page) < totalPages,
-        hasPrevPage: parseInt(page) > 1
-      }
-    });
+    res.json({ success: true, message: 'Subscription cancelled' });
   } catch (err) {
-    console.error('Error fetching products:', err);
+    console.error('Error cancelling stock subscription:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -235,6 +1058,7 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get a single product by ID
  *     tags: [Products]
+ *     security: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -269,6 +1093,7 @@ router.get('/:id', async (req, res) => {
     const productResult = await pool.query(`
       SELECT 
         p.*,
+        ${STOCK_AVAILABILITY_COLUMNS},
         COALESCE(
           json_agg(DISTINCT pf.feature) FILTER (WHERE pf.feature IS NOT NULL),
           '[]'::json
@@ -347,11 +1172,20 @@ router.get('/:id', async (req, res) => {
  *                 example: 450.00
  *               stockStatus:
  *                 type: string
- *                 enum: [in_stock, low_stock, out_of_stock]
- *                 default: in_stock
+ *                 enum: [in_stock, low_stock, out_of_stock, discontinued, preorder]
+ *                 description: discontinued and preorder pin the status; any other value is replaced by the status derived from stockQuantity
  *               stockQuantity:
  *                 type: integer
  *                 default: 0
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Low-stock threshold for this product; null uses the category default
+ *                 example: 5
+ *               warehouseId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Warehouse that receives the opening stock (default warehouse if omitted)
  *               features:
  *                 type: array
  *                 items:
@@ -382,7 +1216,7 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(pool, 'catalog:write'), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -398,6 +1232,8 @@ router.post('/', async (req, res) => {
       currentPrice,
       stockStatus,
       stockQuantity,
+      lowStockThreshold = null,
+      warehouseId,
       rating = 0,
       reviewCount = 0,
       features = [],
@@ -417,6 +1253,24 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const stockSettingsError = validateStockSettings({ stockStatus, lowStockThreshold });
+    if (stockSettingsError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: stockSettingsError
+      });
+    }
+    
+    const openingStock = Number(stockQuantity || 0);
+    if (!Number.isInteger(openingStock) || openingStock < 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'stockQuantity must be a non-negative integer'
+      });
+    }
+    
     // Check if SKU already exists (only for non-deleted products)
     const existingProduct = await client.query(
       'SELECT id FROM products WHERE sku = $1 AND is_deleted = FALSE',
@@ -436,10 +1290,11 @@ router.post('/', async (req, res) => {
       INSERT INTO products (
         name, sku, brand, category, description, 
         original_price, current_price, 
-        stock_status, stock_quantity, images,
+        stock_status, stock_status_override, low_stock_threshold,
+        stock_quantity, images,
         rating, review_count, technical_specs, reviews
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
       RETURNING *
     `, [
       name,
@@ -450,7 +1305,9 @@ router.post('/', async (req, res) => {
       originalPrice,
       currentPrice,
       stockStatus || 'in_stock',
-      stockQuantity || 0,
+      stockStatusOverride(stockStatus),
+      lowStockThreshold,
+      0, // Opening stock is booked below so it lands in a warehouse and the ledger
       images && images.length > 0 ? images : null,
       rating || 0,
       reviewCount || 0,
@@ -458,7 +1315,31 @@ router.post('/', async (req, res) => {
       reviews && reviews.length > 0 ? JSON.stringify(reviews) : null
     ]);
     
-    const product = productResult.rows[0];
+    let product = productResult.rows[0];
+    
+    // Opening stock goes into the ledger as an import
+    if (openingStock > 0) {
+      const stockResult = await adjustStock(client, {
+        productId: product.id,
+        quantityChange: openingStock,
+        movementType: 'import',
+        warehouseId: warehouseId || null,
+        referenceType: 'product',
+        referenceId: product.id,
+        actor: req.user.email,
+        notes: 'Initial stock'
+      });
+      if (stockResult.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: stockResult.error
+        });
+      }
+    }
+    
+    await refreshStockStatus(client, { productId: product.id });
+    product = (await client.query('SELECT * FROM products WHERE id = $1', [product.id])).rows[0];
     
     // Insert features if any
     if (features && features.length > 0) {
@@ -558,9 +1439,23 @@ router.post('/', async (req, res) => {
  *                 type: number
  *               stockStatus:
  *                 type: string
- *                 enum: [in_stock, low_stock, out_of_stock]
+ *                 enum: [in_stock, low_stock, out_of_stock, discontinued, preorder]
+ *                 description: discontinued and preorder pin the status; any other value clears the pin so the status follows stockQuantity again
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Low-stock threshold for this product; null uses the category default
  *               stockQuantity:
  *                 type: integer
+ *                 description: New stock count; the difference is recorded as a manual_adjustment stock movement. Requires the inventory:write permission.
+ *               stockAdjustmentNote:
+ *                 type: string
+ *                 description: Reason for the stock adjustment, stored on the stock movement
+ *                 example: Sayım farkı
+ *               warehouseId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Warehouse the stockQuantity difference is booked to (default warehouse if omitted). Use /api/warehouses for per-warehouse counts.
  *               features:
  *                 type: array
  *                 items:
@@ -576,6 +1471,12 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ProductResponse'
+ *       403:
+ *         description: Role lacks catalog:write, or stockQuantity was sent without inventory:write
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Product not found
  *         content:
@@ -589,7 +1490,7 @@ router.post('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(pool, 'catalog:write'), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -606,12 +1507,15 @@ router.put('/:id', async (req, res) => {
       currentPrice,
       stockStatus,
       stockQuantity,
+      lowStockThreshold,
       rating,
       reviewCount,
       features = [],
       technicalSpecs,
       reviews,
       images = [],
+      stockAdjustmentNote,
+      warehouseId,
       is_deleted, // Extract but don't use - only for validation
       ...rest // Ignore any other fields
     } = req.body;
@@ -621,6 +1525,24 @@ router.put('/:id', async (req, res) => {
       console.warn('Warning: is_deleted field cannot be updated via PUT endpoint. Use DELETE endpoint instead.');
     }
     
+    // Catalog editors may change product details, but stock counts belong to inventory
+    if (stockQuantity !== undefined && !hasPermission(req.user.role, 'inventory:write')) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: `Role "${req.user.role}" does not have the "inventory:write" permission needed to change stockQuantity`
+      });
+    }
+    
+    const stockSettingsError = validateStockSettings({ stockStatus, lowStockThreshold });
+    if (stockSettingsError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: stockSettingsError
+      });
+    }
+    
     console.log('Update - Received images:', images);
     console.log('Update - Images type:', typeof images, 'Is array:', Array.isArray(images));
     
@@ -690,13 +1612,13 @@ router.put('/:id', async (req, res) => {
       paramIndex++;
     }
     if (stockStatus !== undefined) {
-      updateFields.push(`stock_status = $${paramIndex}`);
-      updateValues.push(stockStatus);
+      updateFields.push(`stock_status_override = $${paramIndex}`);
+      updateValues.push(stockStatusOverride(stockStatus));
       paramIndex++;
     }
-    if (stockQuantity !== undefined) {
-      updateFields.push(`stock_quantity = $${paramIndex}::integer`);
-      updateValues.push(stockQuantity);
+    if (lowStockThreshold !== undefined) {
+      updateFields.push(`low_stock_threshold = $${paramIndex}::integer`);
+      updateValues.push(lowStockThreshold);
       paramIndex++;
     }
     if (images !== undefined) {
@@ -737,7 +1659,7 @@ router.put('/:id', async (req, res) => {
     // Add WHERE clause
     updateValues.push(id);
     
-    if (updateFields.length === 1) {
+    if (updateFields.length === 1 && stockQuantity === undefined) {
       // Only updated_at, no fields to update
       await client.query('ROLLBACK');
       return res.status(400).json({
@@ -746,6 +1668,44 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Stock quantity changes are booked through the ledger as a manual adjustment
+    if (stockQuantity !== undefined) {
+      const newQuantity = Number(stockQuantity);
+      if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'stockQuantity must be a non-negative integer'
+        });
+      }
+      
+      const currentResult = await client.query(
+        'SELECT stock_quantity FROM products WHERE id = $1 AND is_deleted = FALSE FOR UPDATE',
+        [id]
+      );
+      const currentQuantity = currentResult.rows.length > 0 ? (parseInt(currentResult.rows[0].stock_quantity) || 0) : null;
+      
+      if (currentQuantity !== null && currentQuantity !== newQuantity) {
+        const stockResult = await adjustStock(client, {
+          productId: id,
+          quantityChange: newQuantity - currentQuantity,
+          movementType: 'manual_adjustment',
+          warehouseId: warehouseId || null,
+          referenceType: 'product',
+          referenceId: id,
+          actor: req.user.email,
+          notes: stockAdjustmentNote || null
+        });
+        if (stockResult.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            error: stockResult.error
+          });
+        }
+      }
+    }
+    
     const productResult = await client.query(`
       UPDATE products
       SET ${updateFields.join(', ')}
@@ -758,6 +1718,10 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Product not found or deleted' });
     }
     
+    // Status may depend on the new override, threshold or category
+    await refreshStockStatus(client, { productId: id });
+    const refreshedResult = await client.query('SELECT * FROM products WHERE id = $1', [id]);
+    
     // Update features only if features array is provided
     if (features !== undefined) {
       // Delete old features
@@ -787,7 +1751,7 @@ router.put('/:id', async (req, res) => {
     );
     
     const product = {
-      ...productResult.rows[0],
+      ...refreshedResult.rows[0],
       features: featuresResult.rows.map(row => row.feature)
     };
     
@@ -859,7 +1823,7 @@ router.put('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(pool, 'catalog:write'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -0,0 +1,541 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const {
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  RETURN_WINDOW_DAYS,
+  getReturn,
+  listReturns,
+  createReturnRequest,
+  decideReturn,
+  cancelReturn,
+  receiveReturn
+} = require('../services/returns');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+router.param('id', uuidParam('Return request not found'));
+
+/**
+ * Run a return action on the request locked FOR UPDATE in its own transaction
+ * action(client, returnRow) returns { error } or a result passed to respond(result)
+ */
+const runReturnAction = async (req, res, action, respond) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const returnResult = await client.query('SELECT * FROM return_requests WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (returnResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Return request not found' });
+    }
+
+    const result = await action(client, returnResult.rows[0]);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+    if (result.statusChange) {
+      await result.statusChange.afterCommit();
+    }
+
+    res.json(respond(result));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating return request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @swagger
+ * /api/returns/reasons:
+ *   get:
+ *     summary: List return reasons and the customer return window
+ *     tags: [Returns]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Reason codes and return window in days
+ */
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: RETURN_REASONS,
+    returnWindowDays: RETURN_WINDOW_DAYS
+  });
+});
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: List return requests (admin)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, completed, cancelled]
+ *       - in: query
+ *         name: orderNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Return requests, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnRequest'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Server error
+ */
+router.get('/', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { status, orderNumber, page = 1, limit = 20 } = req.query;
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${RETURN_STATUSES.join(', ')}`
+      });
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { returns, total } = await listReturns(pool, {
+      status,
+      orderNumber,
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: returns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching return requests:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Open a return request as a customer
+ *     description: |
+ *       The order is identified by its number and the customer's email. Returns can be
+ *       opened for shipped or completed orders, within the return window after delivery.
+ *       Admins open returns with POST /api/orders/{id}/returns.
+ *     tags: [Returns]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderNumber
+ *               - email
+ *               - reason
+ *               - items
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *                 example: MYE-1234567890-123
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               reason:
+ *                 type: string
+ *                 enum: [defective, damaged_in_shipping, wrong_item, not_as_described, changed_mind, other]
+ *               notes:
+ *                 type: string
+ *                 example: Armatürün biri çalışmıyor
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *     responses:
+ *       201:
+ *         description: Return request opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Invalid reason or items, order not returnable or return window passed
+ *       404:
+ *         description: No order with this number and email
+ *       500:
+ *         description: Server error
+ */
+router.post('/', async (req, res) => {
+  const { orderNumber, email, reason, notes, items } = req.body;
+
+  if (!orderNumber || !email) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: orderNumber, email'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Same answer for a wrong number and a wrong email, so orders cannot be probed
+    const orderResult = await client.query(`
+      SELECT o.*
+      FROM orders o
+      JOIN users u ON u.id = o.user_id
+      WHERE o.order_number = $1 AND LOWER(u.email) = LOWER($2)
+      FOR UPDATE OF o
+    `, [orderNumber, String(email).trim()]);
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const result = await createReturnRequest(client, orderResult.rows[0], {
+      items,
+      reason,
+      notes,
+      openedBy: 'customer',
+      createdBy: String(email).trim().toLowerCase()
+    });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, data: result.returnRequest });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating return request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return request
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Return request with its lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       404:
+ *         description: Return request not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const returnRequest = await getReturn(pool, req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ success: false, error: 'Return request not found' });
+    }
+
+    res.json({ success: true, data: returnRequest });
+  } catch (err) {
+    console.error('Error fetching return request:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   post:
+ *     summary: Approve a requested return
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: Kargo kodu müşteriye iletildi
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       400:
+ *         description: Return is not in status requested
+ *       404:
+ *         description: Return request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/approve', requirePermission(pool, 'returns:decide'), (req, res) => runReturnAction(
+  req,
+  res,
+  (client, returnRow) => decideReturn(client, returnRow, {
+    approve: true,
+    notes: req.body && req.body.notes,
+    actor: req.user.email
+  }),
+  (result) => ({ success: true, data: result.returnRequest })
+));
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   post:
+ *     summary: Reject a requested return
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Why the return was rejected
+ *                 example: İade süresi dolmuş
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: Missing notes or return is not in status requested
+ *       404:
+ *         description: Return request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reject', requirePermission(pool, 'returns:decide'), (req, res) => runReturnAction(
+  req,
+  res,
+  (client, returnRow) => decideReturn(client, returnRow, {
+    approve: false,
+    notes: req.body && req.body.notes,
+    actor: req.user.email
+  }),
+  (result) => ({ success: true, data: result.returnRequest })
+));
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   post:
+ *     summary: Receive and inspect the goods of an approved return
+ *     description: |
+ *       Intact units go back to sellable stock, damaged units to the damaged bucket, and
+ *       the refund due is computed with KDV. Lines left out of items are received in full
+ *       and intact. Once every unit of the order is back, the order moves to "returned".
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     receivedQuantity:
+ *                       type: integer
+ *                       description: Defaults to the requested quantity
+ *                     damagedQuantity:
+ *                       type: integer
+ *                       default: 0
+ *     responses:
+ *       200:
+ *         description: Return completed, with stock movements and the order status
+ *       400:
+ *         description: Return not approved or invalid quantities
+ *       404:
+ *         description: Return request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/receive', requirePermission(pool, 'returns:receive'), (req, res) => {
+  const { items, notes } = req.body || {};
+
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ success: false, error: 'items must be an array' });
+  }
+
+  return runReturnAction(
+    req,
+    res,
+    async (client, returnRow) => {
+      const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [returnRow.order_id]);
+      return receiveReturn(client, returnRow, orderResult.rows[0], {
+        items,
+        notes,
+        actor: req.user.email
+      });
+    },
+    (result) => ({
+      success: true,
+      data: result.returnRequest,
+      stockMovements: result.stockMovements,
+      orderStatus: result.orderStatus
+    })
+  );
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a return that has not been received
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return cancelled
+ *       400:
+ *         description: Return already received, rejected or cancelled
+ *       404:
+ *         description: Return request not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', requirePermission(pool, 'returns:decide'), (req, res) => runReturnAction(
+  req,
+  res,
+  (client, returnRow) => cancelReturn(client, returnRow, {
+    notes: req.body && req.body.notes,
+    actor: req.user.email
+  }),
+  (result) => ({ success: true, data: result.returnRequest })
+));
+
+module.exports = router;
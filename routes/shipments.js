@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const {
+  CARRIERS,
+  SHIPMENT_STATUSES,
+  ACTIVE_SHIPMENT_STATUSES,
+  getProviderName,
+  isTrackable
+} = require('../services/shipping');
+const {
+  getShipment,
+  listShipments,
+  cancelShipment,
+  refreshShipment
+} = require('../services/shipments');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+router.param('id', uuidParam('Shipment not found'));
+
+/**
+ * @swagger
+ * /api/shipments/carriers:
+ *   get:
+ *     summary: List supported cargo carriers
+ *     tags: [Shipments]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Carrier codes and names, and the active tracking provider
+ */
+router.get('/carriers', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(CARRIERS).map(([code, carrier]) => ({
+      code,
+      name: carrier.name,
+      trackable: isTrackable(code)
+    })),
+    provider: getProviderName()
+  });
+});
+
+/**
+ * @swagger
+ * /api/shipments:
+ *   get:
+ *     summary: List shipments (admin)
+ *     tags: [Shipments]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [shipped, in_transit, out_for_delivery, delivered, failed, cancelled]
+ *       - in: query
+ *         name: carrier
+ *         schema:
+ *           type: string
+ *           enum: [yurtici, aras, mng, ptt, other]
+ *       - in: query
+ *         name: orderNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Shipments, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shipment'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Server error
+ */
+router.get('/', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { status, carrier, orderNumber, page = 1, limit = 20 } = req.query;
+
+    if (status && !SHIPMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${SHIPMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { shipments, total } = await listShipments(pool, {
+      status,
+      carrier,
+      orderNumber,
+      limit: parseInt(limit),
+      offset
+    });
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: shipments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching shipments:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipments/{id}:
+ *   get:
+ *     summary: Get a shipment
+ *     tags: [Shipments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shipment with its items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Shipment'
+ *       404:
+ *         description: Shipment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const shipment = await getShipment(pool, req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ success: false, error: 'Shipment not found' });
+    }
+
+    res.json({ success: true, data: shipment });
+  } catch (err) {
+    console.error('Error fetching shipment:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipments/{id}/track:
+ *   post:
+ *     summary: Poll the carrier for this shipment now
+ *     description: Same as the background tracking job; completes the order when everything is delivered.
+ *     tags: [Shipments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Updated shipment, and whether the order was completed
+ *       400:
+ *         description: Shipment is not being tracked (delivered, failed, cancelled or carrier "other")
+ *       404:
+ *         description: Shipment not found
+ *       502:
+ *         description: Carrier tracking failed
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/track', requirePermission(pool, 'orders:status'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM shipments WHERE id = $1', [req.params.id]);
+    const shipment = result.rows[0];
+    if (!shipment) {
+      return res.status(404).json({ success: false, error: 'Shipment not found' });
+    }
+
+    if (!ACTIVE_SHIPMENT_STATUSES.includes(shipment.status) || !isTrackable(shipment.carrier)) {
+      return res.status(400).json({
+        success: false,
+        error: `Shipment in status "${shipment.status}" with carrier "${shipment.carrier}" is not tracked`
+      });
+    }
+
+    const refresh = await refreshShipment(pool, shipment);
+    if (refresh.error) {
+      return res.status(502).json({ success: false, error: refresh.error });
+    }
+
+    res.json({
+      success: true,
+      data: refresh.shipment,
+      orderCompleted: refresh.orderCompleted
+    });
+  } catch (err) {
+    console.error('Error tracking shipment:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipments/{id}/cancel:
+ *   post:
+ *     summary: Cancel a shipment that has not been delivered
+ *     description: Its items become shippable again. The order status is not changed.
+ *     tags: [Shipments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shipment cancelled
+ *       400:
+ *         description: Shipment already delivered, failed or cancelled
+ *       404:
+ *         description: Shipment not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', requirePermission(pool, 'orders:status'), async (req, res) => {
+  try {
+    const result = await cancelShipment(pool, req.params.id);
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.shipment });
+  } catch (err) {
+    console.error('Error cancelling shipment:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
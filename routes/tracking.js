@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const {
+  findOrderByNumberAndEmail,
+  findOrderByToken,
+  getOrderTracking
+} = require('../services/orderTracking');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+/**
+ * @swagger
+ * /api/tracking:
+ *   post:
+ *     summary: Track an order with its number and email (public)
+ *     description: |
+ *       For customers. A wrong order number and a wrong email both answer 404, so
+ *       orders cannot be probed. Only customer-safe fields are returned.
+ *     tags: [Tracking]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderNumber
+ *               - email
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *                 example: "MYE-1234567890-123"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Order tracking view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OrderTracking'
+ *       400:
+ *         description: Missing order number or email
+ *       404:
+ *         description: No order with this number and email
+ *       500:
+ *         description: Server error
+ */
+router.post('/', async (req, res) => {
+  const { orderNumber, email } = req.body || {};
+
+  if (!orderNumber || !email) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: orderNumber, email'
+    });
+  }
+
+  try {
+    const order = await findOrderByNumberAndEmail(pool, orderNumber, email);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    res.json({ success: true, data: await getOrderTracking(pool, order) });
+  } catch (err) {
+    console.error('Error tracking order:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tracking/{token}:
+ *   get:
+ *     summary: Track an order with the signed token from the confirmation email (public)
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order tracking view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OrderTracking'
+ *       404:
+ *         description: Invalid token or order no longer exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const order = await findOrderByToken(pool, req.params.token);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    res.json({ success: true, data: await getOrderTracking(pool, order) });
+  } catch (err) {
+    console.error('Error tracking order:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
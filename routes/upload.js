@@ -3,6 +3,13 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const router = express.Router();
+const { Pool } = require('pg');
+const { requirePermission } = require('../middleware/auth');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -85,7 +92,7 @@ const upload = multer({
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/single', upload.single('image'), (req, res) => {
+router.post('/single', requirePermission(pool, 'catalog:write'), upload.single('image'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -164,7 +171,7 @@ router.post('/single', upload.single('image'), (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/multiple', upload.array('images', 10), (req, res) => {
+router.post('/multiple', requirePermission(pool, 'catalog:write'), upload.array('images', 10), (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -234,7 +241,7 @@ router.post('/multiple', upload.array('images', 10), (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:filename', (req, res) => {
+router.delete('/:filename', requirePermission(pool, 'catalog:write'), (req, res) => {
   try {
     const { filename } = req.params;
     const filePath = path.join(uploadsDir, filename);
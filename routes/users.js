@@ -0,0 +1,503 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const {
+  CUSTOMER_RECORD_COLUMNS,
+  CUSTOMER_STATS_JOIN,
+  getCustomerRecord,
+  updateCustomerRecord,
+  mergeCustomers,
+  deleteCustomer
+} = require('../services/customers');
+const { listAddresses } = require('../services/customerAddresses');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+router.param('id', uuidParam('Customer not found'));
+
+const RECENT_ORDERS_LIMIT = 10;
+
+// sortBy value -> ORDER BY expression
+const SORT_FIELDS = {
+  created_at: 'u.created_at',
+  updated_at: 'u.updated_at',
+  last_name: 'u.last_name',
+  email: 'u.email',
+  order_count: '"orderCount"',
+  lifetime_spend: '"lifetimeSpend"',
+  last_order_at: 'stats.last_order_at'
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Get customers with search, filters and pagination
+ *     description: |
+ *       Guest records created by checkout and registered accounts are both listed, each with
+ *       its order count and lifetime spend (paid amounts less refunds). Deleted and merged
+ *       customers are left out unless includeDeleted is true.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the name, email or phone (phone digits match regardless of spacing)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filter by exact email (case-insensitive)
+ *       - in: query
+ *         name: registered
+ *         schema:
+ *           type: boolean
+ *         description: true for accounts with a password, false for guest records
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, last_name, email, order_count, lifetime_spend, last_order_at]
+ *           default: created_at
+ *         description: Sort field
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *           default: DESC
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerRecord'
+ *                 pagination:
+ *                   type: object
+ *       500:
+ *         description: Server error
+ */
+router.get('/', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const {
+      search,
+      email,
+      registered,
+      includeDeleted,
+      page = 1,
+      limit = 10,
+      sortBy = 'created_at',
+      sortOrder = 'DESC'
+    } = req.query;
+
+    // Build WHERE clause
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (includeDeleted !== 'true') {
+      conditions.push('u.is_deleted = FALSE');
+    }
+
+    if (search && search.trim()) {
+      const pattern = `%${search.trim().replace(/[\\%_]/g, '\\$&')}%`;
+      const searchConditions = [
+        `(u.first_name || ' ' || u.last_name) ILIKE $${paramIndex}`,
+        `u.email ILIKE $${paramIndex}`,
+        `u.phone ILIKE $${paramIndex}`
+      ];
+      params.push(pattern);
+      paramIndex++;
+
+      // "0555 123" finds phones stored as "05551234567" and the other way round
+      const digits = search.replace(/\D/g, '');
+      if (digits.length >= 3) {
+        searchConditions.push(`regexp_replace(u.phone, '\\D', '', 'g') LIKE $${paramIndex}`);
+        params.push(`%${digits}%`);
+        paramIndex++;
+      }
+
+      conditions.push(`(${searchConditions.join(' OR ')})`);
+    }
+
+    if (email) {
+      conditions.push(`LOWER(u.email) = LOWER($${paramIndex})`);
+      params.push(email);
+      paramIndex++;
+    }
+
+    if (registered === 'true' || registered === 'false') {
+      conditions.push(registered === 'true' ? 'u.password_hash IS NOT NULL' : 'u.password_hash IS NULL');
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    // Validate sortBy
+    const sortField = SORT_FIELDS[sortBy] || SORT_FIELDS.created_at;
+    const sortDirection = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    // Calculate offset
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    // Get total count
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM users u
+      ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get customers
+    params.push(parseInt(limit), offset);
+    const result = await pool.query(`
+      SELECT ${CUSTOMER_RECORD_COLUMNS}
+      FROM users u
+      ${CUSTOMER_STATS_JOIN}
+      ${whereClause}
+      ORDER BY ${sortField} ${sortDirection} NULLS LAST, u.id
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, params);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching customers:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a customer with saved addresses and recent orders
+ *     description: Deleted and merged customers can still be viewed.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Customer, addresses and the latest orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CustomerRecord'
+ *                     - type: object
+ *                       properties:
+ *                         addresses:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/CustomerAddress'
+ *                         recentOrders:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const customer = await getCustomerRecord(pool, req.params.id);
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'Customer not found' });
+    }
+
+    const ordersResult = await pool.query(`
+      SELECT
+        id,
+        order_number as "orderNumber",
+        status,
+        grand_total as "grandTotal",
+        created_at as "createdAt"
+      FROM orders
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [customer.id, RECENT_ORDERS_LIMIT]);
+
+    res.json({
+      success: true,
+      data: {
+        ...customer,
+        addresses: await listAddresses(pool, customer.id),
+        recentOrders: ordersResult.rows
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     summary: Edit a customer
+ *     description: |
+ *       A changed email is no longer verified, so a registered customer is signed out until
+ *       they verify the new address.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               smsOptIn:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       400:
+ *         description: Invalid email, empty name or phone, or smsOptIn is not a boolean
+ *       403:
+ *         description: Requires the customers:write permission
+ *       404:
+ *         description: Customer not found or deleted
+ *       409:
+ *         description: Another customer already uses the email
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requirePermission(pool, 'customers:write'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { firstName, lastName, email, phone, smsOptIn } = req.body || {};
+    const result = await updateCustomerRecord(client, req.params.id, { firstName, lastName, email, phone, smsOptIn });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      const status = result.notFound ? 404 : result.conflict ? 409 : 400;
+      return res.status(status).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, data: result.customer });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate customer into this one
+ *     description: |
+ *       The duplicate's orders and saved addresses move to this customer, whose details,
+ *       password and default addresses are kept. The duplicate is soft deleted and later
+ *       guest orders with its email go to this customer.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Customer to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateId
+ *             properties:
+ *               duplicateId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Customers merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomerRecord'
+ *                 movedOrders:
+ *                   type: integer
+ *                 movedAddresses:
+ *                   type: integer
+ *       400:
+ *         description: Missing duplicateId or the same customer twice
+ *       403:
+ *         description: Requires the customers:write permission
+ *       404:
+ *         description: Either customer not found or already deleted
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/merge', requirePermission(pool, 'customers:write'), async (req, res) => {
+  const { duplicateId } = req.body || {};
+
+  if (!duplicateId) {
+    return res.status(400).json({ success: false, error: 'Missing required field: duplicateId' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await mergeCustomers(client, req.params.id, duplicateId);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.customer,
+      movedOrders: result.movedOrders,
+      movedAddresses: result.movedAddresses
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error merging customers:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a customer (soft delete)
+ *     description: Orders are kept. A registered customer is signed out and can no longer sign in, and guest checkout with the email is refused.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Customer deleted
+ *       403:
+ *         description: Requires the customers:write permission
+ *       404:
+ *         description: Customer not found or already deleted
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission(pool, 'customers:write'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await deleteCustomer(client, req.params.id);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Customer deleted successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting customer:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,714 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { adjustStock, transferStock } = require('../services/inventory');
+const { requirePermission } = require('../middleware/auth');
+const uuidParam = require('../middleware/uuidParam');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+router.param('id', uuidParam('Warehouse not found'));
+router.param('productId', uuidParam('Product not found'));
+
+const isNonNegativeInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   get:
+ *     summary: Get all warehouses with their stock totals
+ *     tags: [Warehouses]
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include deactivated warehouses
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Warehouse'
+ *                       - type: object
+ *                         properties:
+ *                           product_count:
+ *                             type: integer
+ *                           total_quantity:
+ *                             type: integer
+ *       500:
+ *         description: Server error
+ */
+router.get('/', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const result = await pool.query(`
+      SELECT
+        w.*,
+        COUNT(ws.product_id) FILTER (WHERE ws.quantity > 0)::integer as product_count,
+        COALESCE(SUM(ws.quantity), 0)::integer as total_quantity
+      FROM warehouses w
+      LEFT JOIN warehouse_stock ws ON ws.warehouse_id = w.id
+      WHERE ($1::boolean OR w.is_active = TRUE)
+      GROUP BY w.id
+      ORDER BY w.priority ASC, w.code ASC
+    `, [includeInactive === 'true']);
+
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching warehouses:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   post:
+ *     summary: Create a warehouse
+ *     tags: [Warehouses]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: IZM-1
+ *               name:
+ *                 type: string
+ *                 example: İzmir Depo
+ *               city:
+ *                 type: string
+ *                 description: Used to find the nearest warehouse to a delivery address
+ *                 example: İzmir
+ *               address:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *                 description: Lower ships first (and breaks ties between equally near warehouses)
+ *                 default: 100
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       400:
+ *         description: Missing fields or duplicate code
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission(pool, 'inventory:write'), async (req, res) => {
+  try {
+    const { code, name, city, address, priority = 100 } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: code, name'
+      });
+    }
+
+    if (!Number.isInteger(Number(priority))) {
+      return res.status(400).json({
+        success: false,
+        error: 'priority must be an integer'
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO warehouses (code, name, city, address, priority)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [code.trim().toUpperCase(), name.trim(), city || null, address || null, Number(priority)]);
+
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error creating warehouse:', err);
+
+    if (err.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        error: 'A warehouse with this code already exists'
+      });
+    }
+
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/warehouses/transfers:
+ *   get:
+ *     summary: Get stock transfers between warehouses
+ *     tags: [Warehouses]
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by product
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by source or destination warehouse
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transfers, newest first
+ *       500:
+ *         description: Server error
+ */
+router.get('/transfers', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { productId, warehouseId, page = 1, limit = 20 } = req.query;
+
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (productId) {
+      conditions.push(`t.product_id = $${paramIndex}`);
+      params.push(productId);
+      paramIndex++;
+    }
+
+    if (warehouseId) {
+      conditions.push(`(t.from_warehouse_id = $${paramIndex} OR t.to_warehouse_id = $${paramIndex})`);
+      params.push(warehouseId);
+      paramIndex++;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM warehouse_transfers t ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await pool.query(`
+      SELECT
+        t.*,
+        p.name as product_name,
+        p.sku as product_sku,
+        fw.code as from_warehouse_code,
+        tw.code as to_warehouse_code
+      FROM warehouse_transfers t
+      JOIN products p ON p.id = t.product_id
+      JOIN warehouses fw ON fw.id = t.from_warehouse_id
+      JOIN warehouses tw ON tw.id = t.to_warehouse_id
+      ${whereClause}
+      ORDER BY t.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, parseInt(limit), offset]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching warehouse transfers:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/warehouses/transfers:
+ *   post:
+ *     summary: Transfer stock from one warehouse to another
+ *     description: The product total does not change. Both legs are recorded as transfer stock movements.
+ *     tags: [Warehouses]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - fromWarehouseId
+ *               - toWarehouseId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 format: uuid
+ *               fromWarehouseId:
+ *                 type: string
+ *                 format: uuid
+ *               toWarehouseId:
+ *                 type: string
+ *                 format: uuid
+ *               quantity:
+ *                 type: integer
+ *                 example: 5
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer completed
+ *       400:
+ *         description: Invalid request or insufficient stock in the source warehouse
+ *       404:
+ *         description: Warehouse not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/transfers', requirePermission(pool, 'inventory:write'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { productId, fromWarehouseId, toWarehouseId, quantity, notes } = req.body;
+    const actor = req.user.email;
+
+    if (!productId || !fromWarehouseId || !toWarehouseId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: productId, fromWarehouseId, toWarehouseId, quantity'
+      });
+    }
+
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'quantity must be a positive integer'
+      });
+    }
+
+    if (fromWarehouseId === toWarehouseId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source and destination warehouse must differ'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const warehousesResult = await client.query(
+      'SELECT id, is_active FROM warehouses WHERE id = ANY($1::uuid[])',
+      [[fromWarehouseId, toWarehouseId]]
+    );
+
+    if (warehousesResult.rows.length !== 2) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Warehouse not found' });
+    }
+
+    const destination = warehousesResult.rows.find(warehouse => warehouse.id === toWarehouseId);
+    if (!destination.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Destination warehouse is not active' });
+    }
+
+    const result = await transferStock(client, {
+      productId,
+      fromWarehouseId,
+      toWarehouseId,
+      quantity: Number(quantity),
+      actor,
+      notes: notes || null
+    });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, data: result.transfer });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error transferring warehouse stock:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   put:
+ *     summary: Update a warehouse
+ *     description: A warehouse can only be deactivated once it holds no stock.
+ *     tags: [Warehouses]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ *       400:
+ *         description: Invalid request or warehouse still holds stock
+ *       404:
+ *         description: Warehouse not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', requirePermission(pool, 'inventory:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, city, address, priority, isActive } = req.body;
+
+    const updateFields = [];
+    const updateValues = [];
+    let paramIndex = 1;
+
+    if (name !== undefined) {
+      updateFields.push(`name = $${paramIndex}`);
+      updateValues.push(name);
+      paramIndex++;
+    }
+    if (city !== undefined) {
+      updateFields.push(`city = $${paramIndex}`);
+      updateValues.push(city);
+      paramIndex++;
+    }
+    if (address !== undefined) {
+      updateFields.push(`address = $${paramIndex}`);
+      updateValues.push(address);
+      paramIndex++;
+    }
+    if (priority !== undefined) {
+      if (!Number.isInteger(Number(priority))) {
+        return res.status(400).json({ success: false, error: 'priority must be an integer' });
+      }
+      updateFields.push(`priority = $${paramIndex}::integer`);
+      updateValues.push(priority);
+      paramIndex++;
+    }
+    if (isActive !== undefined) {
+      if (isActive === false) {
+        const stockResult = await pool.query(
+          'SELECT COALESCE(SUM(quantity), 0) as total FROM warehouse_stock WHERE warehouse_id = $1',
+          [id]
+        );
+        if (parseInt(stockResult.rows[0].total) > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Warehouse still holds stock; transfer it to another warehouse first'
+          });
+        }
+      }
+      updateFields.push(`is_active = $${paramIndex}`);
+      updateValues.push(isActive === true);
+      paramIndex++;
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields provided to update' });
+    }
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    updateValues.push(id);
+
+    const result = await pool.query(`
+      UPDATE warehouses
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `, updateValues);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Warehouse not found' });
+    }
+
+    res.json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error updating warehouse:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/warehouses/{id}/stock:
+ *   get:
+ *     summary: Get stock levels of a warehouse
+ *     tags: [Warehouses]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in product name or SKU
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Products stocked in the warehouse
+ *       404:
+ *         description: Warehouse not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/stock', requirePermission(pool, 'read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { search, page = 1, limit = 50 } = req.query;
+
+    const warehouseResult = await pool.query('SELECT id FROM warehouses WHERE id = $1', [id]);
+    if (warehouseResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Warehouse not found' });
+    }
+
+    const conditions = ['ws.warehouse_id = $1', 'ws.quantity > 0', 'p.is_deleted = FALSE'];
+    const params = [id];
+    let paramIndex = 2;
+
+    if (search) {
+      conditions.push(`(p.name ILIKE $${paramIndex} OR p.sku ILIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM warehouse_stock ws
+      JOIN products p ON p.id = ws.product_id
+      ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await pool.query(`
+      SELECT
+        p.id as product_id,
+        p.name,
+        p.sku,
+        p.brand,
+        ws.quantity,
+        p.stock_quantity as total_quantity,
+        ws.updated_at
+      FROM warehouse_stock ws
+      JOIN products p ON p.id = ws.product_id
+      ${whereClause}
+      ORDER BY p.name ASC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, parseInt(limit), offset]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching warehouse stock:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/warehouses/{id}/stock/{productId}:
+ *   put:
+ *     summary: Set the stock count of a product in a warehouse
+ *     description: The difference to the current count is recorded as a manual_adjustment stock movement.
+ *     tags: [Warehouses]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 example: 12
+ *               notes:
+ *                 type: string
+ *                 example: Sayım farkı
+ *     responses:
+ *       200:
+ *         description: Stock updated
+ *       400:
+ *         description: Invalid quantity
+ *       404:
+ *         description: Warehouse or product not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/stock/:productId', requirePermission(pool, 'inventory:write'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id, productId } = req.params;
+    const { quantity, notes } = req.body;
+    const actor = req.user.email;
+
+    if (quantity === undefined || quantity === null || !isNonNegativeInteger(quantity)) {
+      return res.status(400).json({
+        success: false,
+        error: 'quantity must be a non-negative integer'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const warehouseResult = await client.query('SELECT id, is_active FROM warehouses WHERE id = $1', [id]);
+    const productResult = await client.query(
+      'SELECT id, stock_quantity FROM products WHERE id = $1 AND is_deleted = FALSE FOR UPDATE',
+      [productId]
+    );
+
+    if (warehouseResult.rows.length === 0 || productResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Warehouse or product not found' });
+    }
+
+    const currentResult = await client.query(
+      'SELECT quantity FROM warehouse_stock WHERE warehouse_id = $1 AND product_id = $2',
+      [id, productId]
+    );
+    const currentQuantity = currentResult.rows.length > 0 ? parseInt(currentResult.rows[0].quantity) : 0;
+    const newQuantity = Number(quantity);
+
+    if (newQuantity > currentQuantity && !warehouseResult.rows[0].is_active) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Warehouse is not active' });
+    }
+
+    let stock = { after: parseInt(productResult.rows[0].stock_quantity) || 0, warehouseAfter: currentQuantity };
+    if (newQuantity !== currentQuantity) {
+      stock = await adjustStock(client, {
+        productId,
+        quantityChange: newQuantity - currentQuantity,
+        movementType: 'manual_adjustment',
+        warehouseId: id,
+        referenceType: 'warehouse',
+        referenceId: id,
+        actor,
+        notes: notes || null
+      });
+
+      if (stock.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, error: stock.error });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: {
+        warehouseId: id,
+        productId,
+        quantity: stock.warehouseAfter,
+        totalQuantity: stock.after
+      }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating warehouse stock:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -5,10 +5,23 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const { Pool } = require('pg');
 require('dotenv').config();
+const { startPaymentExpiryJob } = require('./services/paymentExpiry');
+const { startReservationExpiryJob } = require('./services/stockReservations');
+const { refreshStockStatus } = require('./services/inventory');
+const { startNotificationJob } = require('./services/notifications');
+const { startShipmentTrackingJob } = require('./services/shipments');
+const { ensureBootstrapAdmin } = require('./services/adminUsers');
+const { checkSecrets } = require('./services/secrets');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy the client address comes from X-Forwarded-For (used by per-IP rate limits)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -143,6 +156,9 @@ const initializeDatabase = async () => {
         current_price DECIMAL(10, 2) NOT NULL,
         stock_status VARCHAR(20) NOT NULL DEFAULT 'in_stock',
         stock_quantity INTEGER DEFAULT 0,
+        damaged_quantity INTEGER DEFAULT 0,
+        low_stock_threshold INTEGER,
+        stock_status_override VARCHAR(20),
         images TEXT[],
         rating DECIMAL(3, 2) DEFAULT 0,
         review_count INTEGER DEFAULT 0,
@@ -153,6 +169,13 @@ const initializeDatabase = async () => {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      CREATE TABLE IF NOT EXISTS category_stock_thresholds (
+        category VARCHAR(100) PRIMARY KEY,
+        low_stock_threshold INTEGER NOT NULL CHECK (low_stock_threshold >= 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
       CREATE TABLE IF NOT EXISTS product_features (
         id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
         product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
@@ -172,11 +195,70 @@ const initializeDatabase = async () => {
         last_name VARCHAR(100) NOT NULL,
         email VARCHAR(255) UNIQUE NOT NULL,
         phone VARCHAR(20) NOT NULL,
+        sms_opt_in BOOLEAN DEFAULT FALSE,
+        sms_opt_in_at TIMESTAMP,
+        password_hash VARCHAR(255),
+        email_verified_at TIMESTAMP,
+        password_changed_at TIMESTAMP,
+        last_login_at TIMESTAMP,
+        is_deleted BOOLEAN DEFAULT FALSE,
+        merged_into_id UUID REFERENCES users(id) ON DELETE SET NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+      CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users(LOWER(email));
+
+      -- Admin panel accounts
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(200),
+        role VARCHAR(20) NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP,
+        password_changed_at TIMESTAMP,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Customer email verification and password reset tokens
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_account_tokens_user_id ON account_tokens(user_id, purpose);
+
+      -- Customer address book (orders keep their own copy in delivery_addresses)
+      CREATE TABLE IF NOT EXISTS customer_addresses (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        label VARCHAR(50) NOT NULL,
+        address TEXT NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        district VARCHAR(100) NOT NULL,
+        postal_code VARCHAR(20),
+        is_default_shipping BOOLEAN DEFAULT FALSE,
+        is_default_billing BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customer_addresses_user_id ON customer_addresses(user_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default_shipping
+        ON customer_addresses(user_id) WHERE is_default_shipping;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default_billing
+        ON customer_addresses(user_id) WHERE is_default_billing;
 
       -- Orders and Payment Tables
       CREATE TABLE IF NOT EXISTS orders (
@@ -187,10 +269,19 @@ const initializeDatabase = async () => {
         kdv DECIMAL(10, 2) NOT NULL,
         grand_total DECIMAL(10, 2) NOT NULL,
         status VARCHAR(20) DEFAULT 'order_received',
+        price_mismatch BOOLEAN DEFAULT FALSE,
+        language VARCHAR(5) DEFAULT 'tr',
+        tracking_number VARCHAR(100),
+        carrier VARCHAR(50),
+        invoice_number VARCHAR(20) UNIQUE,
+        invoiced_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Invoice numbers issued when an order is completed
+      CREATE SEQUENCE IF NOT EXISTS order_invoice_number_seq;
+
       CREATE TABLE IF NOT EXISTS delivery_addresses (
         id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
         order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
@@ -201,21 +292,43 @@ const initializeDatabase = async () => {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Invoice details given at checkout, one row per order
+      CREATE TABLE IF NOT EXISTS billing_info (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        invoice_type VARCHAR(20) NOT NULL DEFAULT 'individual',
+        full_name VARCHAR(200),
+        company_name VARCHAR(255),
+        tax_office VARCHAR(100),
+        tax_number VARCHAR(11),
+        address TEXT NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        district VARCHAR(100) NOT NULL,
+        postal_code VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
       CREATE TABLE IF NOT EXISTS payment_info (
         id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
         order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
         payment_status VARCHAR(20) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        provider VARCHAR(50),
+        transaction_id VARCHAR(100),
+        amount DECIMAL(10, 2),
+        refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE TABLE IF NOT EXISTS order_items (
         id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
         order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
-        product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+        product_id UUID REFERENCES products(id) ON DELETE SET NULL,
         product_name VARCHAR(255) NOT NULL,
         product_price DECIMAL(10, 2) NOT NULL,
         quantity INTEGER NOT NULL,
         product_image VARCHAR(500),
+        restocked_quantity INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -239,10 +352,248 @@ const initializeDatabase = async () => {
         color VARCHAR(20),
         display_order INTEGER DEFAULT 0,
         is_active BOOLEAN DEFAULT TRUE,
+        is_system BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS order_status_transitions (
+        id SERIAL PRIMARY KEY,
+        from_status VARCHAR(50) NOT NULL REFERENCES order_statuses(value) ON UPDATE CASCADE ON DELETE CASCADE,
+        to_status VARCHAR(50) NOT NULL REFERENCES order_statuses(value) ON UPDATE CASCADE ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (from_status, to_status)
+      );
+
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        token UUID NOT NULL,
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        client_key VARCHAR(100),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_product_status ON stock_reservations(product_id, status);
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_token ON stock_reservations(token);
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id ON stock_reservations(order_id);
+
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        scope VARCHAR(50) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing',
+        locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        response_status INTEGER,
+        response_body JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (scope, idempotency_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+      CREATE TABLE IF NOT EXISTS warehouses (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        code VARCHAR(30) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        city VARCHAR(100),
+        address TEXT,
+        priority INTEGER NOT NULL DEFAULT 100,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS warehouse_stock (
+        warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (warehouse_id, product_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_warehouse_stock_product_id ON warehouse_stock(product_id);
+
+      CREATE TABLE IF NOT EXISTS warehouse_transfers (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        from_warehouse_id UUID NOT NULL REFERENCES warehouses(id),
+        to_warehouse_id UUID NOT NULL REFERENCES warehouses(id),
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        actor VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS order_allocations (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        warehouse_id UUID NOT NULL REFERENCES warehouses(id),
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        restocked_quantity INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_order_allocations_order_id ON order_allocations(order_id);
+
+      CREATE TABLE IF NOT EXISTS stock_subscriptions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        name VARCHAR(200),
+        token UUID NOT NULL DEFAULT uuid_generate_v4(),
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        notified_at TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_subscriptions_active
+        ON stock_subscriptions(product_id, LOWER(email)) WHERE status = 'active';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_subscriptions_token ON stock_subscriptions(token);
+
+      CREATE TABLE IF NOT EXISTS notification_queue (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        channel VARCHAR(30) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        subject VARCHAR(255),
+        body TEXT,
+        payload JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        movement_type VARCHAR(30) NOT NULL,
+        bucket VARCHAR(20) NOT NULL DEFAULT 'sellable',
+        quantity INTEGER NOT NULL,
+        quantity_after INTEGER NOT NULL,
+        warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL,
+        warehouse_quantity_after INTEGER,
+        reference_type VARCHAR(30),
+        reference_id VARCHAR(100),
+        actor VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements(product_id, created_at);
+
+      CREATE TABLE IF NOT EXISTS shipments (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        carrier VARCHAR(20) NOT NULL,
+        tracking_number VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'shipped',
+        status_description TEXT,
+        shipped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP,
+        last_checked_at TIMESTAMP,
+        last_error TEXT,
+        created_by VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_shipments_tracking_number
+        ON shipments(carrier, tracking_number) WHERE status <> 'cancelled';
+      CREATE INDEX IF NOT EXISTS idx_shipments_order_id ON shipments(order_id);
+      CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments(status, last_checked_at);
+
+      CREATE TABLE IF NOT EXISTS shipment_items (
+        id SERIAL PRIMARY KEY,
+        shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        UNIQUE(shipment_id, order_item_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_shipment_items_order_item_id ON shipment_items(order_item_id);
+
+      CREATE TABLE IF NOT EXISTS return_requests (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        return_number VARCHAR(50) UNIQUE NOT NULL,
+        order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'requested',
+        reason VARCHAR(30) NOT NULL,
+        customer_notes TEXT,
+        admin_notes TEXT,
+        opened_by VARCHAR(20) NOT NULL DEFAULT 'customer',
+        created_by VARCHAR(255),
+        decided_by VARCHAR(255),
+        decided_at TIMESTAMP,
+        received_by VARCHAR(255),
+        received_at TIMESTAMP,
+        refund_subtotal DECIMAL(10, 2),
+        refund_kdv DECIMAL(10, 2),
+        refund_total DECIMAL(10, 2),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON return_requests(order_id);
+      CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status);
+
+      CREATE TABLE IF NOT EXISTS return_request_items (
+        id SERIAL PRIMARY KEY,
+        return_request_id UUID NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+        order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        received_quantity INTEGER,
+        damaged_quantity INTEGER,
+        UNIQUE(return_request_id, order_item_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_return_request_items_order_item_id ON return_request_items(order_item_id);
+
+      CREATE TABLE IF NOT EXISTS refunds (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        payment_info_id UUID REFERENCES payment_info(id) ON DELETE SET NULL,
+        return_request_id UUID REFERENCES return_requests(id) ON DELETE SET NULL,
+        type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        subtotal DECIMAL(10, 2) NOT NULL,
+        kdv DECIMAL(10, 2) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(3) NOT NULL DEFAULT 'TRY',
+        provider VARCHAR(50),
+        provider_refund_id VARCHAR(100),
+        reason TEXT,
+        created_by VARCHAR(255),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+
+      CREATE TABLE IF NOT EXISTS refund_items (
+        id SERIAL PRIMARY KEY,
+        refund_id UUID NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+        order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        subtotal DECIMAL(10, 2) NOT NULL,
+        kdv DECIMAL(10, 2) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_refund_items_order_item_id ON refund_items(order_item_id);
       CREATE INDEX IF NOT EXISTS idx_delivery_addresses_order_id ON delivery_addresses(order_id);
       CREATE INDEX IF NOT EXISTS idx_payment_info_order_id ON payment_info(order_id);
       CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
@@ -257,6 +608,7 @@ const initializeDatabase = async () => {
     try {
       await pool.query(`
         INSERT INTO order_statuses (value, name, name_en, color, display_order) VALUES
+          ('pending_payment', 'Ödeme Bekleniyor', 'Awaiting Payment', 'gray', 0),
           ('order_received', 'Sipariş Alındı', 'Order Received', 'blue', 1),
           ('preparing', 'Hazırlanıyor', 'Preparing', 'orange', 2),
           ('shipped', 'Kargoya Verildi', 'Shipped', 'cyan', 3),
@@ -385,6 +737,192 @@ const initializeDatabase = async () => {
             END IF;
           END IF;
           
+          -- Add price_mismatch to orders table (server-side price verification)
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'orders' AND column_name = 'price_mismatch'
+          ) THEN
+            ALTER TABLE orders ADD COLUMN price_mismatch BOOLEAN DEFAULT FALSE;
+          END IF;
+          
+          -- Add payment provider reference columns to payment_info
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'payment_info' AND column_name = 'transaction_id'
+          ) THEN
+            ALTER TABLE payment_info ADD COLUMN provider VARCHAR(50);
+            ALTER TABLE payment_info ADD COLUMN transaction_id VARCHAR(100);
+            ALTER TABLE payment_info ADD COLUMN amount DECIMAL(10, 2);
+            ALTER TABLE payment_info ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+          END IF;
+          
+          -- Stock buckets for restocking cancelled/returned orders
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'products' AND column_name = 'damaged_quantity'
+          ) THEN
+            ALTER TABLE products ADD COLUMN damaged_quantity INTEGER DEFAULT 0;
+          END IF;
+          
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'order_items' AND column_name = 'restocked_quantity'
+          ) THEN
+            ALTER TABLE order_items ADD COLUMN restocked_quantity INTEGER DEFAULT 0;
+          END IF;
+          
+          -- Low-stock thresholds and pinned stock statuses (discontinued, preorder)
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'products' AND column_name = 'low_stock_threshold'
+          ) THEN
+            ALTER TABLE products ADD COLUMN low_stock_threshold INTEGER;
+            ALTER TABLE products ADD COLUMN stock_status_override VARCHAR(20);
+            UPDATE products SET stock_status_override = stock_status
+            WHERE stock_status IN ('discontinued', 'preorder');
+          END IF;
+          
+          -- Warehouse reference on stock movements
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'stock_movements' AND column_name = 'warehouse_id'
+          ) THEN
+            ALTER TABLE stock_movements ADD COLUMN warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL;
+            ALTER TABLE stock_movements ADD COLUMN warehouse_quantity_after INTEGER;
+          END IF;
+          
+          -- System flag on order statuses
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'order_statuses' AND column_name = 'is_system'
+          ) THEN
+            ALTER TABLE order_statuses ADD COLUMN is_system BOOLEAN DEFAULT FALSE;
+          END IF;
+          
+          -- SMS opt-in on users
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'users' AND column_name = 'sms_opt_in'
+          ) THEN
+            ALTER TABLE users ADD COLUMN sms_opt_in BOOLEAN DEFAULT FALSE;
+            ALTER TABLE users ADD COLUMN sms_opt_in_at TIMESTAMP;
+          END IF;
+          
+          -- Shipment tracking on orders
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'orders' AND column_name = 'tracking_number'
+          ) THEN
+            ALTER TABLE orders ADD COLUMN tracking_number VARCHAR(100);
+            ALTER TABLE orders ADD COLUMN carrier VARCHAR(50);
+          END IF;
+          
+          -- Invoice number on completed orders
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'orders' AND column_name = 'invoice_number'
+          ) THEN
+            ALTER TABLE orders ADD COLUMN invoice_number VARCHAR(20) UNIQUE;
+            ALTER TABLE orders ADD COLUMN invoiced_at TIMESTAMP;
+          END IF;
+          
+          -- Running refund total on payments
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'payment_info' AND column_name = 'refunded_amount'
+          ) THEN
+            ALTER TABLE payment_info ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+          END IF;
+          
+          -- Customer accounts on users (guest records have no password)
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'users' AND column_name = 'password_hash'
+          ) THEN
+            ALTER TABLE users ADD COLUMN password_hash VARCHAR(255);
+            ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+            ALTER TABLE users ADD COLUMN password_changed_at TIMESTAMP;
+            ALTER TABLE users ADD COLUMN last_login_at TIMESTAMP;
+          END IF;
+          
+          -- Refunds are recorded as pending before the provider is called; a failed
+          -- refund of a return must not block a new attempt
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'refunds' AND column_name = 'status'
+          ) THEN
+            ALTER TABLE refunds ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'completed';
+            ALTER TABLE refunds ALTER COLUMN status SET DEFAULT 'pending';
+            ALTER TABLE refunds ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+            DROP INDEX IF EXISTS idx_refunds_return_request_id;
+          END IF;
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_return_request_id
+            ON refunds(return_request_id) WHERE status <> 'failed';
+          
+          -- Processing keys expire so a retry can take over from a request that died
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'idempotency_keys' AND column_name = 'locked_at'
+          ) THEN
+            ALTER TABLE idempotency_keys ADD COLUMN locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+          END IF;
+          
+          -- Soft delete and merging of duplicate customers
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'users' AND column_name = 'merged_into_id'
+          ) THEN
+            ALTER TABLE users ADD COLUMN is_deleted BOOLEAN DEFAULT FALSE;
+            ALTER TABLE users ADD COLUMN merged_into_id UUID REFERENCES users(id) ON DELETE SET NULL;
+          END IF;
+          
+          -- Retry bookkeeping on the notification outbox
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'notification_queue' AND column_name = 'next_attempt_at'
+          ) THEN
+            ALTER TABLE notification_queue ADD COLUMN max_attempts INTEGER NOT NULL DEFAULT 5;
+            ALTER TABLE notification_queue ADD COLUMN next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+            UPDATE notification_queue SET status = 'dead' WHERE status = 'failed';
+            DROP INDEX IF EXISTS idx_notification_queue_status;
+          END IF;
+          
+          -- Created here because next_attempt_at may have just been added above
+          CREATE INDEX IF NOT EXISTS idx_notification_queue_due ON notification_queue(status, next_attempt_at);
+          
+          -- Account emails used to be queued with their sign-in link; drop the stored content
+          UPDATE notification_queue
+          SET body = NULL, payload = payload - 'text'
+          WHERE type IN ('email_verification', 'password_reset') AND body IS NOT NULL;
+          
+          -- Language of customer emails about the order
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'orders' AND column_name = 'language'
+          ) THEN
+            ALTER TABLE orders ADD COLUMN language VARCHAR(5) DEFAULT 'tr';
+          END IF;
+          
+          -- Checkout reservations remember who made them (signed-in customer or IP)
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'stock_reservations' AND column_name = 'client_key'
+          ) THEN
+            ALTER TABLE stock_reservations ADD COLUMN client_key VARCHAR(100);
+          END IF;
+          CREATE INDEX IF NOT EXISTS idx_stock_reservations_client_key ON stock_reservations(client_key) WHERE status = 'active';
+          
+          -- order_items.product_id must be UUID to match products(id)
+          IF EXISTS (
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'order_items' AND column_name = 'product_id' AND data_type <> 'uuid'
+          ) THEN
+            ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_product_id_fkey;
+            ALTER TABLE order_items ALTER COLUMN product_id TYPE UUID USING NULL;
+            ALTER TABLE order_items ADD CONSTRAINT order_items_product_id_fkey
+              FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL;
+          END IF;
+          
           -- Remove old columns from orders table if they exist (migration from old schema)
           IF EXISTS (
             SELECT 1 FROM information_schema.tables 
@@ -427,6 +965,7 @@ const initializeDatabase = async () => {
             
             -- Insert default statuses
             INSERT INTO order_statuses (value, name, name_en, color, display_order) VALUES
+              ('pending_payment', 'Ödeme Bekleniyor', 'Awaiting Payment', 'gray', 0),
               ('order_received', 'Sipariş Alındı', 'Order Received', 'blue', 1),
               ('preparing', 'Hazırlanıyor', 'Preparing', 'orange', 2),
               ('shipped', 'Kargoya Verildi', 'Shipped', 'cyan', 3),
@@ -471,7 +1010,84 @@ const initializeDatabase = async () => {
         throw brandErr;
       }
     }
-    
+
+    // Statuses the code reacts to cannot be deactivated; the default workflow is
+    // only seeded once so transitions removed by an admin stay removed
+    await pool.query(`
+      UPDATE order_statuses SET is_system = TRUE
+      WHERE value IN ('pending_payment', 'order_received', 'preparing', 'shipped', 'returned', 'cancelled', 'completed')
+        AND is_system IS NOT TRUE
+    `);
+    await pool.query(`
+      INSERT INTO order_status_transitions (from_status, to_status)
+      SELECT t.from_status, t.to_status
+      FROM (VALUES
+        ('pending_payment', 'cancelled'),
+        ('order_received', 'preparing'),
+        ('order_received', 'cancelled'),
+        ('preparing', 'shipped'),
+        ('preparing', 'cancelled'),
+        ('shipped', 'completed'),
+        ('shipped', 'returned'),
+        ('completed', 'returned'),
+        ('returned', 'completed'),
+        ('returned', 'cancelled')
+      ) AS t(from_status, to_status)
+      WHERE NOT EXISTS (SELECT 1 FROM order_status_transitions)
+    `);
+    // Workflows seeded before pending_payment could be cancelled by an admin
+    await pool.query(`
+      INSERT INTO order_status_transitions (from_status, to_status)
+      SELECT 'pending_payment', 'cancelled'
+      WHERE NOT EXISTS (SELECT 1 FROM order_status_transitions WHERE from_status = 'pending_payment')
+    `);
+    // Workflows seeded before customer returns could be opened on completed orders
+    await pool.query(`
+      INSERT INTO order_status_transitions (from_status, to_status)
+      SELECT 'completed', 'returned'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM order_status_transitions WHERE from_status = 'completed' AND to_status = 'returned'
+      )
+        AND EXISTS (SELECT 1 FROM order_statuses WHERE value = 'completed')
+        AND EXISTS (SELECT 1 FROM order_statuses WHERE value = 'returned')
+    `);
+
+    // Default warehouse; stock that predates warehouses is booked to it
+    await pool.query(`
+      INSERT INTO warehouses (code, name, priority)
+      SELECT 'MAIN', 'Ana Depo', 0
+      WHERE NOT EXISTS (SELECT 1 FROM warehouses)
+    `);
+    await pool.query(`
+      INSERT INTO warehouse_stock (warehouse_id, product_id, quantity)
+      SELECT w.id, p.id, p.stock_quantity
+      FROM products p
+      CROSS JOIN (
+        SELECT id FROM warehouses WHERE is_active = TRUE ORDER BY priority ASC, created_at ASC LIMIT 1
+      ) w
+      WHERE p.stock_quantity > 0
+        AND NOT EXISTS (SELECT 1 FROM warehouse_stock ws WHERE ws.product_id = p.id)
+    `);
+
+    // Products created before the stock ledger get their current stock as an opening balance
+    const openingResult = await pool.query(`
+      INSERT INTO stock_movements (product_id, movement_type, bucket, quantity, quantity_after, reference_type, reference_id, actor, notes)
+      SELECT p.id, 'import', b.bucket, b.quantity, b.quantity, 'product', p.id::text, 'system', 'Opening balance'
+      FROM products p
+      CROSS JOIN LATERAL (VALUES
+        ('sellable', COALESCE(p.stock_quantity, 0)),
+        ('damaged', COALESCE(p.damaged_quantity, 0))
+      ) AS b(bucket, quantity)
+      WHERE b.quantity <> 0
+        AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id)
+    `);
+    if (openingResult.rowCount > 0) {
+      console.log(`✅ Stock ledger: ${openingResult.rowCount} opening balance movement(s) recorded`);
+    }
+
+    // stock_status is derived from quantity and thresholds (no alerts for the catch-up)
+    await refreshStockStatus(pool, { notify: false });
+
     console.log('✅ Database initialization completed successfully');
   } catch (err) {
     console.error('❌ Error initializing database:', err);
@@ -546,6 +1162,48 @@ app.use('/api/payment', paymentRouter);
 const ordersRouter = require('./routes/orders');
 app.use('/api/orders', ordersRouter);
 
+// Warehouses routes
+const warehousesRouter = require('./routes/warehouses');
+app.use('/api/warehouses', warehousesRouter);
+
+// Notification outbox (admin)
+const notificationsRouter = require('./routes/notifications');
+app.use('/api/notifications', notificationsRouter);
+
+// Shipments routes
+const shipmentsRouter = require('./routes/shipments');
+app.use('/api/shipments', shipmentsRouter);
+
+// Returns (RMA) routes
+const returnsRouter = require('./routes/returns');
+app.use('/api/returns', returnsRouter);
+
+// Customer accounts
+const accountRouter = require('./routes/account');
+app.use('/api/account', accountRouter);
+const meRouter = require('./routes/me');
+app.use('/api/me', meRouter);
+
+// Admin login and accounts
+const authRouter = require('./routes/auth');
+app.use('/api/auth', authRouter);
+
+// Public order tracking
+const trackingRouter = require('./routes/tracking');
+app.use('/api/tracking', trackingRouter);
+
+// Customer records (admin)
+const usersRouter = require('./routes/users');
+app.use('/api/users', usersRouter);
+
+// Refuse to start with a placeholder signing secret, or without one production requires
+try {
+  checkSecrets();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 app.listen(PORT, async () => {
   console.log(`Server is running on port ${PORT}`);
   try {
@@ -553,6 +1211,13 @@ app.listen(PORT, async () => {
     console.log('Connected to PostgreSQL database');
     client.release();
     await initializeDatabase();
+    await ensureBootstrapAdmin(pool);
+    
+    // Background jobs
+    startPaymentExpiryJob(pool);
+    startReservationExpiryJob(pool);
+    startNotificationJob(pool);
+    startShipmentTrackingJob(pool);
   } catch (err) {
     console.error('Failed to connect to the database', err);
   }
@@ -0,0 +1,251 @@
+/**
+ * Admin accounts and roles
+ *
+ * Staff sign in with email and password and get a bearer token (audience "admin").
+ * What they may do is decided by their role:
+ * - admin: everything, including managing admin accounts
+ * - warehouse: stock, warehouses, shipping and receiving returns
+ * - sales: catalog, order statuses, return decisions, refunds, customer messages and
+ *   customer records
+ * - read_only: every admin read, no changes
+ *
+ * The account is re-read on every request, so deactivating it, changing its role or
+ * its password takes effect at once.
+ */
+const { hashPassword, verifyPassword, validatePassword, signToken } = require('./auth');
+
+const ADMIN_TOKEN_AUDIENCE = 'admin';
+const ADMIN_SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS || '8');
+
+// Failed logins before an account is locked, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.ADMIN_MAX_FAILED_LOGINS || '5');
+const LOGIN_LOCK_MINUTES = parseInt(process.env.ADMIN_LOGIN_LOCK_MINUTES || '15');
+
+const PERMISSIONS = [
+  'read',
+  'catalog:write',
+  'inventory:write',
+  'orders:status',
+  'orders:workflow',
+  'returns:decide',
+  'returns:receive',
+  'refunds:write',
+  'notifications:write',
+  'customers:write',
+  'users:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  warehouse: ['read', 'inventory:write', 'orders:status', 'returns:receive'],
+  sales: ['read', 'catalog:write', 'orders:status', 'returns:decide', 'refunds:write', 'notifications:write', 'customers:write'],
+  read_only: ['read']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+const ADMIN_USER_COLUMNS = `
+  id,
+  email,
+  name,
+  role,
+  is_active as "isActive",
+  last_login_at as "lastLoginAt",
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+`;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Admin account by id (without the password hash), or null
+ */
+const getAdminUser = async (db, id) => {
+  const result = await db.query(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * All admin accounts, by email
+ */
+const listAdminUsers = async (db) => {
+  const result = await db.query(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY email ASC`);
+  return result.rows;
+};
+
+/**
+ * Create an admin account
+ * Returns { error } or { user }
+ */
+const createAdminUser = async (db, { email, name, role, password }) => {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail || !normalizedEmail.includes('@')) {
+    return { error: 'A valid email is required' };
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return { error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  const result = await db.query(`
+    INSERT INTO admin_users (email, name, role, password_hash)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (email) DO NOTHING
+    RETURNING ${ADMIN_USER_COLUMNS}
+  `, [normalizedEmail, name || null, role, await hashPassword(password)]);
+
+  if (result.rows.length === 0) {
+    return { error: `An admin account for ${normalizedEmail} already exists` };
+  }
+  return { user: result.rows[0] };
+};
+
+/**
+ * Change an account's name, role, active flag or password
+ * Returns { error, notFound } or { user }
+ */
+const updateAdminUser = async (db, id, { name, role, isActive, password }) => {
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+    return { error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` };
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return { error: 'isActive must be a boolean' };
+  }
+  let passwordHash = null;
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return { error: passwordError };
+    }
+    passwordHash = await hashPassword(password);
+  }
+
+  const result = await db.query(`
+    UPDATE admin_users
+    SET
+      name = COALESCE($2, name),
+      role = COALESCE($3, role),
+      is_active = COALESCE($4, is_active),
+      password_hash = COALESCE($5, password_hash),
+      password_changed_at = CASE WHEN $5::text IS NULL THEN password_changed_at ELSE CURRENT_TIMESTAMP END,
+      failed_login_attempts = CASE WHEN $5::text IS NULL THEN failed_login_attempts ELSE 0 END,
+      locked_until = CASE WHEN $5::text IS NULL THEN locked_until ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${ADMIN_USER_COLUMNS}
+  `, [id, name === undefined ? null : name, role || null, isActive === undefined ? null : isActive, passwordHash]);
+
+  if (result.rows.length === 0) {
+    return { error: 'Admin user not found', notFound: true };
+  }
+  return { user: result.rows[0] };
+};
+
+/**
+ * Check email and password and open a session
+ * Returns { error, locked } or { token, expiresAt, user }
+ * Unknown emails and wrong passwords get the same answer.
+ */
+const loginAdmin = async (db, { email, password }) => {
+  const result = await db.query('SELECT * FROM admin_users WHERE email = $1', [normalizeEmail(email)]);
+  const account = result.rows[0];
+  const invalid = { error: 'Invalid email or password' };
+
+  if (!account || !account.is_active) {
+    return invalid;
+  }
+  if (account.locked_until && new Date(account.locked_until) > new Date()) {
+    return { error: 'Too many failed logins, try again later', locked: true };
+  }
+
+  if (!(await verifyPassword(password, account.password_hash))) {
+    await db.query(`
+      UPDATE admin_users
+      SET
+        failed_login_attempts = failed_login_attempts + 1,
+        locked_until = CASE
+          WHEN failed_login_attempts + 1 >= $2 THEN CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute')
+          ELSE NULL
+        END
+      WHERE id = $1
+    `, [account.id, MAX_FAILED_LOGINS, LOGIN_LOCK_MINUTES]);
+    return invalid;
+  }
+
+  await db.query(`
+    UPDATE admin_users
+    SET failed_login_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [account.id]);
+
+  const { token, expiresAt } = signToken(
+    { sub: account.id, role: account.role },
+    { audience: ADMIN_TOKEN_AUDIENCE, expiresInSeconds: ADMIN_SESSION_HOURS * 3600 }
+  );
+
+  return { token, expiresAt, user: await getAdminUser(db, account.id) };
+};
+
+/**
+ * Active account a token's claims belong to, or null
+ * Tokens issued before the last password change are no longer accepted.
+ */
+const getSessionUser = async (db, claims) => {
+  // Compared in SQL so the naive timestamp is read in the same time zone it was written in
+  const result = await db.query(`
+    SELECT ${ADMIN_USER_COLUMNS}
+    FROM admin_users
+    WHERE id = $1 AND is_active = TRUE
+      AND (
+        password_changed_at IS NULL
+        OR FLOOR(EXTRACT(EPOCH FROM password_changed_at::timestamptz)) <= $2
+      )
+  `, [claims.sub, claims.iat]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there is no admin account yet
+ */
+const ensureBootstrapAdmin = async (db) => {
+  const existing = await db.query('SELECT 1 FROM admin_users LIMIT 1');
+  if (existing.rows.length > 0) {
+    return;
+  }
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+    console.warn('No admin accounts exist; set ADMIN_EMAIL and ADMIN_PASSWORD to create the first one');
+    return;
+  }
+
+  const result = await createAdminUser(db, {
+    email: process.env.ADMIN_EMAIL,
+    name: 'Admin',
+    role: 'admin',
+    password: process.env.ADMIN_PASSWORD
+  });
+  if (result.error) {
+    console.error('Error creating the first admin account:', result.error);
+    return;
+  }
+  console.log(`Created admin account ${result.user.email}`);
+};
+
+module.exports = {
+  ADMIN_TOKEN_AUDIENCE,
+  ADMIN_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getAdminUser,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  loginAdmin,
+  getSessionUser,
+  ensureBootstrapAdmin
+};
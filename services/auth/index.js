@@ -0,0 +1,10 @@
+/**
+ * Authentication building blocks shared by admin and customer accounts
+ */
+const passwords = require('./passwords');
+const tokens = require('./tokens');
+
+module.exports = {
+  ...passwords,
+  ...tokens
+};
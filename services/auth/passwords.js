@@ -0,0 +1,53 @@
+/**
+ * Password hashing
+ *
+ * scrypt with a random salt per password, stored as "scrypt$<salt>$<hash>" (hex)
+ * so the scheme can be changed later without guessing what old hashes are.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Reason a password is not acceptable, or null
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash (false for malformed or missing hashes)
+ */
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,80 @@
+/**
+ * Signed access tokens (JWT, HS256)
+ *
+ * Tokens carry an audience so one kind of token (e.g. an admin session) is never
+ * accepted where another is expected. They are signed with JWT_SECRET; rotating
+ * it logs everybody out.
+ */
+const crypto = require('crypto');
+const { getSecret } = require('../secrets');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (part) => {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret('JWT_SECRET')).update(data).digest('base64url');
+
+/**
+ * Sign a token
+ * Returns { token, expiresAt }
+ */
+const signToken = (claims, { audience, expiresInSeconds }) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + expiresInSeconds;
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, aud: audience, iat: issuedAt, exp: expiresAt })}`;
+  return {
+    token: `${body}.${sign(body)}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+/**
+ * Claims of a valid, unexpired token for the audience, or null
+ */
+const verifyToken = (token, audience) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const headerClaims = decode(header);
+  const claims = decode(payload);
+  if (!headerClaims || headerClaims.alg !== 'HS256' || !claims) {
+    return null;
+  }
+  if (claims.aud !== audience || typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  return claims;
+};
+
+/**
+ * Bearer token from the Authorization header, or null
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getBearerToken
+};
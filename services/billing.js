@@ -0,0 +1,99 @@
+/**
+ * Invoice (billing) details given at checkout
+ *
+ * Individual invoices are issued to a person, optionally with their TCKN. Corporate
+ * invoices need the company name, tax office (vergi dairesi) and tax number: a
+ * 10-digit VKN, or the owner's 11-digit TCKN for sole proprietorships. Both numbers
+ * carry check digits, so typos are caught before the order is placed.
+ */
+const INVOICE_TYPES = ['individual', 'corporate'];
+
+const digitsOf = (value) => String(value).split('').map(Number);
+
+/**
+ * Check a T.C. Kimlik No (11 digits, no leading zero, two check digits)
+ */
+const isValidTckn = (value) => {
+  if (!/^[1-9][0-9]{10}$/.test(String(value))) {
+    return false;
+  }
+  const d = digitsOf(value);
+  const odd = d[0] + d[2] + d[4] + d[6] + d[8];
+  const even = d[1] + d[3] + d[5] + d[7];
+  const tenth = ((odd * 7 - even) % 10 + 10) % 10;
+  const eleventh = d.slice(0, 10).reduce((sum, digit) => sum + digit, 0) % 10;
+  return d[9] === tenth && d[10] === eleventh;
+};
+
+/**
+ * Check a Vergi Kimlik No (10 digits, the last one a check digit)
+ */
+const isValidVkn = (value) => {
+  if (!/^[0-9]{10}$/.test(String(value))) {
+    return false;
+  }
+  const d = digitsOf(value);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    const shifted = (d[i] + 9 - i) % 10;
+    let weighted = (shifted * 2 ** (9 - i)) % 9;
+    if (shifted !== 0 && weighted === 0) {
+      weighted = 9;
+    }
+    sum += weighted;
+  }
+  return (10 - (sum % 10)) % 10 === d[9];
+};
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Tax numbers are often typed with spaces
+const taxDigits = (value) => (value === undefined || value === null ? '' : String(value).replace(/\s/g, ''));
+
+/**
+ * Validate the billingInfo block of a checkout (its address is resolved separately)
+ * Without a block the invoice is an individual one in the name from personalInfo.
+ * Returns { error } or { billing: { invoiceType, fullName, companyName, taxOffice, taxNumber } }
+ */
+const validateBillingInfo = (billingInfo, personalInfo) => {
+  const info = billingInfo || {};
+  const invoiceType = info.type || 'individual';
+
+  if (!INVOICE_TYPES.includes(invoiceType)) {
+    return { error: `billingInfo.type must be one of: ${INVOICE_TYPES.join(', ')}` };
+  }
+
+  if (invoiceType === 'corporate') {
+    const companyName = text(info.companyName);
+    const taxOffice = text(info.taxOffice);
+    const taxNumber = taxDigits(info.taxNumber);
+
+    if (!companyName || !taxOffice || !taxNumber) {
+      return { error: 'Missing required billingInfo fields for a corporate invoice: companyName, taxOffice, taxNumber' };
+    }
+    if (taxNumber.length === 10 ? !isValidVkn(taxNumber) : !isValidTckn(taxNumber)) {
+      return { error: 'billingInfo.taxNumber is not a valid VKN (10 digits) or TCKN (11 digits)' };
+    }
+
+    return {
+      billing: { invoiceType, fullName: null, companyName, taxOffice, taxNumber }
+    };
+  }
+
+  const fullName = text(info.fullName) || `${personalInfo.firstName} ${personalInfo.lastName}`.trim();
+  const tckn = taxDigits(info.tckn);
+  if (tckn && !isValidTckn(tckn)) {
+    return { error: 'billingInfo.tckn is not a valid TCKN' };
+  }
+
+  return {
+    billing: { invoiceType, fullName, companyName: null, taxOffice: null, taxNumber: tckn || null }
+  };
+};
+
+module.exports = {
+  INVOICE_TYPES,
+  isValidTckn,
+  isValidVkn,
+  validateBillingInfo
+};
@@ -0,0 +1,144 @@
+/**
+ * Approximate coordinates of Turkish province centres
+ * Used to rank warehouses by distance to a delivery city.
+ */
+const CITY_COORDINATES = {
+  'adana': [37.00, 35.32],
+  'adıyaman': [37.76, 38.28],
+  'afyonkarahisar': [38.76, 30.54],
+  'ağrı': [39.72, 43.05],
+  'aksaray': [38.37, 34.03],
+  'amasya': [40.65, 35.83],
+  'ankara': [39.93, 32.86],
+  'antalya': [36.89, 30.71],
+  'ardahan': [41.11, 42.70],
+  'artvin': [41.18, 41.82],
+  'aydın': [37.85, 27.85],
+  'balıkesir': [39.65, 27.88],
+  'bartın': [41.64, 32.34],
+  'batman': [37.89, 41.13],
+  'bayburt': [40.26, 40.23],
+  'bilecik': [40.14, 29.98],
+  'bingöl': [38.88, 40.50],
+  'bitlis': [38.40, 42.11],
+  'bolu': [40.74, 31.61],
+  'burdur': [37.72, 30.29],
+  'bursa': [40.19, 29.06],
+  'çanakkale': [40.15, 26.41],
+  'çankırı': [40.60, 33.62],
+  'çorum': [40.55, 34.95],
+  'denizli': [37.78, 29.09],
+  'diyarbakır': [37.91, 40.24],
+  'düzce': [40.84, 31.16],
+  'edirne': [41.68, 26.56],
+  'elazığ': [38.68, 39.22],
+  'erzincan': [39.75, 39.49],
+  'erzurum': [39.90, 41.27],
+  'eskişehir': [39.78, 30.52],
+  'gaziantep': [37.07, 37.38],
+  'giresun': [40.91, 38.39],
+  'gümüşhane': [40.46, 39.48],
+  'hakkari': [37.57, 43.74],
+  'hatay': [36.20, 36.16],
+  'ığdır': [39.92, 44.05],
+  'ısparta': [37.76, 30.55],
+  'istanbul': [41.01, 28.97],
+  'izmir': [38.42, 27.14],
+  'kahramanmaraş': [37.58, 36.94],
+  'karabük': [41.20, 32.63],
+  'karaman': [37.18, 33.22],
+  'kars': [40.60, 43.10],
+  'kastamonu': [41.39, 33.78],
+  'kayseri': [38.73, 35.49],
+  'kilis': [36.72, 37.12],
+  'kırıkkale': [39.85, 33.51],
+  'kırklareli': [41.74, 27.22],
+  'kırşehir': [39.15, 34.16],
+  'kocaeli': [40.77, 29.92],
+  'konya': [37.87, 32.48],
+  'kütahya': [39.42, 29.98],
+  'malatya': [38.35, 38.31],
+  'manisa': [38.61, 27.43],
+  'mardin': [37.31, 40.74],
+  'mersin': [36.81, 34.64],
+  'muğla': [37.22, 28.36],
+  'muş': [38.75, 41.51],
+  'nevşehir': [38.62, 34.71],
+  'niğde': [37.97, 34.68],
+  'ordu': [40.98, 37.88],
+  'osmaniye': [37.07, 36.25],
+  'rize': [41.02, 40.52],
+  'sakarya': [40.69, 30.44],
+  'samsun': [41.29, 36.33],
+  'siirt': [37.93, 41.94],
+  'sinop': [42.03, 35.15],
+  'sivas': [39.75, 37.02],
+  'şanlıurfa': [37.17, 38.79],
+  'şırnak': [37.52, 42.46],
+  'tekirdağ': [40.98, 27.51],
+  'tokat': [40.31, 36.55],
+  'trabzon': [41.00, 39.72],
+  'tunceli': [39.11, 39.55],
+  'uşak': [38.68, 29.41],
+  'van': [38.49, 43.38],
+  'yalova': [40.66, 29.28],
+  'yozgat': [39.82, 34.81],
+  'zonguldak': [41.45, 31.79]
+};
+
+// Lower-case with Turkish rules so "İSTANBUL" and "istanbul" match
+const normalizeCity = (city) => String(city || '')
+  .trim()
+  .replace(/I/g, 'ı')
+  .replace(/İ/g, 'i')
+  .toLocaleLowerCase('tr-TR');
+
+// Fold Turkish letters to ASCII so "Sanliurfa" or "Istanbul" also match
+const foldCity = (city) => normalizeCity(city)
+  .replace(/ç/g, 'c')
+  .replace(/ğ/g, 'g')
+  .replace(/ı/g, 'i')
+  .replace(/ö/g, 'o')
+  .replace(/ş/g, 's')
+  .replace(/ü/g, 'u');
+
+const CITY_ALIASES = {
+  'icel': 'mersin',
+  'urfa': 'şanlıurfa',
+  'maras': 'kahramanmaraş',
+  'antep': 'gaziantep',
+  'izmit': 'kocaeli',
+  'adapazari': 'sakarya',
+  'afyon': 'afyonkarahisar'
+};
+
+const COORDINATES_BY_FOLDED_CITY = new Map([
+  ...Object.entries(CITY_COORDINATES).map(([city, coordinates]) => [foldCity(city), coordinates]),
+  ...Object.entries(CITY_ALIASES).map(([alias, city]) => [alias, CITY_COORDINATES[city]])
+]);
+
+const getCityCoordinates = (city) => COORDINATES_BY_FOLDED_CITY.get(foldCity(city)) || null;
+
+// Great-circle distance in km
+const distanceKm = ([lat1, lon1], [lat2, lon2]) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Distance between two cities in km, or null if either city is unknown
+ */
+const cityDistanceKm = (fromCity, toCity) => {
+  const from = getCityCoordinates(fromCity);
+  const to = getCityCoordinates(toCity);
+  return from && to ? distanceKm(from, to) : null;
+};
+
+module.exports = {
+  normalizeCity,
+  cityDistanceKm
+};
@@ -0,0 +1,429 @@
+/**
+ * Customer accounts
+ *
+ * A users row starts as a guest record created by checkout. It becomes an account
+ * when the customer registers (sets a password) and is trusted once the email is
+ * verified. Verified accounts are only changed by their owner: guest checkout with
+ * their email links the order to them but leaves name, phone and SMS consent alone.
+ *
+ * Email verification and password reset use single-use random tokens; only their
+ * SHA-256 is stored (account_tokens). The token is issued when the email is delivered,
+ * not when it is queued, so the raw token is never stored in the notification queue.
+ * Issuing a new token voids the older ones of the same purpose. Sign-in gives a bearer
+ * token with audience "customer".
+ */
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, validatePassword, signToken } = require('./auth');
+const { enqueueNotification, registerRenderer } = require('./notifications');
+const {
+  normalizeLanguage,
+  renderEmailVerificationEmail,
+  renderPasswordResetEmail
+} = require('./mail/templates');
+
+const CUSTOMER_TOKEN_AUDIENCE = 'customer';
+const CUSTOMER_SESSION_DAYS = parseInt(process.env.CUSTOMER_SESSION_DAYS || '30');
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS || '48');
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES || '60');
+
+const TOKEN_PURPOSES = {
+  email_verification: { minutes: EMAIL_VERIFICATION_HOURS * 60, urlEnv: 'EMAIL_VERIFICATION_URL' },
+  password_reset: { minutes: PASSWORD_RESET_MINUTES, urlEnv: 'PASSWORD_RESET_URL' }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CUSTOMER_COLUMNS = `
+  id,
+  email,
+  first_name as "firstName",
+  last_name as "lastName",
+  phone,
+  sms_opt_in as "smsOptIn",
+  email_verified_at as "emailVerifiedAt",
+  created_at as "createdAt"
+`;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Customer account by id, or null
+ */
+const getCustomer = async (db, id) => {
+  const result = await db.query(`SELECT ${CUSTOMER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a verification or reset token for a user, voiding older unused ones of the same purpose
+ * Returns the raw token (only its hash is stored)
+ */
+const issueAccountToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(`
+    UPDATE account_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+  `, [userId, purpose]);
+
+  await db.query(`
+    INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 * INTERVAL '1 minute'))
+  `, [userId, purpose, hashToken(token), TOKEN_PURPOSES[purpose].minutes]);
+
+  return token;
+};
+
+/**
+ * Use up a token; returns its user id, or null when unknown, used or expired
+ */
+const consumeAccountToken = async (db, token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const result = await db.query(`
+    UPDATE account_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1
+      AND purpose = $2
+      AND used_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+// Frontend link for a token (e.g. EMAIL_VERIFICATION_URL?token=...), or null when not configured
+const getTokenLink = (purpose, token) => {
+  const baseUrl = process.env[TOKEN_PURPOSES[purpose].urlEnv];
+  if (!baseUrl) {
+    return null;
+  }
+  const url = new URL(baseUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+const customerName = (user) => [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+// Queue an account email; only a reference is stored, the link is made when it is sent
+const queueAccountEmail = (db, user, purpose, language) => enqueueNotification(db, {
+  channel: 'email',
+  recipient: user.email,
+  type: purpose,
+  payload: { userId: user.id, language: normalizeLanguage(language) }
+});
+
+/**
+ * Build an account email at delivery time (see registerRenderer in services/notifications)
+ * The token is issued here, inside the delivery transaction, so it never sits in the
+ * queue; every delivery attempt gets a fresh one and voids the earlier ones.
+ */
+const renderQueuedAccountEmail = async (db, notification) => {
+  const purpose = notification.type;
+  const { userId, language } = notification.payload || {};
+
+  const result = await db.query('SELECT * FROM users WHERE id = $1 AND is_deleted = FALSE', [userId]);
+  const user = result.rows[0];
+  if (!user || normalizeEmail(user.email) !== normalizeEmail(notification.recipient)) {
+    throw new Error('Account no longer exists or its email has changed');
+  }
+
+  const token = await issueAccountToken(db, user.id, purpose);
+  const link = getTokenLink(purpose, token);
+  const email = purpose === 'email_verification'
+    ? renderEmailVerificationEmail({ language, customerName: customerName(user), link, token, validHours: EMAIL_VERIFICATION_HOURS })
+    : renderPasswordResetEmail({ language, customerName: customerName(user), link, token, validMinutes: PASSWORD_RESET_MINUTES });
+
+  return { subject: email.subject, body: email.html, payload: { text: email.text } };
+};
+
+for (const purpose of Object.keys(TOKEN_PURPOSES)) {
+  registerRenderer(purpose, renderQueuedAccountEmail);
+}
+
+/**
+ * Register a customer and queue the verification email
+ * A guest record with the same email is turned into the account, and so is an account
+ * that was registered but never verified (the verification proves who owns the email).
+ * Returns { error, conflict } or { user }
+ */
+const registerCustomer = async (db, { firstName, lastName, email, phone, password, language }) => {
+  const normalizedEmail = normalizeEmail(email);
+  if (!firstName || !lastName || !normalizedEmail || !phone) {
+    return { error: 'Missing required fields: firstName, lastName, email, phone, password' };
+  }
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    return { error: 'A valid email is required' };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  const existingResult = await db.query(
+    'SELECT * FROM users WHERE LOWER(email) = $1 FOR UPDATE',
+    [normalizedEmail]
+  );
+  const existing = existingResult.rows[0];
+  // A merged duplicate's email belongs to the customer it was merged into
+  if (existing && ((existing.email_verified_at && !existing.is_deleted) || existing.merged_into_id)) {
+    return { error: 'An account with this email already exists', conflict: true };
+  }
+
+  const passwordHash = await hashPassword(password);
+  let userResult;
+  if (existing) {
+    userResult = await db.query(`
+      UPDATE users
+      SET
+        first_name = $2,
+        last_name = $3,
+        phone = $4,
+        password_hash = $5,
+        password_changed_at = CURRENT_TIMESTAMP,
+        email_verified_at = NULL,
+        is_deleted = FALSE,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [existing.id, firstName, lastName, phone, passwordHash]);
+  } else {
+    userResult = await db.query(`
+      INSERT INTO users (first_name, last_name, email, phone, password_hash, password_changed_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [firstName, lastName, normalizedEmail, phone, passwordHash]);
+  }
+
+  const user = userResult.rows[0];
+  await queueAccountEmail(db, user, 'email_verification', language);
+
+  return { user: await getCustomer(db, user.id) };
+};
+
+/**
+ * Mark the email of the token's account as verified
+ * Returns { error } or { user }
+ */
+const verifyEmail = async (db, token) => {
+  const userId = await consumeAccountToken(db, token, 'email_verification');
+  if (!userId) {
+    return { error: 'Verification link is invalid or has expired' };
+  }
+
+  await db.query(`
+    UPDATE users
+    SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId]);
+
+  return { user: await getCustomer(db, userId) };
+};
+
+// Registered account by email, or null (guest records have no password)
+const findRegisteredUser = async (db, email) => {
+  const result = await db.query(
+    'SELECT * FROM users WHERE LOWER(email) = $1 AND password_hash IS NOT NULL AND is_deleted = FALSE',
+    [normalizeEmail(email)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Send a new verification email if the account exists and is not verified yet
+ * Says nothing about whether the email is registered.
+ */
+const resendEmailVerification = async (db, email, language) => {
+  const user = await findRegisteredUser(db, email);
+  if (user && !user.email_verified_at) {
+    await queueAccountEmail(db, user, 'email_verification', language);
+  }
+};
+
+/**
+ * Send a password reset email if the email belongs to a registered account
+ * Says nothing about whether the email is registered.
+ */
+const requestPasswordReset = async (db, email, language) => {
+  const user = await findRegisteredUser(db, email);
+  if (user) {
+    await queueAccountEmail(db, user, 'password_reset', language);
+  }
+};
+
+/**
+ * Set a new password with a reset token; ends existing sessions
+ * The reset link was delivered to the address, so it also counts as verifying it.
+ * Returns { error } or { user }
+ */
+const resetPassword = async (db, token, password) => {
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+  const userId = await consumeAccountToken(db, token, 'password_reset');
+  if (!userId) {
+    return { error: 'Password reset link is invalid or has expired' };
+  }
+
+  await db.query(`
+    UPDATE users
+    SET
+      password_hash = $2,
+      password_changed_at = CURRENT_TIMESTAMP,
+      email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId, await hashPassword(password)]);
+
+  return { user: await getCustomer(db, userId) };
+};
+
+/**
+ * Change the password of a signed-in customer after checking the current one
+ * Returns { error } or { user }
+ */
+const changePassword = async (db, userId, { currentPassword, newPassword }) => {
+  const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  if (!result.rows[0] || !(await verifyPassword(currentPassword, result.rows[0].password_hash))) {
+    return { error: 'Current password is incorrect' };
+  }
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  await db.query(`
+    UPDATE users
+    SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId, await hashPassword(newPassword)]);
+
+  return { user: await getCustomer(db, userId) };
+};
+
+/**
+ * Check email and password and open a session
+ * Returns { error, unverified } or { token, expiresAt, user }
+ * Unknown emails, guest records and wrong passwords get the same answer.
+ */
+const loginCustomer = async (db, { email, password }) => {
+  const user = await findRegisteredUser(db, email);
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    return { error: 'Invalid email or password' };
+  }
+  if (!user.email_verified_at) {
+    return { error: 'Please verify your email address before signing in', unverified: true };
+  }
+
+  await db.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+  const { token, expiresAt } = signToken(
+    { sub: user.id },
+    { audience: CUSTOMER_TOKEN_AUDIENCE, expiresInSeconds: CUSTOMER_SESSION_DAYS * 86400 }
+  );
+
+  return { token, expiresAt, user: await getCustomer(db, user.id) };
+};
+
+/**
+ * Verified account a token's claims belong to, or null
+ * Tokens issued before the last password change are no longer accepted.
+ */
+const getSessionCustomer = async (db, claims) => {
+  // Compared in SQL so the naive timestamp is read in the same time zone it was written in
+  const result = await db.query(`
+    SELECT ${CUSTOMER_COLUMNS}
+    FROM users
+    WHERE id = $1 AND password_hash IS NOT NULL AND email_verified_at IS NOT NULL AND is_deleted = FALSE
+      AND (
+        password_changed_at IS NULL
+        OR FLOOR(EXTRACT(EPOCH FROM password_changed_at::timestamptz)) <= $2
+      )
+  `, [claims.sub, claims.iat]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Update the signed-in customer's name, phone or SMS consent
+ * Returns { error } or { user }
+ */
+const updateCustomerProfile = async (db, userId, { firstName, lastName, phone, smsOptIn }) => {
+  if (smsOptIn !== undefined && typeof smsOptIn !== 'boolean') {
+    return { error: 'smsOptIn must be a boolean' };
+  }
+  for (const [field, value] of Object.entries({ firstName, lastName, phone })) {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      return { error: `${field} cannot be empty` };
+    }
+  }
+
+  await db.query(`
+    UPDATE users
+    SET
+      first_name = COALESCE($2, first_name),
+      last_name = COALESCE($3, last_name),
+      phone = COALESCE($4, phone),
+      sms_opt_in = COALESCE($5, sms_opt_in),
+      sms_opt_in_at = CASE
+        WHEN $5 IS TRUE AND sms_opt_in IS NOT TRUE THEN CURRENT_TIMESTAMP
+        WHEN $5 IS FALSE THEN NULL
+        ELSE sms_opt_in_at
+      END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [
+    userId,
+    firstName === undefined ? null : firstName.trim(),
+    lastName === undefined ? null : lastName.trim(),
+    phone === undefined ? null : phone.trim(),
+    smsOptIn === undefined ? null : smsOptIn
+  ]);
+
+  return { user: await getCustomer(db, userId) };
+};
+
+/**
+ * Page of a customer's orders, newest first
+ * Returns { orders, total }
+ */
+const listCustomerOrders = async (db, userId, { limit, offset }) => {
+  const countResult = await db.query('SELECT COUNT(*) FROM orders WHERE user_id = $1', [userId]);
+
+  const result = await db.query(`
+    SELECT
+      o.order_number as "orderNumber",
+      o.status,
+      s.name as "statusName",
+      s.name_en as "statusNameEn",
+      o.grand_total as "grandTotal",
+      (SELECT COALESCE(SUM(oi.quantity), 0)::integer FROM order_items oi WHERE oi.order_id = o.id) as "itemCount",
+      o.created_at as "createdAt"
+    FROM orders o
+    LEFT JOIN order_statuses s ON s.value = o.status
+    WHERE o.user_id = $1
+    ORDER BY o.created_at DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+
+  return { orders: result.rows, total: parseInt(countResult.rows[0].count) };
+};
+
+module.exports = {
+  CUSTOMER_TOKEN_AUDIENCE,
+  getCustomer,
+  registerCustomer,
+  verifyEmail,
+  resendEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  loginCustomer,
+  getSessionCustomer,
+  updateCustomerProfile,
+  listCustomerOrders
+};
@@ -0,0 +1,261 @@
+/**
+ * Customer address book
+ *
+ * Signed-in customers keep any number of labelled addresses ("Şantiye", "Ofis", ...)
+ * and mark one as the default shipping and one as the default billing address. The
+ * first saved address becomes both. Orders never point at these rows: checkout copies
+ * the chosen address into delivery_addresses, so later edits do not change past orders.
+ */
+const { isUuid } = require('./ids');
+
+const ADDRESS_COLUMNS = `
+  id,
+  label,
+  address,
+  city,
+  district,
+  postal_code as "postalCode",
+  is_default_shipping as "isDefaultShipping",
+  is_default_billing as "isDefaultBilling",
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+`;
+
+const MAX_LABEL_LENGTH = 50;
+
+// Ids come from URLs and checkout payloads; anything that is not a UUID cannot match a row
+const isAddressId = (value) => isUuid(String(value));
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : value);
+
+// Check the fields being set; `partial` allows leaving required fields out (updates)
+const validateAddress = (fields, { partial = false } = {}) => {
+  for (const field of ['label', 'address', 'city', 'district']) {
+    const value = trimmed(fields[field]);
+    if (value === undefined && partial) {
+      continue;
+    }
+    if (typeof value !== 'string' || !value) {
+      return `${field} is required`;
+    }
+  }
+  if (fields.label !== undefined && trimmed(fields.label).length > MAX_LABEL_LENGTH) {
+    return `label must be at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+    if (fields[flag] !== undefined && typeof fields[flag] !== 'boolean') {
+      return `${flag} must be a boolean`;
+    }
+  }
+  return null;
+};
+
+// Only one default of each kind per customer; runs before the write so the unique indexes hold
+const clearOtherDefaults = async (db, userId, addressId, { isDefaultShipping, isDefaultBilling }) => {
+  if (isDefaultShipping === true) {
+    await db.query(`
+      UPDATE customer_addresses SET is_default_shipping = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND id IS DISTINCT FROM $2 AND is_default_shipping = TRUE
+    `, [userId, addressId]);
+  }
+  if (isDefaultBilling === true) {
+    await db.query(`
+      UPDATE customer_addresses SET is_default_billing = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND id IS DISTINCT FROM $2 AND is_default_billing = TRUE
+    `, [userId, addressId]);
+  }
+};
+
+/**
+ * A customer's addresses, defaults first
+ */
+const listAddresses = async (db, userId) => {
+  const result = await db.query(`
+    SELECT ${ADDRESS_COLUMNS}
+    FROM customer_addresses
+    WHERE user_id = $1
+    ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at ASC
+  `, [userId]);
+  return result.rows;
+};
+
+/**
+ * One of a customer's addresses, or null
+ */
+const getAddress = async (db, userId, addressId) => {
+  if (!isAddressId(addressId)) {
+    return null;
+  }
+  const result = await db.query(`
+    SELECT ${ADDRESS_COLUMNS}
+    FROM customer_addresses
+    WHERE id = $1 AND user_id = $2
+  `, [addressId, userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * The customer's default shipping address, or null
+ */
+const getDefaultShippingAddress = async (db, userId) => {
+  const result = await db.query(`
+    SELECT ${ADDRESS_COLUMNS}
+    FROM customer_addresses
+    WHERE user_id = $1 AND is_default_shipping = TRUE
+  `, [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * The customer's default billing address, or null
+ */
+const getDefaultBillingAddress = async (db, userId) => {
+  const result = await db.query(`
+    SELECT ${ADDRESS_COLUMNS}
+    FROM customer_addresses
+    WHERE user_id = $1 AND is_default_billing = TRUE
+  `, [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Save an address inside the caller's transaction
+ * Returns { error } or { address }
+ */
+const createAddress = async (db, userId, fields) => {
+  const validationError = validateAddress(fields);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  // Lock the customer so two first addresses cannot both become the default
+  await db.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  const countResult = await db.query('SELECT COUNT(*) FROM customer_addresses WHERE user_id = $1', [userId]);
+  const isFirst = parseInt(countResult.rows[0].count) === 0;
+
+  const isDefaultShipping = isFirst || fields.isDefaultShipping === true;
+  const isDefaultBilling = isFirst || fields.isDefaultBilling === true;
+
+  await clearOtherDefaults(db, userId, null, { isDefaultShipping, isDefaultBilling });
+
+  const result = await db.query(`
+    INSERT INTO customer_addresses (
+      user_id, label, address, city, district, postal_code, is_default_shipping, is_default_billing
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [
+    userId,
+    trimmed(fields.label),
+    trimmed(fields.address),
+    trimmed(fields.city),
+    trimmed(fields.district),
+    trimmed(fields.postalCode) || null,
+    isDefaultShipping,
+    isDefaultBilling
+  ]);
+
+  return { address: await getAddress(db, userId, result.rows[0].id) };
+};
+
+/**
+ * Change an address inside the caller's transaction
+ * Setting a default moves it here; a default cannot be switched off directly, only by
+ * making another address the default.
+ * Returns { error, notFound } or { address }
+ */
+const updateAddress = async (db, userId, addressId, fields) => {
+  if (!isAddressId(addressId)) {
+    return { error: 'Address not found', notFound: true };
+  }
+  const validationError = validateAddress(fields, { partial: true });
+  if (validationError) {
+    return { error: validationError };
+  }
+  if (fields.isDefaultShipping === false || fields.isDefaultBilling === false) {
+    return { error: 'Make another address the default instead of unsetting this one' };
+  }
+
+  const existing = await getAddress(db, userId, addressId);
+  if (!existing) {
+    return { error: 'Address not found', notFound: true };
+  }
+
+  await clearOtherDefaults(db, userId, addressId, fields);
+
+  await db.query(`
+    UPDATE customer_addresses
+    SET
+      label = COALESCE($3, label),
+      address = COALESCE($4, address),
+      city = COALESCE($5, city),
+      district = COALESCE($6, district),
+      postal_code = CASE WHEN $7::boolean THEN $8 ELSE postal_code END,
+      is_default_shipping = is_default_shipping OR $9,
+      is_default_billing = is_default_billing OR $10,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2
+  `, [
+    addressId,
+    userId,
+    trimmed(fields.label) || null,
+    trimmed(fields.address) || null,
+    trimmed(fields.city) || null,
+    trimmed(fields.district) || null,
+    fields.postalCode !== undefined,
+    trimmed(fields.postalCode) || null,
+    fields.isDefaultShipping === true,
+    fields.isDefaultBilling === true
+  ]);
+
+  return { address: await getAddress(db, userId, addressId) };
+};
+
+/**
+ * Delete an address inside the caller's transaction
+ * A deleted default passes to the oldest remaining address.
+ * Returns { error, notFound } or {}
+ */
+const deleteAddress = async (db, userId, addressId) => {
+  if (!isAddressId(addressId)) {
+    return { error: 'Address not found', notFound: true };
+  }
+  const result = await db.query(`
+    DELETE FROM customer_addresses
+    WHERE id = $1 AND user_id = $2
+    RETURNING is_default_shipping, is_default_billing
+  `, [addressId, userId]);
+
+  if (result.rows.length === 0) {
+    return { error: 'Address not found', notFound: true };
+  }
+
+  const deleted = result.rows[0];
+  for (const [wasDefault, column] of [
+    [deleted.is_default_shipping, 'is_default_shipping'],
+    [deleted.is_default_billing, 'is_default_billing']
+  ]) {
+    if (!wasDefault) {
+      continue;
+    }
+    await db.query(`
+      UPDATE customer_addresses
+      SET ${column} = TRUE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM customer_addresses WHERE user_id = $1 ORDER BY created_at ASC LIMIT 1
+      )
+    `, [userId]);
+  }
+
+  return {};
+};
+
+module.exports = {
+  listAddresses,
+  getAddress,
+  getDefaultShippingAddress,
+  getDefaultBillingAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress
+};
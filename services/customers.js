@@ -0,0 +1,212 @@
+/**
+ * Customer records for the admin panel
+ *
+ * Every users row is a customer: guest records from checkout and registered accounts
+ * alike. Deleting one is a soft delete (is_deleted); its orders stay in place and its
+ * sessions end. Merging moves the orders and saved addresses of a duplicate onto the
+ * customer that is kept and soft deletes the duplicate with merged_into_id pointing at
+ * it, so a later guest checkout with the duplicate's email lands on the kept customer.
+ */
+const { updateCustomerProfile } = require('./customerAccounts');
+const { isUuid } = require('./ids');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Payments whose amount (less refunds) the business kept
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// Orders that never went through (unpaid 3D Secure attempts, cancellations) are not counted
+const UNCOUNTED_ORDER_STATUSES = ['pending_payment', 'cancelled'];
+
+const sqlList = (values) => values.map(value => `'${value}'`).join(', ');
+
+const CUSTOMER_RECORD_COLUMNS = `
+  u.id,
+  u.first_name as "firstName",
+  u.last_name as "lastName",
+  u.email,
+  u.phone,
+  u.sms_opt_in as "smsOptIn",
+  (u.password_hash IS NOT NULL) as registered,
+  u.email_verified_at as "emailVerifiedAt",
+  u.last_login_at as "lastLoginAt",
+  u.is_deleted as "isDeleted",
+  u.merged_into_id as "mergedIntoId",
+  u.created_at as "createdAt",
+  u.updated_at as "updatedAt",
+  COALESCE(stats.order_count, 0)::integer as "orderCount",
+  COALESCE(stats.lifetime_spend, 0)::float as "lifetimeSpend",
+  stats.last_order_at as "lastOrderAt"
+`;
+
+// Order count and lifetime spend (paid amounts less refunds) per user, joined as "stats"
+const CUSTOMER_STATS_JOIN = `
+  LEFT JOIN (
+    SELECT
+      o.user_id,
+      COUNT(*) FILTER (WHERE o.status NOT IN (${sqlList(UNCOUNTED_ORDER_STATUSES)})) as order_count,
+      SUM(pi.amount - COALESCE(pi.refunded_amount, 0))
+        FILTER (WHERE pi.payment_status IN (${sqlList(PAID_PAYMENT_STATUSES)})) as lifetime_spend,
+      MAX(o.created_at) FILTER (WHERE o.status NOT IN (${sqlList(UNCOUNTED_ORDER_STATUSES)})) as last_order_at
+    FROM orders o
+    LEFT JOIN payment_info pi ON pi.order_id = o.id
+    GROUP BY o.user_id
+  ) stats ON stats.user_id = u.id
+`;
+
+/**
+ * Customer with order count and lifetime spend, or null (deleted customers included)
+ */
+const getCustomerRecord = async (db, id) => {
+  if (!isUuid(String(id))) {
+    return null;
+  }
+  const result = await db.query(`
+    SELECT ${CUSTOMER_RECORD_COLUMNS}
+    FROM users u
+    ${CUSTOMER_STATS_JOIN}
+    WHERE u.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+};
+
+// Lock a customer that is not deleted, or return null
+const lockActiveCustomer = async (db, id) => {
+  if (!isUuid(String(id))) {
+    return null;
+  }
+  const result = await db.query('SELECT * FROM users WHERE id = $1 AND is_deleted = FALSE FOR UPDATE', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Edit a customer's name, email, phone or SMS consent inside the caller's transaction
+ * A new email is no longer verified, which also ends the customer's sessions; they can
+ * ask for a new verification email and sign in with the new address.
+ * Returns { error, notFound, conflict } or { customer }
+ */
+const updateCustomerRecord = async (db, id, { firstName, lastName, email, phone, smsOptIn }) => {
+  const user = await lockActiveCustomer(db, id);
+  if (!user) {
+    return { error: 'Customer not found', notFound: true };
+  }
+
+  if (email !== undefined) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return { error: 'A valid email is required' };
+    }
+
+    if (normalizedEmail !== user.email.toLowerCase()) {
+      const taken = await db.query(
+        'SELECT id FROM users WHERE LOWER(email) = $1 AND id <> $2',
+        [normalizedEmail, id]
+      );
+      if (taken.rows.length > 0) {
+        return { error: 'Another customer already uses this email', conflict: true };
+      }
+
+      await db.query(`
+        UPDATE users
+        SET email = $2, email_verified_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id, normalizedEmail]);
+      await db.query('DELETE FROM account_tokens WHERE user_id = $1', [id]);
+    }
+  }
+
+  const profile = await updateCustomerProfile(db, id, { firstName, lastName, phone, smsOptIn });
+  if (profile.error) {
+    return { error: profile.error };
+  }
+
+  return { customer: await getCustomerRecord(db, id) };
+};
+
+/**
+ * Merge a duplicate into the customer that is kept, inside the caller's transaction
+ * The kept customer's details, password and default addresses win; the duplicate's
+ * orders and addresses move over and the duplicate is soft deleted.
+ * Returns { error, notFound } or { customer, movedOrders, movedAddresses }
+ */
+const mergeCustomers = async (db, targetId, duplicateId) => {
+  if (String(targetId) === String(duplicateId)) {
+    return { error: 'A customer cannot be merged into itself' };
+  }
+
+  // Lock in a fixed order so two merges of the same pair cannot deadlock
+  const [firstId, secondId] = [String(targetId), String(duplicateId)].sort();
+  const first = await lockActiveCustomer(db, firstId);
+  const second = await lockActiveCustomer(db, secondId);
+  const target = firstId === String(targetId) ? first : second;
+  const duplicate = firstId === String(targetId) ? second : first;
+
+  if (!target) {
+    return { error: 'Customer not found', notFound: true };
+  }
+  if (!duplicate) {
+    return { error: 'Duplicate customer not found', notFound: true };
+  }
+
+  const ordersResult = await db.query(
+    'UPDATE orders SET user_id = $1 WHERE user_id = $2',
+    [target.id, duplicate.id]
+  );
+
+  // Only one default of each kind survives: the kept customer's, if it has one
+  const addressesResult = await db.query(`
+    UPDATE customer_addresses
+    SET
+      user_id = $1,
+      is_default_shipping = is_default_shipping AND NOT EXISTS (
+        SELECT 1 FROM customer_addresses WHERE user_id = $1 AND is_default_shipping = TRUE
+      ),
+      is_default_billing = is_default_billing AND NOT EXISTS (
+        SELECT 1 FROM customer_addresses WHERE user_id = $1 AND is_default_billing = TRUE
+      ),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $2
+  `, [target.id, duplicate.id]);
+
+  await db.query('DELETE FROM account_tokens WHERE user_id = $1', [duplicate.id]);
+
+  await db.query(`
+    UPDATE users
+    SET is_deleted = TRUE, merged_into_id = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [target.id, duplicate.id]);
+
+  // Customers merged into the duplicate earlier now point straight at the kept one
+  await db.query('UPDATE users SET merged_into_id = $1 WHERE merged_into_id = $2', [target.id, duplicate.id]);
+
+  return {
+    customer: await getCustomerRecord(db, target.id),
+    movedOrders: ordersResult.rowCount,
+    movedAddresses: addressesResult.rowCount
+  };
+};
+
+/**
+ * Soft delete a customer; orders are kept and sessions end
+ * Returns { error, notFound } or {}
+ */
+const deleteCustomer = async (db, id) => {
+  const user = await lockActiveCustomer(db, id);
+  if (!user) {
+    return { error: 'Customer not found or already deleted', notFound: true };
+  }
+
+  await db.query('UPDATE users SET is_deleted = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  await db.query('DELETE FROM account_tokens WHERE user_id = $1', [id]);
+
+  return {};
+};
+
+module.exports = {
+  CUSTOMER_RECORD_COLUMNS,
+  CUSTOMER_STATS_JOIN,
+  getCustomerRecord,
+  updateCustomerRecord,
+  mergeCustomers,
+  deleteCustomer
+};
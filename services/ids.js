@@ -0,0 +1,18 @@
+/**
+ * Identifier checks
+ *
+ * Ids and tokens from requests are checked before they reach a `::uuid` cast, where
+ * Postgres would reject them with an error instead of simply finding nothing.
+ */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a value is a UUID string
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isUuid = (value) => typeof value === 'string' && UUID_REGEX.test(value);
+
+module.exports = {
+  isUuid
+};
@@ -0,0 +1,441 @@
+/**
+ * Inventory movements
+ *
+ * Every stock change goes through adjustStock(), which updates the product row
+ * and records the change in the stock_movements ledger in the same transaction.
+ * The ledger must sum up to the product's quantities; reconcileStock() reports
+ * products where it does not.
+ *
+ * Movement types: sale, restock, return, manual_adjustment, import, transfer
+ *
+ * Buckets:
+ *   sellable - products.stock_quantity, split over warehouses in warehouse_stock
+ *   damaged  - products.damaged_quantity (returned goods that cannot be resold)
+ *
+ * stock_status is derived from stock_quantity and the low-stock threshold unless
+ * an admin pins it to one of OVERRIDE_STOCK_STATUSES.
+ */
+const { getDefaultWarehouse, lockWarehouseStock } = require('./warehouses');
+const { queueStockStatusAlerts, queueBackInStockNotifications } = require('./stockAlerts');
+
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '10');
+
+// Statuses an admin can pin; all others are derived from the quantity
+const OVERRIDE_STOCK_STATUSES = ['discontinued', 'preorder'];
+const DERIVED_STOCK_STATUSES = ['in_stock', 'low_stock', 'out_of_stock'];
+
+/**
+ * SQL expression for a product's low-stock threshold:
+ * product threshold, else category default, else LOW_STOCK_THRESHOLD
+ */
+const effectiveThresholdSql = (alias = 'p') => `COALESCE(
+  ${alias}.low_stock_threshold,
+  (SELECT cst.low_stock_threshold FROM category_stock_thresholds cst WHERE cst.category = ${alias}.category),
+  ${LOW_STOCK_THRESHOLD}
+)`;
+
+/**
+ * Recompute stock_status from quantity and threshold
+ * Pinned statuses (stock_status_override) win over the derived one.
+ * Narrow it down with productId or category; without either all products are refreshed.
+ * Products that drop into low_stock / out_of_stock raise an admin alert unless notify is false.
+ */
+const refreshStockStatus = async (db, { productId = null, category = null, notify = true } = {}) => {
+  const result = await db.query(`
+    UPDATE products p
+    SET stock_status = derived.status
+    FROM (
+      SELECT
+        p.id,
+        p.stock_status as old_status,
+        CASE
+          WHEN p.stock_status_override IS NOT NULL THEN p.stock_status_override
+          WHEN COALESCE(p.stock_quantity, 0) <= 0 THEN 'out_of_stock'
+          WHEN p.stock_quantity <= ${effectiveThresholdSql('p')} THEN 'low_stock'
+          ELSE 'in_stock'
+        END as status
+      FROM products p
+      WHERE ($1::uuid IS NULL OR p.id = $1::uuid)
+        AND ($2::text IS NULL OR p.category = $2::text)
+    ) derived
+    WHERE p.id = derived.id AND p.stock_status IS DISTINCT FROM derived.status
+    RETURNING p.id, p.name, p.sku, p.stock_quantity, p.stock_status, derived.old_status
+  `, [productId, category]);
+
+  if (notify) {
+    await queueStockStatusAlerts(db, result.rows);
+  }
+};
+
+/**
+ * Write a row to the stock ledger
+ */
+const recordMovement = async (client, {
+  productId,
+  quantityChange,
+  quantityAfter,
+  movementType,
+  bucket = 'sellable',
+  warehouseId = null,
+  warehouseQuantityAfter = null,
+  referenceType = null,
+  referenceId = null,
+  actor = 'system',
+  notes = null
+}) => {
+  await client.query(`
+    INSERT INTO stock_movements (
+      product_id, movement_type, bucket, quantity, quantity_after,
+      warehouse_id, warehouse_quantity_after,
+      reference_type, reference_id, actor, notes
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    productId, movementType, bucket, quantityChange, quantityAfter,
+    warehouseId, warehouseQuantityAfter,
+    referenceType, referenceId, actor, notes
+  ]);
+};
+
+/**
+ * Apply a stock change and write it to the ledger
+ * quantityChange is signed: negative for stock leaving, positive for stock coming in.
+ * Sellable changes are booked to warehouseId, or to the default warehouse if omitted.
+ * Returns { error } or { before, after, warehouseId, warehouseAfter }
+ */
+const adjustStock = async (client, {
+  productId,
+  quantityChange,
+  movementType,
+  bucket = 'sellable',
+  warehouseId = null,
+  referenceType = null,
+  referenceId = null,
+  actor = 'system',
+  notes = null
+}) => {
+  const column = bucket === 'damaged' ? 'damaged_quantity' : 'stock_quantity';
+
+  const productResult = await client.query(`
+    SELECT stock_quantity, damaged_quantity
+    FROM products
+    WHERE id = $1
+    FOR UPDATE
+  `, [productId]);
+
+  if (productResult.rows.length === 0) {
+    return { error: 'Product not found' };
+  }
+
+  let bookedWarehouseId = null;
+  let warehouseAfter = null;
+
+  if (bucket !== 'damaged') {
+    if (!warehouseId) {
+      const defaultWarehouse = await getDefaultWarehouse(client);
+      if (!defaultWarehouse) {
+        return { error: 'No active warehouse to book the stock change to' };
+      }
+      warehouseId = defaultWarehouse.id;
+    }
+
+    const warehouseBefore = await lockWarehouseStock(client, warehouseId, productId);
+    warehouseAfter = warehouseBefore + quantityChange;
+    if (warehouseAfter < 0) {
+      return { error: `Insufficient warehouse stock: ${warehouseBefore} available, ${-quantityChange} requested` };
+    }
+
+    await client.query(`
+      UPDATE warehouse_stock
+      SET quantity = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE warehouse_id = $2 AND product_id = $3
+    `, [warehouseAfter, warehouseId, productId]);
+
+    bookedWarehouseId = warehouseId;
+  }
+
+  const before = parseInt(productResult.rows[0][column]) || 0;
+  const after = before + quantityChange;
+
+  await client.query(`
+    UPDATE products
+    SET ${column} = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [after, productId]);
+
+  if (bucket !== 'damaged') {
+    await refreshStockStatus(client, { productId });
+
+    if (before <= 0 && after > 0) {
+      await queueBackInStockNotifications(client, productId);
+    }
+  }
+
+  await recordMovement(client, {
+    productId,
+    quantityChange,
+    quantityAfter: after,
+    movementType,
+    bucket,
+    warehouseId: bookedWarehouseId,
+    warehouseQuantityAfter: warehouseAfter,
+    referenceType,
+    referenceId,
+    actor,
+    notes
+  });
+
+  return { before, after, warehouseId: bookedWarehouseId, warehouseAfter };
+};
+
+/**
+ * Move sellable stock between warehouses
+ * The product total does not change; both legs are written to the ledger.
+ * Returns { error } or { transfer }
+ */
+const transferStock = async (client, { productId, fromWarehouseId, toWarehouseId, quantity, actor = 'system', notes = null }) => {
+  const productResult = await client.query(`
+    SELECT stock_quantity
+    FROM products
+    WHERE id = $1 AND is_deleted = FALSE
+    FOR UPDATE
+  `, [productId]);
+
+  if (productResult.rows.length === 0) {
+    return { error: 'Product not found' };
+  }
+
+  // Lock both rows in a fixed order to avoid deadlocks with concurrent transfers
+  const quantities = {};
+  for (const warehouseId of [fromWarehouseId, toWarehouseId].sort()) {
+    quantities[warehouseId] = await lockWarehouseStock(client, warehouseId, productId);
+  }
+
+  if (quantities[fromWarehouseId] < quantity) {
+    return { error: `Insufficient warehouse stock: ${quantities[fromWarehouseId]} available, ${quantity} requested` };
+  }
+
+  const transferResult = await client.query(`
+    INSERT INTO warehouse_transfers (product_id, from_warehouse_id, to_warehouse_id, quantity, actor, notes)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [productId, fromWarehouseId, toWarehouseId, quantity, actor, notes]);
+  const transfer = transferResult.rows[0];
+
+  const total = parseInt(productResult.rows[0].stock_quantity) || 0;
+  const legs = [
+    { warehouseId: fromWarehouseId, quantityChange: -quantity },
+    { warehouseId: toWarehouseId, quantityChange: quantity }
+  ];
+
+  for (const leg of legs) {
+    const warehouseAfter = quantities[leg.warehouseId] + leg.quantityChange;
+
+    await client.query(`
+      UPDATE warehouse_stock
+      SET quantity = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE warehouse_id = $2 AND product_id = $3
+    `, [warehouseAfter, leg.warehouseId, productId]);
+
+    await recordMovement(client, {
+      productId,
+      quantityChange: leg.quantityChange,
+      quantityAfter: total,
+      movementType: 'transfer',
+      warehouseId: leg.warehouseId,
+      warehouseQuantityAfter: warehouseAfter,
+      referenceType: 'warehouse_transfer',
+      referenceId: transfer.id,
+      actor,
+      notes
+    });
+  }
+
+  return { transfer };
+};
+
+/**
+ * Take back units of a product from the warehouses an order was allocated from
+ * Returns [{ warehouseId, quantity }]; units without an allocation (orders placed
+ * before warehouses existed) get warehouseId null, i.e. the default warehouse.
+ */
+const takeAllocations = async (client, orderId, productId, quantity) => {
+  const allocationsResult = await client.query(`
+    SELECT id, warehouse_id, quantity - restocked_quantity as remaining
+    FROM order_allocations
+    WHERE order_id = $1 AND product_id = $2 AND quantity > restocked_quantity
+    ORDER BY created_at, id
+    FOR UPDATE
+  `, [orderId, productId]);
+
+  const parts = [];
+  let remaining = quantity;
+  for (const allocation of allocationsResult.rows) {
+    if (remaining === 0) {
+      break;
+    }
+    const take = Math.min(allocation.remaining, remaining);
+    await client.query(`
+      UPDATE order_allocations
+      SET restocked_quantity = restocked_quantity + $1
+      WHERE id = $2
+    `, [take, allocation.id]);
+    parts.push({ warehouseId: allocation.warehouse_id, quantity: take });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    parts.push({ warehouseId: null, quantity: remaining });
+  }
+
+  return parts;
+};
+
+/**
+ * Put the goods of an order back into stock
+ *
+ * Without returnedItems every line is restocked in full (cancellation / full return).
+ * returnedItems: [{ orderItemId, quantity, damaged }] restocks only those lines; damaged
+ * goods go to the damaged bucket. order_items.restocked_quantity prevents restocking the
+ * same unit twice.
+ * Returns { error } or { movements }
+ */
+const restockOrder = async (client, orderId, { movementType, returnedItems = null, actor = 'system', notes = null }) => {
+  const itemsResult = await client.query(`
+    SELECT id, product_id, product_name, quantity, restocked_quantity
+    FROM order_items
+    WHERE order_id = $1
+    FOR UPDATE
+  `, [orderId]);
+
+  const itemsById = new Map(itemsResult.rows.map(item => [item.id, item]));
+
+  const lines = returnedItems
+    ? returnedItems.map(line => ({
+      item: itemsById.get(line.orderItemId),
+      orderItemId: line.orderItemId,
+      quantity: Number(line.quantity),
+      damaged: line.damaged === true
+    }))
+    : itemsResult.rows.map(item => ({
+      item,
+      orderItemId: item.id,
+      quantity: item.quantity - (item.restocked_quantity || 0),
+      damaged: false
+    }));
+
+  // Validate everything before touching stock
+  const remainingById = new Map(itemsResult.rows.map(item => [item.id, item.quantity - (item.restocked_quantity || 0)]));
+  for (const line of lines) {
+    if (!line.item) {
+      return { error: `Order item ${line.orderItemId} does not belong to this order` };
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 0) {
+      return { error: `Invalid quantity for order item ${line.orderItemId}` };
+    }
+    const remaining = remainingById.get(line.orderItemId);
+    if (line.quantity > remaining) {
+      return { error: `Cannot restock ${line.quantity} of "${line.item.product_name}": only ${remaining} left to restock` };
+    }
+    remainingById.set(line.orderItemId, remaining - line.quantity);
+  }
+
+  const movements = [];
+  for (const line of lines) {
+    if (line.quantity === 0) {
+      continue;
+    }
+
+    await client.query(`
+      UPDATE order_items
+      SET restocked_quantity = restocked_quantity + $1
+      WHERE id = $2
+    `, [line.quantity, line.orderItemId]);
+
+    // Product may have been hard deleted since the order was placed
+    if (!line.item.product_id) {
+      continue;
+    }
+
+    // Sellable units go back to the warehouses they were shipped from
+    const parts = line.damaged
+      ? [{ warehouseId: null, quantity: line.quantity }]
+      : await takeAllocations(client, orderId, line.item.product_id, line.quantity);
+
+    for (const part of parts) {
+      const result = await adjustStock(client, {
+        productId: line.item.product_id,
+        quantityChange: part.quantity,
+        movementType,
+        bucket: line.damaged ? 'damaged' : 'sellable',
+        warehouseId: part.warehouseId,
+        referenceType: 'order',
+        referenceId: orderId,
+        actor,
+        notes
+      });
+
+      if (result.error) {
+        return result;
+      }
+
+      movements.push({
+        orderItemId: line.orderItemId,
+        productId: line.item.product_id,
+        quantity: part.quantity,
+        bucket: line.damaged ? 'damaged' : 'sellable',
+        warehouseId: result.warehouseId,
+        quantityAfter: result.after
+      });
+    }
+  }
+
+  return { movements };
+};
+
+/**
+ * Recompute quantities from the ledger and compare them with the product rows
+ * Returns one row per product with expected (ledger) and actual quantities per bucket,
+ * plus the drift between the product total and the sum of its warehouse stock.
+ */
+const reconcileStock = async (db, { productId = null } = {}) => {
+  const result = await db.query(`
+    SELECT
+      p.id,
+      p.name,
+      p.sku,
+      COALESCE(p.stock_quantity, 0) as stock_quantity,
+      COALESCE(p.damaged_quantity, 0) as damaged_quantity,
+      COALESCE(SUM(m.quantity) FILTER (WHERE m.bucket = 'sellable'), 0)::integer as ledger_stock_quantity,
+      COALESCE(SUM(m.quantity) FILTER (WHERE m.bucket = 'damaged'), 0)::integer as ledger_damaged_quantity,
+      COUNT(m.id)::integer as movement_count,
+      MAX(m.created_at) as last_movement_at,
+      (SELECT COALESCE(SUM(ws.quantity), 0) FROM warehouse_stock ws WHERE ws.product_id = p.id)::integer as warehouse_stock_quantity
+    FROM products p
+    LEFT JOIN stock_movements m ON m.product_id = p.id
+    WHERE p.is_deleted = FALSE
+      AND ($1::uuid IS NULL OR p.id = $1::uuid)
+    GROUP BY p.id
+    ORDER BY p.name
+  `, [productId]);
+
+  return result.rows.map(row => ({
+    ...row,
+    stock_drift: row.stock_quantity - row.ledger_stock_quantity,
+    damaged_drift: row.damaged_quantity - row.ledger_damaged_quantity,
+    warehouse_drift: row.stock_quantity - row.warehouse_stock_quantity
+  }));
+};
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  OVERRIDE_STOCK_STATUSES,
+  DERIVED_STOCK_STATUSES,
+  effectiveThresholdSql,
+  refreshStockStatus,
+  recordMovement,
+  adjustStock,
+  transferStock,
+  restockOrder,
+  reconcileStock
+};
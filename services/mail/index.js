@@ -0,0 +1,84 @@
+/**
+ * Mail delivery
+ *
+ * The transport is selected with MAIL_TRANSPORT:
+ *   file - writes every message as an .eml file to MAIL_OUTBOX_DIR (default, for development)
+ *   smtp - sends through SMTP_HOST / SMTP_PORT (point it at MailHog on port 1025 for local testing)
+ *
+ * Mail is not sent from routes directly: it is queued on the notification queue with
+ * the `email` channel (see services/notifications) and delivered by the background job.
+ */
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['file', 'smtp'];
+const MAIL_TRANSPORT = MAIL_TRANSPORTS.includes(process.env.MAIL_TRANSPORT) ? process.env.MAIL_TRANSPORT : 'file';
+const MAIL_FROM = process.env.MAIL_FROM || 'MYE Aydınlatma <no-reply@mye.com.tr>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'logs', 'mail');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (MAIL_TRANSPORT === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT || '587');
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  } else {
+    // Build the raw message only; it is written to the outbox below
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send one message
+ * Returns { success, messageId } or { success: false, error }
+ */
+const sendMail = async ({ to, subject, html, text }) => {
+  const info = await getTransporter().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    html,
+    text
+  });
+
+  if (MAIL_TRANSPORT === 'file') {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+    console.log(`📧 [${to}] ${subject} -> ${fileName}`);
+  }
+
+  return { success: true, messageId: info.messageId };
+};
+
+/**
+ * Notification channel: body is the HTML part, payload.text the plain text part
+ */
+const emailChannel = {
+  send: ({ recipient, subject, body, payload }) => sendMail({
+    to: recipient,
+    subject,
+    html: body,
+    text: payload && payload.text
+  })
+};
+
+module.exports = {
+  MAIL_TRANSPORT,
+  sendMail,
+  emailChannel
+};
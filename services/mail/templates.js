@@ -0,0 +1,271 @@
+/**
+ * Customer email templates (Turkish and English)
+ *
+ * Status names come from the order_statuses table; the sentences below only add
+ * a status-specific explanation. Every template returns { subject, html, text }.
+ */
+const EMAIL_LANGUAGES = ['tr', 'en'];
+const DEFAULT_EMAIL_LANGUAGE = 'tr';
+
+const strings = {
+  tr: {
+    greeting: (name) => `Merhaba ${name},`,
+    statusSubject: (orderNumber, statusName) => `Sipariş durumu: ${statusName} - #${orderNumber}`,
+    statusLine: (orderNumber, statusName) => `#${orderNumber} numaralı siparişinizin durumu "${statusName}" olarak güncellendi.`,
+    previousStatus: 'Önceki durum',
+    confirmationSubject: (orderNumber) => `Siparişiniz alındı - #${orderNumber}`,
+    confirmationLine: (orderNumber) => `#${orderNumber} numaralı siparişiniz için teşekkür ederiz. Ödemeniz alındı, siparişiniz hazırlanmak üzere sıraya alındı.`,
+    product: 'Ürün',
+    quantity: 'Adet',
+    price: 'Tutar',
+    subtotal: 'Ara toplam',
+    kdv: 'KDV',
+    grandTotal: 'Genel toplam',
+    deliveryAddress: 'Teslimat adresi',
+    trackOrder: 'Siparişinizi buradan takip edebilirsiniz',
+    verifySubject: 'E-posta adresinizi doğrulayın',
+    verifyLine: 'Hesabınızı etkinleştirmek için e-posta adresinizi doğrulayın.',
+    verifyAction: 'E-posta adresimi doğrula',
+    resetSubject: 'Şifre sıfırlama',
+    resetLine: 'Şifrenizi sıfırlamak için bir istek aldık.',
+    resetAction: 'Yeni şifre belirle',
+    tokenLine: 'Kodunuz',
+    validFor: (duration) => `Bu bağlantı ${duration} geçerlidir.`,
+    hours: (count) => `${count} saat`,
+    minutes: (count) => `${count} dakika`,
+    ignoreLine: 'Bu isteği siz yapmadıysanız bu e-postayı dikkate almayın.',
+    footer: 'MYE Aydınlatma',
+    statusDetails: {
+      order_received: 'Siparişinizi aldık, en kısa sürede hazırlamaya başlayacağız.',
+      preparing: 'Siparişiniz depomuzda hazırlanıyor.',
+      shipped: 'Siparişiniz kargoya verildi.',
+      completed: 'Siparişiniz tamamlandı. Bizi tercih ettiğiniz için teşekkür ederiz.',
+      cancelled: 'Siparişiniz iptal edildi. Ödemeniz varsa iadesi bankanıza iletilecektir.',
+      returned: 'İadeniz işleme alındı.'
+    }
+  },
+  en: {
+    greeting: (name) => `Hello ${name},`,
+    statusSubject: (orderNumber, statusName) => `Order status: ${statusName} - #${orderNumber}`,
+    statusLine: (orderNumber, statusName) => `The status of your order #${orderNumber} has been updated to "${statusName}".`,
+    previousStatus: 'Previous status',
+    confirmationSubject: (orderNumber) => `Order confirmed - #${orderNumber}`,
+    confirmationLine: (orderNumber) => `Thank you for your order #${orderNumber}. Your payment has been received and your order is queued for preparation.`,
+    product: 'Product',
+    quantity: 'Qty',
+    price: 'Amount',
+    subtotal: 'Subtotal',
+    kdv: 'VAT',
+    grandTotal: 'Grand total',
+    deliveryAddress: 'Delivery address',
+    trackOrder: 'Track your order here',
+    verifySubject: 'Verify your email address',
+    verifyLine: 'Please verify your email address to activate your account.',
+    verifyAction: 'Verify my email address',
+    resetSubject: 'Password reset',
+    resetLine: 'We received a request to reset your password.',
+    resetAction: 'Set a new password',
+    tokenLine: 'Your code',
+    validFor: (duration) => `This link is valid for ${duration}.`,
+    hours: (count) => `${count} hour${count === 1 ? '' : 's'}`,
+    minutes: (count) => `${count} minute${count === 1 ? '' : 's'}`,
+    ignoreLine: 'If you did not make this request, you can ignore this email.',
+    footer: 'MYE Lighting',
+    statusDetails: {
+      order_received: 'We have received your order and will start preparing it shortly.',
+      preparing: 'Your order is being prepared in our warehouse.',
+      shipped: 'Your order has been shipped.',
+      completed: 'Your order is complete. Thank you for shopping with us.',
+      cancelled: 'Your order has been cancelled. Any payment will be refunded to your bank.',
+      returned: 'Your return has been processed.'
+    }
+  }
+};
+
+const normalizeLanguage = (language) => EMAIL_LANGUAGES.includes(language) ? language : DEFAULT_EMAIL_LANGUAGE;
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, language) => new Intl.NumberFormat(language === 'en' ? 'en-GB' : 'tr-TR', {
+  style: 'currency',
+  currency: 'TRY'
+}).format(Number(amount) || 0);
+
+// Status name in the requested language, falling back to the status value
+const statusName = (status, language) => {
+  if (!status) {
+    return '';
+  }
+  return (language === 'en' ? status.name_en : status.name) || status.value;
+};
+
+const layout = (paragraphs, t) => `
+<div style="font-family: Arial, sans-serif; color: #222; max-width: 600px;">
+  ${paragraphs.join('\n  ')}
+  <p style="color: #888; font-size: 12px;">${escapeHtml(t.footer)}</p>
+</div>`;
+
+/**
+ * Order status changed
+ * oldStatus / newStatus are order_statuses rows ({ value, name, name_en })
+ */
+const renderOrderStatusEmail = ({ language, customerName, orderNumber, oldStatus, newStatus }) => {
+  const lang = normalizeLanguage(language);
+  const t = strings[lang];
+  const newName = statusName(newStatus, lang);
+  const oldName = statusName(oldStatus, lang);
+  const detail = t.statusDetails[newStatus.value] || '';
+
+  const html = layout([
+    `<p>${escapeHtml(t.greeting(customerName))}</p>`,
+    `<p>${escapeHtml(t.statusLine(orderNumber, newName))}</p>`,
+    detail ? `<p>${escapeHtml(detail)}</p>` : '',
+    oldName ? `<p style="color: #666;">${escapeHtml(t.previousStatus)}: ${escapeHtml(oldName)}</p>` : ''
+  ], t);
+
+  const text = [
+    t.greeting(customerName),
+    '',
+    t.statusLine(orderNumber, newName),
+    detail,
+    oldName ? `${t.previousStatus}: ${oldName}` : '',
+    '',
+    t.footer
+  ].join('\n');
+
+  return { subject: t.statusSubject(orderNumber, newName), html, text };
+};
+
+/**
+ * Order confirmation after a successful payment
+ * items: order_items rows, address: delivery_addresses row, trackingLink: public tracking URL (optional)
+ */
+const renderOrderConfirmationEmail = ({ language, customerName, order, items, address, trackingLink }) => {
+  const lang = normalizeLanguage(language);
+  const t = strings[lang];
+  const money = (amount) => formatMoney(amount, lang);
+
+  const rows = items.map(item => `
+      <tr>
+        <td style="padding: 4px 8px;">${escapeHtml(item.product_name)}</td>
+        <td style="padding: 4px 8px; text-align: center;">${item.quantity}</td>
+        <td style="padding: 4px 8px; text-align: right;">${money(item.product_price * item.quantity)}</td>
+      </tr>`).join('');
+
+  const addressLine = address
+    ? [address.address, address.district, address.city, address.postal_code].filter(Boolean).join(', ')
+    : '';
+
+  const html = layout([
+    `<p>${escapeHtml(t.greeting(customerName))}</p>`,
+    `<p>${escapeHtml(t.confirmationLine(order.order_number))}</p>`,
+    `<table style="border-collapse: collapse; width: 100%;">
+      <tr>
+        <th style="padding: 4px 8px; text-align: left;">${escapeHtml(t.product)}</th>
+        <th style="padding: 4px 8px;">${escapeHtml(t.quantity)}</th>
+        <th style="padding: 4px 8px; text-align: right;">${escapeHtml(t.price)}</th>
+      </tr>${rows}
+    </table>`,
+    `<p>${escapeHtml(t.subtotal)}: ${money(order.total_price)}<br>
+    ${escapeHtml(t.kdv)}: ${money(order.kdv)}<br>
+    <strong>${escapeHtml(t.grandTotal)}: ${money(order.grand_total)}</strong></p>`,
+    addressLine ? `<p>${escapeHtml(t.deliveryAddress)}: ${escapeHtml(addressLine)}</p>` : '',
+    trackingLink ? `<p><a href="${escapeHtml(trackingLink)}">${escapeHtml(t.trackOrder)}</a></p>` : ''
+  ], t);
+
+  const text = [
+    t.greeting(customerName),
+    '',
+    t.confirmationLine(order.order_number),
+    '',
+    ...items.map(item => `${item.quantity} x ${item.product_name} - ${money(item.product_price * item.quantity)}`),
+    '',
+    `${t.subtotal}: ${money(order.total_price)}`,
+    `${t.kdv}: ${money(order.kdv)}`,
+    `${t.grandTotal}: ${money(order.grand_total)}`,
+    addressLine ? `${t.deliveryAddress}: ${addressLine}` : '',
+    trackingLink ? `${t.trackOrder}: ${trackingLink}` : '',
+    '',
+    t.footer
+  ].join('\n');
+
+  return { subject: t.confirmationSubject(order.order_number), html, text };
+};
+
+// Email with one call to action: a link when the frontend URL is configured, otherwise the raw token
+const renderAccountEmail = ({ t, customerName, subject, line, action, link, token, validFor }) => {
+  const html = layout([
+    `<p>${escapeHtml(t.greeting(customerName))}</p>`,
+    `<p>${escapeHtml(line)}</p>`,
+    link
+      ? `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`
+      : `<p>${escapeHtml(t.tokenLine)}: <strong>${escapeHtml(token)}</strong></p>`,
+    `<p>${escapeHtml(t.validFor(validFor))}</p>`,
+    `<p style="color: #666;">${escapeHtml(t.ignoreLine)}</p>`
+  ], t);
+
+  const text = [
+    t.greeting(customerName),
+    '',
+    line,
+    link ? `${action}: ${link}` : `${t.tokenLine}: ${token}`,
+    t.validFor(validFor),
+    '',
+    t.ignoreLine,
+    '',
+    t.footer
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+/**
+ * Email address verification after registration
+ * link: frontend verification URL with the token (optional), validHours: token lifetime
+ */
+const renderEmailVerificationEmail = ({ language, customerName, link, token, validHours }) => {
+  const t = strings[normalizeLanguage(language)];
+  return renderAccountEmail({
+    t,
+    customerName,
+    subject: t.verifySubject,
+    line: t.verifyLine,
+    action: t.verifyAction,
+    link,
+    token,
+    validFor: t.hours(validHours)
+  });
+};
+
+/**
+ * Password reset
+ * link: frontend reset URL with the token (optional), validMinutes: token lifetime
+ */
+const renderPasswordResetEmail = ({ language, customerName, link, token, validMinutes }) => {
+  const t = strings[normalizeLanguage(language)];
+  return renderAccountEmail({
+    t,
+    customerName,
+    subject: t.resetSubject,
+    line: t.resetLine,
+    action: t.resetAction,
+    link,
+    token,
+    validFor: t.minutes(validMinutes)
+  });
+};
+
+module.exports = {
+  EMAIL_LANGUAGES,
+  DEFAULT_EMAIL_LANGUAGE,
+  normalizeLanguage,
+  renderOrderStatusEmail,
+  renderOrderConfirmationEmail,
+  renderEmailVerificationEmail,
+  renderPasswordResetEmail
+};
@@ -0,0 +1,269 @@
+/**
+ * Notification queue and channels
+ *
+ * notification_queue is a transactional outbox: notifications are written inside
+ * the caller's transaction, so they only go out if the change that caused them is
+ * committed, and are never lost to a crash or a flaky transport. A background job
+ * delivers due rows through the channel named on the row.
+ *
+ * Statuses: pending -> sent, or pending -> (retries with backoff) -> dead.
+ * Dead letters stay in the table until an admin re-sends them.
+ *
+ * A channel is an object implementing:
+ *
+ *   send({ recipient, subject, body, payload, containsSecret }) -> { success, error }
+ *
+ * containsSecret is set for types that carry a secret link (see registerSecretType);
+ * channels that keep a copy of what they send must leave that content out.
+ *
+ * Built-in channels: log (local file, for development), email (see services/mail),
+ * sms (see services/sms).
+ */
+const logChannel = require('./logChannel');
+const { emailChannel } = require('../mail');
+const { smsChannel } = require('../sms');
+
+const channels = {
+  log: logChannel,
+  email: emailChannel,
+  sms: smsChannel
+};
+
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'dead'];
+
+const DELIVERY_INTERVAL_MS = parseInt(process.env.NOTIFICATION_INTERVAL_MS || '10000');
+const DELIVERY_BATCH_SIZE = 50;
+
+// Failed deliveries are retried with exponential backoff, then become dead letters
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS || '60');
+const RETRY_MAX_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_MAX_SECONDS || '3600');
+
+// Where admin stock alerts go
+const ADMIN_ALERT_CHANNEL = process.env.ADMIN_ALERT_CHANNEL || 'log';
+const ADMIN_ALERT_RECIPIENTS = (process.env.ADMIN_ALERT_RECIPIENTS || 'admin')
+  .split(',')
+  .map(recipient => recipient.trim())
+  .filter(Boolean);
+
+// Where customer notifications (e.g. back in stock) go; once SMTP is set up they are
+// mailed, the log channel is only a default for development
+const CUSTOMER_NOTIFICATION_CHANNEL = process.env.CUSTOMER_NOTIFICATION_CHANNEL
+  || (process.env.MAIL_TRANSPORT === 'smtp' ? 'email' : 'log');
+
+// Notification types whose content is only built at delivery time, see registerRenderer
+const renderers = {};
+
+// Notification types whose content carries a secret link, see registerSecretType
+const secretTypes = new Set();
+
+/**
+ * Register an additional channel (e.g. email, Slack)
+ */
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+/**
+ * Build a notification type's content at delivery time instead of storing it
+ * For messages that carry a secret (account links): the queued row only holds a
+ * reference in its payload and render(db, notification) -> { subject, body, payload }
+ * runs inside the delivery transaction. These notifications stay out of the admin API.
+ */
+const registerRenderer = (type, render) => {
+  renderers[type] = render;
+  secretTypes.add(type);
+};
+
+/**
+ * Mark a notification type whose content carries a secret link (e.g. order tracking)
+ * Types registered with registerRenderer are marked already.
+ */
+const registerSecretType = (type) => {
+  secretTypes.add(type);
+};
+
+/**
+ * Types rendered at delivery time; their rows are not listed, shown or re-sent by admins
+ */
+const getPrivateNotificationTypes = () => Object.keys(renderers);
+
+/**
+ * Queue a notification
+ * Pass the transaction client so the notification is rolled back with the change.
+ */
+const enqueueNotification = async (db, { channel, recipient, type, subject, body, payload = null }) => {
+  const result = await db.query(`
+    INSERT INTO notification_queue (channel, recipient, type, subject, body, payload, max_attempts)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [channel, recipient, type, subject, body, payload ? JSON.stringify(payload) : null, NOTIFICATION_MAX_ATTEMPTS]);
+
+  return result.rows[0].id;
+};
+
+/**
+ * Queue the same alert for every admin recipient
+ */
+const enqueueAdminAlert = async (db, { type, subject, body, payload = null }) => {
+  for (const recipient of ADMIN_ALERT_RECIPIENTS) {
+    await enqueueNotification(db, { channel: ADMIN_ALERT_CHANNEL, recipient, type, subject, body, payload });
+  }
+};
+
+// Send one notification; channel errors are returned, not thrown
+const sendThroughChannel = async (notification) => {
+  const channel = channels[notification.channel];
+  if (!channel) {
+    return { success: false, error: `Unknown notification channel: ${notification.channel}` };
+  }
+
+  try {
+    return await channel.send({
+      recipient: notification.recipient,
+      subject: notification.subject,
+      body: notification.body,
+      payload: notification.payload,
+      containsSecret: secretTypes.has(notification.type)
+    });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+};
+
+// Fill in the content of rendered types, then send; errors are returned, not thrown
+const renderAndSend = async (db, notification) => {
+  const render = renderers[notification.type];
+  if (!render) {
+    return sendThroughChannel(notification);
+  }
+
+  let message;
+  try {
+    message = await render(db, notification);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  return sendThroughChannel({ ...notification, ...message });
+};
+
+// Delay before retry number `attempts` (1-based): base * 2^(attempts - 1), capped
+const retryDelaySeconds = (attempts) => Math.min(
+  RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)),
+  RETRY_MAX_SECONDS
+);
+
+/**
+ * Claim and deliver one due notification in its own transaction
+ * Returns false when nothing is due
+ */
+const deliverNextNotification = async (pool) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED lets several instances share the queue
+    const pendingResult = await client.query(`
+      SELECT *
+      FROM notification_queue
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at, created_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    `);
+
+    const notification = pendingResult.rows[0];
+    if (!notification) {
+      await client.query('COMMIT');
+      return false;
+    }
+
+    const result = await renderAndSend(client, notification);
+    const attempts = notification.attempts + 1;
+
+    if (result.success) {
+      await client.query(`
+        UPDATE notification_queue
+        SET status = 'sent', attempts = $1, last_error = NULL,
+            sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [attempts, notification.id]);
+    } else {
+      // Out of attempts: park it as a dead letter until an admin re-sends it
+      const dead = attempts >= notification.max_attempts;
+      await client.query(`
+        UPDATE notification_queue
+        SET
+          status = $1,
+          attempts = $2,
+          last_error = $3,
+          next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $4),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+      `, [dead ? 'dead' : 'pending', attempts, result.error, dead ? 0 : retryDelaySeconds(attempts), notification.id]);
+
+      console.error(`Notification ${notification.id} failed (attempt ${attempts}/${notification.max_attempts}):`, result.error);
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deliver due notifications
+ * Every notification is committed on its own, so one failure never re-sends the rest.
+ * Returns the number of notifications processed
+ */
+const deliverPendingNotifications = async (pool) => {
+  let processed = 0;
+  while (processed < DELIVERY_BATCH_SIZE && await deliverNextNotification(pool)) {
+    processed++;
+  }
+  return processed;
+};
+
+/**
+ * Put a sent or dead notification back on the queue with a fresh set of attempts
+ * Returns the updated row, or null when it is not found or still pending
+ */
+const resendNotification = async (db, id) => {
+  const result = await db.query(`
+    UPDATE notification_queue
+    SET status = 'pending', attempts = 0, last_error = NULL,
+        next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status <> 'pending' AND type <> ALL($2::text[])
+    RETURNING *
+  `, [id, getPrivateNotificationTypes()]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Periodically deliver pending notifications
+ */
+const startNotificationJob = (pool) => {
+  return setInterval(() => {
+    deliverPendingNotifications(pool)
+      .catch(err => console.error('Error delivering notifications:', err));
+  }, DELIVERY_INTERVAL_MS);
+};
+
+module.exports = {
+  CUSTOMER_NOTIFICATION_CHANNEL,
+  NOTIFICATION_STATUSES,
+  registerChannel,
+  registerRenderer,
+  registerSecretType,
+  getPrivateNotificationTypes,
+  enqueueNotification,
+  enqueueAdminAlert,
+  deliverPendingNotifications,
+  resendNotification,
+  startNotificationJob
+};
@@ -0,0 +1,31 @@
+/**
+ * Local notification channel for development
+ *
+ * Appends every notification as a JSON line to NOTIFICATION_LOG_FILE
+ * (default: logs/notifications.log) and prints a short line to the console.
+ * The content of notifications carrying a secret link is not written.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'notifications.log');
+
+const send = async ({ recipient, subject, body, payload, containsSecret }) => {
+  const entry = {
+    sentAt: new Date().toISOString(),
+    recipient,
+    subject,
+    ...(containsSecret ? { redacted: true } : { body, payload })
+  };
+
+  await fs.promises.mkdir(path.dirname(LOG_FILE), { recursive: true });
+  await fs.promises.appendFile(LOG_FILE, `${JSON.stringify(entry)}\n`);
+
+  console.log(`🔔 [${recipient}] ${subject}`);
+
+  return { success: true };
+};
+
+module.exports = {
+  send
+};
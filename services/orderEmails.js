@@ -0,0 +1,122 @@
+/**
+ * Customer emails about orders
+ *
+ * Emails are queued on the notification queue (`email` channel) in the caller's
+ * transaction, so a rolled back status change never sends mail. The recipient is
+ * the order's user; orders without a user or email are skipped.
+ */
+const { enqueueNotification, registerSecretType } = require('./notifications');
+const { renderOrderStatusEmail, renderOrderConfirmationEmail } = require('./mail/templates');
+const { getTrackingLink } = require('./trackingTokens');
+
+const ORDER_EMAIL_CHANNEL = 'email';
+
+// The confirmation links to the order's tracking page with a signed token
+registerSecretType('order_confirmation');
+
+// Order with its customer's name, email and email language
+const getOrderWithCustomer = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT
+      o.*,
+      u.email,
+      u.first_name,
+      u.last_name
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.id
+    WHERE o.id = $1
+  `, [orderId]);
+  return result.rows[0] || null;
+};
+
+const customerName = (order) => [order.first_name, order.last_name].filter(Boolean).join(' ');
+
+/**
+ * Queue the "order status changed" email
+ * Returns the notification id, or null when the order has no email
+ */
+const queueOrderStatusEmail = async (db, orderId, oldStatus, newStatus) => {
+  const order = await getOrderWithCustomer(db, orderId);
+  if (!order || !order.email) {
+    return null;
+  }
+
+  const statusesResult = await db.query(
+    'SELECT value, name, name_en FROM order_statuses WHERE value = ANY($1)',
+    [[oldStatus, newStatus].filter(Boolean)]
+  );
+  const statuses = Object.fromEntries(statusesResult.rows.map(row => [row.value, row]));
+
+  const email = renderOrderStatusEmail({
+    language: order.language,
+    customerName: customerName(order),
+    orderNumber: order.order_number,
+    oldStatus: oldStatus ? (statuses[oldStatus] || { value: oldStatus }) : null,
+    newStatus: statuses[newStatus] || { value: newStatus }
+  });
+
+  return enqueueNotification(db, {
+    channel: ORDER_EMAIL_CHANNEL,
+    recipient: order.email,
+    type: 'order_status',
+    subject: email.subject,
+    body: email.html,
+    payload: {
+      text: email.text,
+      orderId: order.id,
+      orderNumber: order.order_number,
+      oldStatus,
+      newStatus
+    }
+  });
+};
+
+/**
+ * Queue the order confirmation email sent after a successful payment
+ * Returns the notification id, or null when the order has no email
+ */
+const queueOrderConfirmationEmail = async (db, orderId) => {
+  const order = await getOrderWithCustomer(db, orderId);
+  if (!order || !order.email) {
+    return null;
+  }
+
+  const itemsResult = await db.query(`
+    SELECT product_name, product_price, quantity
+    FROM order_items
+    WHERE order_id = $1
+    ORDER BY created_at, id
+  `, [orderId]);
+
+  const addressResult = await db.query(
+    'SELECT address, city, district, postal_code FROM delivery_addresses WHERE order_id = $1',
+    [orderId]
+  );
+
+  const email = renderOrderConfirmationEmail({
+    language: order.language,
+    customerName: customerName(order),
+    order,
+    items: itemsResult.rows,
+    address: addressResult.rows[0] || null,
+    trackingLink: getTrackingLink(orderId)
+  });
+
+  return enqueueNotification(db, {
+    channel: ORDER_EMAIL_CHANNEL,
+    recipient: order.email,
+    type: 'order_confirmation',
+    subject: email.subject,
+    body: email.html,
+    payload: {
+      text: email.text,
+      orderId: order.id,
+      orderNumber: order.order_number
+    }
+  });
+};
+
+module.exports = {
+  queueOrderStatusEmail,
+  queueOrderConfirmationEmail
+};
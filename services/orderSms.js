@@ -0,0 +1,60 @@
+/**
+ * Customer SMS about order milestones
+ *
+ * Sent on order creation, `shipped` (with the tracking number) and `completed`, only
+ * to customers who opted in (users.sms_opt_in) and have a Turkish mobile number.
+ * Messages are queued on the notification outbox (`sms` channel) in the caller's transaction.
+ */
+const { enqueueNotification } = require('./notifications');
+const { normalizePhone } = require('./sms');
+const { prepareSmsText } = require('./sms/encoding');
+const { ORDER_SMS_EVENTS, renderOrderSms } = require('./sms/templates');
+
+const ORDER_SMS_CHANNEL = 'sms';
+
+/**
+ * Queue the SMS for an order event
+ * Returns the notification id, or null when no SMS is sent
+ */
+const queueOrderSms = async (db, orderId, event) => {
+  if (!ORDER_SMS_EVENTS.includes(event)) {
+    return null;
+  }
+
+  const result = await db.query(`
+    SELECT o.*, u.phone, u.sms_opt_in
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.id
+    WHERE o.id = $1
+  `, [orderId]);
+
+  const order = result.rows[0];
+  if (!order || !order.sms_opt_in) {
+    return null;
+  }
+
+  const phone = normalizePhone(order.phone);
+  if (!phone) {
+    return null;
+  }
+
+  const sms = prepareSmsText(renderOrderSms(event, { order }));
+
+  return enqueueNotification(db, {
+    channel: ORDER_SMS_CHANNEL,
+    recipient: phone,
+    type: `sms_${event}`,
+    subject: null,
+    body: sms.text,
+    payload: {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      encoding: sms.encoding,
+      parts: sms.parts
+    }
+  });
+};
+
+module.exports = {
+  queueOrderSms
+};
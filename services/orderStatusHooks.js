@@ -0,0 +1,224 @@
+/**
+ * Order status change hooks
+ *
+ * What a status change does besides writing orders.status and order_status_history
+ * (restock, tracking details, invoice, customer notifications) is registered here
+ * per transition instead of living in the routes:
+ *
+ *   registerStatusHook({ name, from, to, phase, run })
+ *
+ * `from` / `to` are a status value, a list of values or '*' (any, the default).
+ * Hooks run in registration order, with
+ *
+ *   ctx = { db, order, oldStatus, newStatus, changedBy, notes, params, results }
+ *
+ * where `order` is the order row (refreshed after the status update), `params` the
+ * extra request fields (trackingNumber, carrier, returnedItems) and `results` an
+ * object hooks can add to (e.g. stockMovements), returned to the caller.
+ *
+ * Phases:
+ * - guard: before anything is written; return an error message to veto the change
+ * - transaction: inside the status transaction, after the status update;
+ *   return { error } to roll the whole change back
+ * - afterCommit: once the transaction is committed; errors are only logged
+ */
+const { restockOrder } = require('./inventory');
+const { releaseReservations } = require('./stockReservations');
+const { queueOrderStatusEmail } = require('./orderEmails');
+const { queueOrderSms } = require('./orderSms');
+const { validateTransition } = require('./orderStatuses');
+
+const HOOK_PHASES = ['guard', 'transaction', 'afterCommit'];
+
+const hooks = [];
+
+/**
+ * Register a hook (see the phases above)
+ */
+const registerStatusHook = ({ name, from = '*', to = '*', phase = 'transaction', run }) => {
+  if (!HOOK_PHASES.includes(phase)) {
+    throw new Error(`Unknown status hook phase: ${phase}`);
+  }
+  hooks.push({ name, from, to, phase, run });
+};
+
+const matches = (pattern, status) =>
+  pattern === '*' || (Array.isArray(pattern) ? pattern.includes(status) : pattern === status);
+
+const getHooks = (phase, oldStatus, newStatus) => hooks.filter(hook =>
+  hook.phase === phase && matches(hook.from, oldStatus) && matches(hook.to, newStatus)
+);
+
+/**
+ * Change an order's status inside the caller's transaction
+ * `order` is the row locked with SELECT ... FOR UPDATE.
+ * Returns { error } (the caller rolls back) or
+ * { order, transition, results, afterCommit } - call afterCommit() once committed.
+ */
+const changeOrderStatus = async (client, order, newStatus, { changedBy, notes, params = {} }) => {
+  const oldStatus = order.status;
+
+  // Validate status transition against the workflow in order_status_transitions
+  const transition = await validateTransition(client, oldStatus, newStatus);
+  if (transition.error) {
+    return transition;
+  }
+
+  const ctx = {
+    db: client,
+    order,
+    oldStatus,
+    newStatus,
+    changedBy,
+    notes: notes || null,
+    params,
+    results: {}
+  };
+
+  for (const hook of getHooks('guard', oldStatus, newStatus)) {
+    const veto = await hook.run(ctx);
+    if (veto) {
+      return { error: veto, hook: hook.name };
+    }
+  }
+
+  const result = await client.query(`
+    UPDATE orders
+    SET status = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *
+  `, [newStatus, order.id]);
+  ctx.order = result.rows[0];
+
+  await client.query(`
+    INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [order.id, oldStatus, newStatus, changedBy, ctx.notes]);
+
+  for (const hook of getHooks('transaction', oldStatus, newStatus)) {
+    const outcome = await hook.run(ctx);
+    if (outcome && outcome.error) {
+      return { error: outcome.error, hook: hook.name };
+    }
+  }
+
+  const afterCommit = async () => {
+    for (const hook of getHooks('afterCommit', oldStatus, newStatus)) {
+      try {
+        await hook.run({ ...ctx, db: null });
+      } catch (err) {
+        console.error(`Error in status hook ${hook.name}:`, err);
+      }
+    }
+  };
+
+  return { order: ctx.order, transition, results: ctx.results, afterCommit };
+};
+
+// Built-in hooks
+
+registerStatusHook({
+  name: 'require-tracking-number',
+  to: 'shipped',
+  phase: 'guard',
+  run: ({ order, params }) => {
+    if (!params.trackingNumber && !order.tracking_number) {
+      return 'A tracking number is required to mark the order as shipped';
+    }
+  }
+});
+
+registerStatusHook({
+  name: 'record-tracking-number',
+  to: 'shipped',
+  run: async (ctx) => {
+    const result = await ctx.db.query(`
+      UPDATE orders
+      SET tracking_number = COALESCE($2, tracking_number), carrier = COALESCE($3, carrier)
+      WHERE id = $1
+      RETURNING *
+    `, [ctx.order.id, ctx.params.trackingNumber || null, ctx.params.carrier || null]);
+    ctx.order = result.rows[0];
+  }
+});
+
+registerStatusHook({
+  name: 'release-reservation-on-cancel',
+  from: 'pending_payment',
+  to: 'cancelled',
+  run: async ({ db, order }) => {
+    await releaseReservations(db, { orderId: order.id });
+  }
+});
+
+registerStatusHook({
+  name: 'restock-on-cancel',
+  to: 'cancelled',
+  run: async (ctx) => {
+    // Never-paid orders only held a reservation, returned goods were restocked by the return itself
+    if (ctx.oldStatus === 'pending_payment' || ctx.oldStatus === 'returned') {
+      return;
+    }
+    const restock = await restockOrder(ctx.db, ctx.order.id, {
+      movementType: 'restock',
+      actor: ctx.changedBy,
+      notes: ctx.notes || 'Sipariş iptal edildi'
+    });
+    if (restock.error) {
+      return restock;
+    }
+    ctx.results.stockMovements = restock.movements;
+  }
+});
+
+registerStatusHook({
+  name: 'restock-on-return',
+  to: 'returned',
+  run: async (ctx) => {
+    const restock = await restockOrder(ctx.db, ctx.order.id, {
+      movementType: 'return',
+      returnedItems: ctx.params.returnedItems || null,
+      actor: ctx.changedBy,
+      notes: ctx.notes || 'Sipariş iade edildi'
+    });
+    if (restock.error) {
+      return restock;
+    }
+    ctx.results.stockMovements = restock.movements;
+  }
+});
+
+registerStatusHook({
+  name: 'issue-invoice-on-complete',
+  to: 'completed',
+  run: async (ctx) => {
+    // e-Arşiv style number: prefix + year + 9-digit sequence; kept if the order is completed again
+    const result = await ctx.db.query(`
+      UPDATE orders
+      SET
+        invoice_number = 'MYE' || TO_CHAR(CURRENT_DATE, 'YYYY') || LPAD(nextval('order_invoice_number_seq')::text, 9, '0'),
+        invoiced_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND invoice_number IS NULL
+      RETURNING *
+    `, [ctx.order.id]);
+    if (result.rows.length > 0) {
+      ctx.order = result.rows[0];
+      ctx.results.invoiceNumber = ctx.order.invoice_number;
+    }
+  }
+});
+
+// Customer email / SMS go out with the notification job once the transaction commits
+registerStatusHook({
+  name: 'notify-customer',
+  run: async ({ db, order, oldStatus, newStatus }) => {
+    await queueOrderStatusEmail(db, order.id, oldStatus, newStatus);
+    await queueOrderSms(db, order.id, newStatus);
+  }
+});
+
+module.exports = {
+  HOOK_PHASES,
+  registerStatusHook,
+  changeOrderStatus
+};
@@ -0,0 +1,101 @@
+/**
+ * Order status workflow
+ *
+ * Statuses live in order_statuses and the allowed moves between them in
+ * order_status_transitions, so a new status (e.g. awaiting_pickup) only needs
+ * rows in those tables. System statuses (is_system) are the ones the code reacts
+ * to - payment, stock, notifications - and cannot be deactivated.
+ */
+
+// orders.status is VARCHAR(20)
+const STATUS_VALUE_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+
+const STATUS_COLUMNS = `
+  s.value,
+  s.name,
+  s.name_en as "nameEn",
+  s.color,
+  s.display_order as "displayOrder",
+  s.is_active as "isActive",
+  s.is_system as "isSystem"
+`;
+
+/**
+ * All statuses in display order, each with the statuses it can move to
+ */
+const getStatuses = async (db, { includeInactive = false } = {}) => {
+  const result = await db.query(`
+    SELECT
+      ${STATUS_COLUMNS},
+      COALESCE(
+        json_agg(target.value ORDER BY target.display_order) FILTER (WHERE target.value IS NOT NULL),
+        '[]'
+      ) as "allowedTransitions"
+    FROM order_statuses s
+    LEFT JOIN order_status_transitions t ON t.from_status = s.value
+    LEFT JOIN order_statuses target ON target.value = t.to_status AND target.is_active = TRUE
+    WHERE ($1::boolean OR s.is_active = TRUE)
+    GROUP BY s.id
+    ORDER BY s.display_order ASC, s.id ASC
+  `, [includeInactive]);
+  return result.rows;
+};
+
+/**
+ * One status by value (active or not), or null
+ */
+const getStatus = async (db, value) => {
+  const result = await db.query(`
+    SELECT ${STATUS_COLUMNS}
+    FROM order_statuses s
+    WHERE s.value = $1
+  `, [value]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Active statuses an order in `fromStatus` may move to
+ */
+const getAllowedTransitions = async (db, fromStatus) => {
+  const result = await db.query(`
+    SELECT ${STATUS_COLUMNS}
+    FROM order_status_transitions t
+    JOIN order_statuses s ON s.value = t.to_status
+    WHERE t.from_status = $1 AND s.is_active = TRUE
+    ORDER BY s.display_order ASC
+  `, [fromStatus]);
+  return result.rows;
+};
+
+/**
+ * Check a requested status change against the workflow
+ * Returns { error } or { from, to } (status rows)
+ */
+const validateTransition = async (db, fromStatus, toStatus) => {
+  const to = await getStatus(db, toStatus);
+  if (!to || !to.isActive) {
+    const active = await db.query(
+      'SELECT value FROM order_statuses WHERE is_active = TRUE ORDER BY display_order ASC'
+    );
+    return { error: `Status must be one of: ${active.rows.map(row => row.value).join(', ')}` };
+  }
+
+  const from = (await getStatus(db, fromStatus)) || { value: fromStatus, name: fromStatus, nameEn: fromStatus };
+  const allowed = await getAllowedTransitions(db, fromStatus);
+
+  if (!allowed.some(status => status.value === toStatus)) {
+    return {
+      error: `Cannot transition from "${from.name}" to "${to.name}". Allowed transitions: ${allowed.length > 0 ? allowed.map(status => status.value).join(', ') : 'none'}`
+    };
+  }
+
+  return { from, to };
+};
+
+module.exports = {
+  STATUS_VALUE_PATTERN,
+  getStatuses,
+  getStatus,
+  getAllowedTransitions,
+  validateTransition
+};
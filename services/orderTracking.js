@@ -0,0 +1,106 @@
+/**
+ * Public order tracking
+ *
+ * Customers look up an order with its number plus the email it was placed with, or
+ * with the signed tracking token from their confirmation email. Both give the same
+ * customer-safe view: no internal notes, who changed what, payment or admin fields.
+ */
+const { verifyTrackingToken } = require('./trackingTokens');
+const { getOrderShipments } = require('./shipments');
+
+/**
+ * Order by number and customer email (case-insensitive), or null
+ * A wrong number and a wrong email look the same, so orders cannot be probed.
+ */
+const findOrderByNumberAndEmail = async (db, orderNumber, email) => {
+  const result = await db.query(`
+    SELECT o.*
+    FROM orders o
+    JOIN users u ON o.user_id = u.id
+    WHERE o.order_number = $1 AND LOWER(u.email) = LOWER($2)
+  `, [orderNumber, String(email).trim()]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Order a tracking token was issued for, or null
+ */
+const findOrderByToken = async (db, token) => {
+  const orderId = verifyTrackingToken(token);
+  if (!orderId) {
+    return null;
+  }
+  const result = await db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * What a customer may see of an order: items, totals, current status (Turkish and
+ * English names), status timeline and shipments
+ */
+const getOrderTracking = async (db, order) => {
+  const statusResult = await db.query(
+    'SELECT value, name, name_en as "nameEn", color FROM order_statuses WHERE value = $1',
+    [order.status]
+  );
+
+  const itemsResult = await db.query(`
+    SELECT
+      product_name as "productName",
+      product_image as "productImage",
+      product_price as "unitPrice",
+      quantity,
+      (product_price * quantity) as total
+    FROM order_items
+    WHERE order_id = $1
+    ORDER BY created_at, id
+  `, [order.id]);
+
+  const timelineResult = await db.query(`
+    SELECT
+      h.new_status as status,
+      s.name,
+      s.name_en as "nameEn",
+      h.created_at as "changedAt"
+    FROM order_status_history h
+    LEFT JOIN order_statuses s ON s.value = h.new_status
+    WHERE h.order_id = $1
+    ORDER BY h.created_at ASC
+  `, [order.id]);
+
+  const addressResult = await db.query(
+    'SELECT city, district FROM delivery_addresses WHERE order_id = $1',
+    [order.id]
+  );
+
+  const shipments = await getOrderShipments(db, order.id);
+
+  return {
+    orderNumber: order.order_number,
+    createdAt: order.created_at,
+    status: statusResult.rows[0] || { value: order.status, name: order.status, nameEn: order.status, color: null },
+    totalPrice: order.total_price,
+    kdv: order.kdv,
+    grandTotal: order.grand_total,
+    items: itemsResult.rows,
+    timeline: timelineResult.rows,
+    delivery: addressResult.rows[0] || null,
+    shipments: shipments.map(shipment => ({
+      carrier: shipment.carrier,
+      carrierName: shipment.carrierName,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      status: shipment.status,
+      statusDescription: shipment.statusDescription,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt,
+      items: shipment.items.map(item => ({ productName: item.productName, quantity: item.quantity }))
+    }))
+  };
+};
+
+module.exports = {
+  findOrderByNumberAndEmail,
+  findOrderByToken,
+  getOrderTracking
+};
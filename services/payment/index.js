@@ -0,0 +1,133 @@
+/**
+ * Payment provider layer
+ *
+ * Routes talk to a provider only through this module. A provider is an object
+ * implementing the following async operations:
+ *
+ *   charge({ orderNumber, amount, currency, card })
+ *     -> { success, status, transactionId, errorCode, errorMessage }
+ *   initThreeDS({ orderNumber, amount, currency, card, callbackUrl })
+ *     -> { success, transactionId, htmlContent, redirectUrl, errorCode, errorMessage }
+ *   completeThreeDS(callbackPayload)
+ *     -> { success, status, transactionId, orderNumber, errorCode, errorMessage }
+ *     orderNumber must be left out when the callback cannot be verified (bad signature,
+ *     unknown payment), so a forged callback never reaches an order.
+ *   refund({ transactionId, amount, currency })
+ *     -> { success, refundId, errorCode, errorMessage }
+ *   query({ transactionId })
+ *     -> { success, status, amount, refundedAmount, errorCode, errorMessage }
+ *
+ * The active provider is selected with PAYMENT_PROVIDER (default: mock).
+ * Calls are given up after PAYMENT_PROVIDER_TIMEOUT_MS; charge() takes an onLateResult
+ * callback so a charge that succeeds after that can still be refunded.
+ */
+const mockProvider = require('./mockProvider');
+
+const providers = {
+  mock: mockProvider
+};
+
+// Provider calls taking longer than this are treated as timed out
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS || '30000');
+
+/**
+ * Register an additional provider (e.g. a Turkish PSP adapter)
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.PAYMENT_PROVIDER || 'mock';
+
+const getProvider = () => {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Resolve with a timeout result if the provider does not answer in time
+// onLateResult receives the provider's answer when it arrives after the timeout
+const withTimeout = (promise, onLateResult) => {
+  let timer;
+  let timedOut = false;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      resolve({
+        success: false,
+        status: 'timeout',
+        errorCode: 'timeout',
+        errorMessage: 'Ödeme sağlayıcısı zamanında yanıt vermedi'
+      });
+    }, PROVIDER_TIMEOUT_MS);
+  });
+  if (onLateResult) {
+    promise
+      .then(result => {
+        if (timedOut) {
+          onLateResult(result);
+        }
+      })
+      .catch(() => {});
+  }
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Validate and normalize card fields from the checkout payload
+ * Returns { error } or { card }
+ */
+const normalizeCard = (paymentInfo) => {
+  const number = String(paymentInfo.cardNumber || '').replace(/[\s-]/g, '');
+  const cvv = String(paymentInfo.cvv || '').trim();
+  const expiryMatch = String(paymentInfo.expiryDate || '').trim().match(/^(\d{2})\s*\/\s*(\d{2}|\d{4})$/);
+
+  if (!/^\d{13,19}$/.test(number)) {
+    return { error: 'Invalid card number' };
+  }
+  if (!/^\d{3,4}$/.test(cvv)) {
+    return { error: 'Invalid CVV' };
+  }
+  if (!expiryMatch) {
+    return { error: 'Invalid expiry date, expected MM/YY' };
+  }
+
+  const expiryMonth = parseInt(expiryMatch[1]);
+  const expiryYear = expiryMatch[2].length === 2 ? 2000 + parseInt(expiryMatch[2]) : parseInt(expiryMatch[2]);
+  const now = new Date();
+  if (expiryMonth < 1 || expiryMonth > 12 ||
+      expiryYear < now.getFullYear() ||
+      (expiryYear === now.getFullYear() && expiryMonth < now.getMonth() + 1)) {
+    return { error: 'Card is expired or expiry date is invalid' };
+  }
+
+  return {
+    card: {
+      number,
+      holderName: paymentInfo.cardName,
+      expiryMonth,
+      expiryYear,
+      cvv
+    }
+  };
+};
+
+const charge = (params, { onLateResult } = {}) => withTimeout(getProvider().charge(params), onLateResult);
+const initThreeDS = (params) => withTimeout(getProvider().initThreeDS(params));
+const completeThreeDS = (payload) => withTimeout(getProvider().completeThreeDS(payload));
+const refund = (params) => withTimeout(getProvider().refund(params));
+const query = (params) => withTimeout(getProvider().query(params));
+
+module.exports = {
+  registerProvider,
+  getProviderName,
+  normalizeCard,
+  charge,
+  initThreeDS,
+  completeThreeDS,
+  refund,
+  query
+};
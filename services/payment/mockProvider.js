@@ -0,0 +1,202 @@
+/**
+ * Local mock payment gateway
+ *
+ * Simulates a PSP for offline testing. The outcome is chosen by card number:
+ *   4111 1111 1111 1111, 5555 5555 5555 4444  -> success
+ *   4000 0000 0000 0002                       -> declined
+ *   4000 0000 0000 9995                       -> insufficient funds
+ *   4000 0000 0000 0119                       -> timeout
+ * Any other Luhn-valid number succeeds, invalid numbers are declined.
+ *
+ * Transactions are kept in memory only, so they are lost on restart.
+ */
+const crypto = require('crypto');
+const { getSecret } = require('../secrets');
+
+const TIMEOUT_DELAY_MS = parseInt(process.env.MOCK_PAYMENT_TIMEOUT_DELAY_MS || '3000');
+
+const TEST_CARDS = {
+  '4000000000000002': { status: 'declined', errorCode: 'card_declined', errorMessage: 'Kart işlemi bankanız tarafından reddedildi' },
+  '4000000000009995': { status: 'insufficient_funds', errorCode: 'insufficient_funds', errorMessage: 'Yetersiz bakiye' },
+  '4000000000000119': { status: 'timeout', errorCode: 'timeout', errorMessage: 'Banka zamanında yanıt vermedi' }
+};
+
+// transactionId -> { orderNumber, amount, currency, status, refundedAmount }
+const transactions = new Map();
+// paymentId -> pending 3D Secure attempt
+const pendingThreeDS = new Map();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+const isLuhnValid = (number) => {
+  let sum = 0;
+  let double = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = parseInt(number[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+// Decide the simulated outcome for a card
+const resolveOutcome = async (card) => {
+  const testCard = TEST_CARDS[card.number];
+  if (testCard) {
+    if (testCard.status === 'timeout') {
+      await delay(TIMEOUT_DELAY_MS);
+    }
+    return testCard;
+  }
+  if (!isLuhnValid(card.number)) {
+    return { status: 'declined', errorCode: 'invalid_card', errorMessage: 'Geçersiz kart numarası' };
+  }
+  return { status: 'completed' };
+};
+
+const signThreeDS = (paymentId, orderNumber, mdStatus) => crypto
+  .createHmac('sha256', getSecret('MOCK_3DS_SECRET'))
+  .update(`${paymentId}:${orderNumber}:${mdStatus}`)
+  .digest('hex');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const recordTransaction = (orderNumber, amount, currency) => {
+  const transactionId = generateId('MOCKTX');
+  transactions.set(transactionId, {
+    orderNumber,
+    amount,
+    currency,
+    status: 'completed',
+    refundedAmount: 0
+  });
+  return transactionId;
+};
+
+const charge = async ({ orderNumber, amount, currency = 'TRY', card }) => {
+  const outcome = await resolveOutcome(card);
+  if (outcome.status !== 'completed') {
+    return { success: false, ...outcome };
+  }
+
+  return {
+    success: true,
+    status: 'completed',
+    transactionId: recordTransaction(orderNumber, amount, currency)
+  };
+};
+
+/**
+ * Start a 3D Secure attempt
+ * The returned HTML auto-submits the simulated bank response to callbackUrl.
+ */
+const initThreeDS = async ({ orderNumber, amount, currency = 'TRY', card, callbackUrl }) => {
+  const outcome = await resolveOutcome(card);
+  if (outcome.status === 'timeout') {
+    return { success: false, ...outcome };
+  }
+
+  const paymentId = generateId('MOCK3DS');
+  // mdStatus 1 = cardholder authenticated, 0 = authentication failed
+  const mdStatus = outcome.status === 'declined' ? '0' : '1';
+
+  pendingThreeDS.set(paymentId, { orderNumber, amount, currency, outcome });
+
+  const fields = {
+    paymentId,
+    orderNumber,
+    mdStatus,
+    signature: signThreeDS(paymentId, orderNumber, mdStatus)
+  };
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  return {
+    success: true,
+    transactionId: paymentId,
+    redirectUrl: null,
+    htmlContent: `<!DOCTYPE html><html><body onload="document.forms[0].submit()">` +
+      `<form method="POST" action="${escapeHtml(callbackUrl)}">${inputs}` +
+      `<noscript><button type="submit">Devam</button></noscript></form></body></html>`
+  };
+};
+
+/**
+ * Verify the bank callback of a 3D Secure attempt and capture the payment
+ * orderNumber is only returned once the callback is verified against a pending attempt.
+ */
+const completeThreeDS = async ({ paymentId, orderNumber, mdStatus, signature }) => {
+  if (!paymentId || !signature || signature !== signThreeDS(paymentId, orderNumber, mdStatus)) {
+    return { success: false, status: 'failed', errorCode: 'invalid_signature', errorMessage: 'Geçersiz 3D Secure yanıtı' };
+  }
+
+  const attempt = pendingThreeDS.get(paymentId);
+  if (!attempt || attempt.orderNumber !== orderNumber) {
+    return { success: false, status: 'failed', errorCode: 'unknown_payment', errorMessage: '3D Secure işlemi bulunamadı' };
+  }
+  pendingThreeDS.delete(paymentId);
+
+  if (mdStatus !== '1') {
+    return { success: false, status: 'failed', orderNumber, errorCode: 'authentication_failed', errorMessage: '3D Secure doğrulaması başarısız' };
+  }
+  if (attempt.outcome.status !== 'completed') {
+    return { success: false, orderNumber, ...attempt.outcome };
+  }
+
+  return {
+    success: true,
+    status: 'completed',
+    orderNumber,
+    transactionId: recordTransaction(orderNumber, attempt.amount, attempt.currency)
+  };
+};
+
+const refund = async ({ transactionId, amount }) => {
+  const transaction = transactions.get(transactionId);
+  if (!transaction) {
+    return { success: false, errorCode: 'unknown_transaction', errorMessage: 'İşlem bulunamadı' };
+  }
+
+  const refundAmount = amount !== undefined ? amount : transaction.amount - transaction.refundedAmount;
+  if (refundAmount <= 0 || transaction.refundedAmount + refundAmount > transaction.amount + 0.001) {
+    return { success: false, errorCode: 'invalid_amount', errorMessage: 'İade tutarı işlem tutarını aşıyor' };
+  }
+
+  transaction.refundedAmount = Math.round((transaction.refundedAmount + refundAmount) * 100) / 100;
+  transaction.status = transaction.refundedAmount >= transaction.amount ? 'refunded' : 'partially_refunded';
+
+  return { success: true, refundId: generateId('MOCKRF') };
+};
+
+const query = async ({ transactionId }) => {
+  const transaction = transactions.get(transactionId);
+  if (!transaction) {
+    return { success: false, errorCode: 'unknown_transaction', errorMessage: 'İşlem bulunamadı' };
+  }
+
+  return {
+    success: true,
+    status: transaction.status,
+    amount: transaction.amount,
+    refundedAmount: transaction.refundedAmount
+  };
+};
+
+module.exports = {
+  charge,
+  initThreeDS,
+  completeThreeDS,
+  refund,
+  query
+};
@@ -0,0 +1,80 @@
+/**
+ * Expiry of abandoned 3D Secure payments
+ * Orders left in 'pending_payment' longer than THREE_DS_TIMEOUT_MINUTES are cancelled
+ * and their stock reservations are released.
+ */
+const { releaseReservations } = require('./stockReservations');
+
+const THREE_DS_TIMEOUT_MINUTES = parseInt(process.env.THREE_DS_TIMEOUT_MINUTES || '15');
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Cancel pending 3D Secure orders whose time window has passed
+ * Returns the number of expired orders
+ */
+const expireAbandonedPayments = async (pool) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED: orders currently being finalized by a callback are left alone
+    const expiredResult = await client.query(`
+      SELECT id, order_number
+      FROM orders
+      WHERE status = 'pending_payment'
+        AND created_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute')
+      FOR UPDATE SKIP LOCKED
+    `, [THREE_DS_TIMEOUT_MINUTES]);
+
+    for (const order of expiredResult.rows) {
+      await client.query(`
+        UPDATE orders
+        SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [order.id]);
+
+      await client.query(`
+        UPDATE payment_info
+        SET payment_status = 'expired', updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = $1
+      `, [order.id]);
+
+      await releaseReservations(client, { orderId: order.id }, 'expired');
+
+      await client.query(`
+        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [order.id, 'pending_payment', 'cancelled', 'system', '3D Secure ödeme süresi doldu']);
+    }
+
+    await client.query('COMMIT');
+
+    if (expiredResult.rows.length > 0) {
+      console.log(`⏰ ${expiredResult.rows.length} abandoned 3D Secure payment(s) expired`);
+    }
+
+    return expiredResult.rows.length;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Periodically expire abandoned payments
+ */
+const startPaymentExpiryJob = (pool) => {
+  return setInterval(() => {
+    expireAbandonedPayments(pool)
+      .catch(err => console.error('Error expiring abandoned payments:', err));
+  }, EXPIRY_CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  THREE_DS_TIMEOUT_MINUTES,
+  expireAbandonedPayments,
+  startPaymentExpiryJob
+};
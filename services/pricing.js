@@ -0,0 +1,133 @@
+/**
+ * Server-side cart pricing
+ * Prices are always taken from the products table, never from the client payload.
+ * All arithmetic is done in kuruş (integer) to avoid floating point drift.
+ */
+const { isUuid } = require('./ids');
+
+// KDV rate (default 20%)
+const KDV_RATE = parseFloat(process.env.KDV_RATE || '0.20');
+
+// Allowed difference between client and server totals (in kuruş)
+const PRICE_TOLERANCE_KURUS = 1;
+
+const toKurus = (value) => Math.round(parseFloat(value) * 100);
+const fromKurus = (kurus) => kurus / 100;
+
+/**
+ * Price cart items from the database
+ * Returns { error } when the cart is invalid, otherwise { items, totalPrice, kdv, grandTotal }
+ */
+const priceCart = async (client, cartItems) => {
+  for (const item of cartItems) {
+    if (!item.id || !isUuid(String(item.id))) {
+      return { error: `Invalid product id in cart: ${item.id}` };
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Invalid quantity for product ${item.id}: quantity must be a positive integer` };
+    }
+  }
+
+  const productIds = [...new Set(cartItems.map(item => String(item.id)))];
+  const productResult = await client.query(`
+    SELECT id, name, current_price, images
+    FROM products
+    WHERE id = ANY($1::uuid[]) AND is_deleted = FALSE
+  `, [productIds]);
+
+  const productsById = new Map(productResult.rows.map(product => [product.id, product]));
+
+  const items = [];
+  let totalKurus = 0;
+
+  for (const item of cartItems) {
+    const product = productsById.get(String(item.id).toLowerCase());
+    if (!product) {
+      return { error: `Ürün bulunamadı veya satıştan kaldırılmış: ${item.name || item.id}` };
+    }
+
+    const quantity = Number(item.quantity);
+    const unitKurus = toKurus(product.current_price);
+    const lineKurus = unitKurus * quantity;
+    totalKurus += lineKurus;
+
+    items.push({
+      productId: product.id,
+      name: product.name,
+      unitPrice: fromKurus(unitKurus),
+      quantity,
+      lineTotal: fromKurus(lineKurus),
+      image: (product.images && product.images[0]) || item.image || null
+    });
+  }
+
+  const kdvKurus = Math.round(totalKurus * KDV_RATE);
+
+  return {
+    items,
+    totalPrice: fromKurus(totalKurus),
+    kdv: fromKurus(kdvKurus),
+    grandTotal: fromKurus(totalKurus + kdvKurus)
+  };
+};
+
+/**
+ * Compare client-submitted totals with server-computed totals
+ * Returns a list of mismatching fields (empty when totals agree)
+ */
+const findTotalsMismatch = (clientTotals, serverTotals) => {
+  return ['totalPrice', 'kdv', 'grandTotal'].filter(field => {
+    const clientKurus = toKurus(clientTotals[field]);
+    const serverKurus = toKurus(serverTotals[field]);
+    return Number.isNaN(clientKurus) || Math.abs(clientKurus - serverKurus) > PRICE_TOLERANCE_KURUS;
+  });
+};
+
+/**
+ * Value of some lines of an order, with KDV at the rate the order was charged
+ * lines: [{ unitPrice, quantity }]
+ * Returns { subtotal, kdv, total }
+ */
+const priceOrderLines = (order, lines) => {
+  const subtotalKurus = lines.reduce((sum, line) => sum + toKurus(line.unitPrice) * line.quantity, 0);
+  const orderTotalKurus = toKurus(order.total_price);
+  const kdvKurus = orderTotalKurus > 0
+    ? Math.round(subtotalKurus * toKurus(order.kdv) / orderTotalKurus)
+    : 0;
+
+  return {
+    subtotal: fromKurus(subtotalKurus),
+    kdv: fromKurus(kdvKurus),
+    total: fromKurus(subtotalKurus + kdvKurus)
+  };
+};
+
+/**
+ * Split an amount including KDV (e.g. an arbitrary refund) at the rate the order was charged
+ * Returns { subtotal, kdv, total }
+ */
+const splitOrderAmount = (order, amount) => {
+  const totalKurus = toKurus(amount);
+  const orderTotalKurus = toKurus(order.total_price);
+  const orderGrandKurus = orderTotalKurus + toKurus(order.kdv);
+  const subtotalKurus = orderGrandKurus > 0
+    ? Math.round(totalKurus * orderTotalKurus / orderGrandKurus)
+    : totalKurus;
+
+  return {
+    subtotal: fromKurus(subtotalKurus),
+    kdv: fromKurus(totalKurus - subtotalKurus),
+    total: fromKurus(totalKurus)
+  };
+};
+
+module.exports = {
+  KDV_RATE,
+  toKurus,
+  fromKurus,
+  priceCart,
+  findTotalsMismatch,
+  priceOrderLines,
+  splitOrderAmount
+};
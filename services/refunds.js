@@ -0,0 +1,481 @@
+/**
+ * Refunds
+ *
+ * Money going back to the customer for an order, always through the payment provider
+ * that took it. A refund is one of:
+ * - full: whatever is left of the payment
+ * - lines: order_items lines and quantities, valued at the order's prices
+ * - amount: an arbitrary amount including KDV
+ * - return: the refund due for a completed return request
+ * Every refund stores its KDV breakdown (at the rate the order was charged).
+ *
+ * A refund is saved as pending before the provider is asked for the money, so a payout
+ * can never be lost to a rolled back transaction. It then becomes completed or failed;
+ * when the provider does not answer it stays pending until reconcileRefund asks the
+ * provider what happened. Pending refunds already count against what is left to refund.
+ *
+ * payment_info.refunded_amount is the running total of completed refunds, and
+ * payment_status moves to partially_refunded / refunded with it.
+ */
+const paymentProvider = require('./payment');
+const { toKurus, fromKurus, priceOrderLines, splitOrderAmount } = require('./pricing');
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const REFUND_COLUMNS = `
+  rf.id,
+  rf.order_id as "orderId",
+  rf.payment_info_id as "paymentInfoId",
+  rf.return_request_id as "returnRequestId",
+  rf.type,
+  rf.status,
+  rf.subtotal,
+  rf.kdv,
+  rf.amount,
+  rf.currency,
+  rf.provider,
+  rf.provider_refund_id as "providerRefundId",
+  rf.reason,
+  rf.created_by as "createdBy",
+  rf.created_at as "createdAt",
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'orderItemId', ri.order_item_id,
+      'productName', oi.product_name,
+      'quantity', ri.quantity,
+      'subtotal', ri.subtotal,
+      'kdv', ri.kdv,
+      'amount', ri.amount
+    ) ORDER BY oi.created_at)
+    FROM refund_items ri
+    JOIN order_items oi ON oi.id = ri.order_item_id
+    WHERE ri.refund_id = rf.id
+  ), '[]') as items
+`;
+
+/**
+ * Refunds of an order, oldest first
+ */
+const getOrderRefunds = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT ${REFUND_COLUMNS}
+    FROM refunds rf
+    WHERE rf.order_id = $1
+    ORDER BY rf.created_at ASC
+  `, [orderId]);
+  return result.rows;
+};
+
+/**
+ * Paid, refunded and still refundable amounts of an order's payment, or null when unpaid
+ */
+const getRefundSummary = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT
+      pi.payment_status,
+      pi.amount,
+      pi.refunded_amount,
+      COALESCE((
+        SELECT SUM(rf.amount) FROM refunds rf WHERE rf.payment_info_id = pi.id AND rf.status = 'pending'
+      ), 0) as pending_amount
+    FROM payment_info pi
+    WHERE pi.order_id = $1
+    ORDER BY pi.created_at DESC
+    LIMIT 1
+  `, [orderId]);
+
+  const payment = result.rows[0];
+  if (!payment) {
+    return null;
+  }
+
+  return {
+    paymentStatus: payment.payment_status,
+    paidAmount: Number(payment.amount),
+    refundedAmount: Number(payment.refunded_amount),
+    pendingRefundAmount: Number(payment.pending_amount),
+    refundableAmount: REFUNDABLE_PAYMENT_STATUSES.includes(payment.payment_status)
+      ? fromKurus(toKurus(payment.amount) - toKurus(payment.refunded_amount) - toKurus(payment.pending_amount))
+      : 0
+  };
+};
+
+// Order lines with the quantity not refunded yet
+const getRefundableLines = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT
+      oi.id,
+      oi.product_name,
+      oi.product_price,
+      oi.quantity,
+      COALESCE((
+        SELECT SUM(ri.quantity)
+        FROM refund_items ri
+        JOIN refunds rf ON rf.id = ri.refund_id
+        WHERE ri.order_item_id = oi.id AND rf.status <> 'failed'
+      ), 0)::integer as refunded_quantity
+    FROM order_items oi
+    WHERE oi.order_id = $1
+  `, [orderId]);
+  return result.rows;
+};
+
+// Check requested [{ orderItemId, quantity }] against what is left to refund per line
+const validateLines = (orderLines, requested) => {
+  const totals = new Map();
+  for (const item of requested) {
+    const line = orderLines.find(candidate => candidate.id === (item && item.orderItemId));
+    if (!line) {
+      return { error: `Order item ${item && item.orderItemId} does not belong to this order` };
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Quantity for order item ${line.id} must be a positive integer` };
+    }
+    totals.set(line.id, (totals.get(line.id) || 0) + quantity);
+  }
+
+  const lines = [];
+  for (const [orderItemId, quantity] of totals) {
+    const line = orderLines.find(candidate => candidate.id === orderItemId);
+    const left = line.quantity - line.refunded_quantity;
+    if (quantity > left) {
+      return { error: `Only ${left} of "${line.product_name}" left to refund, ${quantity} requested` };
+    }
+    lines.push({ orderItemId, quantity, unitPrice: line.product_price });
+  }
+  return { lines };
+};
+
+/**
+ * Record a pending refund of (part of) an order inside the caller's transaction
+ * Pass at most one of items ([{ orderItemId, quantity }]), amount (including KDV) or
+ * returnRequestId; with none of them the rest of the payment is refunded.
+ * Commit, then hand the refund to processRefund to pay it out.
+ * Returns { error } or { refund }
+ */
+const createRefund = async (client, order, { items, amount, returnRequestId, reason, actor }) => {
+  const modes = [items !== undefined, amount !== undefined, returnRequestId !== undefined].filter(Boolean);
+  if (modes.length > 1) {
+    return { error: 'Use only one of items, amount or returnRequestId' };
+  }
+
+  const paymentResult = await client.query(`
+    SELECT *
+    FROM payment_info
+    WHERE order_id = $1
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [order.id]);
+  const payment = paymentResult.rows[0];
+
+  if (!payment || !REFUNDABLE_PAYMENT_STATUSES.includes(payment.payment_status)) {
+    return { error: `Order has no refundable payment${payment ? ` (payment status: ${payment.payment_status})` : ''}` };
+  }
+
+  const pendingResult = await client.query(
+    "SELECT COALESCE(SUM(amount), 0) as amount FROM refunds WHERE payment_info_id = $1 AND status = 'pending'",
+    [payment.id]
+  );
+  const refundableKurus = toKurus(payment.amount) - toKurus(payment.refunded_amount) - toKurus(pendingResult.rows[0].amount);
+
+  let type;
+  let lines = [];
+  let breakdown;
+
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: 'items must be a non-empty array of { orderItemId, quantity }' };
+    }
+    const validation = validateLines(await getRefundableLines(client, order.id), items);
+    if (validation.error) {
+      return validation;
+    }
+    type = 'lines';
+    lines = validation.lines;
+    breakdown = priceOrderLines(order, lines);
+  } else if (amount !== undefined) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0 || Math.abs(value * 100 - Math.round(value * 100)) > 1e-6) {
+      return { error: 'amount must be a positive amount in TL with at most 2 decimals' };
+    }
+    type = 'amount';
+    breakdown = splitOrderAmount(order, value);
+  } else if (returnRequestId !== undefined) {
+    const returnResult = await client.query(`
+      SELECT r.*, EXISTS (
+        SELECT 1 FROM refunds rf WHERE rf.return_request_id = r.id AND rf.status <> 'failed'
+      ) as refunded
+      FROM return_requests r
+      WHERE r.id = $1 AND r.order_id = $2
+    `, [returnRequestId, order.id]);
+    const returnRow = returnResult.rows[0];
+    if (!returnRow) {
+      return { error: 'Return request not found for this order' };
+    }
+    if (returnRow.status !== 'completed') {
+      return { error: `Only completed returns can be refunded, this one is "${returnRow.status}"` };
+    }
+    if (returnRow.refunded) {
+      return { error: `Return ${returnRow.return_number} has already been refunded` };
+    }
+
+    const returnItems = await client.query(`
+      SELECT order_item_id as "orderItemId", received_quantity as quantity
+      FROM return_request_items
+      WHERE return_request_id = $1 AND received_quantity > 0
+    `, [returnRow.id]);
+    const validation = validateLines(await getRefundableLines(client, order.id), returnItems.rows);
+    if (validation.error) {
+      return validation;
+    }
+    type = 'return';
+    lines = validation.lines;
+    breakdown = {
+      subtotal: Number(returnRow.refund_subtotal),
+      kdv: Number(returnRow.refund_kdv),
+      total: Number(returnRow.refund_total)
+    };
+  } else {
+    type = 'full';
+    breakdown = splitOrderAmount(order, fromKurus(refundableKurus));
+  }
+
+  const refundKurus = toKurus(breakdown.total);
+  if (refundKurus <= 0) {
+    return { error: 'Nothing to refund' };
+  }
+  if (refundKurus > refundableKurus) {
+    return { error: `Refund of ${breakdown.total} TL exceeds the refundable ${fromKurus(refundableKurus)} TL` };
+  }
+
+  const refundResult = await client.query(`
+    INSERT INTO refunds (
+      order_id, payment_info_id, return_request_id, type, status, subtotal, kdv, amount,
+      provider, reason, created_by
+    )
+    VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8, $9, $10)
+    RETURNING id
+  `, [
+    order.id,
+    payment.id,
+    returnRequestId || null,
+    type,
+    breakdown.subtotal,
+    breakdown.kdv,
+    breakdown.total,
+    payment.provider,
+    reason || null,
+    actor
+  ]);
+  const refundId = refundResult.rows[0].id;
+
+  for (const line of lines) {
+    const lineBreakdown = priceOrderLines(order, [line]);
+    await client.query(`
+      INSERT INTO refund_items (refund_id, order_item_id, quantity, subtotal, kdv, amount)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [refundId, line.orderItemId, line.quantity, lineBreakdown.subtotal, lineBreakdown.kdv, lineBreakdown.total]);
+  }
+
+  const refundRows = await client.query(`SELECT ${REFUND_COLUMNS} FROM refunds rf WHERE rf.id = $1`, [refundId]);
+
+  return { refund: refundRows.rows[0] };
+};
+
+// Pending refunds younger than this may still be waiting for the provider's answer
+const REFUND_RECONCILE_AFTER_SECONDS = 120;
+
+// Complete a pending refund and add it to the payment's refunded total
+const markRefundCompleted = async (client, refundId, providerRefundId) => {
+  const refundUpdate = await client.query(`
+    UPDATE refunds
+    SET status = 'completed', provider_refund_id = COALESCE($2, provider_refund_id), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'pending'
+    RETURNING payment_info_id, amount
+  `, [refundId, providerRefundId || null]);
+
+  if (refundUpdate.rows.length === 0) {
+    return;
+  }
+
+  const { payment_info_id: paymentInfoId, amount } = refundUpdate.rows[0];
+  const paymentResult = await client.query(
+    'SELECT amount, refunded_amount FROM payment_info WHERE id = $1 FOR UPDATE',
+    [paymentInfoId]
+  );
+  const payment = paymentResult.rows[0];
+  const refundedKurus = toKurus(payment.refunded_amount) + toKurus(amount);
+  await client.query(`
+    UPDATE payment_info
+    SET refunded_amount = $2, payment_status = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [
+    paymentInfoId,
+    fromKurus(refundedKurus),
+    refundedKurus >= toKurus(payment.amount) ? 'refunded' : 'partially_refunded'
+  ]);
+};
+
+// A failed refund frees its amount and lines
+const markRefundFailed = async (client, refundId) => {
+  await client.query(`
+    UPDATE refunds
+    SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'pending'
+  `, [refundId]);
+};
+
+// Run fn(client) in a transaction of its own
+const inTransaction = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await fn(client);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const getRefund = async (db, refundId) => {
+  const result = await db.query(`SELECT ${REFUND_COLUMNS} FROM refunds rf WHERE rf.id = $1`, [refundId]);
+  return result.rows[0];
+};
+
+/**
+ * Pay out a committed pending refund through the payment provider
+ * A completed refund is added to payment_info.refunded_amount; one the provider rejects
+ * is marked failed, which frees its amount and lines. Without an answer from the
+ * provider the refund stays pending until reconcileRefund settles it.
+ * Returns { error, errorCode, providerError, refund } or { refund, payment }
+ */
+const processRefund = async (pool, refundId) => {
+  const pendingResult = await pool.query(`
+    SELECT rf.order_id, rf.amount, rf.currency, pi.transaction_id
+    FROM refunds rf
+    JOIN payment_info pi ON pi.id = rf.payment_info_id
+    WHERE rf.id = $1 AND rf.status = 'pending'
+  `, [refundId]);
+  const pending = pendingResult.rows[0];
+  if (!pending) {
+    return { error: 'Refund not found or not pending' };
+  }
+
+  const providerResult = await paymentProvider.refund({
+    transactionId: pending.transaction_id,
+    amount: Number(pending.amount),
+    currency: pending.currency
+  });
+
+  if (providerResult.success) {
+    await inTransaction(pool, client => markRefundCompleted(client, refundId, providerResult.refundId));
+  } else if (providerResult.status !== 'timeout') {
+    await inTransaction(pool, client => markRefundFailed(client, refundId));
+  }
+
+  const refund = await getRefund(pool, refundId);
+
+  if (!providerResult.success) {
+    return {
+      error: providerResult.errorMessage || 'İade işlemi başarısız',
+      errorCode: providerResult.errorCode,
+      providerError: true,
+      refund
+    };
+  }
+
+  return {
+    refund,
+    payment: await getRefundSummary(pool, pending.order_id)
+  };
+};
+
+/**
+ * Settle a refund left pending (provider timeout, crash) from the provider's own records
+ * The provider reports how much of the payment it has refunded. When that covers this
+ * refund on top of the completed ones the money went out and the refund is completed;
+ * otherwise it never reached the provider and is marked failed, so it can be issued
+ * again. Pending refunds of a payment are reconciled oldest first.
+ * Returns { error, errorCode, notFound, conflict, providerError } or { refund, payment }
+ */
+const reconcileRefund = async (pool, orderId, refundId) => {
+  const pendingResult = await pool.query(`
+    SELECT
+      rf.id,
+      rf.status,
+      rf.payment_info_id,
+      pi.transaction_id,
+      rf.updated_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 second') as settled_by_now,
+      EXISTS (
+        SELECT 1 FROM refunds older
+        WHERE older.payment_info_id = rf.payment_info_id AND older.status = 'pending'
+          AND older.created_at < rf.created_at
+      ) as has_older_pending
+    FROM refunds rf
+    JOIN payment_info pi ON pi.id = rf.payment_info_id
+    WHERE rf.id = $1 AND rf.order_id = $2
+  `, [refundId, orderId, REFUND_RECONCILE_AFTER_SECONDS]);
+  const pending = pendingResult.rows[0];
+
+  if (!pending) {
+    return { error: 'Refund not found', notFound: true };
+  }
+  if (pending.status !== 'pending') {
+    return { error: `Refund is already ${pending.status}`, conflict: true };
+  }
+  if (!pending.settled_by_now) {
+    return { error: 'Refund may still be in progress, try again later', conflict: true };
+  }
+  if (pending.has_older_pending) {
+    return { error: 'Reconcile the older pending refunds of this payment first', conflict: true };
+  }
+
+  const providerResult = await paymentProvider.query({ transactionId: pending.transaction_id });
+  if (!providerResult.success) {
+    return {
+      error: providerResult.errorMessage || 'İade durumu sorgulanamadı',
+      errorCode: providerResult.errorCode,
+      providerError: true
+    };
+  }
+
+  await inTransaction(pool, async (client) => {
+    const paymentResult = await client.query(
+      'SELECT refunded_amount FROM payment_info WHERE id = $1 FOR UPDATE',
+      [pending.payment_info_id]
+    );
+    const refundResult = await client.query(
+      "SELECT amount FROM refunds WHERE id = $1 AND status = 'pending' FOR UPDATE",
+      [refundId]
+    );
+    if (refundResult.rows.length === 0) {
+      return;
+    }
+
+    const unrecordedKurus = toKurus(providerResult.refundedAmount || 0) - toKurus(paymentResult.rows[0].refunded_amount);
+    if (unrecordedKurus >= toKurus(refundResult.rows[0].amount)) {
+      await markRefundCompleted(client, refundId, null);
+    } else {
+      await markRefundFailed(client, refundId);
+    }
+  });
+
+  return {
+    refund: await getRefund(pool, refundId),
+    payment: await getRefundSummary(pool, orderId)
+  };
+};
+
+module.exports = {
+  REFUNDABLE_PAYMENT_STATUSES,
+  getOrderRefunds,
+  getRefundSummary,
+  createRefund,
+  processRefund,
+  reconcileRefund
+};
@@ -0,0 +1,382 @@
+/**
+ * Returns (RMA)
+ *
+ * A return request covers specific order_items lines and quantities:
+ *
+ *   requested -> approved -> completed (goods received and inspected)
+ *             -> rejected
+ *   requested / approved -> cancelled
+ *
+ * On receipt each line is inspected: intact units go back to sellable stock, damaged
+ * ones to the damaged bucket, and the refund due (with KDV at the order's rate) is
+ * stored on the request (issued with POST /api/orders/:id/refunds). The order itself only moves to 'returned' once every unit
+ * has come back; partial returns leave its status alone.
+ */
+const crypto = require('crypto');
+const { restockOrder } = require('./inventory');
+const { priceOrderLines } = require('./pricing');
+const { changeOrderStatus } = require('./orderStatusHooks');
+const { validateTransition } = require('./orderStatuses');
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'completed', 'cancelled'];
+const OPEN_RETURN_STATUSES = ['requested', 'approved'];
+const RETURN_REASONS = ['defective', 'damaged_in_shipping', 'wrong_item', 'not_as_described', 'changed_mind', 'other'];
+
+// Goods must have left the warehouse to come back
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'completed'];
+
+// Customers can open a return this many days after delivery (cayma hakkı), admins any time
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || '14');
+
+const RETURN_COLUMNS = `
+  r.id,
+  r.return_number as "returnNumber",
+  r.order_id as "orderId",
+  o.order_number as "orderNumber",
+  r.status,
+  r.reason,
+  r.customer_notes as "customerNotes",
+  r.admin_notes as "adminNotes",
+  r.opened_by as "openedBy",
+  r.created_by as "createdBy",
+  r.decided_by as "decidedBy",
+  r.decided_at as "decidedAt",
+  r.received_by as "receivedBy",
+  r.received_at as "receivedAt",
+  r.refund_subtotal as "refundSubtotal",
+  r.refund_kdv as "refundKdv",
+  r.refund_total as "refundTotal",
+  (SELECT rf.id FROM refunds rf WHERE rf.return_request_id = r.id AND rf.status <> 'failed') as "refundId",
+  r.created_at as "createdAt",
+  r.updated_at as "updatedAt",
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'orderItemId', ri.order_item_id,
+      'productName', oi.product_name,
+      'productPrice', oi.product_price,
+      'quantity', ri.quantity,
+      'receivedQuantity', ri.received_quantity,
+      'damagedQuantity', ri.damaged_quantity
+    ) ORDER BY oi.created_at)
+    FROM return_request_items ri
+    JOIN order_items oi ON oi.id = ri.order_item_id
+    WHERE ri.return_request_id = r.id
+  ), '[]') as items
+`;
+
+const generateReturnNumber = () => `RMA-${Date.now()}-${crypto.randomInt(1000)}`;
+
+/**
+ * One return request by id, or null
+ */
+const getReturn = async (db, id) => {
+  const result = await db.query(`
+    SELECT ${RETURN_COLUMNS}
+    FROM return_requests r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Page of return requests, newest first
+ * Returns { returns, total }
+ */
+const listReturns = async (db, { status, orderNumber, limit, offset }) => {
+  const filters = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    filters.push(`r.status = $${params.length}`);
+  }
+  if (orderNumber) {
+    params.push(orderNumber);
+    filters.push(`o.order_number = $${params.length}`);
+  }
+
+  const whereClause = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+
+  const countResult = await db.query(`
+    SELECT COUNT(*)::integer as total
+    FROM return_requests r
+    JOIN orders o ON o.id = r.order_id
+    ${whereClause}
+  `, params);
+
+  const result = await db.query(`
+    SELECT ${RETURN_COLUMNS}
+    FROM return_requests r
+    JOIN orders o ON o.id = r.order_id
+    ${whereClause}
+    ORDER BY r.created_at DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { returns: result.rows, total: countResult.rows[0].total };
+};
+
+/**
+ * Order lines with the quantity that can still be returned
+ * (not restocked yet and not part of an open return request)
+ */
+const getReturnableItems = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT
+      oi.id as "orderItemId",
+      oi.product_name as "productName",
+      oi.product_price as "productPrice",
+      oi.quantity,
+      COALESCE(oi.restocked_quantity, 0) as "returnedQuantity",
+      COALESCE((
+        SELECT SUM(ri.quantity)
+        FROM return_request_items ri
+        JOIN return_requests r ON r.id = ri.return_request_id
+        WHERE ri.order_item_id = oi.id AND r.status = ANY($2)
+      ), 0)::integer as "openReturnQuantity"
+    FROM order_items oi
+    WHERE oi.order_id = $1
+    ORDER BY oi.created_at ASC
+  `, [orderId, OPEN_RETURN_STATUSES]);
+
+  return result.rows.map(line => ({
+    ...line,
+    returnableQuantity: Math.max(line.quantity - line.returnedQuantity - line.openReturnQuantity, 0)
+  }));
+};
+
+// When the return window started: last delivery, or completion when nothing was tracked
+const getDeliveredAt = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT COALESCE(
+      (SELECT MAX(delivered_at) FROM shipments WHERE order_id = $1 AND status = 'delivered'),
+      (SELECT MAX(created_at) FROM order_status_history WHERE order_id = $1 AND new_status = 'completed')
+    ) as delivered_at
+  `, [orderId]);
+  return result.rows[0].delivered_at;
+};
+
+/**
+ * Open a return request inside the caller's transaction
+ * `order` is the row locked with SELECT ... FOR UPDATE; openedBy is 'customer' or 'admin'.
+ * Returns { error } or { returnRequest }
+ */
+const createReturnRequest = async (client, order, { items, reason, notes, openedBy, createdBy }) => {
+  if (!RETURN_REASONS.includes(reason)) {
+    return { error: `Reason must be one of: ${RETURN_REASONS.join(', ')}` };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'items must be a non-empty array of { orderItemId, quantity }' };
+  }
+
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    return { error: `Orders in status "${order.status}" cannot be returned` };
+  }
+
+  if (openedBy === 'customer') {
+    const deliveredAt = await getDeliveredAt(client, order.id);
+    if (deliveredAt && Date.now() - new Date(deliveredAt).getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Returns can only be opened within ${RETURN_WINDOW_DAYS} days of delivery` };
+    }
+  }
+
+  const lines = await getReturnableItems(client, order.id);
+  const requested = new Map();
+  for (const item of items) {
+    const line = lines.find(candidate => candidate.orderItemId === (item && item.orderItemId));
+    if (!line) {
+      return { error: `Order item ${item && item.orderItemId} does not belong to this order` };
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Quantity for order item ${line.orderItemId} must be a positive integer` };
+    }
+    requested.set(line.orderItemId, (requested.get(line.orderItemId) || 0) + quantity);
+  }
+
+  for (const [orderItemId, quantity] of requested) {
+    const line = lines.find(candidate => candidate.orderItemId === orderItemId);
+    if (quantity > line.returnableQuantity) {
+      return {
+        error: `Only ${line.returnableQuantity} of "${line.productName}" can be returned, ${quantity} requested`
+      };
+    }
+  }
+
+  const result = await client.query(`
+    INSERT INTO return_requests (return_number, order_id, reason, customer_notes, opened_by, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [generateReturnNumber(), order.id, reason, notes || null, openedBy, createdBy || null]);
+  const returnId = result.rows[0].id;
+
+  for (const [orderItemId, quantity] of requested) {
+    await client.query(`
+      INSERT INTO return_request_items (return_request_id, order_item_id, quantity)
+      VALUES ($1, $2, $3)
+    `, [returnId, orderItemId, quantity]);
+  }
+
+  return { returnRequest: await getReturn(client, returnId) };
+};
+
+/**
+ * Approve or reject a requested return
+ * Returns { error } or { returnRequest }
+ */
+const decideReturn = async (client, returnRow, { approve, notes, actor }) => {
+  if (returnRow.status !== 'requested') {
+    return { error: `Only requested returns can be ${approve ? 'approved' : 'rejected'}, this one is "${returnRow.status}"` };
+  }
+  if (!approve && !notes) {
+    return { error: 'notes are required to reject a return' };
+  }
+
+  await client.query(`
+    UPDATE return_requests
+    SET status = $2, admin_notes = COALESCE($3, admin_notes), decided_by = $4,
+        decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [returnRow.id, approve ? 'approved' : 'rejected', notes || null, actor]);
+
+  return { returnRequest: await getReturn(client, returnRow.id) };
+};
+
+/**
+ * Cancel a return that has not been received yet
+ * Returns { error } or { returnRequest }
+ */
+const cancelReturn = async (client, returnRow, { notes, actor }) => {
+  if (!OPEN_RETURN_STATUSES.includes(returnRow.status)) {
+    return { error: `Return in status "${returnRow.status}" cannot be cancelled` };
+  }
+
+  await client.query(`
+    UPDATE return_requests
+    SET status = 'cancelled', admin_notes = COALESCE($2, admin_notes), decided_by = COALESCE(decided_by, $3),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [returnRow.id, notes || null, actor]);
+
+  return { returnRequest: await getReturn(client, returnRow.id) };
+};
+
+/**
+ * Receive and inspect the goods of an approved return inside the caller's transaction
+ * items: [{ orderItemId, receivedQuantity, damagedQuantity }] - lines left out are
+ * received in full and intact. `order` is the row locked with SELECT ... FOR UPDATE.
+ * Returns { error } or { returnRequest, stockMovements, orderStatus, statusChange } - call
+ * statusChange.afterCommit() once committed.
+ */
+const receiveReturn = async (client, returnRow, order, { items = [], notes, actor }) => {
+  if (returnRow.status !== 'approved') {
+    return { error: `Only approved returns can be received, this one is "${returnRow.status}"` };
+  }
+
+  const requestedResult = await client.query(`
+    SELECT ri.id, ri.order_item_id, ri.quantity, oi.product_name, oi.product_price
+    FROM return_request_items ri
+    JOIN order_items oi ON oi.id = ri.order_item_id
+    WHERE ri.return_request_id = $1
+  `, [returnRow.id]);
+
+  const inspections = [];
+  for (const line of requestedResult.rows) {
+    const inspection = items.find(item => item && item.orderItemId === line.order_item_id) || {};
+    const received = inspection.receivedQuantity === undefined ? line.quantity : Number(inspection.receivedQuantity);
+    const damaged = inspection.damagedQuantity === undefined ? 0 : Number(inspection.damagedQuantity);
+
+    if (!Number.isInteger(received) || received < 0 || received > line.quantity) {
+      return { error: `receivedQuantity for "${line.product_name}" must be between 0 and ${line.quantity}` };
+    }
+    if (!Number.isInteger(damaged) || damaged < 0 || damaged > received) {
+      return { error: `damagedQuantity for "${line.product_name}" must be between 0 and ${received}` };
+    }
+    inspections.push({ line, received, damaged });
+  }
+
+  const unknown = items.find(item => !requestedResult.rows.some(line => item && line.order_item_id === item.orderItemId));
+  if (unknown) {
+    return { error: `Order item ${unknown && unknown.orderItemId} is not part of this return` };
+  }
+
+  const restock = await restockOrder(client, order.id, {
+    movementType: 'return',
+    returnedItems: inspections.flatMap(({ line, received, damaged }) => [
+      { orderItemId: line.order_item_id, quantity: received - damaged, damaged: false },
+      { orderItemId: line.order_item_id, quantity: damaged, damaged: true }
+    ]),
+    actor,
+    notes: notes || `İade ${returnRow.return_number}`
+  });
+  if (restock.error) {
+    return restock;
+  }
+
+  for (const { line, received, damaged } of inspections) {
+    await client.query(`
+      UPDATE return_request_items
+      SET received_quantity = $2, damaged_quantity = $3
+      WHERE id = $1
+    `, [line.id, received, damaged]);
+  }
+
+  // Everything that came back is refunded, damaged or not
+  const refund = priceOrderLines(order, inspections.map(({ line, received }) => ({
+    unitPrice: line.product_price,
+    quantity: received
+  })));
+
+  await client.query(`
+    UPDATE return_requests
+    SET status = 'completed', admin_notes = COALESCE($2, admin_notes), received_by = $3,
+        received_at = CURRENT_TIMESTAMP, refund_subtotal = $4, refund_kdv = $5, refund_total = $6,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [returnRow.id, notes || null, actor, refund.subtotal, refund.kdv, refund.total]);
+
+  // The order is 'returned' only once every unit is back (and the workflow allows it)
+  let statusChange = null;
+  const remaining = await client.query(`
+    SELECT COUNT(*)::integer as count
+    FROM order_items
+    WHERE order_id = $1 AND COALESCE(restocked_quantity, 0) < quantity
+  `, [order.id]);
+
+  if (remaining.rows[0].count === 0 && order.status !== 'returned') {
+    const transition = await validateTransition(client, order.status, 'returned');
+    if (!transition.error) {
+      statusChange = await changeOrderStatus(client, order, 'returned', {
+        changedBy: actor,
+        notes: `İade ${returnRow.return_number} teslim alındı`,
+        // Stock was already moved above
+        params: { returnedItems: [] }
+      });
+      if (statusChange.error) {
+        return statusChange;
+      }
+    }
+  }
+
+  return {
+    returnRequest: await getReturn(client, returnRow.id),
+    stockMovements: restock.movements,
+    orderStatus: statusChange ? statusChange.order.status : order.status,
+    statusChange
+  };
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  RETURN_WINDOW_DAYS,
+  getReturn,
+  listReturns,
+  getReturnableItems,
+  createReturnRequest,
+  decideReturn,
+  cancelReturn,
+  receiveReturn
+};
@@ -0,0 +1,70 @@
+/**
+ * Signing secrets
+ *
+ * Secrets come from environment variables listed in SECRETS. An unset secret falls back
+ * to a random value per process, so anything signed with it stops verifying after a
+ * restart; secrets marked requiredInProduction must be set when NODE_ENV=production.
+ * The placeholder from .env.example is never accepted.
+ */
+const crypto = require('crypto');
+
+const PLACEHOLDER_SECRET = 'change-me';
+
+const SECRETS = {
+  JWT_SECRET: {
+    unsetWarning: 'login tokens will stop working after a restart'
+  },
+  // Tracking links are emailed to customers and must keep working across restarts
+  TRACKING_TOKEN_SECRET: {
+    unsetWarning: 'order tracking links will stop working after a restart',
+    requiredInProduction: true
+  },
+  // Signs the mock bank's 3D Secure callbacks; pending mock payments are lost on restart anyway
+  MOCK_3DS_SECRET: {}
+};
+
+const fallbackSecrets = new Map();
+
+/**
+ * Value of the secret environment variable `name`
+ * Throws when it still holds the placeholder, or is unset in production but required there.
+ * @param {string} name - One of the SECRETS keys
+ * @returns {string}
+ */
+const getSecret = (name) => {
+  const options = SECRETS[name] || {};
+  const value = process.env[name];
+
+  if (value === PLACEHOLDER_SECRET) {
+    throw new Error(`${name} is set to the example value "${PLACEHOLDER_SECRET}"; set it to a long random string`);
+  }
+  if (value) {
+    return value;
+  }
+  if (options.requiredInProduction && process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+
+  if (!fallbackSecrets.has(name)) {
+    if (options.unsetWarning) {
+      console.warn(`${name} is not set; ${options.unsetWarning}`);
+    }
+    fallbackSecrets.set(name, crypto.randomBytes(32).toString('hex'));
+  }
+  return fallbackSecrets.get(name);
+};
+
+/**
+ * Resolve every secret once at startup so a bad configuration stops the server
+ * before it signs anything. Throws like getSecret.
+ */
+const checkSecrets = () => {
+  for (const name of Object.keys(SECRETS)) {
+    getSecret(name);
+  }
+};
+
+module.exports = {
+  getSecret,
+  checkSecrets
+};
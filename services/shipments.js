@@ -0,0 +1,486 @@
+/**
+ * Shipments
+ *
+ * An order ships in one or more shipments, each with its own carrier, tracking number
+ * and order_items lines/quantities (partial shipments). The order moves to 'shipped'
+ * once every line is fully shipped, and the tracking job polls the carrier and
+ * completes the order when all of its shipments are delivered.
+ *
+ * Orders moved to 'shipped' directly (PATCH status, bulk status) get one shipment for
+ * everything not shipped yet, so they are tracked the same way.
+ */
+const {
+  ACTIVE_SHIPMENT_STATUSES,
+  resolveCarrier,
+  getCarrierName,
+  getTrackingUrl,
+  isTrackable,
+  track
+} = require('./shipping');
+const { changeOrderStatus, registerStatusHook } = require('./orderStatusHooks');
+const { validateTransition } = require('./orderStatuses');
+const { enqueueAdminAlert } = require('./notifications');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SHIPMENT_POLL_INTERVAL_MS || String(15 * 60 * 1000));
+const POLL_BATCH_SIZE = 100;
+// Complete orders automatically once every shipment is delivered
+const AUTO_COMPLETE_ORDERS = process.env.SHIPMENT_AUTO_COMPLETE !== 'false';
+
+const SHIPMENT_COLUMNS = `
+  s.id,
+  s.order_id as "orderId",
+  o.order_number as "orderNumber",
+  s.carrier,
+  s.tracking_number as "trackingNumber",
+  s.status,
+  s.status_description as "statusDescription",
+  s.shipped_at as "shippedAt",
+  s.delivered_at as "deliveredAt",
+  s.last_checked_at as "lastCheckedAt",
+  s.last_error as "lastError",
+  s.created_by as "createdBy",
+  s.notes,
+  s.created_at as "createdAt",
+  s.updated_at as "updatedAt",
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'orderItemId', si.order_item_id,
+      'productName', oi.product_name,
+      'quantity', si.quantity
+    ) ORDER BY oi.created_at)
+    FROM shipment_items si
+    JOIN order_items oi ON oi.id = si.order_item_id
+    WHERE si.shipment_id = s.id
+  ), '[]') as items
+`;
+
+const formatShipment = (row) => ({
+  ...row,
+  carrierName: getCarrierName(row.carrier),
+  trackingUrl: getTrackingUrl(row.carrier, row.trackingNumber)
+});
+
+/**
+ * One shipment by id, or null
+ */
+const getShipment = async (db, id) => {
+  const result = await db.query(`
+    SELECT ${SHIPMENT_COLUMNS}
+    FROM shipments s
+    JOIN orders o ON o.id = s.order_id
+    WHERE s.id = $1
+  `, [id]);
+  return result.rows[0] ? formatShipment(result.rows[0]) : null;
+};
+
+/**
+ * Shipments of an order, oldest first
+ */
+const getOrderShipments = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT ${SHIPMENT_COLUMNS}
+    FROM shipments s
+    JOIN orders o ON o.id = s.order_id
+    WHERE s.order_id = $1
+    ORDER BY s.shipped_at ASC, s.created_at ASC
+  `, [orderId]);
+  return result.rows.map(formatShipment);
+};
+
+/**
+ * Page of shipments, newest first
+ * Returns { shipments, total }
+ */
+const listShipments = async (db, { status, carrier, orderNumber, limit, offset }) => {
+  const filters = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    filters.push(`s.status = $${params.length}`);
+  }
+  if (carrier) {
+    params.push(carrier);
+    filters.push(`s.carrier = $${params.length}`);
+  }
+  if (orderNumber) {
+    params.push(orderNumber);
+    filters.push(`o.order_number = $${params.length}`);
+  }
+
+  const whereClause = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+
+  const countResult = await db.query(`
+    SELECT COUNT(*)::integer as total
+    FROM shipments s
+    JOIN orders o ON o.id = s.order_id
+    ${whereClause}
+  `, params);
+
+  const result = await db.query(`
+    SELECT ${SHIPMENT_COLUMNS}
+    FROM shipments s
+    JOIN orders o ON o.id = s.order_id
+    ${whereClause}
+    ORDER BY s.shipped_at DESC, s.created_at DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { shipments: result.rows.map(formatShipment), total: countResult.rows[0].total };
+};
+
+/**
+ * Order lines with ordered, shipped (in non-cancelled shipments) and remaining quantities
+ */
+const getShippableItems = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT
+      oi.id as "orderItemId",
+      oi.product_name as "productName",
+      oi.quantity,
+      COALESCE(SUM(si.quantity) FILTER (WHERE s.status <> 'cancelled'), 0)::integer as "shippedQuantity"
+    FROM order_items oi
+    LEFT JOIN shipment_items si ON si.order_item_id = oi.id
+    LEFT JOIN shipments s ON s.id = si.shipment_id
+    WHERE oi.order_id = $1
+    GROUP BY oi.id
+    ORDER BY oi.created_at ASC
+  `, [orderId]);
+
+  return result.rows.map(line => ({
+    ...line,
+    remainingQuantity: Math.max(line.quantity - line.shippedQuantity, 0)
+  }));
+};
+
+// Insert the shipment and its lines, returns the new shipment id
+const insertShipment = async (client, orderId, { carrier, trackingNumber, lines, createdBy, notes }) => {
+  const result = await client.query(`
+    INSERT INTO shipments (order_id, carrier, tracking_number, created_by, notes)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [orderId, carrier, trackingNumber, createdBy || null, notes || null]);
+  const shipmentId = result.rows[0].id;
+
+  for (const line of lines) {
+    await client.query(`
+      INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+      VALUES ($1, $2, $3)
+    `, [shipmentId, line.orderItemId, line.quantity]);
+  }
+
+  return shipmentId;
+};
+
+/**
+ * Create a shipment for an order inside the caller's transaction
+ * `order` is the row locked with SELECT ... FOR UPDATE. `items` ([{ orderItemId, quantity }])
+ * defaults to everything not shipped yet. The order moves to 'shipped' when nothing is left.
+ * Returns { error } or { shipment, fullyShipped, statusChange } - call
+ * statusChange.afterCommit() once committed.
+ */
+const createShipment = async (client, order, { carrier, trackingNumber, items, changedBy, notes }) => {
+  const carrierCode = resolveCarrier(carrier);
+  if (!carrierCode) {
+    return { error: `Unknown carrier "${carrier}". Carrier must be one of: yurtici, aras, mng, ptt, other` };
+  }
+
+  const tracking = typeof trackingNumber === 'string' ? trackingNumber.trim() : '';
+  if (!tracking || tracking.length > 100) {
+    return { error: 'trackingNumber is required (max 100 characters)' };
+  }
+
+  const lines = await getShippableItems(client, order.id);
+  if (!lines.some(line => line.remainingQuantity > 0)) {
+    return { error: 'All items of this order have already been shipped' };
+  }
+
+  // Orders already marked shipped (before shipments existed) can still get their shipments recorded
+  if (order.status !== 'shipped') {
+    const transition = await validateTransition(client, order.status, 'shipped');
+    if (transition.error) {
+      return { error: `Order cannot be shipped: ${transition.error}` };
+    }
+  }
+
+  let shipmentLines;
+  if (items === undefined) {
+    shipmentLines = lines
+      .filter(line => line.remainingQuantity > 0)
+      .map(line => ({ orderItemId: line.orderItemId, quantity: line.remainingQuantity }));
+  } else {
+    const requested = new Map();
+    for (const item of items) {
+      const line = lines.find(candidate => candidate.orderItemId === (item && item.orderItemId));
+      if (!line) {
+        return { error: `Order item ${item && item.orderItemId} does not belong to this order` };
+      }
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return { error: `Quantity for order item ${line.orderItemId} must be a positive integer` };
+      }
+      requested.set(line.orderItemId, (requested.get(line.orderItemId) || 0) + quantity);
+    }
+
+    for (const [orderItemId, quantity] of requested) {
+      const line = lines.find(candidate => candidate.orderItemId === orderItemId);
+      if (quantity > line.remainingQuantity) {
+        return {
+          error: `Only ${line.remainingQuantity} of "${line.productName}" left to ship, ${quantity} requested`
+        };
+      }
+    }
+
+    shipmentLines = [...requested].map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+  }
+
+  if (shipmentLines.length === 0) {
+    return { error: 'A shipment needs at least one item' };
+  }
+
+  const duplicate = await client.query(`
+    SELECT 1 FROM shipments
+    WHERE carrier = $1 AND tracking_number = $2 AND status <> 'cancelled'
+  `, [carrierCode, tracking]);
+  if (duplicate.rows.length > 0) {
+    return { error: `Tracking number ${tracking} is already used by another ${getCarrierName(carrierCode)} shipment` };
+  }
+
+  const shipmentId = await insertShipment(client, order.id, {
+    carrier: carrierCode,
+    trackingNumber: tracking,
+    lines: shipmentLines,
+    createdBy: changedBy,
+    notes
+  });
+
+  const fullyShipped = lines.every(line => {
+    const shipped = shipmentLines.find(shipmentLine => shipmentLine.orderItemId === line.orderItemId);
+    return line.remainingQuantity - (shipped ? shipped.quantity : 0) === 0;
+  });
+
+  let statusChange = null;
+  if (fullyShipped && order.status !== 'shipped') {
+    statusChange = await changeOrderStatus(client, order, 'shipped', {
+      changedBy,
+      notes: notes || `Kargoya verildi: ${getCarrierName(carrierCode)} ${tracking}`,
+      params: { trackingNumber: tracking, carrier: getCarrierName(carrierCode) }
+    });
+    if (statusChange.error) {
+      return statusChange;
+    }
+  }
+
+  return {
+    shipment: await getShipment(client, shipmentId),
+    fullyShipped,
+    statusChange
+  };
+};
+
+/**
+ * Cancel a shipment that has not been delivered yet; its quantities become shippable again
+ * Returns { error, notFound } or { shipment }
+ */
+const cancelShipment = async (db, id) => {
+  const result = await db.query(`
+    UPDATE shipments
+    SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = ANY($2)
+    RETURNING id
+  `, [id, ACTIVE_SHIPMENT_STATUSES]);
+
+  if (result.rows.length === 0) {
+    const shipment = await getShipment(db, id);
+    return shipment
+      ? { error: `Shipment in status "${shipment.status}" cannot be cancelled` }
+      : { error: 'Shipment not found', notFound: true };
+  }
+
+  return { shipment: await getShipment(db, id) };
+};
+
+// Complete a shipped order once every line is shipped and every shipment delivered
+const completeDeliveredOrder = async (pool, orderId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    const order = orderResult.rows[0];
+
+    const undelivered = await client.query(`
+      SELECT COUNT(*)::integer as count
+      FROM shipments
+      WHERE order_id = $1 AND status NOT IN ('delivered', 'cancelled')
+    `, [orderId]);
+    const lines = await getShippableItems(client, orderId);
+
+    if (!order || order.status !== 'shipped' ||
+        undelivered.rows[0].count > 0 ||
+        lines.some(line => line.remainingQuantity > 0)) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const change = await changeOrderStatus(client, order, 'completed', {
+      changedBy: 'system',
+      notes: 'Kargo teslim edildi'
+    });
+    if (change.error) {
+      await client.query('ROLLBACK');
+      console.error(`Order ${order.order_number} could not be completed after delivery: ${change.error}`);
+      return false;
+    }
+
+    await client.query('COMMIT');
+    await change.afterCommit();
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Ask the carrier for a shipment's delivery state and store it
+ * Returns { error } or { shipment, orderCompleted }
+ */
+const refreshShipment = async (pool, shipment) => {
+  let result;
+  try {
+    result = await track({
+      carrier: shipment.carrier,
+      trackingNumber: shipment.tracking_number,
+      shippedAt: shipment.shipped_at
+    });
+  } catch (err) {
+    result = { success: false, errorMessage: err.message };
+  }
+
+  if (!result.success) {
+    await pool.query(`
+      UPDATE shipments
+      SET last_checked_at = CURRENT_TIMESTAMP, last_error = $2
+      WHERE id = $1
+    `, [shipment.id, result.errorMessage || 'Tracking failed']);
+    return { error: result.errorMessage || 'Tracking failed' };
+  }
+
+  // Only active shipments are updated, a shipment cancelled meanwhile stays cancelled
+  const updated = await pool.query(`
+    UPDATE shipments
+    SET
+      status = $2,
+      status_description = $3,
+      delivered_at = COALESCE($4, delivered_at),
+      last_checked_at = CURRENT_TIMESTAMP,
+      last_error = NULL,
+      updated_at = CASE WHEN status <> $2::varchar THEN CURRENT_TIMESTAMP ELSE updated_at END
+    WHERE id = $1 AND status = ANY($5)
+    RETURNING status
+  `, [shipment.id, result.status, result.description || null, result.deliveredAt || null, ACTIVE_SHIPMENT_STATUSES]);
+
+  const statusChanged = updated.rows.length > 0 && shipment.status !== result.status;
+
+  if (statusChanged && result.status === 'failed') {
+    const order = await pool.query('SELECT order_number FROM orders WHERE id = $1', [shipment.order_id]);
+    await enqueueAdminAlert(pool, {
+      type: 'shipment_failed',
+      subject: `Teslimat başarısız: ${order.rows[0].order_number}`,
+      body: `${order.rows[0].order_number} numaralı siparişin ${getCarrierName(shipment.carrier)} ${shipment.tracking_number} gönderisi teslim edilemedi.`,
+      payload: { shipmentId: shipment.id, orderId: shipment.order_id }
+    });
+  }
+
+  let orderCompleted = false;
+  if (statusChanged && result.status === 'delivered' && AUTO_COMPLETE_ORDERS) {
+    orderCompleted = await completeDeliveredOrder(pool, shipment.order_id);
+  }
+
+  return { shipment: await getShipment(pool, shipment.id), orderCompleted };
+};
+
+/**
+ * Refresh active, trackable shipments (least recently checked first)
+ * Returns the number of shipments checked
+ */
+const pollShipments = async (pool) => {
+  const result = await pool.query(`
+    SELECT *
+    FROM shipments
+    WHERE status = ANY($1)
+    ORDER BY last_checked_at ASC NULLS FIRST
+    LIMIT $2
+  `, [ACTIVE_SHIPMENT_STATUSES, POLL_BATCH_SIZE]);
+
+  let checked = 0;
+  for (const shipment of result.rows) {
+    if (!isTrackable(shipment.carrier)) {
+      continue;
+    }
+    try {
+      await refreshShipment(pool, shipment);
+      checked++;
+    } catch (err) {
+      console.error(`Error tracking shipment ${shipment.id}:`, err);
+    }
+  }
+
+  return checked;
+};
+
+/**
+ * Periodically poll carriers for delivery state
+ */
+const startShipmentTrackingJob = (pool) => {
+  return setInterval(() => {
+    pollShipments(pool)
+      .catch(err => console.error('Error polling shipments:', err));
+  }, POLL_INTERVAL_MS);
+};
+
+// Orders moved to 'shipped' without a shipment get one for everything not shipped yet
+registerStatusHook({
+  name: 'record-shipment',
+  to: 'shipped',
+  run: async (ctx) => {
+    const remaining = (await getShippableItems(ctx.db, ctx.order.id))
+      .filter(line => line.remainingQuantity > 0);
+    if (remaining.length === 0) {
+      return;
+    }
+
+    const carrier = resolveCarrier(ctx.order.carrier) || 'other';
+    const duplicate = await ctx.db.query(`
+      SELECT 1 FROM shipments
+      WHERE carrier = $1 AND tracking_number = $2 AND status <> 'cancelled'
+    `, [carrier, ctx.order.tracking_number]);
+    if (duplicate.rows.length > 0) {
+      return { error: `Tracking number ${ctx.order.tracking_number} is already used by another shipment` };
+    }
+
+    ctx.results.shipmentId = await insertShipment(ctx.db, ctx.order.id, {
+      carrier,
+      trackingNumber: ctx.order.tracking_number,
+      lines: remaining.map(line => ({ orderItemId: line.orderItemId, quantity: line.remainingQuantity })),
+      createdBy: ctx.changedBy,
+      notes: ctx.notes
+    });
+  }
+});
+
+module.exports = {
+  getShipment,
+  getOrderShipments,
+  listShipments,
+  getShippableItems,
+  createShipment,
+  cancelShipment,
+  refreshShipment,
+  pollShipments,
+  startShipmentTrackingJob
+};
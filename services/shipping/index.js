@@ -0,0 +1,98 @@
+/**
+ * Cargo carrier layer
+ *
+ * Carriers are identified by a code (yurtici, aras, mng, ptt). Delivery state is
+ * read through a tracking provider, an object implementing:
+ *
+ *   track({ carrier, trackingNumber, shippedAt })
+ *     -> { success, status, description, deliveredAt, errorMessage }
+ *
+ * where status is one of SHIPMENT_STATUSES except 'cancelled'. The active provider
+ * is selected with SHIPPING_PROVIDER (default: mock). Shipments with carrier
+ * 'other' are not tracked.
+ */
+const mockCarrier = require('./mockCarrier');
+
+const CARRIERS = {
+  yurtici: { name: 'Yurtiçi Kargo', trackingUrl: 'https://www.yurticikargo.com/tr/online-servisler/gonderi-sorgula?code=' },
+  aras: { name: 'Aras Kargo', trackingUrl: 'https://www.araskargo.com.tr/trmobile/cargo_tracking_detail.aspx?query=1&querydetail=2&ref_no=' },
+  mng: { name: 'MNG Kargo', trackingUrl: 'https://www.mngkargo.com.tr/gonderi-takip/?takipNo=' },
+  ptt: { name: 'PTT Kargo', trackingUrl: 'https://gonderitakip.ptt.gov.tr/Track/Verify?q=' },
+  other: { name: 'Diğer', trackingUrl: null }
+};
+
+// shipped -> in_transit -> out_for_delivery -> delivered, or failed (returned to sender)
+const SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'cancelled'];
+const ACTIVE_SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery'];
+
+const providers = {
+  mock: mockCarrier
+};
+
+/**
+ * Register an additional tracking provider (e.g. a carrier API or an aggregator)
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.SHIPPING_PROVIDER || 'mock';
+
+const getProvider = () => {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown shipping provider: ${name}`);
+  }
+  return provider;
+};
+
+// "Yurtiçi Kargo", "YURTICI", "yurtici" -> "yurtici"
+const normalizeCarrierName = (value) => String(value)
+  .toLocaleLowerCase('tr-TR')
+  .replace(/ç/g, 'c')
+  .replace(/ğ/g, 'g')
+  .replace(/ı/g, 'i')
+  .replace(/ö/g, 'o')
+  .replace(/ş/g, 's')
+  .replace(/ü/g, 'u')
+  .replace(/kargo|cargo/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Carrier code for a code or display name, or null if unknown
+ */
+const resolveCarrier = (value) => {
+  if (!value) {
+    return null;
+  }
+  const normalized = normalizeCarrierName(value);
+  return Object.keys(CARRIERS).find(code =>
+    code === normalized || normalizeCarrierName(CARRIERS[code].name) === normalized
+  ) || null;
+};
+
+const getCarrierName = (code) => (CARRIERS[code] ? CARRIERS[code].name : code);
+
+const getTrackingUrl = (code, trackingNumber) => (
+  CARRIERS[code] && CARRIERS[code].trackingUrl
+    ? `${CARRIERS[code].trackingUrl}${encodeURIComponent(trackingNumber)}`
+    : null
+);
+
+const isTrackable = (code) => code !== 'other';
+
+const track = (params) => getProvider().track(params);
+
+module.exports = {
+  CARRIERS,
+  SHIPMENT_STATUSES,
+  ACTIVE_SHIPMENT_STATUSES,
+  registerProvider,
+  getProviderName,
+  resolveCarrier,
+  getCarrierName,
+  getTrackingUrl,
+  isTrackable,
+  track
+};
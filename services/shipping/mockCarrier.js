@@ -0,0 +1,46 @@
+/**
+ * Local mock tracking provider
+ *
+ * Simulates carrier tracking for offline testing. The state only depends on the
+ * time since the shipment was handed over, MOCK_SHIPPING_DELIVERY_MINUTES
+ * (default: 1440) being the delivery time:
+ *   first 10%        -> shipped
+ *   until 75%        -> in_transit
+ *   until delivery   -> out_for_delivery
+ *   after delivery   -> delivered
+ * Tracking numbers starting with FAIL end up 'failed' instead of delivered.
+ */
+const DELIVERY_MINUTES = parseFloat(process.env.MOCK_SHIPPING_DELIVERY_MINUTES || '1440');
+
+const DESCRIPTIONS = {
+  shipped: 'Gönderi kargo şubesine teslim edildi',
+  in_transit: 'Gönderi transfer merkezinde',
+  out_for_delivery: 'Gönderi dağıtıma çıktı',
+  delivered: 'Gönderi alıcıya teslim edildi',
+  failed: 'Alıcıya ulaşılamadı, gönderi iade ediliyor'
+};
+
+const track = async ({ trackingNumber, shippedAt }) => {
+  const deliveryMs = DELIVERY_MINUTES * 60 * 1000;
+  const elapsed = Date.now() - new Date(shippedAt).getTime();
+
+  let status = 'shipped';
+  if (elapsed >= deliveryMs) {
+    status = String(trackingNumber).toUpperCase().startsWith('FAIL') ? 'failed' : 'delivered';
+  } else if (elapsed >= deliveryMs * 0.75) {
+    status = 'out_for_delivery';
+  } else if (elapsed >= deliveryMs * 0.1) {
+    status = 'in_transit';
+  }
+
+  return {
+    success: true,
+    status,
+    description: DESCRIPTIONS[status],
+    deliveredAt: status === 'delivered' ? new Date(new Date(shippedAt).getTime() + deliveryMs) : null
+  };
+};
+
+module.exports = {
+  track
+};
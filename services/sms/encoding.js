@@ -0,0 +1,89 @@
+/**
+ * SMS text encoding
+ *
+ * A message that only uses the GSM 03.38 alphabet is sent as GSM-7 (160 characters,
+ * 153 per part when split). A single character outside it - such as ş, ğ or ı -
+ * switches the whole message to UCS-2 (70 characters, 67 per part), which more
+ * than doubles the number of parts billed.
+ *
+ * Unless SMS_UNICODE=true, Turkish letters missing from GSM-7 are therefore
+ * transliterated (ş -> s, ğ -> g, ı -> i, İ -> I, ç -> c). Ç, Ö, Ü, ö and ü are
+ * part of GSM-7 and are kept.
+ */
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Extension table characters take two septets (escape + character)
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const TURKISH_TO_GSM7 = {
+  'ş': 's',
+  'Ş': 'S',
+  'ğ': 'g',
+  'Ğ': 'G',
+  'ı': 'i',
+  'İ': 'I',
+  'ç': 'c'
+};
+
+const SMS_UNICODE = process.env.SMS_UNICODE === 'true';
+const SMS_MAX_PARTS = parseInt(process.env.SMS_MAX_PARTS || '3');
+
+const LIMITS = {
+  GSM7: { single: 160, part: 153 },
+  UCS2: { single: 70, part: 67 }
+};
+
+const isGsm7 = (text) => [...text].every(char => GSM7_BASIC.includes(char) || GSM7_EXTENDED.includes(char));
+
+// Length in the units the encoding is billed by
+const encodedLength = (text, encoding) => {
+  if (encoding === 'UCS2') {
+    return text.length; // UTF-16 code units
+  }
+  return [...text].reduce((length, char) => length + (GSM7_EXTENDED.includes(char) ? 2 : 1), 0);
+};
+
+const countParts = (length, encoding) => {
+  const limits = LIMITS[encoding];
+  return length <= limits.single ? 1 : Math.ceil(length / limits.part);
+};
+
+const transliterateTurkish = (text) => text.replace(/[şŞğĞıİç]/g, char => TURKISH_TO_GSM7[char]);
+
+/**
+ * Prepare a message for sending
+ * Returns { text, encoding: 'GSM7' | 'UCS2', parts, truncated }
+ */
+const prepareSmsText = (text, { unicode = SMS_UNICODE, maxParts = SMS_MAX_PARTS } = {}) => {
+  let prepared = String(text).replace(/\s+/g, ' ').trim();
+  if (!unicode) {
+    prepared = transliterateTurkish(prepared);
+  }
+
+  const encoding = isGsm7(prepared) ? 'GSM7' : 'UCS2';
+  const limits = LIMITS[encoding];
+  const maxLength = maxParts === 1 ? limits.single : limits.part * maxParts;
+
+  let truncated = false;
+  if (encodedLength(prepared, encoding) > maxLength) {
+    truncated = true;
+    const chars = [...prepared];
+    while (encodedLength(`${chars.join('')}...`, encoding) > maxLength) {
+      chars.pop();
+    }
+    prepared = `${chars.join('').trimEnd()}...`;
+  }
+
+  return {
+    text: prepared,
+    encoding,
+    parts: countParts(encodedLength(prepared, encoding), encoding),
+    truncated
+  };
+};
+
+module.exports = {
+  isGsm7,
+  transliterateTurkish,
+  prepareSmsText
+};
@@ -0,0 +1,80 @@
+/**
+ * SMS provider layer
+ *
+ * A provider is an object implementing:
+ *
+ *   send({ to, message, encoding, parts }) -> { success, messageId, error }
+ *
+ * `to` is an E.164 number (+905xxxxxxxxx) and `message` is already prepared by
+ * prepareSmsText. The active provider is selected with SMS_PROVIDER (default: log).
+ *
+ * Like email, SMS is queued on the notification outbox (`sms` channel) and sent by
+ * the background job.
+ */
+const logProvider = require('./logProvider');
+const { prepareSmsText } = require('./encoding');
+
+const providers = {
+  log: logProvider
+};
+
+/**
+ * Register an additional provider (e.g. a Turkish SMS operator adapter)
+ */
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.SMS_PROVIDER || 'log';
+
+const getProvider = () => {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Normalize a Turkish mobile number to E.164 (+905xxxxxxxxx)
+ * Accepts 05xx..., 5xx..., 905xx..., +90 5xx ... with spaces, dashes or parentheses.
+ * Returns null for anything that is not a Turkish mobile number.
+ */
+const normalizePhone = (phone) => {
+  if (!phone) {
+    return null;
+  }
+
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('90') && digits.length === 12) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0') && digits.length === 11) {
+    digits = digits.slice(1);
+  }
+
+  return /^5\d{9}$/.test(digits) ? `+90${digits}` : null;
+};
+
+/**
+ * Notification channel: body is the prepared message text
+ */
+const smsChannel = {
+  send: async ({ recipient, body }) => {
+    const prepared = prepareSmsText(body);
+    const result = await getProvider().send({
+      to: recipient,
+      message: prepared.text,
+      encoding: prepared.encoding,
+      parts: prepared.parts
+    });
+    return result.success ? result : { success: false, error: result.error || 'SMS could not be sent' };
+  }
+};
+
+module.exports = {
+  registerProvider,
+  getProviderName,
+  normalizePhone,
+  smsChannel
+};
@@ -0,0 +1,34 @@
+/**
+ * Local SMS provider for development
+ *
+ * Appends every message as a JSON line to SMS_LOG_FILE (default: logs/sms.log)
+ * instead of sending it.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_FILE = process.env.SMS_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'sms.log');
+
+const send = async ({ to, message, encoding, parts }) => {
+  const messageId = `LOGSMS-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const entry = {
+    sentAt: new Date().toISOString(),
+    messageId,
+    to,
+    encoding,
+    parts,
+    message
+  };
+
+  await fs.promises.mkdir(path.dirname(LOG_FILE), { recursive: true });
+  await fs.promises.appendFile(LOG_FILE, `${JSON.stringify(entry)}\n`);
+
+  console.log(`📱 [${to}] ${message}`);
+
+  return { success: true, messageId };
+};
+
+module.exports = {
+  send
+};
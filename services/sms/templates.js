@@ -0,0 +1,48 @@
+/**
+ * Customer SMS templates (Turkish and English)
+ *
+ * Kept short: after transliteration a message should fit in one GSM-7 part (160 characters).
+ */
+const { normalizeLanguage } = require('../mail/templates');
+
+const formatMoney = (amount, language) => `${new Intl.NumberFormat(language === 'en' ? 'en-GB' : 'tr-TR', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(Number(amount) || 0)} TL`;
+
+const templates = {
+  tr: {
+    order_created: ({ order }) =>
+      `MYE Aydınlatma: ${order.order_number} numaralı siparişiniz alındı. Tutar: ${formatMoney(order.grand_total, 'tr')}. Teşekkür ederiz.`,
+    shipped: ({ order }) => order.tracking_number
+      ? `MYE Aydınlatma: ${order.order_number} numaralı siparişiniz kargoya verildi. ${order.carrier ? `${order.carrier} ` : ''}takip no: ${order.tracking_number}`
+      : `MYE Aydınlatma: ${order.order_number} numaralı siparişiniz kargoya verildi.`,
+    completed: ({ order }) =>
+      `MYE Aydınlatma: ${order.order_number} numaralı siparişiniz tamamlandı. Bizi tercih ettiğiniz için teşekkür ederiz.`
+  },
+  en: {
+    order_created: ({ order }) =>
+      `MYE Lighting: your order ${order.order_number} has been received. Total: ${formatMoney(order.grand_total, 'en')}. Thank you.`,
+    shipped: ({ order }) => order.tracking_number
+      ? `MYE Lighting: your order ${order.order_number} has been shipped. ${order.carrier ? `${order.carrier} ` : ''}tracking no: ${order.tracking_number}`
+      : `MYE Lighting: your order ${order.order_number} has been shipped.`,
+    completed: ({ order }) =>
+      `MYE Lighting: your order ${order.order_number} is complete. Thank you for shopping with us.`
+  }
+};
+
+const ORDER_SMS_EVENTS = Object.keys(templates.tr);
+
+/**
+ * Render the SMS for an order event ('order_created', 'shipped', 'completed')
+ * Returns the raw text (run it through prepareSmsText before sending)
+ */
+const renderOrderSms = (event, { order }) => {
+  const template = templates[normalizeLanguage(order.language)][event];
+  return template ? template({ order }) : null;
+};
+
+module.exports = {
+  ORDER_SMS_EVENTS,
+  renderOrderSms
+};
@@ -0,0 +1,146 @@
+/**
+ * Stock alerts
+ *
+ * - Admins are alerted when a product drops into low_stock or out_of_stock.
+ * - "Notify me" subscribers get a confirmation with their unsubscribe link, and are told
+ *   once when a product's stock goes from 0 to positive.
+ *
+ * All are queued in the caller's transaction and delivered by the notification job.
+ */
+const {
+  CUSTOMER_NOTIFICATION_CHANNEL,
+  enqueueNotification,
+  enqueueAdminAlert,
+  registerRenderer
+} = require('./notifications');
+
+const ALERT_SUBJECTS = {
+  low_stock: 'Düşük stok',
+  out_of_stock: 'Stok tükendi'
+};
+
+/**
+ * Queue admin alerts for products whose status moved into an alert state
+ * Changes: [{ id, name, sku, stock_quantity, old_status, stock_status }]
+ */
+const queueStockStatusAlerts = async (db, changes) => {
+  for (const change of changes) {
+    const subject = ALERT_SUBJECTS[change.stock_status];
+    if (!subject || change.old_status === change.stock_status) {
+      continue;
+    }
+
+    await enqueueAdminAlert(db, {
+      type: change.stock_status,
+      subject: `${subject}: ${change.name} (${change.sku})`,
+      body: `${change.name} (${change.sku}) için stok ${change.stock_quantity} adede düştü.`,
+      payload: {
+        productId: change.id,
+        sku: change.sku,
+        quantity: change.stock_quantity,
+        previousStatus: change.old_status,
+        status: change.stock_status
+      }
+    });
+  }
+};
+
+/**
+ * Notify and close the active back-in-stock subscriptions of a product
+ * Returns the number of subscribers notified
+ */
+const queueBackInStockNotifications = async (db, productId) => {
+  const productResult = await db.query(
+    'SELECT id, name, sku, current_price FROM products WHERE id = $1',
+    [productId]
+  );
+  const product = productResult.rows[0];
+  if (!product) {
+    return 0;
+  }
+
+  const subscriptionsResult = await db.query(`
+    UPDATE stock_subscriptions
+    SET status = 'notified', notified_at = CURRENT_TIMESTAMP
+    WHERE product_id = $1 AND status = 'active'
+    RETURNING id, email, name
+  `, [productId]);
+
+  for (const subscription of subscriptionsResult.rows) {
+    await enqueueNotification(db, {
+      channel: CUSTOMER_NOTIFICATION_CHANNEL,
+      recipient: subscription.email,
+      type: 'back_in_stock',
+      subject: `${product.name} tekrar stokta`,
+      body: `Merhaba${subscription.name ? ` ${subscription.name}` : ''}, haber vermemizi istediğiniz ${product.name} ürünü tekrar stoklarımızda.`,
+      payload: {
+        subscriptionId: subscription.id,
+        productId: product.id,
+        productName: product.name,
+        sku: product.sku,
+        price: product.current_price
+      }
+    });
+  }
+
+  return subscriptionsResult.rows.length;
+};
+
+// Frontend page that cancels a subscription (STOCK_UNSUBSCRIBE_URL?token=...), or null when not set
+const getUnsubscribeLink = (token) => {
+  if (!process.env.STOCK_UNSUBSCRIBE_URL) {
+    return null;
+  }
+  const url = new URL(process.env.STOCK_UNSUBSCRIBE_URL);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Queue the confirmation of a new back-in-stock subscription
+ * Only the subscription id is queued; the unsubscribe token is put into the message when
+ * it is sent (see registerRenderer in services/notifications).
+ * Subscription: { id, email }
+ */
+const queueStockSubscriptionConfirmation = (db, subscription) => enqueueNotification(db, {
+  channel: CUSTOMER_NOTIFICATION_CHANNEL,
+  recipient: subscription.email,
+  type: 'stock_subscription',
+  payload: { subscriptionId: subscription.id }
+});
+
+const renderStockSubscriptionConfirmation = async (db, notification) => {
+  const { subscriptionId } = notification.payload || {};
+  const result = await db.query(`
+    SELECT s.token, s.name, p.name as product_name
+    FROM stock_subscriptions s
+    JOIN products p ON p.id = s.product_id
+    WHERE s.id = $1 AND s.status = 'active'
+  `, [subscriptionId]);
+  const subscription = result.rows[0];
+  if (!subscription) {
+    throw new Error('Subscription is no longer active');
+  }
+
+  const link = getUnsubscribeLink(subscription.token);
+  const text = [
+    `Merhaba${subscription.name ? ` ${subscription.name}` : ''}, ${subscription.product_name} ürünü tekrar stoklarımıza girdiğinde size haber vereceğiz.`,
+    link
+      ? `Bildirim almak istemiyorsanız: ${link}`
+      : `Bildirim almak istemiyorsanız bu kodla aboneliğinizi iptal edebilirsiniz: ${subscription.token}`
+  ].join('\n\n');
+
+  return {
+    subject: `${subscription.product_name} için stok bildirimi`,
+    body: text,
+    payload: { text }
+  };
+};
+
+registerRenderer('stock_subscription', renderStockSubscriptionConfirmation);
+
+module.exports = {
+  queueStockStatusAlerts,
+  queueBackInStockNotifications,
+  queueStockSubscriptionConfirmation
+};
@@ -0,0 +1,297 @@
+/**
+ * Stock reservations
+ *
+ * Quantities are held for a checkout while the customer pays. A reservation is
+ * 'active' until it is converted to a sale, released, or its expires_at passes.
+ * Available stock = products.stock_quantity - active reservations of other checkouts.
+ *
+ * Product rows are locked with SELECT ... FOR UPDATE (in id order to avoid
+ * deadlocks) so two concurrent buyers cannot both get the last unit.
+ */
+const crypto = require('crypto');
+const { adjustStock } = require('./inventory');
+const { allocateStock } = require('./warehouses');
+
+const STOCK_RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES || '15');
+// Limits for anonymous checkout reservations, so one client cannot hold the whole stock
+const STOCK_RESERVATION_MAX_LINE_QUANTITY = parseInt(process.env.STOCK_RESERVATION_MAX_LINE_QUANTITY || '10');
+const STOCK_RESERVATION_MAX_QUANTITY = parseInt(process.env.STOCK_RESERVATION_MAX_QUANTITY || '30');
+const STOCK_RESERVATION_MAX_ACTIVE = parseInt(process.env.STOCK_RESERVATION_MAX_ACTIVE || '2');
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Sum quantities per product (a cart may contain the same product twice)
+const groupByProduct = (items) => {
+  const grouped = new Map();
+  for (const item of items) {
+    const existing = grouped.get(item.productId);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      grouped.set(item.productId, { productId: item.productId, name: item.name, quantity: item.quantity });
+    }
+  }
+  return [...grouped.values()];
+};
+
+/**
+ * Lock product rows and return stock available to a checkout
+ * Reservations belonging to the given token/order are not counted against it.
+ */
+const lockAvailableStock = async (client, productIds, { token = null, orderId = null } = {}) => {
+  const productResult = await client.query(`
+    SELECT id, name, stock_quantity
+    FROM products
+    WHERE id = ANY($1::uuid[]) AND is_deleted = FALSE
+    ORDER BY id
+    FOR UPDATE
+  `, [productIds]);
+
+  const reservedResult = await client.query(`
+    SELECT product_id, COALESCE(SUM(quantity), 0) as reserved
+    FROM stock_reservations
+    WHERE product_id = ANY($1::uuid[])
+      AND status = 'active'
+      AND expires_at > CURRENT_TIMESTAMP
+      AND ($2::uuid IS NULL OR token <> $2::uuid)
+      AND ($3::uuid IS NULL OR order_id IS NULL OR order_id <> $3::uuid)
+    GROUP BY product_id
+  `, [productIds, token, orderId]);
+
+  const reservedByProduct = new Map(reservedResult.rows.map(row => [row.product_id, parseInt(row.reserved)]));
+
+  return new Map(productResult.rows.map(product => {
+    const stock = parseInt(product.stock_quantity) || 0;
+    return [product.id, {
+      name: product.name,
+      stock,
+      available: Math.max(stock - (reservedByProduct.get(product.id) || 0), 0)
+    }];
+  }));
+};
+
+const insufficientStockMessage = (name, available, requested) =>
+  `Yetersiz stok: ${name} için ${available} adet mevcut, ${requested} adet talep edildi.`;
+
+/**
+ * Reserve stock for a checkout
+ * Items: [{ productId, name, quantity }]
+ * Returns { error } or { token, expiresAt }
+ */
+const reserveStock = async (client, items, {
+  token = null,
+  orderId = null,
+  clientKey = null,
+  ttlMinutes = STOCK_RESERVATION_MINUTES,
+  expiresAt = null
+} = {}) => {
+  const grouped = groupByProduct(items);
+  const availability = await lockAvailableStock(client, grouped.map(item => item.productId), { token, orderId });
+
+  for (const item of grouped) {
+    const product = availability.get(item.productId);
+    const available = product ? product.available : 0;
+    if (available < item.quantity) {
+      return { error: insufficientStockMessage(item.name, available, item.quantity) };
+    }
+  }
+
+  const reservationToken = token || crypto.randomUUID();
+  const reservationExpiresAt = expiresAt || new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  for (const item of grouped) {
+    await client.query(`
+      INSERT INTO stock_reservations (token, order_id, product_id, quantity, status, client_key, expires_at)
+      VALUES ($1, $2, $3, $4, 'active', $5, $6)
+    `, [reservationToken, orderId, item.productId, item.quantity, clientKey, reservationExpiresAt]);
+  }
+
+  return { token: reservationToken, expiresAt: reservationExpiresAt };
+};
+
+/**
+ * Check a checkout cart against the per-line and per-request quantity limits
+ * Items: [{ productId, name, quantity }]
+ * Returns an error message or null
+ */
+const checkReservationLimits = (items) => {
+  const grouped = groupByProduct(items);
+  const tooMany = grouped.find(item => item.quantity > STOCK_RESERVATION_MAX_LINE_QUANTITY);
+  if (tooMany) {
+    return `${tooMany.name} için en fazla ${STOCK_RESERVATION_MAX_LINE_QUANTITY} adet ayırtılabilir.`;
+  }
+
+  const total = grouped.reduce((sum, item) => sum + item.quantity, 0);
+  if (total > STOCK_RESERVATION_MAX_QUANTITY) {
+    return `Bir sepette en fazla ${STOCK_RESERVATION_MAX_QUANTITY} adet ürün ayırtılabilir.`;
+  }
+
+  return null;
+};
+
+/**
+ * Reserve stock for a checkout that has no order yet
+ * The reservation belongs to clientKey (customer:<id> or ip:<address>), which may hold
+ * at most STOCK_RESERVATION_MAX_ACTIVE of them. Replacing an earlier reservation of the
+ * checkout keeps its expiry, so stock cannot be held indefinitely by renewing it.
+ * Items: [{ productId, name, quantity }]
+ * Returns { error, limitReached? } or { token, expiresAt }
+ */
+const reserveCheckoutStock = async (client, items, { clientKey, replaceToken = null }) => {
+  const limitError = checkReservationLimits(items);
+  if (limitError) {
+    return { error: limitError };
+  }
+
+  // Serialise reservations of the same client so concurrent requests cannot pass the cap together
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [clientKey]);
+
+  let expiresAt = null;
+  if (replaceToken) {
+    const replaced = await client.query(`
+      UPDATE stock_reservations
+      SET status = 'released', updated_at = CURRENT_TIMESTAMP
+      WHERE token = $1 AND order_id IS NULL AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+      RETURNING expires_at
+    `, [replaceToken]);
+    if (replaced.rows.length > 0) {
+      expiresAt = replaced.rows[0].expires_at;
+    }
+  }
+
+  const activeResult = await client.query(`
+    SELECT COUNT(DISTINCT token) as count
+    FROM stock_reservations
+    WHERE client_key = $1 AND order_id IS NULL
+      AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+  `, [clientKey]);
+  if (parseInt(activeResult.rows[0].count) >= STOCK_RESERVATION_MAX_ACTIVE) {
+    return {
+      error: 'Too many active checkout reservations; release one or wait for it to expire',
+      limitReached: true
+    };
+  }
+
+  return reserveStock(client, items, { clientKey, expiresAt });
+};
+
+/**
+ * Release active reservations of a checkout token or an order
+ * Returns the number of released reservation rows
+ */
+const releaseReservations = async (client, { token = null, orderId = null }, status = 'released') => {
+  if (!token && !orderId) {
+    return 0;
+  }
+
+  const result = await client.query(`
+    UPDATE stock_reservations
+    SET status = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'active'
+      AND ($2::uuid IS NULL OR token = $2::uuid)
+      AND ($3::uuid IS NULL OR order_id = $3::uuid)
+  `, [status, token, orderId]);
+
+  return result.rowCount;
+};
+
+/**
+ * Convert an order's reservations into a sale and decrement stock
+ * Works even if the reservation has lapsed, as long as the stock is still available.
+ * Each line is allocated to warehouses based on the order's delivery city; the
+ * allocation is kept in order_allocations so cancellations restock the same warehouses.
+ * Items: [{ productId, name, quantity }]
+ * Returns { error } or {}
+ */
+const commitReservations = async (client, orderId, items, { actor = 'system' } = {}) => {
+  const grouped = groupByProduct(items);
+  const availability = await lockAvailableStock(client, grouped.map(item => item.productId), { orderId });
+
+  for (const item of grouped) {
+    const product = availability.get(item.productId);
+    const available = product ? product.available : 0;
+    if (available < item.quantity) {
+      return { error: insufficientStockMessage(item.name, available, item.quantity) };
+    }
+  }
+
+  const addressResult = await client.query(
+    'SELECT city FROM delivery_addresses WHERE order_id = $1 LIMIT 1',
+    [orderId]
+  );
+  const city = addressResult.rows[0]?.city || null;
+
+  for (const item of grouped) {
+    const allocation = await allocateStock(client, item.productId, item.quantity, { city });
+    if (allocation.error) {
+      return { error: `${item.name}: ${allocation.error}` };
+    }
+
+    for (const part of allocation.allocations) {
+      const result = await adjustStock(client, {
+        productId: item.productId,
+        quantityChange: -part.quantity,
+        movementType: 'sale',
+        warehouseId: part.warehouseId,
+        referenceType: 'order',
+        referenceId: orderId,
+        actor
+      });
+      if (result.error) {
+        return { error: `${item.name}: ${result.error}` };
+      }
+
+      await client.query(`
+        INSERT INTO order_allocations (order_id, product_id, warehouse_id, quantity)
+        VALUES ($1, $2, $3, $4)
+      `, [orderId, item.productId, part.warehouseId, part.quantity]);
+
+      console.log(`✅ Stok güncellendi: ${item.name} - Eski: ${result.before}, Yeni: ${result.after}, Depo: ${part.warehouseId}`);
+    }
+  }
+
+  await client.query(`
+    UPDATE stock_reservations
+    SET status = 'converted', updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = $1 AND status = 'active'
+  `, [orderId]);
+
+  return {};
+};
+
+/**
+ * Mark lapsed reservations as expired
+ * Expired reservations already stop counting once expires_at passes; this keeps statuses tidy.
+ */
+const expireReservations = async (pool) => {
+  const result = await pool.query(`
+    UPDATE stock_reservations
+    SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+  `);
+
+  if (result.rowCount > 0) {
+    console.log(`⏰ ${result.rowCount} stock reservation(s) expired`);
+  }
+
+  return result.rowCount;
+};
+
+/**
+ * Periodically expire lapsed reservations
+ */
+const startReservationExpiryJob = (pool) => {
+  return setInterval(() => {
+    expireReservations(pool)
+      .catch(err => console.error('Error expiring stock reservations:', err));
+  }, EXPIRY_CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  STOCK_RESERVATION_MINUTES,
+  reserveStock,
+  reserveCheckoutStock,
+  releaseReservations,
+  commitReservations,
+  expireReservations,
+  startReservationExpiryJob
+};
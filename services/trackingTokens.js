@@ -0,0 +1,60 @@
+/**
+ * Order tracking tokens
+ *
+ * A token is the order id and an HMAC of it (TRACKING_TOKEN_SECRET), so it cannot
+ * be forged for another order and needs no table. Changing the secret invalidates
+ * every link already sent. Kept apart from orderTracking so the email service can
+ * build links without pulling in the shipment and status modules.
+ */
+const crypto = require('crypto');
+const { getSecret } = require('./secrets');
+
+const TOKEN_SEPARATOR = '.';
+
+const sign = (orderId) => crypto
+  .createHmac('sha256', getSecret('TRACKING_TOKEN_SECRET'))
+  .update(`order-tracking:${orderId}`)
+  .digest('base64url');
+
+/**
+ * Signed tracking token for an order
+ */
+const createTrackingToken = (orderId) => `${orderId}${TOKEN_SEPARATOR}${sign(orderId)}`;
+
+/**
+ * Order id from a tracking token, or null when it is malformed or the signature is wrong
+ */
+const verifyTrackingToken = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [orderId, signature, ...rest] = token.split(TOKEN_SEPARATOR);
+  if (!orderId || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(orderId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return orderId;
+};
+
+/**
+ * Customer-facing tracking link (TRACKING_URL?token=...), or null when TRACKING_URL is not set
+ */
+const getTrackingLink = (orderId) => {
+  if (!process.env.TRACKING_URL) {
+    return null;
+  }
+  const url = new URL(process.env.TRACKING_URL);
+  url.searchParams.set('token', createTrackingToken(orderId));
+  return url.toString();
+};
+
+module.exports = {
+  createTrackingToken,
+  verifyTrackingToken,
+  getTrackingLink
+};
@@ -0,0 +1,120 @@
+/**
+ * Warehouses and stock allocation
+ *
+ * Sellable stock is held per warehouse in warehouse_stock; products.stock_quantity
+ * is kept as the total over all warehouses. Reservations work on the total, the
+ * warehouses a sale ships from are chosen when the payment is committed.
+ *
+ * Allocation strategies (WAREHOUSE_ALLOCATION_STRATEGY):
+ *   nearest  - closest warehouse to the delivery city first, then priority
+ *   priority - fixed warehouse priority (lower number first)
+ */
+const { cityDistanceKm } = require('./cityCoordinates');
+
+const ALLOCATION_STRATEGIES = ['nearest', 'priority'];
+const WAREHOUSE_ALLOCATION_STRATEGY = ALLOCATION_STRATEGIES.includes(process.env.WAREHOUSE_ALLOCATION_STRATEGY)
+  ? process.env.WAREHOUSE_ALLOCATION_STRATEGY
+  : 'nearest';
+
+/**
+ * Warehouse that receives stock when none is specified
+ * (active warehouse with the best priority)
+ */
+const getDefaultWarehouse = async (db) => {
+  const result = await db.query(`
+    SELECT *
+    FROM warehouses
+    WHERE is_active = TRUE
+    ORDER BY priority ASC, created_at ASC
+    LIMIT 1
+  `);
+  return result.rows[0] || null;
+};
+
+/**
+ * Lock the stock row of a product in a warehouse (created on first use)
+ * Returns the current quantity
+ */
+const lockWarehouseStock = async (client, warehouseId, productId) => {
+  await client.query(`
+    INSERT INTO warehouse_stock (warehouse_id, product_id, quantity)
+    VALUES ($1, $2, 0)
+    ON CONFLICT (warehouse_id, product_id) DO NOTHING
+  `, [warehouseId, productId]);
+
+  const result = await client.query(`
+    SELECT quantity
+    FROM warehouse_stock
+    WHERE warehouse_id = $1 AND product_id = $2
+    FOR UPDATE
+  `, [warehouseId, productId]);
+
+  return parseInt(result.rows[0].quantity) || 0;
+};
+
+// Order warehouses by the allocation strategy
+const rankWarehouses = (warehouses, city, strategy) => {
+  const withDistance = warehouses.map(warehouse => ({
+    ...warehouse,
+    distance: strategy === 'nearest' && city ? cityDistanceKm(city, warehouse.city) : null
+  }));
+
+  return withDistance.sort((a, b) => {
+    if (a.distance !== b.distance) {
+      if (a.distance === null) return 1;
+      if (b.distance === null) return -1;
+      return a.distance - b.distance;
+    }
+    return a.priority - b.priority;
+  });
+};
+
+/**
+ * Choose the warehouses an order line ships from
+ * A single warehouse that can ship the whole quantity is preferred; otherwise the
+ * line is split over warehouses in ranked order.
+ * Returns { error } or { allocations: [{ warehouseId, quantity }] }
+ */
+const allocateStock = async (client, productId, quantity, { city = null, strategy = WAREHOUSE_ALLOCATION_STRATEGY } = {}) => {
+  const result = await client.query(`
+    SELECT w.id, w.city, w.priority, ws.quantity
+    FROM warehouse_stock ws
+    JOIN warehouses w ON w.id = ws.warehouse_id
+    WHERE ws.product_id = $1 AND w.is_active = TRUE AND ws.quantity > 0
+    ORDER BY w.id
+    FOR UPDATE OF ws
+  `, [productId]);
+
+  const ranked = rankWarehouses(result.rows, city, strategy);
+
+  const single = ranked.find(warehouse => warehouse.quantity >= quantity);
+  if (single) {
+    return { allocations: [{ warehouseId: single.id, quantity }] };
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const warehouse of ranked) {
+    if (remaining === 0) {
+      break;
+    }
+    const take = Math.min(warehouse.quantity, remaining);
+    allocations.push({ warehouseId: warehouse.id, quantity: take });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    return { error: `Not enough warehouse stock: ${quantity - remaining} of ${quantity} available` };
+  }
+
+  return { allocations };
+};
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  WAREHOUSE_ALLOCATION_STRATEGY,
+  getDefaultWarehouse,
+  lockWarehouseStock,
+  rankWarehouses,
+  allocateStock
+};